@@ -1,592 +1,1241 @@
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const OpenAI = require('openai');
-const puppeteer = require('puppeteer-core');
-const chromium  = require('@sparticuz/chromium');
+const { validateCallDoc, extractCallDoc } = require('./lib/callDoc');
+const { renderCallDoc } = require('./lib/callDocRenderer');
+const { formatDocDate } = require('./lib/html');
+const { getLLM } = require('./lib/llm');
+const { createBrowserPool } = require('./lib/browserPool');
+const { renderPdf, checkHtmlSize, pdfFilename } = require('./lib/pdf');
+const { blockedHeader } = require('./lib/renderSandbox');
+const {
+  checkUploads, loadPages, resolveAnalysisType, runAnalyze, resolveLanguage, generateWorkflowDoc, generateCallDoc, TaskInputError, MAX_ANALYZE_PAGES,
+} = require('./lib/tasks');
+const { createJobManager, JobError } = require('./lib/jobs');
+const { createJobStore } = require('./lib/jobs/stores');
+const { createThemeStore, ThemeError, MAX_LOGO_BYTES } = require('./lib/themes');
+const { listAnalysisTypes } = require('./lib/analysisTypes');
+const { createDocStore, docId, docTenant, DocStoreError } = require('./lib/docs');
+const { diffVersions, renderChangeLog } = require('./lib/docs/diff');
+const { editSection } = require('./lib/sectionEdit');
+const { verifyCoverage } = require('./lib/coverage');
+const { createCache } = require('./lib/cache');
+const { createCacheStore } = require('./lib/cache/stores');
+const { loadTenants, createTenantRegistry, createRateLimiter, AccessError } = require('./lib/tenants');
+const { createUsageMeter, withUsage } = require('./lib/usage');
+const { parseTranscripts, runEvaluation, MAX_TRANSCRIPTS } = require('./lib/evaluation');
+const { completeReport, reportCsv, renderReport } = require('./lib/evaluation/report');
+const { STATE_MACHINE_SCHEMA, extractStateMachine, toYaml, toMermaid } = require('./lib/stateMachine');
+const { stagesFromMermaid, parseStages, parseChannels, stagesToPrompt } = require('./lib/sketch');
+const { exportRequest, exportFilename, renderImages, renderDocx, CONTENT_TYPES } = require('./lib/export');
+const { renderNotes } = require('./lib/export/markdown');
+const { renderDiagram } = require('./lib/export/diagram');
+const { ApiError, sendError } = require('./lib/errors');
+const { createValidator, OPENAPI_SPEC } = require('./lib/openapi');
+const { logger, withContext, addContext, currentContext } = require('./lib/logger');
+const { registry, metrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { createHealthCheck } = require('./lib/health');
 
 const app = express();
-const upload = multer({
+const multerUpload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 15 * 1024 * 1024 }
 });
 
+// multer calls next() from stream events, outside the request's async
+// context; binding it keeps the request id and tenant on what follows
+const keepContext = middleware => (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+const upload = {
+  single: field => keepContext(multerUpload.single(field)),
+  fields: fields => keepContext(multerUpload.fields(fields)),
+};
+
+// ─── Request ids, logs and metrics ───────────────────────────────────────────
+//
+// Every request gets an id — the caller's X-Request-Id if it looks like one,
+// otherwise a new UUID. It's sent back in X-Request-Id and is on every log
+// line (lib/logger) and error envelope written while handling the request.
+// Each request then gets one access-log line and one latency observation,
+// labelled by route pattern so ids in paths don't multiply the series.
+
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+const PROBE_PATHS = ['/health', '/metrics']; // logged at debug, they'd drown everything else
+
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  withContext({ requestId: req.id }, () => {
+    const context = currentContext(); // gains the tenant once authenticated
+    const started = Date.now();
+    const end = metrics.httpRequestDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+      const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+      end({ route, status: res.statusCode });
+      logger[PROBE_PATHS.includes(req.path) ? 'debug' : 'info']('Request', {
+        ...context, method: req.method, path: req.path, route, status: res.statusCode, durationMs: Date.now() - started,
+      });
+    });
+    next();
+  });
+});
+
+// CORS_ORIGINS: comma-separated list of allowed origins, or * for any
+const DEFAULT_CORS_ORIGINS = ['https://scribbld.vercel.app', 'http://localhost:3000', 'http://localhost:5173'];
+const corsOrigins = (process.env.CORS_ORIGINS || DEFAULT_CORS_ORIGINS.join(','))
+  .split(',').map(o => o.trim()).filter(Boolean);
+
 app.use(cors({
-  origin: [
-    "https://scribbld.vercel.app",
-    "http://localhost:3000",
-    "http://localhost:5173",
-  ]
+  origin: corsOrigins.includes('*') ? true : corsOrigins,
+  exposedHeaders: [
+    'Content-Disposition', 'X-Blocked-Requests', 'X-Blocked-Request-Urls', 'X-Cache',
+    'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After',
+    'X-Page-Count', 'X-Diagram-Warnings', 'X-Request-Id',
+  ],
 }));
 
 app.use(express.json({ limit: '15mb' }));
 
-// ─── Prompts ──────────────────────────────────────────────────────────────────
-
-const FLOWCHART_PROMPT = `You are an expert at reading hand-drawn flowcharts and diagrams. Your job is to produce a perfectly valid Mermaid.js flowchart.
-Analyze the image carefully and follow these rules precisely:
-1. Identify every shape:
-   - Rectangle/Box = process step → use [Label]
-   - Diamond = decision → use {Label}
-   - Oval/Rounded = start or end → use ([Label])
-   - Parallelogram = input/output → use[/Label/]
-2. Identify every arrow and its direction. If there is a label on the arrow (like Yes/No), include it.
-3. Preserve the complete flow and logic exactly as drawn.
-4. Output ONLY valid Mermaid.js code. Start with: flowchart TD
-5. Use short, clean node IDs like A, B, C or meaningful ones like START, DECISION1.
-6. Do NOT include markdown code fences, no backticks, no explanation. Just the raw Mermaid code.
-Example output format:
-flowchart TD
-    A([Start]) --> B[Step One]
-    B --> C{Decision?}
-    C -->|Yes| D[Do This]
-    C -->|No| E[Do That]
-    D --> F([End])
-    E --> F`;
-
-const NOTES_PROMPT = `You are an expert at reading handwritten notes and converting them into clean, well-structured markdown.
-Analyze the image carefully and follow these rules:
-1. Read every word accurately, even messy handwriting.
-2. Identify the structure: headings, subheadings, bullet points, numbered lists, paragraphs.
-3. Preserve all hierarchy — if something was underlined or larger, make it a heading (#, ##, ###).
-4. Maintain all bullet points (use -) and numbered lists.
-5. Fix spelling mistakes and grammar while keeping the original meaning.
-6. If there are multiple sections, separate them with proper markdown headings.
-7. If there are any formulas, equations, or special symbols, preserve them accurately.
-8. Output ONLY clean markdown. No backticks, no code fences, no explanations.
-9. Make it look professional and easy to read.`;
-
-// ─── PREMIUM DOC SYSTEM PROMPT ────────────────────────────────────────────────
-
-const DOC_SYSTEM_PROMPT = `You are a senior AI systems consultant creating a PREMIUM, print-ready, COLOURFUL HTML reference document for an AI-powered call centre system. Think: a dense, visually rich consultant deliverable — like an internal design doc printed on A4. Colour is MANDATORY. Every section must use solid colour backgrounds, coloured borders, coloured headers. No plain white boxes.
-
-═══════════════════════════════════════════════════
-OUTPUT RULES — NON-NEGOTIABLE
-═══════════════════════════════════════════════════
-1. Output a COMPLETE, self-contained <!DOCTYPE html> file. Start with <!DOCTYPE html>.
-2. ALL CSS inside one <style> block in <head>. Zero external stylesheets except Google Fonts import.
-3. Import Inter from Google Fonts: @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800;900&display=swap');
-4. No markdown. No code fences. No explanation text outside the HTML. Output ONLY valid HTML.
-5. Embed this print CSS inside the <style> block:
-   @media print {
-     * { -webkit-print-color-adjust: exact !important; print-color-adjust: exact !important; color-adjust: exact !important; }
-     body { margin: 0; }
-     .no-print { display: none !important; }
-   }
-
-═══════════════════════════════════════════════════
-MANDATORY DESIGN SYSTEM — USE EXACTLY THESE VALUES
-═══════════════════════════════════════════════════
-CSS Variables in :root {
-  --navy:  #0D2B4E;
-  --teal:  #007A7A;
-  --gold:  #C9882A;
-  --red:   #C0392B;
-  --green: #1A7A4A;
-  --mint:  #E6F4F1;
-  --gold-l:#FEF5E7;
-  --navy-l:#EBF0F7;
-  --mist:  #F4F7FA;
-  --slate: #374151;
-  --grey:  #6B7280;
-  --rule:  #D0D7E0;
-  --white: #FFFFFF;
+// ─── API contract ─────────────────────────────────────────────────────────────
+//
+// Every route is described in lib/openapi/spec, served below without a key.
+// Routes validate their input against it with validate('<operationId>'); a
+// mismatch is a 400 VALIDATION_FAILED (413 INPUT_TOO_LARGE for size limits).
+// Errors everywhere use the lib/errors envelope:
+//   { success: false, error, code, details?, requestId }
+
+const validate = createValidator();
+
+app.get('/api/openapi.json', validate('openapi'), (req, res) => res.json(OPENAPI_SPEC));
+
+// ─── Access control ───────────────────────────────────────────────────────────
+//
+// Every /api route needs a tenant API key (Authorization: Bearer <key> or
+// X-API-Key) once tenants are configured — see lib/tenants for TENANTS /
+// TENANTS_FILE. ADMIN_TOKEN works as a key too, with no limits, and is the
+// only key the admin routes accept. Without tenants the API stays open.
+
+const tenants = createTenantRegistry(loadTenants({ file: process.env.TENANTS_FILE, json: process.env.TENANTS }));
+const rateLimiter = createRateLimiter();
+const usage = createUsageMeter({
+  dir: process.env.USAGE_DIR,
+  prices: process.env.MODEL_PRICES ? JSON.parse(process.env.MODEL_PRICES) : {},
+});
+
+const ANONYMOUS = { id: 'anonymous' };
+const ADMIN = { id: 'admin', admin: true };
+
+// Jobs belong to the tenant that created them; admin keys see them all
+const owns = (tenant, item) => Boolean(tenant.admin) || item.tenant === tenant.id;
+
+// Whose stored docs and themes a request works on: the caller's own; admin
+// keys can name a tenant with ?tenant= and, for doc listings, see every tenant's
+const tenantScope = (req, { all = false } = {}) => (req.tenant.admin ? req.query.tenant || (all ? null : req.tenant.id) : req.tenant.id);
+
+if (!tenants.enabled) logger.warn('No tenants configured (TENANTS / TENANTS_FILE): the API is open to anyone');
+
+const apiKey = req => req.get('X-API-Key') || (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+
+// Constant-time comparison with a configured secret; unset never matches.
+// Compared as SHA-256 digests: equal byte lengths whatever the characters,
+// and nothing about the secret's length leaks.
+const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+
+function sameSecret(given, expected) {
+  return Boolean(expected) && crypto.timingSafeEqual(digest(given), digest(expected));
 }
 
-Font: Inter, sans-serif
-Body: background #f0f4f8; padding: 20px;
-Page: max-width 794px; margin: 0 auto; background: white; padding: 28px 30px 24px;
-
-Base content font sizes: 8–9px for cards/tables, 11–12px for body text. Dense and information-rich.
-
-═══════════════════════════════════════════════════
-COLOURED COMPONENT LIBRARY — USE THESE PATTERNS
-═══════════════════════════════════════════════════
-
-── HEADER BLOCK (top of every page) ──
-  <div style="display:flex;align-items:center;justify-content:space-between;padding-bottom:12px;border-bottom:3px solid var(--navy);margin-bottom:14px;">
-    Left: <h1 style="font-size:18px;font-weight:800;color:var(--navy)">Agent Name — <span style="color:var(--teal)">Role Title</span></h1>
-          <p style="font-size:9px;color:var(--grey);text-transform:uppercase;letter-spacing:0.5px">subtitle</p>
-    Right: badge pills (see below)
-  </div>
-
-── BADGE PILLS ──
-  <span style="background:var(--navy);color:white;padding:3px 8px;border-radius:20px;font-size:8.5px;font-weight:700">Label</span>
-  <span style="background:var(--teal);color:white;padding:3px 8px;border-radius:20px;font-size:8.5px;font-weight:700">Label</span>
-  <span style="background:var(--gold);color:white;padding:3px 8px;border-radius:20px;font-size:8.5px;font-weight:700">Label</span>
-
-── SIDE CARDS (left column) ──
-  <div style="background:var(--mist);border-radius:6px;padding:9px 10px;border-left:3px solid var(--teal);margin-bottom:10px;">
-    <div style="font-size:8px;font-weight:800;color:var(--grey);letter-spacing:0.8px;text-transform:uppercase;margin-bottom:5px;">CARD TITLE</div>
-    content rows using dot + text
-  </div>
-  Variants: border-left color → var(--gold) / var(--red) / var(--navy); background → var(--navy-l) for navy variant
-
-── DOT ROWS ──
-  <div style="display:flex;align-items:flex-start;gap:5px;margin-top:3px;">
-    <span style="width:5px;height:5px;border-radius:50%;background:var(--teal);flex-shrink:0;margin-top:3px;display:inline-block;"></span>
-    <p style="font-size:8px;color:var(--slate);line-height:1.5;"><strong>Label:</strong> value</p>
-  </div>
-
-── MINI TABLE ──
-  <table style="width:100%;border-collapse:collapse;margin-top:4px;">
-    <thead><tr>
-      <td style="font-size:8px;padding:3px 4px;border:1px solid var(--rule);background:var(--navy);color:white;font-weight:700;">Col A</td>
-      ...
-    </tr></thead>
-    <tbody>
-      <tr><td style="font-size:8px;padding:3px 4px;border:1px solid var(--rule);background:white;">...</td></tr>
-      <tr><td style="font-size:8px;padding:3px 4px;border:1px solid var(--rule);background:var(--mist);">...</td></tr>
-    </tbody>
-  </table>
-
-── CALL FLOW STEP ROW ──
-  Each step = a flex row with 4 segments:
-  [Number Pill] [Body] [Data Pill] [Arrow]
-
-  <div style="display:flex;align-items:stretch;">
-    <!-- Number pill: alternates navy / teal -->
-    <div style="width:26px;flex-shrink:0;background:var(--navy);color:white;font-size:9px;font-weight:800;display:flex;align-items:center;justify-content:center;border-radius:4px 0 0 4px;">1</div>
-    <!-- Body -->
-    <div style="flex:1;background:var(--mist);padding:5px 7px;border-top:1px solid var(--rule);border-bottom:1px solid var(--rule);">
-      <div style="font-size:9px;font-weight:700;color:var(--navy);">Step Name</div>
-      <div style="font-size:7.5px;color:var(--slate);line-height:1.4;margin-top:1px;">Objective text</div>
-    </div>
-    <!-- Data pill -->
-    <div style="width:100px;flex-shrink:0;background:var(--navy-l);padding:5px 6px;border-top:1px solid var(--rule);border-bottom:1px solid var(--rule);">
-      <div style="font-size:6.5px;font-weight:700;text-transform:uppercase;letter-spacing:0.5px;color:var(--grey);">Saves / Branches</div>
-      <div style="font-size:7.5px;color:var(--teal);font-weight:600;margin-top:1px;">variable_name</div>
-    </div>
-    <!-- Arrow -->
-    <div style="width:28px;flex-shrink:0;background:var(--gold-l);display:flex;align-items:center;justify-content:center;font-size:9px;color:var(--gold);font-weight:700;border-top:1px solid var(--rule);border-bottom:1px solid var(--rule);border-radius:0 4px 4px 0;">→</div>
-  </div>
-  <!-- 6px connector between steps -->
-  <div style="margin-left:13px;width:1px;height:6px;background:var(--teal);"></div>
-
-  Special step: body background var(--gold-l), number pill background var(--gold)
-  Terminal step: body background #FFF0F0, number pill background var(--red)
-
-── HANDLER CARDS (4-col grid) ──
-  <div style="background:var(--navy);border-radius:5px;padding:7px 8px;">
-    <div style="font-size:8px;font-weight:800;color:white;letter-spacing:0.3px;">HANDLER NAME</div>
-    <div style="font-size:7px;color:rgba(255,255,255,0.75);margin-top:2px;line-height:1.4;">Trigger: …</div>
-    <div style="font-size:7px;color:rgba(255,255,255,0.9);margin-top:3px;line-height:1.4;border-top:1px solid rgba(255,255,255,0.2);padding-top:3px;">Action: …</div>
-  </div>
-  Variants: background var(--teal) / var(--gold) / var(--red)
-
-── RULE CHIPS (5-col strip) ──
-  <div style="border-radius:5px;padding:6px 7px;border:1.5px solid var(--rule);">
-    <div style="font-size:7px;font-weight:800;letter-spacing:0.6px;text-transform:uppercase;margin-bottom:2px;color:var(--red);">Never</div>
-    <div style="font-size:7.5px;color:var(--slate);line-height:1.45;">rule text</div>
-  </div>
-  Label colors: Never → var(--red) | Always → var(--teal) | Rule → var(--navy)
-
-── GROUP CARDS (for JSON output groups, evaluation section) ──
-  <div style="border-radius:5px;overflow:hidden;border:1px solid var(--rule);">
-    <div style="padding:5px 6px;background:var(--navy);color:white;">
-      <div style="font-size:6.5px;opacity:0.8;margin-bottom:1px;">GROUP N</div>
-      <div style="font-size:7.5px;font-weight:800;">Group Name</div>
-    </div>
-    <div style="padding:5px 6px;background:var(--mist);">
-      field rows using dot + label pattern
-      <div style="font-size:6.5px;color:var(--grey);font-style:italic;margin-top:3px;">purpose note</div>
-    </div>
-  </div>
-  Header variants: var(--teal) / var(--gold) / #2D5F8A / #8B3A2A / #1A7A4A / #4A2080 / #B45309 / #0D5C4E
-
-── EVAL FLOW NODES ──
-  Horizontal flex row with nodes + arrows:
-  <div style="background:var(--navy);color:white;border-radius:5px;padding:6px 9px;font-size:8px;font-weight:700;text-align:center;">
-    Node Label<div style="font-size:6.5px;font-weight:400;opacity:0.85;margin-top:1px;">sublabel</div>
-  </div>
-  Arrow: <span style="color:var(--grey);font-size:14px;padding:0 5px;">›</span>
-
-── SCORE RUBRIC TABLE ──
-  Each row: [coloured badge] [description]
-  Badges: 5.0=#0D2B4E | 4-4.9=#007A7A | 3-3.9=#C9882A | 2-2.9=#E07B39 | 1-1.9=#C0392B | 0-0.9=#7B1818
-
-── GLP / ALERT BANNER ──
-  <div style="background:var(--navy);border-radius:5px;padding:8px 12px;display:flex;align-items:center;gap:10px;margin-bottom:12px;">
-    <div style="font-size:9px;font-weight:800;color:var(--gold);flex-shrink:0;">⚑ BANNER TITLE</div>
-    category chips + action text
-  </div>
-
-── VIOLATION STRIP ──
-  6 chips in a grid:
-  VIOLATION label: color var(--red)
-  REQUIRED label: color var(--green)
-  CRITICAL label: color var(--gold)
-
-═══════════════════════════════════════════════════
-DOCUMENT STRUCTURE
-═══════════════════════════════════════════════════
-
-If script prompt provided → PAGE 1: CALL AGENT REFERENCE
-
-  SECTION A — HEADER
-    • System name + agent name (large, bold, navy/teal)
-    • Subtitle: brand · doc type · flow description
-    • Badge pills: step count, language, agent persona, primary goal
-
-  SECTION B — MAIN GRID (220px left | 1fr right)
-
-    LEFT COLUMN — 4 info cards:
-    1. Agent Identity card (navy variant): name, gender, language, goal, tone
-    2. Package/Decision Logic card (gold variant): decision table with thead navy, show all conditions → outcomes → prices
-    3. Pitch Structure card (teal variant): all pitch blocks/phases with dot rows
-    4. Variables card (teal variant): 2-col grid of ALL variable names in teal colour
-
-    RIGHT COLUMN — FULL CALL FLOW:
-    • One step row per step (NEVER skip any step)
-    • Alternate number pill navy / teal
-    • Decision/special steps: gold body background
-    • Terminal/end step: red body background
-    • 6px vertical connector line between each step
-
-  SECTION C — HANDLERS GRID (4 columns)
-    One coloured card per handler type: navy / teal / gold / red
-
-  SECTION D — RULES STRIP (5-6 chips)
-    Never (red) | Always (green) | Rule (navy)
-
-  PAGE FOOTER: system · agent name · Confidential | hard stop rule
-
-──────────────────────────────────────────────────
-If eval prompt provided → PAGE 2: EVALUATION AI
-
-  SECTION E — EVAL HEADER (same style as Page 1 header)
-    Badges: output group count, field count, score range, special detections
-
-  SECTION F — TOP ROW GRID (1fr right | 260px scoring)
-    Left: EVAL FLOW horizontal diagram
-      Nodes: Transcript → Duration Check → branches → Extract → Score → Scan → JSON Out
-      After branches: two bullet lines (< threshold = skip, >= threshold = full eval)
-    Right: Quality Score rubric table + Lead Intent classification chips
-
-  SECTION G — SPECIAL DETECTION BANNER (if applicable, e.g. GLP-1, escalation)
-    Full-width navy banner with category chips + escalation action
-
-  SECTION H — OUTPUT GROUPS GRID (auto columns, 1 card per JSON group)
-    Each card: coloured header (group # + name) | body: key fields with type | italic footer note
-    Use distinct header colours for each group (cycle through provided colours)
-
-  SECTION I — BOTTOM 3-CARD ROW
-    Card 1 (navy): Core Extraction / Data Rules (numbered)
-    Card 2 (dark red #8B3A2A): Issue/Objection Categories (numbered, most important ★ first)
-    Card 3 (teal): Downstream Use (CRM / QA / Coaching / Escalation rows)
-
-  SECTION J — VIOLATION STRIP (6 chips)
-    Violations (red) | Required (green) | Critical checks (gold)
-
-  PAGE FOOTER: system name · Confidential | output format note
-
-═══════════════════════════════════════════════════
-EXTRACTION RULES — NEVER VIOLATE
-═══════════════════════════════════════════════════
-• Extract EVERY step from the script prompt — never skip or combine steps
-• Extract EVERY variable, handler, branch, rule verbatim
-• Extract EVERY output field, scoring band, violation flag from the eval prompt
-• Use the ACTUAL agent name, brand, language throughout — never "Agent Name" placeholders
-• Every word of content comes from the source prompts — no invention
-• If only one prompt is provided, generate only the relevant page
-• If both prompts are provided, generate BOTH pages in sequence in the same HTML file
-
-═══════════════════════════════════════════════════
-SPACE UTILISATION — ALWAYS FILL THE PAGE
-═══════════════════════════════════════════════════
-The document must ALWAYS fill an A4 page fully. Never leave large empty white areas.
-
-IF the script has fewer than 6 steps:
-• Expand each step row to be taller (padding: 10px 7px instead of 5px 7px)
-• Add a "SCRIPT EXCERPT" card in the left column showing the actual sample dialogue for key steps
-• Add a "BRANCHING LOGIC" card listing every branch/condition with outcomes
-• Add a "CALL TIPS" card with 4–5 coaching notes inferred from the prompt style and goal
-
-IF the eval prompt is short or has fewer than 6 output groups:
-• Expand each group card to show more field detail
-• Add a "SCORING EXAMPLES" section: 3 rows of example scores (score | call scenario | why that score)
-• Add a "COMMON FAILURE MODES" card listing the 4 most common quality issues for this type of call
-
-IF only one prompt is provided and the page is less than ~90% full:
-• Add an "IMPLEMENTATION NOTES" section: deployment checklist (5–6 items), integration requirements, testing approach
-• Add a "QUICK REFERENCE" strip at the bottom: the 5 most important do's and don'ts for this specific agent
-
-GENERAL DENSITY RULE: every section should have enough content that a reader would spend 30+ seconds reading it. Short cards should have 4+ dot rows. Tables should have 4+ rows. Never render a card with only 1–2 lines of content.`;
-
-
-// ─── Route 1: Image → Flowchart or Notes ─────────────────────────────────────
-
-app.post('/api/analyze', upload.single('image'), async (req, res) => {
-  try {
-    const { type } = req.body;
-
-    if (!req.file) return res.status(400).json({ success: false, error: 'No image uploaded' });
-    if (!process.env.OPENAI_API_KEY) return res.status(500).json({ success: false, error: 'OpenAI API key not configured' });
-
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    const base64Image = req.file.buffer.toString('base64');
-    const mimeType = req.file.mimetype;
-    const prompt = type === 'flowchart' ? FLOWCHART_PROMPT : NOTES_PROMPT;
-
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [{
-        role: 'user',
-        content: [
-          { type: 'text', text: prompt },
-          { type: 'image_url', image_url: { url: `data:${mimeType};base64,${base64Image}`, detail: 'high' } }
-        ]
-      }],
-      max_tokens: 4096,
-      temperature: 0.1,
+const isAdminKey = key => sameSecret(key, process.env.ADMIN_TOKEN);
+
+function authenticate(req, res, next) {
+  const key = apiKey(req);
+  if (key && isAdminKey(key)) {
+    req.tenant = ADMIN;
+    addContext({ tenant: ADMIN.id });
+    return next();
+  }
+  if (!tenants.enabled) {
+    req.tenant = ANONYMOUS;
+    return next();
+  }
+
+  const tenant = tenants.authenticate(key);
+  if (!tenant) {
+    return sendError(res, key
+      ? new AccessError('Invalid API key', 401, { 'WWW-Authenticate': 'Bearer' }, 'INVALID_API_KEY')
+      : new AccessError('API key required (Authorization: Bearer <key> or X-API-Key)', 401, { 'WWW-Authenticate': 'Bearer' }, 'API_KEY_REQUIRED'));
+  }
+
+  const limit = rateLimiter.take(tenant);
+  if (limit.limit != null) {
+    res.set({
+      'X-RateLimit-Limit': String(limit.limit),
+      'X-RateLimit-Remaining': String(limit.remaining),
+      'X-RateLimit-Reset': String(Math.ceil(limit.resetMs / 1000)),
     });
+  }
+  if (!limit.allowed) {
+    return sendError(res, new AccessError('Rate limit exceeded', 429, { 'Retry-After': String(Math.ceil(limit.resetMs / 1000)) }, 'RATE_LIMITED'));
+  }
+  req.tenant = tenant;
+  addContext({ tenant: tenant.id });
+  next();
+}
 
-    let content = response.choices[0].message.content.trim();
-    content = content.replace(/^```[\w]*\n?/, '').replace(/\n?```$/, '').trim();
-    res.json({ success: true, content, type });
+app.use('/api', authenticate);
 
+// Admin routes need ADMIN_TOKEN; unset, they're disabled
+function requireAdmin(req, res, next) {
+  if (req.tenant.admin) return next();
+  sendError(res, process.env.ADMIN_TOKEN
+    ? new ApiError('Admin token required', 401, 'ADMIN_REQUIRED')
+    : new ApiError('Admin endpoints are disabled (ADMIN_TOKEN not set)', 403, 'ADMIN_DISABLED'));
+}
+
+function checkQuota(tenant, kind) {
+  if (kind === 'pdf') usage.checkPdfQuota(tenant);
+  else usage.checkTokenQuota(tenant);
+}
+
+// Refuse model / render work once the tenant's monthly quota is used up
+const requireQuota = kind => (req, res, next) => {
+  try {
+    checkQuota(req.tenant, kind);
+    next();
   } catch (error) {
-    console.error('Analyze error:', error.message);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
+  }
+};
+
+/**
+ * getLLM for this request, metering each completion against its tenant under
+ * the provider / model getLLM allowed (not whatever name the upstream echoes).
+ */
+function llmFor(req, route, usageRoute = route, body = req.body) {
+  const tenantId = req.tenant.id;
+  const llm = getLLM(route, { provider: body.provider, model: body.model });
+  const { provider, model } = llm;
+  return withUsage(llm, response => usage.recordCompletion(tenantId, usageRoute, { ...response, provider, model }));
+}
+
+// ─── Route 1: Image(s) / PDF → Notes, Flowchart, Table, ... ─────────────────
+
+// Accepts one image (`image`, as before), several (`image` or `images`,
+// in page order) or PDFs, whose pages are rasterised in place
+const analyzeUpload = upload.fields([
+  { name: 'image', maxCount: MAX_ANALYZE_PAGES },
+  { name: 'images', maxCount: MAX_ANALYZE_PAGES },
+]);
+const uploadedFiles = req => [...(req.files?.image || []), ...(req.files?.images || [])];
+const pageMarkersFlag = body => body.pageMarkers === 'true' || body.pageMarkers === true;
+
+app.get('/api/analyze/types', validate('listAnalysisTypes'), (req, res) => res.json({ success: true, types: listAnalysisTypes() }));
+
+// `mode` picks a variant of the type (listed under /types): for notes,
+// `structured` adds the corrected / uncertain spans with bounding boxes and
+// `verbatim` does the same without correcting anything
+
+app.post('/api/analyze', requireQuota('tokens'), analyzeUpload, validate('analyze'), async (req, res) => {
+  try {
+    const files = uploadedFiles(req);
+    if (!files.length) throw new ApiError('No image uploaded', 400, 'MISSING_INPUT');
+
+    resolveAnalysisType(req.body.type, req.body.mode);
+    const input = { llm: llmFor(req, 'analyze'), files, type: req.body.type, mode: req.body.mode, pageMarkers: pageMarkersFlag(req.body) };
+    const { value: result, hit } = await cache.wrap('analyze', cacheKeyParts.analyze(input), async () => {
+      const pages = await loadPages(files);
+      return runAnalyze(input.llm, { ...input, pages });
+    }, cacheOptions(req));
+
+    res.set('X-Cache', hit ? 'HIT' : 'MISS').json({ success: true, ...result });
+
+  } catch (error) {
+    sendError(res, error, 'Analyze');
   }
 });
 
 // ─── Route 2: Prompts → Client Document ──────────────────────────────────────
 
+// The doc and workflow routes (and their jobs) take `language` — a code such
+// as "hi" or a name — and `bilingual: true` for that language and English
+// side by side. Script excerpts, variables and brand names stay as written.
+
 // ─── Route 2b: Workflow Stage+Column Doc ─────────────────────────────────────
 
-const WORKFLOW_DOC_PROMPT = `You are a senior AI systems consultant creating a WORKFLOW STAGE DIAGRAM document — like a Hunar/Swiggy AI calling workflow chart. This is NOT a call script reference card. It is a visual stage-by-stage workflow with channel columns (SSU, Referral, Non-Agency) and speech bubbles for each channel.
-
-OUTPUT: A complete self-contained <!DOCTYPE html> file. All CSS in <style>. No markdown. No code fences.
-
-DESIGN: Import Inter from Google Fonts. White page background. Print-exact colours.
-
-═══════════════════════════════════════════════
-LAYOUT — EXACT STRUCTURE TO REPRODUCE
-═══════════════════════════════════════════════
-
-HEADER SECTION:
-• Client logo area (left): bold client name + product name
-• Date (top right): formatted date
-• Title: "AI Calling Workflow" — large, bold, left-aligned
-• Channel column headers row: [Stage | Channel 1 | Channel 2 | Channel 3] as bold centered labels
-
-STAGE ROWS (one per stage/step in the flow):
-Each stage row has a coloured background (alternating: yellow #FFF9C4, green #E8F5E2, light grey #F4F7FA):
-• LEFT cell (20% width): Stage box — white rounded rectangle with bold stage number + name
-  Below the stage box: 
-  - "Action to take by User:" (bold) — bullet list
-  - "Info to provide by [Agent]:" (bold) — bullet list  
-  - "Stage Exit Metric:" (bold) — 1–2 lines
-• MIDDLE cells (channels, ~25% each): Speech bubble boxes for each channel variant
-  Speech bubble: white box with thin border, rounded corners, bottom-left tail
-  Content: the exact script/message for that channel
-• BOTTOM of each stage row: "Confirmation question:" in bold + the question text spanning full width
-
-ARROWS: vertical arrows between stage rows in the left column (↓)
-
-TERMINAL: final stage box at bottom showing the end state
-
-CSS PATTERNS:
-.workflow-wrap { max-width: 900px; margin: 0 auto; padding: 24px; font-family: Inter, sans-serif; }
-.col-headers { display: grid; grid-template-columns: 20% 1fr 1fr 1fr; gap: 0; margin-bottom: 0; }
-.col-hdr { text-align: center; font-weight: 800; font-size: 13px; padding: 10px; }
-.stage-row { display: grid; grid-template-columns: 20% 1fr 1fr 1fr; border: 1px solid #e0e0e0; margin-bottom: 0; }
-.stage-row:nth-child(odd)  { background: #FFF9C4; }
-.stage-row:nth-child(even) { background: #E8F5E2; }
-.stage-cell { padding: 14px; border-right: 1px solid #ddd; }
-.stage-box { background: white; border: 1.5px solid #aaa; border-radius: 8px; padding: 10px 12px; text-align: center; margin-bottom: 10px; }
-.stage-box .num { font-size: 11px; color: #666; }
-.stage-box .name { font-size: 13px; font-weight: 700; color: #1a1a1a; }
-.stage-info { font-size: 11px; line-height: 1.6; color: #333; }
-.stage-info strong { font-size: 11px; font-weight: 700; display: block; margin-top: 6px; }
-.speech-bubble { background: white; border: 1.5px solid #bbb; border-radius: 12px; padding: 10px 12px; font-size: 11px; font-style: italic; color: #333; line-height: 1.5; position: relative; margin-bottom: 6px; }
-.speech-bubble::after { content: ''; position: absolute; bottom: -10px; left: 16px; width: 0; height: 0; border-left: 8px solid transparent; border-right: 4px solid transparent; border-top: 10px solid #bbb; }
-.confirm-row { grid-column: 1/-1; padding: 8px 14px; border-top: 1px solid #ddd; background: rgba(255,255,255,0.5); }
-.confirm-row strong { font-size: 11px; font-weight: 700; }
-.confirm-row span { font-size: 11px; color: #333; }
-.arrow-row { display: flex; justify-content: flex-start; padding: 4px 0 4px 9%; }
-.arrow-row span { font-size: 20px; color: #555; }
-.terminal-box { background: white; border: 2px solid #aaa; border-radius: 8px; padding: 12px 18px; text-align: center; display: inline-block; margin: 8px 0 8px 5%; font-weight: 700; font-size: 13px; }
-
-═══════════════════════════════════════════════
-EXTRACTION RULES
-═══════════════════════════════════════════════
-• Extract every stage/step name and number
-• For each stage extract: user actions, agent info to provide, exit metric
-• For each channel (SSU/Referral/Non-Agency or equivalent) extract the exact script message
-• Extract the confirmation question for each stage
-• If channel names differ from SSU/Referral/Non-Agency, use the actual names from the prompt
-• If some channels share the same message, render it identically in both cells
-• Never invent content — only use what is in the source prompt
-• Wrap in proper <!DOCTYPE html> with embedded CSS`;
-
-app.post('/api/generate-workflow', async (req, res) => {
-  try {
-    const { prompt, client, product, version } = req.body;
-    if (!prompt) return res.status(400).json({ success: false, error: 'No prompt provided' });
-    if (!process.env.OPENAI_API_KEY) return res.status(500).json({ success: false, error: 'OpenAI API key not configured' });
-
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    const userText = `Generate a workflow stage diagram HTML document.
-
-Client: ${client || 'Company'}
-Product: ${product || 'AI Calling Workflow'}
-Version: ${version || 'v1.0'}
-Date: ${new Date().toLocaleDateString('en-IN', { day: '2-digit', month: 'long', year: 'numeric' })}
-
-=== WORKFLOW / CALL FLOW PROMPT ===
-${prompt}
-
-Output ONLY a complete <!DOCTYPE html> file. No code fences. No explanation.`;
-
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        { role: 'system', content: WORKFLOW_DOC_PROMPT },
-        { role: 'user',   content: userText },
-      ],
-      max_tokens: 8000,
-      temperature: 0.15,
-    });
+app.post('/api/generate-workflow', validate('generateWorkflowDoc'), requireQuota('tokens'), async (req, res) => {
+  try {
+    if (!req.body.prompt) throw new ApiError('No prompt provided', 400, 'MISSING_INPUT');
 
-    let content = response.choices[0].message.content.trim();
-    content = content.replace(/^```[\w]*\n?/, '').replace(/\n?```$/, '').trim();
-    if (!content.startsWith('<!DOCTYPE') && !content.startsWith('<html')) {
-      const start = content.indexOf('<!DOCTYPE');
-      if (start > -1) content = content.slice(start);
-    }
-    res.json({ success: true, content });
+    const llm = llmFor(req, 'workflow');
+    const theme = await tenantTheme(req, req.body.theme);
+    const body = { ...req.body, theme };
+    const { value, hit } = await cache.wrap('workflow', cacheKeyParts.workflow(llm, body), () => generateWorkflowDoc(llm, body), {
+      ...cacheOptions(req), storeIf: cacheableDoc,
+    });
+    res.set('X-Cache', hit ? 'HIT' : 'MISS').json({ success: true, ...await storeDoc('workflow', body, value, req.tenant) });
   } catch (error) {
-    console.error('Workflow doc error:', error.message);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'Workflow doc');
   }
 });
 
 // ─── Route 2c: Prompt → Client Doc ───────────────────────────────────────────
+//
+// The call-reference doc: `scriptPrompt` and / or `evalPrompt`, extracted to
+// call-doc JSON and rendered (or written in one pass with mode: freeform).
 
+app.post('/api/generate-doc', validate('generateCallDoc'), requireQuota('tokens'), async (req, res) => {
+  try {
+    const { scriptPrompt, evalPrompt } = req.body;
+    if (!scriptPrompt && !evalPrompt) throw new ApiError('Provide at least one prompt (script or evaluation)', 400, 'MISSING_INPUT');
+
+    const llm = llmFor(req, 'doc');
+    const theme = await tenantTheme(req, req.body.theme);
+    const body = { ...req.body, theme };
+    const { value, hit } = await cache.wrap('doc', cacheKeyParts.doc(llm, body), () => generateCallDoc(llm, body), {
+      ...cacheOptions(req), storeIf: cacheableDoc,
+    });
+    res.set('X-Cache', hit ? 'HIT' : 'MISS').json({ success: true, ...await storeDoc('doc', body, value, req.tenant) });
+  } catch (error) {
+    sendError(res, error, 'Doc generation');
+  }
+});
+
+// ─── Route 2d: Prompts → Call-Doc JSON (extraction only) ─────────────────────
+
+app.post('/api/doc/extract', validate('extractCallDoc'), requireQuota('tokens'), async (req, res) => {
   try {
     const { scriptPrompt, evalPrompt, client, product, version } = req.body;
+    if (!scriptPrompt && !evalPrompt) throw new ApiError('Provide at least one prompt (script or evaluation)', 400, 'MISSING_INPUT');
+
+    const { language, bilingual } = resolveLanguage(req.body);
+    const llm = llmFor(req, 'doc', 'doc-extract');
+    const date = formatDocDate(undefined, language.locale);
+    const doc = await extractCallDoc(llm, { scriptPrompt, evalPrompt, client, product, version, date, language, bilingual });
+    res.json({ success: true, doc });
+  } catch (error) {
+    sendError(res, error, 'Doc extract');
+  }
+});
+
+// ─── Route 2e: Call-Doc JSON → HTML (no LLM) ─────────────────────────────────
+
+app.post('/api/doc/render', validate('renderCallDoc'), async (req, res) => {
+  try {
+    const { doc } = req.body;
+    const errors = validateCallDoc(doc);
+    if (errors.length) throw new ApiError('Invalid call-reference document', 400, 'INVALID_DOC', errors);
+    const theme = await tenantTheme(req, req.body.theme);
+    res.json({ success: true, content: renderCallDoc(doc, theme), doc });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    if (!scriptPrompt && !evalPrompt) {
-      return res.status(400).json({ success: false, error: 'Provide at least one prompt (script or evaluation)' });
+// ─── Route 2f: Edit one section of a generated doc ───────────────────────────
+//
+// Body: `section` ("step 4", "handlers", "stage 2 / Referral channel"),
+// `instruction`, and either `id` (a stored doc, see Route 6) or `html` (plus
+// `doc` / `theme` for a structured call doc). Only that section is rewritten;
+// the response carries the whole document and a diff of the section. Edits to
+// a stored doc are saved as its next revision unless `store: false`.
+
+app.post('/api/doc/edit-section', validate('editDocSection'), requireQuota('tokens'), async (req, res) => {
+  try {
+    const { id, section, instruction } = req.body;
+    let { html, doc } = req.body;
+    let theme = await tenantTheme(req, req.body.theme);
+    let record = null;
+
+    if (id) {
+      record = await tenantDoc(req, id);
+      if (!record) throw new DocStoreError('Document not found', 404);
+      html = await docs.getHtml(id);
+      doc = record.mode === 'structured' ? record.doc : null;
+      theme = await tenantTheme(req, req.body.theme || record.theme);
+    } else if (doc) {
+      const errors = validateCallDoc(doc);
+      if (errors.length) throw new ApiError('Invalid call-reference document', 400, 'INVALID_DOC', errors);
     }
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ success: false, error: 'OpenAI API key not configured' });
+
+    const llm = llmFor(req, 'doc', 'doc-edit');
+    const result = await editSection(llm, { html, doc, section, instruction, theme });
+
+    if (record && req.body.store !== false) {
+      const coverage = verifyCoverage(Object.values(record.sources), result.content);
+      const saved = await docs.save(
+        { ...record, theme: theme.id, edit: { section, instruction } },
+        { ...result, doc: result.doc || record.doc, coverage, completeness: record.completeness },
+      );
+      result.stored = { id: saved.id, revision: saved.revision, url: `/api/docs/${saved.id}` };
     }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Section edit');
+  }
+});
 
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-    const userText = `Generate a complete, self-contained HTML documentation file for this AI calling system.
-
-${client  ? `Client Name: ${client}`         : ''}
-${product ? `Product / Use Case: ${product}` : ''}
-Version: ${version || 'v1.0'}
-Date: ${new Date().toLocaleDateString('en-IN', { day: '2-digit', month: 'long', year: 'numeric' })}
-
-${scriptPrompt ? `=== CALL SCRIPT / AGENT PROMPT ===\n${scriptPrompt}` : ''}
-${evalPrompt   ? `\n=== CALL EVALUATION PROMPT ===\n${evalPrompt}` : ''}
-
-CRITICAL REQUIREMENTS:
-- Output ONLY a complete <!DOCTYPE html> file — no explanation, no code fences
-- Use ALL the coloured component patterns from the design system
-- Every section must have colour: coloured card headers, coloured borders, coloured badges
-- Extract and render EVERY step, variable, handler, rule, field from the prompts above
-- FILL THE PAGE: if the prompt is short, expand content with script excerpts, branching logic, coaching tips, implementation notes — never leave white space
-- Dense, information-rich — minimum 1 full A4 page per prompt provided`;
-
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        { role: 'system', content: DOC_SYSTEM_PROMPT },
-        { role: 'user',   content: userText }
-      ],
-      max_tokens: 16000,
-      temperature: 0.15,
-    });
+// ─── Route 2g: Workflow → state machine ──────────────────────────────────────
+//
+// The workflow prompt (`prompt`, or `id` of a stored workflow doc) as an
+// executable state machine, validated against the JSON Schema published at
+// /schemas/workflow-state-machine.json. ?format=json (default: machine, YAML
+// and Mermaid preview together) | yaml | mermaid.
 
-    let content = response.choices[0].message.content.trim();
-    // Strip any accidental markdown fences
-    content = content.replace(/^```[\w]*\n?/, '').replace(/\n?```$/, '').trim();
-    // Ensure it starts with DOCTYPE
-    if (!content.startsWith('<!DOCTYPE') && !content.startsWith('<html')) {
-      const start = content.indexOf('<!DOCTYPE');
-      if (start > -1) content = content.slice(start);
+app.get('/schemas/workflow-state-machine.json', validate('stateMachineSchema'), (req, res) => {
+  res.type('application/schema+json').json(STATE_MACHINE_SCHEMA);
+});
+
+app.post('/api/workflow/state-machine', validate('workflowStateMachine'), requireQuota('tokens'), async (req, res) => {
+  try {
+    let { prompt } = req.body;
+    let record = null;
+    if (req.body.id) {
+      record = await tenantDoc(req, req.body.id);
+      if (!record || record.kind !== 'workflow') throw new DocStoreError('Workflow document not found', 404);
+      prompt = prompt || record.sources.prompt;
     }
+    if (!prompt) throw new ApiError('No prompt provided', 400, 'MISSING_INPUT');
+
+    const format = req.query.format || req.body.format || 'json';
+
+    const { machine, warnings } = await extractStateMachine(llmFor(req, 'workflow', 'state-machine'), {
+      prompt, client: req.body.client || record?.client, product: req.body.product || record?.product,
+    });
+    const name = [machine.client, machine.product, 'state machine'].filter(Boolean).join(' ').replace(/[^a-zA-Z0-9_\-]/g, '_');
+
+    if (format === 'yaml') return res.type('application/yaml').attachment(`${name}.yaml`).send(toYaml(machine));
+    if (format === 'mermaid') return res.type('text/plain').send(toMermaid(machine));
+    res.json({ success: true, machine, yaml: toYaml(machine), mermaid: toMermaid(machine), schema: STATE_MACHINE_SCHEMA.$id, warnings });
+  } catch (error) {
+    sendError(res, error, 'State machine');
+  }
+});
+
+// ─── Route 2h: Call-flow sketch → workflow doc ───────────────────────────────
+//
+// A photographed call flow (`image` / `images`) is read as a Mermaid
+// flowchart, turned into stages (lib/sketch) and written up as the workflow
+// stage diagram doc — plus its PDF with `pdf: true`. `channels` names the
+// speech-bubble channels. The Mermaid and stages come back with the doc, so
+// a corrected `stages` (or `mermaid`) can be sent instead of the image.
+
+const pdfFlag = body => body.pdf === true || body.pdf === 'true';
+
+async function sketchStages(req) {
+  if (req.body.stages) return { mermaid: req.body.mermaid || null, stages: parseStages(req.body.stages), diagnostics: [] };
+  if (req.body.mermaid) return stagesFromMermaid(req.body.mermaid);
+
+  const files = uploadedFiles(req);
+  if (!files.length) throw new ApiError('Upload a sketch, or send corrected mermaid or stages', 400, 'MISSING_INPUT');
+  const input = { llm: llmFor(req, 'analyze', 'sketch'), files, type: 'flowchart' };
+  const { value } = await cache.wrap('analyze', cacheKeyParts.analyze(input), async () => {
+    const pages = await loadPages(files);
+    return runAnalyze(input.llm, { ...input, pages });
+  }, cacheOptions(req));
+  return { ...stagesFromMermaid(value.content), diagnostics: value.diagnostics };
+}
 
-    res.json({ success: true, content });
+app.post('/api/workflow/from-sketch', requireQuota('tokens'), analyzeUpload, validate('workflowFromSketch'), async (req, res) => {
+  try {
+    // Anything that would fail later fails before the model is called
+    if (pdfFlag(req.body)) checkQuota(req.tenant, 'pdf');
+    resolveLanguage(req.body);
+    const channels = parseChannels(req.body.channels);
+    const theme = await tenantTheme(req, req.body.theme);
+
+    const { mermaid, stages, diagnostics } = await sketchStages(req);
+    const { client, product } = req.body;
+    const prompt = stagesToPrompt(stages, { channels, client, product });
+
+    const llm = llmFor(req, 'workflow');
+    const body = { ...req.body, prompt, theme };
+    const { value, hit } = await cache.wrap('workflow', cacheKeyParts.workflow(llm, body), () => generateWorkflowDoc(llm, body), {
+      ...cacheOptions(req), storeIf: cacheableDoc,
+    });
+    const result = { mermaid, stages, diagnostics, channels, prompt, ...await storeDoc('workflow', body, value, req.tenant) };
 
+    if (pdfFlag(req.body)) {
+      const { value: pdf } = await cache.wrap('pdf', cacheKeyParts.pdf({ html: result.content }), () => renderPdfJson(result.content, req.tenant.id), cacheOptions(req));
+      result.pdf = { ...pdf, filename: pdfFilename(req.body.filename, [client, product, 'Workflow'].filter(Boolean).join('_')) };
+    }
+    res.set('X-Cache', hit ? 'HIT' : 'MISS').json({ success: true, ...result });
   } catch (error) {
-    console.error('Doc generation error:', error.message);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'Sketch workflow');
   }
 });
 
 // ─── Route 3: HTML → PDF via Puppeteer ───────────────────────────────────────
 
-app.post('/api/html-to-pdf', async (req, res) => {
-  let browser;
+const browserPool = createBrowserPool({
+  maxPages: Number(process.env.PDF_MAX_PAGES) || 3,
+  maxQueue: Number(process.env.PDF_MAX_QUEUE) || 20,
+  queueTimeoutMs: Number(process.env.PDF_QUEUE_TIMEOUT_MS) || 15000,
+});
+
+// The pool's state, read at scrape time
+const POOL_METRICS = [
+  ['gauge', 'browser_pool_active_pages', 'Pages rendering now', 'activePages'],
+  ['gauge', 'browser_pool_queued', 'Renders waiting for a page', 'queued'],
+  ['counter', 'browser_pool_launches_total', 'Chromium launches', 'launches'],
+  ['counter', 'browser_pool_crashes_total', 'Chromium crashes and disconnects', 'crashes'],
+  ['counter', 'browser_pool_rejected_total', 'Renders refused because the queue was full', 'rejected'],
+  ['counter', 'browser_pool_queue_timeouts_total', 'Renders that timed out waiting for a page', 'queueTimeouts'],
+];
+for (const [type, name, help, stat] of POOL_METRICS) {
+  registry[type](name, help, [], () => [{ value: browserPool.stats()[stat] }]);
+}
+
+app.post('/api/html-to-pdf', validate('htmlToPdf'), requireQuota('pdf'), async (req, res) => {
   try {
     const { html, filename } = req.body;
-    if (!html) return res.status(400).json({ success: false, error: 'No HTML provided' });
+    if (!html) throw new ApiError('No HTML provided', 400, 'MISSING_INPUT');
+
+    const { value, hit } = await cache.wrap('pdf', cacheKeyParts.pdf({ html }), () => renderPdfJson(html, req.tenant.id), cacheOptions(req));
+    const pdfBuffer = Buffer.from(value.data, 'base64');
+    const { blocked } = value;
 
-    browser = await puppeteer.launch({
-      args: chromium.args,
-      defaultViewport: chromium.defaultViewport,
-      executablePath: await chromium.executablePath(),
-      headless: chromium.headless,
+    res.set({
+      'X-Cache': hit ? 'HIT' : 'MISS',
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${pdfFilename(filename)}"`,
+      'Content-Length': pdfBuffer.length,
+      'X-Blocked-Requests': String(blocked.length),
     });
+    if (blocked.length) res.set('X-Blocked-Request-Urls', blockedHeader(blocked));
+    res.send(pdfBuffer);
 
-    const page = await browser.newPage();
+  } catch (error) {
+    sendError(res, error, 'PDF generation');
+  }
+});
 
-    // Set content and wait for fonts + layout to settle
-    await page.setContent(html, { waitUntil: 'networkidle0', timeout: 30000 });
+app.get('/api/html-to-pdf/stats', validate('pdfPoolStats'), (req, res) => res.json({ success: true, pool: browserPool.stats() }));
+
+// ─── Route 3b: Export ─────────────────────────────────────────────────────────
+//
+// POST /api/export for everything beyond an A4 PDF. The source is `html`,
+// `id` of a stored doc (Route 6), `markdown` (notes from /api/analyze) or
+// `mermaid` (diagram code); `format` is pdf | docx | png | jpeg for documents,
+// html too for notes, and svg | png for diagrams (see lib/export). Documents
+// take pageSize (A4 | Letter) and landscape. Page images come one at a time
+// (`page`, default 1, total in X-Page-Count) or as JSON with page=all. Every
+// export that goes through Chromium counts against the PDF quota.
+
+function sendExport(res, format, filename, data) {
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': Buffer.byteLength(data),
+  }).send(data);
+}
 
-    // Inject print-colour CSS so background colours are preserved
-    await page.addStyleTag({
-      content: `
-        * {
-          -webkit-print-color-adjust: exact !important;
-          print-color-adjust: exact !important;
-          color-adjust: exact !important;
-        }
-      `,
-    });
+async function exportHtml(req, source, theme) {
+  const body = req.body;
+  if (source === 'markdown') return renderNotes(body.markdown, { title: body.title, theme });
+  const html = body.id ? (await tenantDoc(req, body.id)) && await docs.getHtml(body.id) : body.html;
+  if (!html) throw new DocStoreError('Document not found', 404);
+  checkHtmlSize(html);
+  return html;
+}
+
+app.post('/api/export', validate('export'), async (req, res) => {
+  try {
+    const body = req.body;
+    const { source, format, page, pageNumber, scale, quality } = exportRequest(body);
+    const theme = await tenantTheme(req, body.theme);
+    const baseName = body.filename || { markdown: 'Notes', mermaid: 'Diagram' }[source] || 'Export';
+    const filename = (ext, suffix = '') => exportFilename(baseName + suffix, ext);
+
+    if (source === 'markdown' && format === 'html') {
+      return sendExport(res, 'html', filename('html'), await exportHtml(req, source, theme));
+    }
+    checkQuota(req.tenant, 'pdf');
 
-    // Wait for @import fonts to settle
-    await new Promise(r => setTimeout(r, 800));
+    if (source === 'mermaid') {
+      const { data, warnings } = await renderDiagram(browserPool, body.mermaid, { format, theme, scale });
+      usage.recordPdf(req.tenant.id, 'export');
+      res.set('X-Diagram-Warnings', String(warnings.length));
+      return sendExport(res, format, filename(format), data);
+    }
 
-    const pdfBuffer = await page.pdf({
-      format: 'A4',
-      printBackground: true,       // ← renders all background colours/images
-      margin: { top: '10mm', bottom: '10mm', left: '8mm', right: '8mm' },
-      preferCSSPageSize: false,
+    const html = await exportHtml(req, source, theme);
+    let output;
+    if (format === 'pdf') output = await renderPdf(browserPool, html, page);
+    else if (format === 'docx') output = await renderDocx(browserPool, html, { page, title: body.title });
+    else output = await renderImages(browserPool, html, { page, type: format, pageNumber, scale, quality });
+    usage.recordPdf(req.tenant.id, 'export');
+
+    const { blocked } = output;
+    res.set('X-Blocked-Requests', String(blocked.length));
+    if (blocked.length) res.set('X-Blocked-Request-Urls', blockedHeader(blocked));
+
+    if (format === 'pdf' || format === 'docx') return sendExport(res, format, filename(format), output[format]);
+    res.set('X-Page-Count', String(output.pageCount));
+    if (pageNumber == null) {
+      return res.json({
+        success: true,
+        format,
+        pageCount: output.pageCount,
+        pages: output.images.map(img => ({ page: img.page, contentType: CONTENT_TYPES[format], data: img.data.toString('base64') })),
+      });
+    }
+    sendExport(res, format, filename(format, `_page${pageNumber}`), output.images[0].data);
+
+  } catch (error) {
+    sendError(res, error, 'Export');
+  }
+});
+
+// ─── Route 4: Async jobs ─────────────────────────────────────────────────────
+//
+// POST /api/jobs queues any of the generation routes (kind: analyze | workflow
+// | doc | pdf, plus that route's usual fields) and returns 202 straight away.
+// Poll GET /api/jobs/:id or follow GET /api/jobs/:id/events (SSE) for
+// progress; fetch the output from /result once the job has succeeded.
+
+const jobs = createJobManager({
+  store: createJobStore(process.env.JOB_STORE || 'memory', process.env.JOB_STORE_DIR),
+  retentionMs: Number(process.env.JOB_RETENTION_MS) || 60 * 60 * 1000,
+  runners: {
+    async analyze(input, ctx) {
+      const { value } = await cache.wrap('analyze', cacheKeyParts.analyze(input), async () => {
+        ctx.onStage('loading');
+        const pages = await loadPages(input.files);
+        ctx.onStage('generating');
+        return runAnalyze(input.llm, { ...input, pages }, ctx);
+      }, input.cache);
+      return value;
+    },
+    async workflow({ llm, body, tenant, cache: cacheOpts }, ctx) {
+      const { value } = await cache.wrap('workflow', cacheKeyParts.workflow(llm, body), () => generateWorkflowDoc(llm, body, ctx), {
+        ...cacheOpts, storeIf: cacheableDoc,
+      });
+      return storeDoc('workflow', body, value, tenant);
+    },
+    async doc({ llm, body, tenant, cache: cacheOpts }, ctx) {
+      const { value } = await cache.wrap('doc', cacheKeyParts.doc(llm, body), () => generateCallDoc(llm, body, ctx), {
+        ...cacheOpts, storeIf: cacheableDoc,
+      });
+      return storeDoc('doc', body, value, tenant);
+    },
+    async pdf({ html, filename, tenant, cache: cacheOpts }, ctx) {
+      ctx.onStage('rendering');
+      const { value } = await cache.wrap('pdf', cacheKeyParts.pdf({ html }), () => renderPdfJson(html, tenant), cacheOpts);
+      return { filename: pdfFilename(filename), contentType: 'application/pdf', ...value };
+    },
+    async evaluate({ llm, input }, ctx) {
+      return runEvaluation(llm, input, ctx);
+    },
+  },
+});
+jobs.recover().catch(err => logger.error('Job recovery failed', { err }));
+
+const JOB_QUOTAS = { analyze: 'tokens', workflow: 'tokens', doc: 'tokens', pdf: 'pdf', evaluate: 'tokens' };
+
+// Validate up front so bad input is a 400 now rather than a failed job later
+async function jobInput(kind, req) {
+  const body = req.body;
+  if (JOB_QUOTAS[kind]) checkQuota(req.tenant, JOB_QUOTAS[kind]);
+  switch (kind) {
+    case 'analyze': {
+      const files = uploadedFiles(req).length
+        ? uploadedFiles(req)
+        : (Array.isArray(body.images) ? body.images : []).map(img => ({
+          buffer: Buffer.from(img.data || '', 'base64'),
+          mimetype: img.mimeType || '',
+        }));
+      checkUploads(files);
+      resolveAnalysisType(body.type, body.mode);
+      return { llm: llmFor(req, 'analyze'), files, type: body.type, mode: body.mode, pageMarkers: pageMarkersFlag(body), cache: cacheOptions(req) };
+    }
+    case 'workflow':
+      if (!body.prompt) throw new TaskInputError('No prompt provided');
+      resolveLanguage(body);
+      return { llm: llmFor(req, 'workflow'), body: { ...body, theme: await tenantTheme(req, body.theme) }, tenant: req.tenant, cache: cacheOptions(req) };
+    case 'doc':
+      if (!body.scriptPrompt && !body.evalPrompt) throw new TaskInputError('Provide at least one prompt (script or evaluation)');
+      resolveLanguage(body);
+      return { llm: llmFor(req, 'doc'), body: { ...body, theme: await tenantTheme(req, body.theme) }, tenant: req.tenant, cache: cacheOptions(req) };
+    case 'pdf':
+      if (!body.html) throw new TaskInputError('No HTML provided');
+      checkHtmlSize(body.html);
+      return { html: body.html, filename: body.filename, tenant: req.tenant.id, cache: cacheOptions(req) };
+    case 'evaluate':
+      return { llm: llmFor(req, 'evaluate'), input: await evaluationInput(req) };
+    default:
+      return {};
+  }
+}
+
+// Results can be large (base64 PDFs); they're only served from /result
+function publicJob({ result, ...job }) {
+  return { ...job, resultUrl: job.status === 'succeeded' ? `/api/jobs/${job.id}/result` : null };
+}
+
+// A job belongs to the tenant that created it; to other tenants it doesn't exist
+async function tenantJob(req) {
+  const job = await jobs.get(req.params.id);
+  return job && owns(req.tenant, job.meta) ? job : null;
+}
+
+const jobNotFound = res => sendError(res, new JobError('Job not found', 404));
+
+// Any job's uploads: images for analyze, transcripts for evaluate
+const jobUpload = upload.fields([
+  { name: 'image', maxCount: MAX_ANALYZE_PAGES },
+  { name: 'images', maxCount: MAX_ANALYZE_PAGES },
+  { name: 'transcripts', maxCount: MAX_TRANSCRIPTS },
+]);
+
+app.post('/api/jobs', jobUpload, validate('createJob'), async (req, res) => {
+  try {
+    const { kind } = req.body;
+    const job = await jobs.create(kind, await jobInput(kind, req), { tenant: req.tenant.id });
+    res.status(202).location(`/api/jobs/${job.id}`).json({ success: true, job: publicJob(job) });
+  } catch (error) {
+    sendError(res, error, 'Job create');
+  }
+});
+
+app.get('/api/jobs/:id', validate('getJob'), async (req, res) => {
+  try {
+    const job = await tenantJob(req);
+    if (!job) return jobNotFound(res);
+    res.json({ success: true, job: publicJob(job) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/jobs/:id/result', validate('getJobResult'), async (req, res) => {
+  try {
+    const job = await tenantJob(req);
+    if (!job) return jobNotFound(res);
+    if (job.status !== 'succeeded') throw new ApiError(`Job is ${job.status}`, 409, 'JOB_NOT_FINISHED', { job: publicJob(job) });
+
+    const { result } = job;
+    if (job.kind === 'evaluate') return sendReport(req, res, result);
+    if (job.kind !== 'pdf') return res.json({ success: true, ...result });
+
+    const pdfBuffer = Buffer.from(result.data, 'base64');
+    res.set({
+      'Content-Type': result.contentType,
+      'Content-Disposition': `attachment; filename="${result.filename}"`,
+      'Content-Length': pdfBuffer.length,
+      'X-Blocked-Requests': String(result.blocked.length),
     });
+    if (result.blocked.length) res.set('X-Blocked-Request-Urls', blockedHeader(result.blocked));
+    res.send(pdfBuffer);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// SSE: `status` (job snapshot, sent first and on every change), `token`
+// ({ delta, tokens, chars } as the model streams) and a final `done`
+app.get('/api/jobs/:id/events', validate('jobEvents'), async (req, res) => {
+  // Subscribed before the job is read, so events in between (a `done` above
+  // all) are queued and replayed instead of lost
+  const queued = [];
+  let listener = (type, data) => queued.push([type, data]);
+  const unsubscribe = jobs.subscribe(req.params.id, (type, data) => listener(type, data));
+
+  let job;
+  try {
+    job = await tenantJob(req);
+  } catch (error) {
+    unsubscribe();
+    return sendError(res, error);
+  }
+  if (!job) {
+    unsubscribe();
+    return jobNotFound(res);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('status', publicJob(job));
+  if (jobs.isFinished(job)) {
+    unsubscribe();
+    send('done', publicJob(job));
+    return res.end();
+  }
 
-    await browser.close();
-    browser = null;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+  listener = (type, data) => {
+    if (res.writableEnded) return;
+    send(type, type === 'token' ? data : publicJob(data));
+    if (type === 'done') res.end();
+  };
+  for (const [type, data] of queued.splice(0)) listener(type, data);
+});
 
-    const safeFilename = (filename || 'AI_Call_Documentation').replace(/[^a-zA-Z0-9_\-]/g, '_') + '.pdf';
+app.post('/api/jobs/:id/cancel', validate('cancelJob'), async (req, res) => {
+  try {
+    if (!await tenantJob(req)) return jobNotFound(res);
+    const job = await jobs.cancel(req.params.id);
+    res.status(202).json({ success: true, job: publicJob(job) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/jobs/:id', validate('deleteJob'), async (req, res) => {
+  try {
+    if (!await tenantJob(req)) return jobNotFound(res);
+    await jobs.remove(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── Route 5: Themes ──────────────────────────────────────────────────────────
+//
+// Client branding for the doc routes (`theme: "<id>"` on /api/generate-workflow,
+// /api/generate-doc, /api/doc/render and doc / workflow jobs).
+
+const themes = createThemeStore(process.env.THEMES_DIR);
+
+const themeSummary = ({ logo, ...theme }) => ({ ...theme, hasLogo: Boolean(logo) });
+
+// themes.resolve() within the request's tenant
+const tenantTheme = (req, id) => themes.resolve(tenantScope(req), id);
+
+app.get('/api/themes', validate('listThemes'), async (req, res) => {
+  try {
+    res.json({ success: true, themes: (await themes.list(tenantScope(req))).map(themeSummary) });
+  } catch (error) {
+    sendError(res, error, 'Theme');
+  }
+});
+
+app.get('/api/themes/:id', validate('getTheme'), async (req, res) => {
+  const theme = await themes.get(tenantScope(req), req.params.id).catch(() => null);
+  if (!theme) return sendError(res, new ThemeError('Theme not found', 404));
+  res.json({ success: true, theme });
+});
+
+app.post('/api/themes', validate('createTheme'), async (req, res) => {
+  try {
+    const tenant = tenantScope(req);
+    if (await themes.get(tenant, req.body.id)) throw new ThemeError(`Theme "${req.body.id}" already exists`, 409);
+    res.status(201).json({ success: true, theme: await themes.save(tenant, req.body) });
+  } catch (error) {
+    sendError(res, error, 'Theme');
+  }
+});
 
+app.put('/api/themes/:id', validate('updateTheme'), async (req, res) => {
+  try {
+    res.json({ success: true, theme: await themes.save(tenantScope(req), { ...req.body, id: req.params.id }) });
+  } catch (error) {
+    sendError(res, error, 'Theme');
+  }
+});
+
+// Multipart alternative to sending the logo as a data URL
+app.put('/api/themes/:id/logo', upload.single('logo'), validate('uploadThemeLogo'), async (req, res) => {
+  try {
+    const tenant = tenantScope(req);
+    const theme = await themes.get(tenant, req.params.id);
+    if (!theme || theme.builtIn) throw new ThemeError('Theme not found', 404);
+    if (!req.file) throw new ApiError('No logo uploaded', 400, 'MISSING_INPUT');
+    if (req.file.size > MAX_LOGO_BYTES) throw new ThemeError(`Logo exceeds ${MAX_LOGO_BYTES} bytes`, 413);
+
+    const logo = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
+    res.json({ success: true, theme: themeSummary(await themes.save(tenant, { ...theme, logo })) });
+  } catch (error) {
+    sendError(res, error, 'Theme');
+  }
+});
+
+app.delete('/api/themes/:id', validate('deleteTheme'), async (req, res) => {
+  try {
+    await themes.delete(tenantScope(req), req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Theme');
+  }
+});
+
+// ─── Route 6: Stored docs ─────────────────────────────────────────────────────
+//
+// Docs from /api/generate-workflow, /api/generate-doc and doc /
+// workflow jobs are stored per tenant, by client / product / version and kind
+// ('doc' | 'workflow'), whenever a `client` is given (send `store: false` to
+// skip). :tenant/:client/:product/:version/:kind in the URLs below is the
+// record id, e.g. acme/acme-corp/default/v1.0/workflow; a tenant's key only
+// reaches its own docs, admin keys reach every tenant's.
+
+const docs = createDocStore(process.env.DOCS_DIR);
+
+// Store a generation result under `tenant`; a storage failure is a warning,
+// not a lost doc
+async function storeDoc(kind, body, result, tenant) {
+  if (!body.client || body.store === false) return result;
+  const sources = kind === 'workflow'
+    ? { prompt: body.prompt }
+    : { scriptPrompt: body.scriptPrompt || '', evalPrompt: body.evalPrompt || '' };
+  try {
+    const record = await docs.save({
+      tenant: tenant.id, kind, client: body.client, product: body.product, version: body.version, mode: body.mode, theme: body.theme?.id, sources,
+      ...languageOf(body),
+    }, result);
+    return { ...result, stored: { id: record.id, revision: record.revision, url: `/api/docs/${record.id}` } };
+  } catch (error) {
+    logger.error('Doc store failed', { err: error });
+    return { ...result, warnings: [...(result.warnings || []), `Doc was not stored: ${error.message}`] };
+  }
+}
+
+const storedId = params => `${params.tenant}/${params.client}/${params.product}/${params.version}/${params.kind}`;
+
+// A stored doc, or null when there is none or it's under another tenant
+async function tenantDoc(req, id) {
+  if (!req.tenant.admin && docTenant(id) !== req.tenant.id) return null;
+  return docs.get(id);
+}
+
+const docErrorResponse = (res, error) => sendError(res, error, 'Stored doc');
+
+app.get('/api/docs', validate('listDocs'), async (req, res) => {
+  try {
+    const { client, product, kind } = req.query;
+    res.json({ success: true, docs: await docs.list({ tenant: tenantScope(req, { all: true }), client, product, kind }) });
+  } catch (error) {
+    docErrorResponse(res, error);
+  }
+});
+
+// ?client=&product=&kind=&from=<version>&to=<version>[&format=html][&theme=<id>][&tenant=<id>, admin keys]
+// from / to default to the two most recent versions; kind can be left out
+// when only one kind of doc is stored for the product
+app.get('/api/docs/diff', validate('diffDocs'), async (req, res) => {
+  try {
+    const { client, product, format } = req.query;
+    if (!client) throw new DocStoreError('client is required');
+
+    const tenant = tenantScope(req);
+    const stored = await docs.list({ tenant, client, product: product || 'default', kind: req.query.kind });
+    const kinds = [...new Set(stored.map(d => d.kind))];
+    if (kinds.length > 1) throw new DocStoreError(`Both ${kinds.join(' and ')} docs are stored for this product; pass kind`);
+    const kind = req.query.kind || kinds[0] || 'doc';
+
+    let { from, to } = req.query;
+    if (!from || !to) {
+      const versions = stored.map(d => d.version);
+      to = to || versions[versions.length - 1];
+      from = from || versions[versions.indexOf(to) - 1];
+      if (!from || !to) throw new DocStoreError('Need two stored versions to compare', 404);
+    }
+    const [before, after] = await Promise.all([docs.get(docId(tenant, client, product, from, kind)), docs.get(docId(tenant, client, product, to, kind))]);
+    if (!before || !after) throw new DocStoreError(`Version "${before ? to : from}" not found`, 404);
+
+    const diff = diffVersions(before, after);
+    if (format !== 'html') return res.json({ success: true, diff });
+    const theme = await tenantTheme(req, req.query.theme || after.theme);
+    res.type('html').send(renderChangeLog(diff, theme));
+  } catch (error) {
+    docErrorResponse(res, error);
+  }
+});
+
+app.get('/api/docs/:tenant/:client/:product/:version/:kind', validate('getDoc'), async (req, res) => {
+  try {
+    const id = storedId(req.params);
+    const record = await tenantDoc(req, id);
+    if (!record) throw new DocStoreError('Document not found', 404);
+    res.json({ success: true, doc: record, content: await docs.getHtml(id) });
+  } catch (error) {
+    docErrorResponse(res, error);
+  }
+});
+
+app.get('/api/docs/:tenant/:client/:product/:version/:kind/html', validate('getDocHtml'), async (req, res) => {
+  try {
+    const id = storedId(req.params);
+    const html = (await tenantDoc(req, id)) && await docs.getHtml(id);
+    if (html == null) throw new DocStoreError('Document not found', 404);
+    res.type('html').send(html);
+  } catch (error) {
+    docErrorResponse(res, error);
+  }
+});
+
+// Rendered on first request, then served from the store
+app.get('/api/docs/:tenant/:client/:product/:version/:kind/pdf', validate('getDocPdf'), requireQuota('pdf'), async (req, res) => {
+  try {
+    const id = storedId(req.params);
+    const record = await tenantDoc(req, id);
+    if (!record) throw new DocStoreError('Document not found', 404);
+
+    let pdfBuffer = await docs.getPdf(id);
+    if (!pdfBuffer) {
+      pdfBuffer = (await renderPdf(browserPool, await docs.getHtml(id))).pdf;
+      usage.recordPdf(req.tenant.id, 'doc-pdf');
+      await docs.savePdf(id, pdfBuffer);
+    }
     res.set({
       'Content-Type': 'application/pdf',
-      'Content-Disposition': `attachment; filename="${safeFilename}"`,
+      'Content-Disposition': `attachment; filename="${pdfFilename(`${record.client} ${record.product} ${record.version}`)}"`,
       'Content-Length': pdfBuffer.length,
     });
     res.send(pdfBuffer);
+  } catch (error) {
+    docErrorResponse(res, error);
+  }
+});
+
+app.delete('/api/docs/:tenant/:client/:product/:version/:kind', validate('deleteDoc'), async (req, res) => {
+  try {
+    const id = storedId(req.params);
+    if (!(await tenantDoc(req, id))) throw new DocStoreError('Document not found', 404);
+    await docs.delete(id);
+    res.json({ success: true });
+  } catch (error) {
+    docErrorResponse(res, error);
+  }
+});
+
+// ─── Route 7: Response cache ──────────────────────────────────────────────────
+//
+// /api/analyze, /api/generate-workflow, /api/generate-doc,
+// /api/html-to-pdf and the matching jobs reuse results for identical input
+// (see lib/cache). Responses carry X-Cache: HIT | MISS; a request with
+// Cache-Control: no-cache skips the lookup, no-store skips the cache entirely.
+
+const CACHE_ROUTES = ['analyze', 'workflow', 'doc', 'pdf'];
+
+const cache = createCache({
+  store: createCacheStore(process.env.CACHE_STORE || 'memory', {
+    dir: process.env.CACHE_DIR,
+    maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || undefined,
+    maxBytes: Number(process.env.CACHE_MAX_BYTES) || undefined,
+  }),
+  ttlMs: process.env.CACHE_TTL_MS != null ? Number(process.env.CACHE_TTL_MS) : undefined,
+  // CACHE_TTL_MS_PDF=604800000 etc.; 0 turns the cache off for that route
+  routeTtls: Object.fromEntries(CACHE_ROUTES
+    .filter(r => process.env[`CACHE_TTL_MS_${r.toUpperCase()}`] != null)
+    .map(r => [r, Number(process.env[`CACHE_TTL_MS_${r.toUpperCase()}`])])),
+});
+
+function cacheOptions(req) {
+  const header = req.get('Cache-Control') || '';
+  return { bypass: /\bno-cache\b/i.test(header), noStore: /\bno-store\b/i.test(header) };
+}
+
+// The doc language as stored and cached: { language: code, bilingual }
+function languageOf(body) {
+  const { language, bilingual } = resolveLanguage(body);
+  return { language: language.code, bilingual };
+}
+
+// Everything that can change a route's output. Docs include today's date
+// because it is printed in the document.
+const cacheKeyParts = {
+  analyze: ({ llm, files, type, mode, pageMarkers }) => {
+    const analysisType = resolveAnalysisType(type, mode);
+    return {
+      files: files.map(f => ({ type: f.mimetype, data: f.buffer })),
+      type: analysisType.name,
+      mode: analysisType.mode,
+      pageMarkers,
+      provider: llm.provider,
+      model: llm.model,
+    };
+  },
+  workflow: (llm, { prompt, client, product, version, minCoverage, theme, ...rest }) => ({
+    prompt, client, product, version, minCoverage, theme, ...languageOf(rest), date: formatDocDate(), provider: llm.provider, model: llm.model,
+  }),
+  doc: (llm, { scriptPrompt, evalPrompt, client, product, version, mode, minCoverage, theme, ...rest }) => ({
+    scriptPrompt, evalPrompt, client, product, version, mode, minCoverage, theme, ...languageOf(rest), date: formatDocDate(), provider: llm.provider, model: llm.model,
+  }),
+  pdf: ({ html }) => ({ html }),
+};
+
+// A doc still cut off after every continuation is worth another try next time
+const cacheableDoc = result => result.completeness !== 'incomplete';
+
+async function renderPdfJson(html, tenantId) {
+  const { pdf, blocked } = await renderPdf(browserPool, html);
+  usage.recordPdf(tenantId, 'pdf');
+  return { data: pdf.toString('base64'), blocked };
+}
+
+app.get('/api/cache', validate('cacheStats'), requireAdmin, async (req, res) => {
+  res.json({ success: true, cache: await cache.stats() });
+});
+
+// DELETE /api/cache purges everything; /api/cache/:route just that route
+async function purgeCache(req, res) {
+  try {
+    res.json({ success: true, purged: await cache.purge(req.params.route) });
+  } catch (error) {
+    sendError(res, error, 'Cache purge');
+  }
+}
+
+app.delete('/api/cache', validate('purgeCache'), requireAdmin, purgeCache);
+app.delete('/api/cache/:route', validate('purgeCacheRoute'), requireAdmin, purgeCache);
+
+// ─── Route 8: Usage ───────────────────────────────────────────────────────────
+//
+// GET /api/usage[?month=YYYY-MM] — the calling tenant's tokens (per model, with
+// an estimated cost, see lib/usage for prices), PDF renders and quotas for the
+// month (default: the current one, UTC). The admin key sees every tenant, or
+// one with ?tenant=<id>.
+
+app.get('/api/usage', validate('usage'), (req, res) => {
+  try {
+    const { month, tenant: tenantId } = req.query;
+    if (!req.tenant.admin || tenantId) {
+      if (tenantId && !req.tenant.admin && tenantId !== req.tenant.id) {
+        throw new AccessError('Only the admin key can read other tenants\' usage', 403);
+      }
+      const tenant = tenantId ? tenants.get(tenantId) || { id: tenantId } : req.tenant;
+      return res.json({ success: true, usage: usage.report(tenant, month) });
+    }
+
+    const reports = usage.tenantsIn(month).map(id => usage.report(tenants.get(id) || { id }, month));
+    const costs = reports.map(r => r.estimatedCostUsd);
+    res.json({
+      success: true,
+      tenants: reports,
+      estimatedCostUsd: costs.includes(null) ? null : Math.round(costs.reduce((a, b) => a + b, 0) * 1e4) / 1e4,
+    });
+  } catch (error) {
+    sendError(res, error, 'Usage');
+  }
+});
+
+// ─── Route 9: Transcript evaluation ──────────────────────────────────────────
+//
+// POST /api/evaluate runs the evaluation prompt over a batch of call
+// transcripts and returns the QA report. Transcripts come as `transcripts`
+// file uploads (.txt = one call, .jsonl = one call per line) or in the body
+// (`transcripts: [...]` / `jsonl`); the prompt as `evalPrompt`, or `id` of a
+// stored doc to reuse its eval prompt and extracted spec. Large batches are
+// better queued as an `evaluate` job. Reports come back as ?format=json
+// (default) | csv | html | pdf, here, from the job result and from
+// POST /api/evaluate/report for a report you already have.
+
+const transcriptUpload = upload.fields([{ name: 'transcripts', maxCount: MAX_TRANSCRIPTS }]);
+
+async function evaluationInput(req) {
+  const body = req.body;
+  let { evalPrompt, doc = null } = body;
+  let record = null;
+
+  if (body.id) {
+    record = await tenantDoc(req, body.id);
+    if (!record) throw new DocStoreError('Document not found', 404);
+    evalPrompt = evalPrompt || record.sources.evalPrompt;
+    doc = record.doc?.eval ? record.doc : null;
+  } else if (doc) {
+    const errors = validateCallDoc(doc);
+    if (errors.length) throw new TaskInputError(`Invalid call-reference document: ${errors.join('; ')}`);
+  }
+  if (!evalPrompt) throw new TaskInputError('No evaluation prompt provided (evalPrompt, or the id of a stored doc that has one)');
+
+  const transcripts = parseTranscripts({ files: req.files?.transcripts || [], transcripts: body.transcripts, jsonl: body.jsonl });
+  return { evalPrompt, doc, transcripts, client: body.client || record?.client, product: body.product || record?.product };
+}
 
+const reportName = report => [report.client, report.product, 'QA Report'].filter(Boolean).join(' ').replace(/[^a-zA-Z0-9_\-]/g, '_');
+
+async function sendReport(req, res, report) {
+  const format = String(req.query.format || req.body?.format || 'json').toLowerCase();
+  try {
+    switch (format) {
+      case 'json':
+        return res.json({ success: true, report });
+      case 'csv':
+        return res.type('text/csv').attachment(`${reportName(report)}.csv`).send(reportCsv(report));
+      case 'html':
+        return res.type('html').send(renderReport(report, await tenantTheme(req, req.query.theme || req.body?.theme)));
+      case 'pdf': {
+        checkQuota(req.tenant, 'pdf');
+        const html = renderReport(report, await tenantTheme(req, req.query.theme || req.body?.theme));
+        const { pdf } = await renderPdf(browserPool, html);
+        usage.recordPdf(req.tenant.id, 'evaluate');
+        return res.set({
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `attachment; filename="${reportName(report)}.pdf"`,
+          'Content-Length': pdf.length,
+        }).send(pdf);
+      }
+      default:
+        throw new ApiError(`Unknown format "${format}". Expected one of: json, csv, html, pdf`, 400, 'BAD_FORMAT');
+    }
   } catch (error) {
-    if (browser) await browser.close().catch(() => {});
-    console.error('PDF generation error:', error.message);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'Evaluation');
+  }
+}
+
+app.post('/api/evaluate', requireQuota('tokens'), transcriptUpload, validate('evaluate'), async (req, res) => {
+  try {
+    const report = await runEvaluation(llmFor(req, 'evaluate'), await evaluationInput(req));
+    await sendReport(req, res, report);
+  } catch (error) {
+    sendError(res, error, 'Evaluation');
   }
 });
 
-// ─── Health check ─────────────────────────────────────────────────────────────
+app.post('/api/evaluate/report', validate('evaluationReport'), (req, res) => sendReport(req, res, completeReport(req.body.report)));
+
+// ─── Health and metrics ───────────────────────────────────────────────────────
+//
+// /health is a readiness check of the model configuration and the renderer
+// (see lib/health): 200 when usable, 503 when not. ?mode=deep also makes a
+// one-token completion and renders a page. /metrics is Prometheus text; set
+// METRICS_TOKEN to require it as a bearer token.
+
+const health = createHealthCheck({ pool: browserPool });
+
+app.get('/health', validate('health'), async (req, res) => {
+  const result = await health({ deep: req.query.mode === 'deep' });
+  res.status(result.status === 'ok' ? 200 : 503).json(result);
+});
+
+app.get('/metrics', validate('metrics'), (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !sameSecret((req.get('Authorization') || '').replace(/^Bearer\s+/i, ''), token)) {
+    return sendError(res, new ApiError('Metrics token required (Authorization: Bearer <METRICS_TOKEN>)', 401, 'METRICS_TOKEN_REQUIRED'));
+  }
+  res.type(METRICS_CONTENT_TYPE).send(registry.expose());
+});
+
+// ─── Unknown routes and uncaught errors ───────────────────────────────────────
+
+app.use('/api', (req, res) => sendError(res, new ApiError(`No route for ${req.method} ${req.path}`, 404, 'ROUTE_NOT_FOUND')));
 
-app.get('/health', (req, res) => res.json({ status: 'ok' }));
+// Malformed JSON, oversized bodies and rejected uploads arrive here
+app.use((error, req, res, next) => sendError(res, error, `${req.method} ${req.path}`));
 
 // ─── Start ────────────────────────────────────────────────────────────────────
 
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+app.listen(PORT, () => logger.info('Server running', { port: Number(PORT) }));
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    await browserPool.close();
+    usage.flushSync();
+    process.exit(0);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,455 @@
+// ─── Analysis types for /api/analyze ──────────────────────────────────────────
+//
+// Each type bundles what the pipeline in lib/analyze.js needs:
+//   prompt              base prompt sent with every page
+//   json                ask the provider for a JSON reply
+//   context(out, i, n)  extra instructions for page i given earlier outputs
+//   merge(out, marks)   combine the per-page outputs
+//   finalize(merged, { llm, pages, onToken, signal })
+//                       → { content, ...extras } (validation / conversion)
+// plus the label / description / format listed by GET /api/analyze/types.
+// A type can offer `modes`: named variants whose fields replace the base
+// type's (notes has 'structured' and 'verbatim' alongside the default).
+
+const { notesContext, flowchartContext, mergeNotes, mergeFlowcharts, finalizeFlowchart } = require('./analyze');
+const { checkSequenceDiagram, checkMindmap } = require('./mermaid');
+const {
+  FLOWCHART_PROMPT, NOTES_PROMPT, NOTES_STRUCTURED_PROMPT, NOTES_VERBATIM_PROMPT, TABLE_PROMPT, SEQUENCE_PROMPT, MINDMAP_PROMPT, ORGCHART_PROMPT, MATH_PROMPT,
+} = require('./prompts');
+
+const DEFAULT_ANALYSIS_TYPE = 'notes';
+const DEFAULT_MODE = 'corrected';
+
+function diag(list, severity, code, line, message) {
+  list.push({ severity, code, line, message });
+}
+
+function continuation(kind, index, total) {
+  return `This is PAGE ${index + 1} OF ${total} of the same ${kind}. Pages 1–${index} have already been converted.`;
+}
+
+// ─── Tables ───────────────────────────────────────────────────────────────────
+
+function parseTables(text, page, diagnostics) {
+  try {
+    const parsed = JSON.parse(text);
+    const tables = Array.isArray(parsed) ? parsed : parsed.tables;
+    if (!Array.isArray(tables)) throw new Error('no "tables" array');
+    return tables;
+  } catch (err) {
+    diag(diagnostics, 'error', 'INVALID_JSON', null, `Page ${page}: could not read the table JSON (${err.message})`);
+    return [];
+  }
+}
+
+function normalizeTable(table, diagnostics) {
+  const columns = (Array.isArray(table.columns) ? table.columns : []).map(c => String(c ?? '').trim());
+  let rows = (Array.isArray(table.rows) ? table.rows : []).map(r => (Array.isArray(r) ? r : [r]).map(c => String(c ?? '').trim()));
+  if (!columns.length && rows.length) {
+    columns.push(...rows[0].map((_, i) => `Column ${i + 1}`));
+    diag(diagnostics, 'fixed', 'MISSING_HEADER', null, 'Named the columns of a table that had no header row');
+  }
+  rows = rows.map(row => {
+    if (row.length === columns.length) return row;
+    diag(diagnostics, 'fixed', 'ROW_WIDTH', null, `Padded / trimmed a ${row.length}-cell row to ${columns.length} columns`);
+    return [...row, ...Array(Math.max(0, columns.length - row.length)).fill('')].slice(0, columns.length);
+  });
+  return { title: String(table.title || ''), columns, rows };
+}
+
+const sameColumns = (a, b) => a.length === b.length && a.every((c, i) => c.toLowerCase() === b[i].toLowerCase());
+
+function tableContext(previous, index, total) {
+  const last = previous.map(text => { try { return JSON.parse(text).tables || []; } catch { return []; } }).flat().pop();
+  return `${continuation('set of tables', index, total)}
+${last && Array.isArray(last.columns) ? `The last table so far has the columns: ${JSON.stringify(last.columns)}
+If this page continues that table, output it with exactly those columns and do NOT repeat the header as a row.` : ''}
+Output ONLY the JSON object for this page.`;
+}
+
+// A table on page N+1 with the same columns as the last one continues it
+function mergeTables(outputs) {
+  const diagnostics = [];
+  const tables = [];
+  outputs.forEach((text, i) => {
+    parseTables(text, i + 1, diagnostics).map(t => normalizeTable(t, diagnostics)).forEach((table, j) => {
+      const last = tables[tables.length - 1];
+      if (i > 0 && j === 0 && last && sameColumns(last.columns, table.columns)) {
+        const rows = table.rows.length && sameColumns(table.rows[0], table.columns) ? table.rows.slice(1) : table.rows;
+        last.rows.push(...rows);
+      } else {
+        tables.push(table);
+      }
+    });
+  });
+  return { tables, diagnostics };
+}
+
+function csvCell(value) {
+  return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/** Tables as CSV (RFC 4180), one block per table separated by a blank line. */
+function tablesToCsv(tables) {
+  return tables
+    .map(t => [t.columns, ...t.rows].map(row => row.map(csvCell).join(',')).join('\r\n'))
+    .join('\r\n\r\n');
+}
+
+function finalizeTables({ tables, diagnostics }) {
+  if (!tables.length) diag(diagnostics, 'error', 'NO_TABLES', null, 'No tables were found in the image');
+  return { content: tablesToCsv(tables), tables, diagnostics };
+}
+
+// ─── Sequence diagrams ────────────────────────────────────────────────────────
+
+function sequenceContext(previous, index, total) {
+  const participants = [...new Set(previous.flatMap(code => checkSequenceDiagram(code).participants))];
+  return `${continuation('sequence diagram', index, total)}
+Participants already declared: ${participants.join(', ') || '(none)'}
+- Reuse these exact participant ids; only declare participants that are new on this page.
+- Output only this page's messages, starting with: sequenceDiagram`;
+}
+
+function mergeSequenceDiagrams(outputs, pageMarkers) {
+  const lines = ['sequenceDiagram'];
+  const declared = new Set();
+  outputs.forEach((code, i) => {
+    if (pageMarkers && outputs.length > 1) lines.push(`    %% Page ${i + 1}`);
+    for (const line of code.split('\n')) {
+      const text = line.trim();
+      if (!text || /^sequenceDiagram\b/i.test(text)) continue;
+      const participant = /^(?:participant|actor)\s+([^\s:]+)/i.exec(text);
+      if (participant) {
+        if (declared.has(participant[1])) continue;
+        declared.add(participant[1]);
+      }
+      lines.push(`    ${text}`);
+    }
+  });
+  return lines.join('\n');
+}
+
+function finalizeSequenceDiagram(code) {
+  const checked = checkSequenceDiagram(code, { dropUnparseable: true });
+  return { content: checked.code, participants: checked.participants, diagnostics: checked.diagnostics };
+}
+
+// ─── Mind maps ────────────────────────────────────────────────────────────────
+
+function mindmapContext(previous, index, total) {
+  const { root } = checkMindmap(previous[0]);
+  return `${continuation('mind map', index, total)}
+The root node is: ${root || '(unknown)'}
+- Start with the same mindmap header and the same root line, then only the branches drawn on this page.`;
+}
+
+// Later pages repeat the root; drop it so their branches hang off page 1's root
+function mergeMindmaps(outputs) {
+  const rootOf = code => checkMindmap(code).root;
+  const root = rootOf(outputs[0]);
+  const lines = ['mindmap'];
+  outputs.forEach((code, i) => {
+    let body = code.split('\n').filter(l => l.trim() && !/^\s*mindmap\b/i.test(l));
+    if (i > 0 && body.length && body[0].trim() === root) body = body.slice(1);
+    lines.push(...body);
+  });
+  return lines.join('\n');
+}
+
+function finalizeMindmap(code) {
+  const checked = checkMindmap(code);
+  return { content: checked.code, diagnostics: checked.diagnostics };
+}
+
+// ─── Equations ────────────────────────────────────────────────────────────────
+
+function mergeLatex(outputs, pageMarkers) {
+  return outputs
+    .map((text, i) => (pageMarkers && outputs.length > 1 ? `% Page ${i + 1}\n${text}` : text))
+    .join('\n\n');
+}
+
+function checkLatex(source, number, diagnostics) {
+  const braces = source.replace(/\\[{}]/g, '');
+  let depth = 0;
+  for (const ch of braces) {
+    if (ch === '{') depth++;
+    if (ch === '}' && --depth < 0) break;
+  }
+  if (depth !== 0) diag(diagnostics, 'error', 'UNBALANCED_BRACES', number, `Equation ${number} has unbalanced braces`);
+
+  const lefts = (source.match(/\\left\b/g) || []).length;
+  const rights = (source.match(/\\right\b/g) || []).length;
+  if (lefts !== rights) diag(diagnostics, 'error', 'UNBALANCED_DELIMITERS', number, `Equation ${number} has ${lefts} \\left but ${rights} \\right`);
+
+  const envs = [];
+  for (const [, kind, name] of source.matchAll(/\\(begin|end)\{([^}]*)\}/g)) {
+    if (kind === 'begin') envs.push(name);
+    else if (envs.pop() !== name) {
+      diag(diagnostics, 'error', 'UNBALANCED_ENVIRONMENT', number, `Equation ${number} closes \\end{${name}} without a matching \\begin`);
+      return;
+    }
+  }
+  if (envs.length) diag(diagnostics, 'error', 'UNBALANCED_ENVIRONMENT', number, `Equation ${number} never closes \\begin{${envs.pop()}}`);
+}
+
+// `line` in these diagnostics is the equation number
+function finalizeLatex(source) {
+  const diagnostics = [];
+  let content = source.trim();
+
+  // Bare lines (no \[ \] anywhere) → one display block per non-comment line
+  if (content && !/\\\[|\$\$/.test(content)) {
+    content = content.split('\n').map(l => (l.trim() && !l.trim().startsWith('%') ? `\\[ ${l.trim()} \\]` : l)).join('\n');
+    diag(diagnostics, 'fixed', 'MISSING_DISPLAY_MATH', null, 'Wrapped equations in \\[ ... \\]');
+  }
+  if (/\$\$/.test(content)) {
+    content = content.replace(/\$\$([\s\S]*?)\$\$/g, (m, body) => `\\[ ${body.trim()} \\]`);
+    diag(diagnostics, 'fixed', 'DOLLAR_DISPLAY_MATH', null, 'Rewrote $$ ... $$ as \\[ ... \\]');
+  }
+
+  const equations = [...content.matchAll(/\\\[([\s\S]*?)\\\]/g)].map(m => m[1].trim());
+  equations.forEach((eq, i) => checkLatex(eq, i + 1, diagnostics));
+  if (!equations.length) diag(diagnostics, 'error', 'NO_EQUATIONS', null, 'No equations were found in the image');
+
+  return { content, equations, diagnostics };
+}
+
+// ─── Notes with uncertain spans ───────────────────────────────────────────────
+//
+// The structured and verbatim notes modes reply with { markdown, spans } per
+// page. Spans are what the model corrected or couldn't read for sure; each is
+// normalised to { page, original, correction, text, confidence, reason, bbox,
+// start, end }, where text is what appears in the markdown, bbox is
+// { x, y, width, height } as fractions of the page image, and start / end are
+// text's offsets in the merged markdown (null if it can't be found there).
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+function parseReading(text, page, diagnostics) {
+  try {
+    const parsed = JSON.parse(text);
+    if (typeof parsed.markdown !== 'string') throw new Error('no "markdown" string');
+    return { markdown: parsed.markdown.trim(), spans: Array.isArray(parsed.spans) ? parsed.spans : [] };
+  } catch (err) {
+    // Most often the model answered with plain markdown; keep it, without spans
+    diag(diagnostics, 'error', 'INVALID_JSON', null, `Page ${page}: could not read the notes JSON (${err.message}); no spans for this page`);
+    return { markdown: text.trim(), spans: [] };
+  }
+}
+
+function readingsContext(previous, index, total) {
+  const markdown = previous.map(text => { try { return JSON.parse(text).markdown || ''; } catch { return text; } });
+  return `${notesContext(markdown, index, total)}
+Output ONLY the JSON object for this page; its spans are for this page's image only.`;
+}
+
+function mergeReadings(outputs, pageMarkers) {
+  const diagnostics = [];
+  const readings = outputs.map((text, i) => parseReading(text, i + 1, diagnostics));
+  return {
+    markdown: mergeNotes(readings.map(r => r.markdown), pageMarkers),
+    spans: readings.flatMap((r, i) => r.spans.map(span => ({ ...span, page: i + 1 }))),
+    diagnostics,
+  };
+}
+
+function normalizeConfidence(value, n, diagnostics) {
+  const level = String(value ?? '').toLowerCase();
+  if (CONFIDENCE_LEVELS.includes(level)) return level;
+  if (typeof value === 'number' && value >= 0 && value <= 1) return value >= 0.8 ? 'high' : value >= 0.5 ? 'medium' : 'low';
+  diag(diagnostics, 'fixed', 'BAD_CONFIDENCE', null, `Span ${n}: confidence ${JSON.stringify(value)} read as "low"`);
+  return 'low';
+}
+
+// [x, y, width, height] or { x, y, width, height }, as 0–1 fractions; a
+// little overshoot is clamped, anything else dropped
+function normalizeBbox(value, n, diagnostics) {
+  if (value == null) return null;
+  const [x, y, width, height] = (Array.isArray(value) ? value : [value.x, value.y, value.width, value.height]).map(Number);
+  const inRange = [x, y, width, height].every(v => Number.isFinite(v) && v >= 0 && v <= 1.05);
+  if (!inRange) {
+    diag(diagnostics, 'fixed', 'BAD_BBOX', null, `Span ${n}: dropped a bounding box that isn't four 0–1 fractions`);
+    return null;
+  }
+  const round = v => Math.round(Math.min(1, v) * 1e4) / 1e4;
+  return { x: round(x), y: round(y), width: round(Math.min(width, 1 - Math.min(1, x))), height: round(Math.min(height, 1 - Math.min(1, y))) };
+}
+
+function finalizeReadings({ markdown, spans, diagnostics }, { verbatim }) {
+  let content = markdown;
+  let cursor = 0;
+  const out = [];
+
+  spans.forEach((span, i) => {
+    const n = i + 1;
+    const original = String(span.original ?? '').trim();
+    if (!original) {
+      diag(diagnostics, 'fixed', 'EMPTY_SPAN', null, `Span ${n}: dropped a span with no original reading`);
+      return;
+    }
+    let correction = span.correction == null ? null : String(span.correction).trim();
+    if (correction === original || correction === '') correction = null;
+
+    // Verbatim means verbatim: put back anything the model corrected anyway
+    if (verbatim && correction) {
+      const at = content.indexOf(correction, cursor);
+      if (at > -1) content = content.slice(0, at) + original + content.slice(at + correction.length);
+      diag(diagnostics, 'fixed', 'VERBATIM_CORRECTION', null, `Span ${n}: restored "${original}" where the model wrote "${correction}"`);
+      correction = null;
+    }
+
+    const text = correction ?? original;
+    let start = content.indexOf(text, cursor);
+    if (start === -1) start = content.indexOf(text);
+    if (start === -1) {
+      diag(diagnostics, 'error', 'SPAN_NOT_FOUND', null, `Span ${n}: "${text}" does not appear in the markdown`);
+    } else {
+      cursor = start + text.length;
+    }
+
+    out.push({
+      page: span.page,
+      original,
+      correction,
+      text,
+      confidence: normalizeConfidence(span.confidence, n, diagnostics),
+      reason: String(span.reason ?? ''),
+      bbox: normalizeBbox(span.bbox, n, diagnostics),
+      start: start === -1 ? null : start,
+      end: start === -1 ? null : start + text.length,
+    });
+  });
+
+  return { content, spans: out, diagnostics };
+}
+
+const readingMode = verbatim => ({
+  description: verbatim
+    ? 'Exactly as written, no corrections, plus every uncertain span'
+    : 'Corrected markdown plus every corrected or uncertain span',
+  prompt: verbatim ? NOTES_VERBATIM_PROMPT : NOTES_STRUCTURED_PROMPT,
+  json: true,
+  context: readingsContext,
+  merge: mergeReadings,
+  finalize: merged => finalizeReadings(merged, { verbatim }),
+});
+
+// ─── Registry ─────────────────────────────────────────────────────────────────
+
+const ANALYSIS_TYPES = {
+  notes: {
+    label: 'Notes',
+    description: 'Handwritten notes → structured markdown',
+    format: 'markdown',
+    prompt: NOTES_PROMPT,
+    context: notesContext,
+    merge: mergeNotes,
+    modes: {
+      structured: readingMode(false),
+      verbatim: readingMode(true),
+    },
+  },
+  flowchart: {
+    label: 'Flowchart',
+    description: 'Flowcharts and process diagrams → Mermaid flowchart',
+    format: 'mermaid',
+    prompt: FLOWCHART_PROMPT,
+    context: flowchartContext,
+    merge: mergeFlowcharts,
+    finalize: finalizeFlowchart,
+  },
+  table: {
+    label: 'Table',
+    description: 'Hand-drawn tables → CSV (content) and JSON (tables)',
+    format: 'csv',
+    prompt: TABLE_PROMPT,
+    json: true,
+    context: tableContext,
+    merge: mergeTables,
+    finalize: finalizeTables,
+  },
+  sequence: {
+    label: 'Sequence diagram',
+    description: 'Sequence / swimlane message diagrams → Mermaid sequenceDiagram',
+    format: 'mermaid',
+    prompt: SEQUENCE_PROMPT,
+    context: sequenceContext,
+    merge: mergeSequenceDiagrams,
+    finalize: finalizeSequenceDiagram,
+  },
+  mindmap: {
+    label: 'Mind map',
+    description: 'Mind maps and brainstorms → Mermaid mindmap',
+    format: 'mermaid',
+    prompt: MINDMAP_PROMPT,
+    context: mindmapContext,
+    merge: mergeMindmaps,
+    finalize: finalizeMindmap,
+  },
+  orgchart: {
+    label: 'Org chart',
+    description: 'Org charts / reporting lines → Mermaid flowchart (top-down)',
+    format: 'mermaid',
+    prompt: ORGCHART_PROMPT,
+    context: flowchartContext,
+    merge: mergeFlowcharts,
+    finalize: finalizeFlowchart,
+  },
+  math: {
+    label: 'Equations',
+    description: 'Handwritten maths → LaTeX display equations',
+    format: 'latex',
+    prompt: MATH_PROMPT,
+    context: (previous, index, total) => `${continuation('set of equations', index, total)}\nOutput only the LaTeX for this page.`,
+    merge: mergeLatex,
+    finalize: finalizeLatex,
+  },
+};
+
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj || {}, key);
+
+/**
+ * Type definition for a `type` value (missing → notes) in `mode` (missing →
+ * corrected, the type's own fields); undefined if either is unknown.
+ */
+function getAnalysisType(name, mode) {
+  const key = name == null || name === '' ? DEFAULT_ANALYSIS_TYPE : String(name);
+  const modeKey = mode == null || mode === '' ? DEFAULT_MODE : String(mode);
+  if (!has(ANALYSIS_TYPES, key)) return undefined;
+  const { modes, ...type } = ANALYSIS_TYPES[key];
+  if (modeKey === DEFAULT_MODE) return { name: key, mode: modeKey, ...type };
+  return has(modes, modeKey) ? { name: key, mode: modeKey, ...type, ...modes[modeKey] } : undefined;
+}
+
+/** Mode names a type accepts, default first. */
+function analysisModes(name) {
+  return [DEFAULT_MODE, ...Object.keys(ANALYSIS_TYPES[name]?.modes || {})];
+}
+
+/** Public description of every type, for GET /api/analyze/types. */
+function listAnalysisTypes() {
+  return Object.entries(ANALYSIS_TYPES).map(([name, t]) => ({
+    name,
+    label: t.label,
+    description: t.description,
+    format: t.format,
+    default: name === DEFAULT_ANALYSIS_TYPE,
+    modes: analysisModes(name).map(mode => ({
+      name: mode,
+      description: t.modes?.[mode]?.description || 'The standard output',
+      default: mode === DEFAULT_MODE,
+    })),
+  }));
+}
+
+module.exports = {
+  getAnalysisType,
+  analysisModes,
+  listAnalysisTypes,
+  tablesToCsv,
+  ANALYSIS_TYPES,
+  DEFAULT_ANALYSIS_TYPE,
+  DEFAULT_MODE,
+};
@@ -0,0 +1,169 @@
+// ─── Image analysis pipeline (one or more pages) ──────────────────────────────
+//
+// Pages are sent to the model one at a time, in order. Each call after the
+// first carries context from the pages before it (the tail of the notes so
+// far, or the flowchart nodes already defined) so headings, lists and node ids
+// carry on across page breaks instead of restarting. The per-page outputs are
+// then merged and post-processed by the analysis type (lib/analysisTypes.js);
+// the notes and flowchart helpers live here, the newer types' in that module.
+
+const { parseFlowchart, buildRepairPrompt } = require('./mermaid');
+
+const NOTES_CONTEXT_CHARS = 1500;
+
+function stripFences(text) {
+  return String(text || '').trim().replace(/^```[\w]*\n?/, '').replace(/\n?```$/, '').trim();
+}
+
+function imagePart(page) {
+  return { type: 'image_url', image_url: { url: `data:${page.mimeType};base64,${page.buffer.toString('base64')}`, detail: 'high' } };
+}
+
+// ─── Context for page N ───────────────────────────────────────────────────────
+
+function notesContext(previous, index, total) {
+  const soFar = previous.join('\n\n');
+  const headings = soFar.split('\n').filter(l => /^#{1,6}\s/.test(l));
+  const lastLines = soFar.trimEnd().split('\n');
+  const lastItem = [...lastLines].reverse().find(l => l.trim());
+  const numbered = lastItem && /^\s*(\d+)[.)]\s/.exec(lastItem);
+
+  return `This is PAGE ${index + 1} OF ${total} of the same set of notes. Pages 1–${index} have already been converted.
+Continue the SAME document:
+- Do not restart the document or repeat a heading that is still open from the previous page.
+- Keep heading levels consistent with the outline so far.
+- If the page continues a list from the previous page, continue it${numbered ? ` (the last numbered item was ${numbered[1]}, so continue from ${Number(numbered[1]) + 1})` : ''}.
+- Output ONLY the markdown for this page.
+
+Heading outline so far:
+${headings.length ? headings.join('\n') : '(none)'}
+
+The previous page ended with:
+"""
+${soFar.slice(-NOTES_CONTEXT_CHARS)}
+"""`;
+}
+
+function flowchartContext(previous, index, total) {
+  const nodes = new Map();
+  for (const code of previous) {
+    for (const node of parseFlowchart(code).nodes) nodes.set(node.id, node.label);
+  }
+  return `This is PAGE ${index + 1} OF ${total} of the same flowchart. Pages 1–${index} have already been converted.
+Nodes already defined on earlier pages:
+${[...nodes].map(([id, label]) => `- ${id}: ${label}`).join('\n') || '(none)'}
+
+- Reuse one of these exact ids when this page refers to the same node (for example an off-page connector or a repeated step).
+- Use NEW ids for every new node; never reuse an id for a different node.
+- Output only this page's part of the flowchart, starting with: flowchart TD`;
+}
+
+// ─── Merging ──────────────────────────────────────────────────────────────────
+
+function mergeNotes(outputs, pageMarkers) {
+  let merged = '';
+  outputs.forEach((text, i) => {
+    let page = text;
+    // Drop a heading the model repeated from the end of the previous page
+    const lastHeading = merged.split('\n').filter(l => /^#{1,6}\s/.test(l)).pop();
+    const firstLine = page.split('\n')[0];
+    if (lastHeading && firstLine.trim() === lastHeading.trim()) page = page.split('\n').slice(1).join('\n').trim();
+
+    if (i > 0) merged += '\n\n';
+    if (pageMarkers && outputs.length > 1) merged += `<!-- Page ${i + 1} -->\n\n`;
+    merged += page;
+  });
+  return merged.trim();
+}
+
+function mergeFlowcharts(outputs, pageMarkers) {
+  const direction = parseFlowchart(outputs[0]).direction;
+  const lines = [`flowchart ${direction}`];
+  outputs.forEach((code, i) => {
+    if (pageMarkers && outputs.length > 1) lines.push(`    %% Page ${i + 1}`);
+    const body = code.split('\n').filter(l => l.trim() && !/^\s*(flowchart|graph)\b/i.test(l));
+    lines.push(...body.map(l => `    ${l.trim()}`));
+  });
+  return lines.join('\n');
+}
+
+// ─── Flowchart validation ─────────────────────────────────────────────────────
+
+// Validate the Mermaid; fall back to a model repair pass for anything the
+// deterministic fixes can't handle
+async function finalizeFlowchart(code, { llm, pages, onToken, signal }) {
+  let parsed = parseFlowchart(code);
+  let diagnostics = parsed.diagnostics;
+  if (!parsed.valid) {
+    const repair = await llm.complete({
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: buildRepairPrompt(parsed.code, parsed.diagnostics) },
+          // The original drawing helps, but only send it when there's one
+          ...(pages.length === 1 ? [imagePart(pages[0])] : []),
+        ]
+      }],
+      maxTokens: 4096,
+      temperature: 0,
+      onToken,
+      signal,
+    });
+    parsed = parseFlowchart(stripFences(repair.content), { dropUnparseable: true });
+    diagnostics = [
+      ...diagnostics,
+      { severity: 'fixed', code: 'MODEL_REPAIR', line: null, message: 'Asked the model to repair errors the parser could not fix' },
+      ...parsed.diagnostics,
+    ];
+  }
+  return { content: parsed.code, diagnostics };
+}
+
+// ─── Pipeline ─────────────────────────────────────────────────────────────────
+
+/**
+ * Analyse pages ([{ buffer, mimeType }], in order) as `analysisType` (an entry
+ * of lib/analysisTypes.js). Resolves to { content, pages, ... } plus whatever
+ * the type's finalize step adds (diagnostics, tables, equations).
+ */
+async function analyzePages(llm, pages, { analysisType, pageMarkers = false, onToken, signal }) {
+  const outputs = [];
+
+  for (let i = 0; i < pages.length; i++) {
+    const context = i === 0
+      ? (pages.length > 1 ? `This is PAGE 1 OF ${pages.length}. Later pages will be converted separately and appended.` : '')
+      : analysisType.context(outputs, i, pages.length);
+
+    const response = await llm.complete({
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: context ? `${analysisType.prompt}\n\n${context}` : analysisType.prompt },
+          imagePart(pages[i]),
+        ]
+      }],
+      maxTokens: 4096,
+      temperature: 0.1,
+      json: analysisType.json,
+      onToken,
+      signal,
+    });
+    outputs.push(stripFences(response.content));
+  }
+
+  const merged = analysisType.merge(outputs, pageMarkers);
+  const result = analysisType.finalize
+    ? await analysisType.finalize(merged, { llm, pages, onToken, signal })
+    : { content: merged };
+  return { content: result.content, pages: pages.length, ...result };
+}
+
+module.exports = {
+  analyzePages,
+  stripFences,
+  notesContext,
+  flowchartContext,
+  mergeNotes,
+  mergeFlowcharts,
+  finalizeFlowchart,
+};
@@ -0,0 +1,137 @@
+// ─── Shared Chromium browser pool ─────────────────────────────────────────────
+//
+// One lazily-launched browser, at most `maxPages` pages rendering at once.
+// Callers beyond that wait in a FIFO queue for up to `queueTimeoutMs`; once
+// `maxQueue` callers are waiting, new ones are rejected straight away so the
+// route can answer 429. If Chromium crashes or disconnects, the next caller
+// relaunches it.
+
+const puppeteer = require('puppeteer-core');
+const chromium  = require('@sparticuz/chromium');
+
+class PoolError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'PoolError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/** CHROMIUM_PATH, or the bundled Chromium (unpacked on first use). */
+async function chromiumPath() {
+  return process.env.CHROMIUM_PATH || chromium.executablePath();
+}
+
+async function launchChromium() {
+  return puppeteer.launch({
+    args: chromium.args,
+    defaultViewport: chromium.defaultViewport,
+    executablePath: await chromiumPath(),
+    headless: chromium.headless,
+  });
+}
+
+function createBrowserPool({
+  maxPages = 3,
+  maxQueue = 20,
+  queueTimeoutMs = 15000,
+  launch = launchChromium,
+} = {}) {
+  let browser = null;
+  let launching = null;
+  let active = 0;
+  const queue = [];
+  const counters = { launches: 0, crashes: 0, renders: 0, failures: 0, rejected: 0, queueTimeouts: 0 };
+
+  async function getBrowser() {
+    if (browser && browser.connected) return browser;
+    if (!launching) {
+      launching = launch()
+        .then(b => {
+          counters.launches++;
+          b.on('disconnected', () => {
+            if (browser === b) {
+              browser = null;
+              counters.crashes++;
+            }
+          });
+          browser = b;
+          return b;
+        })
+        .finally(() => { launching = null; });
+    }
+    return launching;
+  }
+
+  function acquire() {
+    if (active < maxPages) {
+      active++;
+      return Promise.resolve();
+    }
+    if (queue.length >= maxQueue) {
+      counters.rejected++;
+      return Promise.reject(new PoolError('PDF renderer is busy, try again shortly', 429, 'POOL_FULL'));
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        queue.splice(queue.indexOf(waiter), 1);
+        counters.queueTimeouts++;
+        reject(new PoolError(`Timed out after ${queueTimeoutMs}ms waiting for a PDF renderer`, 503, 'POOL_TIMEOUT'));
+      }, queueTimeoutMs);
+      queue.push(waiter);
+    });
+  }
+
+  function release() {
+    const next = queue.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve(); // hand the slot straight over
+    } else {
+      active--;
+    }
+  }
+
+  /** Run fn(page) on a fresh page; the page is always closed afterwards. */
+  async function withPage(fn) {
+    await acquire();
+    let page;
+    try {
+      const b = await getBrowser();
+      page = await b.newPage();
+      const result = await fn(page);
+      counters.renders++;
+      return result;
+    } catch (err) {
+      counters.failures++;
+      throw err;
+    } finally {
+      if (page) await page.close().catch(() => {});
+      release();
+    }
+  }
+
+  function stats() {
+    return {
+      browser: browser && browser.connected ? 'running' : launching ? 'launching' : 'stopped',
+      activePages: active,
+      maxPages,
+      queued: queue.length,
+      maxQueue,
+      queueTimeoutMs,
+      ...counters,
+    };
+  }
+
+  async function close() {
+    const b = browser;
+    browser = null;
+    if (b) await b.close().catch(() => {});
+  }
+
+  return { withPage, getBrowser, stats, close };
+}
+
+module.exports = { createBrowserPool, chromiumPath, PoolError };
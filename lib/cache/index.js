@@ -0,0 +1,95 @@
+// ─── Response cache ───────────────────────────────────────────────────────────
+//
+// Re-running a generation on identical input returns the stored result
+// instead of paying for another model call (or Chromium render). The key is a
+// hash of the route's inputs (image bytes, prompts, parameters), the provider
+// and model, and the prompt template version — a hash of every prompt the
+// model sees, so editing a prompt invalidates what it produced. Entries live
+// for the route's TTL; CACHE_VERSION can be bumped to drop everything.
+
+const crypto = require('crypto');
+const PROMPTS = require('../prompts');
+const { DOC_EXTRACT_PROMPT, CALL_DOC_SCHEMA } = require('../callDoc');
+const { logger } = require('../logger');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+// JSON with sorted keys (so key order never changes a hash) and Buffers
+// replaced by their hash
+function stableStringify(value) {
+  if (Buffer.isBuffer(value)) return JSON.stringify(`sha256:${sha256(value)}`);
+  if (Array.isArray(value)) return `[${value.map(v => (v === undefined ? 'null' : stableStringify(v))).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+const TEMPLATE_VERSION = sha256(stableStringify([
+  PROMPTS, DOC_EXTRACT_PROMPT, CALL_DOC_SCHEMA, process.env.CACHE_VERSION || '',
+])).slice(0, 12);
+
+/**
+ * createCache({ store, ttlMs, routeTtls }) — `routeTtls` overrides `ttlMs`
+ * per route ({ pdf: 7 * 864e5 }). A TTL of 0 disables caching for the route.
+ */
+function createCache({ store, ttlMs = 24 * 60 * 60 * 1000, routeTtls = {}, sweepIntervalMs = 10 * 60 * 1000 }) {
+  const counters = {}; // route → { hits, misses, bypassed }
+  const count = (route, what) => {
+    counters[route] = counters[route] || { hits: 0, misses: 0, bypassed: 0 };
+    counters[route][what]++;
+  };
+  const ttl = route => routeTtls[route] ?? ttlMs;
+  const isExpired = (route, createdAt, now = Date.now()) => now - createdAt > ttl(route);
+
+  function key(route, parts) {
+    return `${route}/${sha256(stableStringify({ version: TEMPLATE_VERSION, parts }))}`;
+  }
+
+  /**
+   * Return the cached value for (route, parts) or run `produce()` and cache
+   * what it resolves to. `bypass` skips the lookup (the fresh result is still
+   * stored); `noStore` skips both; `storeIf(value)` can veto storing.
+   * Resolves to { value, hit }.
+   */
+  async function wrap(route, parts, produce, { bypass = false, noStore = false, storeIf = () => true } = {}) {
+    if (!ttl(route)) return { value: await produce(), hit: false };
+    const k = key(route, parts);
+
+    if (!bypass && !noStore) {
+      const entry = await store.get(k).catch(err => {
+        logger.error('Cache read failed', { route, err });
+        return null;
+      });
+      if (entry && !isExpired(route, entry.createdAt)) {
+        count(route, 'hits');
+        return { value: entry.value, hit: true };
+      }
+      if (entry) await store.delete(k).catch(() => {});
+    }
+
+    count(route, bypass || noStore ? 'bypassed' : 'misses');
+    const value = await produce();
+    if (!noStore && storeIf(value)) {
+      await store.set(k, route, value).catch(err => logger.error('Cache write failed', { route, err }));
+    }
+    return { value, hit: false };
+  }
+
+  const sweep = () => store.prune(isExpired);
+  const timer = setInterval(() => sweep().catch(err => logger.error('Cache sweep failed', { err })), sweepIntervalMs);
+  timer.unref();
+
+  return {
+    key,
+    wrap,
+    sweep,
+    purge: route => store.purge(route),
+    async stats() {
+      return { templateVersion: TEMPLATE_VERSION, ...(await store.stats()), routes: counters };
+    },
+  };
+}
+
+module.exports = { createCache, stableStringify, TEMPLATE_VERSION };
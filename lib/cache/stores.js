@@ -0,0 +1,144 @@
+// ─── Cache stores ─────────────────────────────────────────────────────────────
+//
+// Keys are "<route>/<hash>". Both stores share one async interface:
+//   get(key) → { key, route, createdAt, value } | null,  set(key, route, value),
+//   delete(key),  purge(route?) → count,  prune(isExpired) → count,  stats()
+// Expiry is decided by the cache (per-route TTLs), so entries only carry
+// their creation time.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const routeOf = key => key.slice(0, key.indexOf('/'));
+
+// Least-recently-used eviction once either limit is passed
+function createMemoryCacheStore({ maxEntries = 500, maxBytes = 200 * 1024 * 1024 } = {}) {
+  const entries = new Map(); // key → { key, route, createdAt, value, size }
+  let bytes = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    bytes -= entry.size;
+    entries.delete(key);
+    return true;
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, route, value) {
+      remove(key);
+      const size = JSON.stringify(value).length;
+      if (size > maxBytes) return;
+      entries.set(key, { key, route, createdAt: Date.now(), value, size });
+      bytes += size;
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries && bytes <= maxBytes) break;
+        remove(oldest);
+      }
+    },
+    async delete(key) { remove(key); },
+    async purge(route) {
+      let count = 0;
+      for (const key of [...entries.keys()]) {
+        if (!route || routeOf(key) === route) count += remove(key) ? 1 : 0;
+      }
+      return count;
+    },
+    async prune(isExpired) {
+      let count = 0;
+      for (const entry of [...entries.values()]) {
+        if (isExpired(entry.route, entry.createdAt)) count += remove(entry.key) ? 1 : 0;
+      }
+      return count;
+    },
+    async stats() { return { entries: entries.size, bytes }; },
+  };
+}
+
+// DIR/<route>/<hash>.json; the file's mtime is the entry's creation time, so
+// pruning only needs a stat per file
+function createFileCacheStore(dir) {
+  const ready = fs.mkdir(dir, { recursive: true });
+  const file = key => path.join(dir, routeOf(key), `${path.basename(key)}.json`);
+
+  async function routes() {
+    await ready;
+    return (await fs.readdir(dir, { withFileTypes: true })).filter(d => d.isDirectory()).map(d => d.name);
+  }
+
+  async function files(route) {
+    const names = await fs.readdir(path.join(dir, route)).catch(() => []);
+    return names.filter(n => n.endsWith('.json')).map(n => path.join(dir, route, n));
+  }
+
+  return {
+    async get(key) {
+      await ready;
+      try {
+        const [raw, stat] = await Promise.all([fs.readFile(file(key), 'utf8'), fs.stat(file(key))]);
+        return { key, route: routeOf(key), createdAt: stat.mtimeMs, value: JSON.parse(raw) };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async set(key, route, value) {
+      await ready;
+      await fs.mkdir(path.dirname(file(key)), { recursive: true });
+      const tmp = `${file(key)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(value));
+      await fs.rename(tmp, file(key));
+    },
+    async delete(key) {
+      await ready;
+      await fs.rm(file(key), { force: true });
+    },
+    async purge(route) {
+      let count = 0;
+      for (const r of route ? [route] : await routes()) {
+        count += (await files(r)).length;
+        await fs.rm(path.join(dir, path.basename(r)), { recursive: true, force: true });
+      }
+      return count;
+    },
+    async prune(isExpired) {
+      let count = 0;
+      for (const route of await routes()) {
+        for (const f of await files(route)) {
+          const stat = await fs.stat(f).catch(() => null);
+          if (stat && isExpired(route, stat.mtimeMs)) {
+            await fs.rm(f, { force: true });
+            count++;
+          }
+        }
+      }
+      return count;
+    },
+    async stats() {
+      let entries = 0;
+      let bytes = 0;
+      for (const route of await routes()) {
+        for (const f of await files(route)) {
+          const stat = await fs.stat(f).catch(() => null);
+          if (stat) [entries, bytes] = [entries + 1, bytes + stat.size];
+        }
+      }
+      return { entries, bytes };
+    },
+  };
+}
+
+function createCacheStore(kind = 'memory', { dir = path.join(process.cwd(), 'data', 'cache'), maxEntries, maxBytes } = {}) {
+  if (kind === 'file') return createFileCacheStore(dir);
+  if (kind === 'memory') return createMemoryCacheStore({ maxEntries, maxBytes });
+  throw new Error(`Unknown cache store "${kind}" (expected memory or file)`);
+}
+
+module.exports = { createCacheStore, createMemoryCacheStore, createFileCacheStore };
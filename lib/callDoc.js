@@ -0,0 +1,307 @@
+// ─── Call-reference document: JSON schema + extraction ───────────────────────
+//
+// Stage one of the call-reference pipeline. The model extracts the content of
+// the script / eval prompts into CALL_DOC_SCHEMA; lib/callDocRenderer.js turns
+// the validated JSON into HTML without any further model involvement.
+
+const Ajv = require('ajv');
+const { completeWithContinuation } = require('./continuation');
+const { ModelOutputError } = require('./llm');
+const { languageInstructions, isLocalized } = require('./languages');
+const { LABELS } = require('./callDocRenderer');
+
+const str = { type: 'string', default: '' };
+const strList = { type: 'array', items: { type: 'string' }, default: [] };
+const labelled = {
+  type: 'object',
+  required: ['label'],
+  properties: { label: { type: 'string' }, text: str },
+};
+
+const CALL_DOC_SCHEMA = {
+  $id: 'https://inkparse.app/schemas/call-doc.json',
+  type: 'object',
+  required: ['agent', 'steps'],
+  properties: {
+    meta: {
+      type: 'object',
+      default: {},
+      properties: { client: str, product: str, version: str, date: str, language: str, bilingual: { type: 'boolean', default: false } },
+    },
+    // Renderer label key → translation, for docs in another language
+    labels: { type: 'object', default: {}, additionalProperties: { type: 'string' } },
+    agent: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        role: str,
+        system: str,
+        brand: str,
+        subtitle: str,
+        gender: str,
+        language: str,
+        persona: str,
+        goal: str,
+        tone: str,
+      },
+    },
+    steps: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          number: { type: ['integer', 'string'] },
+          name: { type: 'string', minLength: 1 },
+          objective: str,
+          kind: { enum: ['normal', 'special', 'terminal'], default: 'normal' },
+          saves: strList,
+          branches: {
+            type: 'array',
+            default: [],
+            items: {
+              type: 'object',
+              required: ['condition'],
+              properties: { condition: { type: 'string' }, outcome: str },
+            },
+          },
+          excerpt: str,
+        },
+      },
+    },
+    variables: strList,
+    decisionTable: {
+      type: 'object',
+      default: { columns: [], rows: [] },
+      properties: {
+        columns: strList,
+        rows: { type: 'array', items: strList, default: [] },
+      },
+    },
+    pitch: { type: 'array', items: labelled, default: [] },
+    handlers: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string' }, trigger: str, action: str },
+      },
+    },
+    rules: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['text'],
+        properties: { kind: { enum: ['never', 'always', 'rule'], default: 'rule' }, text: { type: 'string' } },
+      },
+    },
+    hardStop: str,
+    eval: {
+      type: ['object', 'null'],
+      default: null,
+      properties: {
+        name: str,
+        subtitle: str,
+        durationThreshold: str,
+        flow: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            required: ['label'],
+            properties: { label: { type: 'string' }, sublabel: str },
+          },
+        },
+        outputGroups: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              name: { type: 'string' },
+              fields: {
+                type: 'array',
+                default: [],
+                items: {
+                  type: 'object',
+                  required: ['name'],
+                  properties: { name: { type: 'string' }, type: str, description: str },
+                },
+              },
+              note: str,
+            },
+          },
+        },
+        scoringBands: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            required: ['range'],
+            properties: {
+              range: { type: 'string' },
+              min: { type: 'number' },
+              max: { type: 'number' },
+              label: str,
+              description: str,
+            },
+          },
+        },
+        leadIntents: strList,
+        specialDetections: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            required: ['title'],
+            properties: { title: { type: 'string' }, categories: strList, action: str },
+          },
+        },
+        extractionRules: strList,
+        issueCategories: strList,
+        downstream: { type: 'array', items: labelled, default: [] },
+        violations: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            required: ['text'],
+            properties: { kind: { enum: ['violation', 'required', 'critical'], default: 'violation' }, text: { type: 'string' } },
+          },
+        },
+        outputFormat: str,
+      },
+    },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, allowUnionTypes: true });
+const validateSchema = ajv.compile(CALL_DOC_SCHEMA);
+
+/**
+ * Validate (and fill defaults into) a call-doc object in place.
+ * Returns a list of human-readable errors; empty when the doc is valid.
+ */
+function validateCallDoc(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['document must be a JSON object'];
+  if (validateSchema(doc)) {
+    doc.steps.forEach((step, i) => { if (step.number == null || step.number === '') step.number = i + 1; });
+    return [];
+  }
+  return validateSchema.errors.map(e => `${e.instancePath || '(root)'} ${e.message}`);
+}
+
+// ─── Extraction ───────────────────────────────────────────────────────────────
+
+const DOC_EXTRACT_PROMPT = `You are a senior AI systems consultant. You will be given the prompts that drive an AI calling system: a call script / agent prompt and/or a call evaluation prompt. Extract their content into a single JSON object that a renderer will turn into a reference document.
+
+Return ONLY a JSON object with this shape (omit "eval" or set it to null if no evaluation prompt is given; use empty arrays when a section does not apply):
+{
+  "agent": { "name", "role", "system", "brand", "subtitle", "gender", "language", "persona", "goal", "tone" },
+  "steps": [{ "number", "name", "objective", "kind": "normal" | "special" | "terminal", "saves": [variable names], "branches": [{ "condition", "outcome" }], "excerpt": sample dialogue }],
+  "variables": [every variable name],
+  "decisionTable": { "columns": [...], "rows": [[...]] },
+  "pitch": [{ "label", "text" }],
+  "handlers": [{ "name", "trigger", "action" }],
+  "rules": [{ "kind": "never" | "always" | "rule", "text" }],
+  "hardStop": the hard-stop / end-call rule,
+  "eval": {
+    "name", "subtitle", "durationThreshold",
+    "flow": [{ "label", "sublabel" }],
+    "outputGroups": [{ "name", "fields": [{ "name", "type", "description" }], "note" }],
+    "scoringBands": [{ "range", "min", "max", "label", "description" }],
+    "leadIntents": [...],
+    "specialDetections": [{ "title", "categories": [...], "action" }],
+    "extractionRules": [...],
+    "issueCategories": [...],
+    "downstream": [{ "label", "text" }],
+    "violations": [{ "kind": "violation" | "required" | "critical", "text" }],
+    "outputFormat"
+  }
+}
+
+EXTRACTION RULES — NEVER VIOLATE
+• Extract EVERY step from the script prompt in order — never skip or combine steps
+• "kind": "special" for decision / pitch steps, "terminal" for the final end-of-call step
+• Extract EVERY variable, handler, branch and rule verbatim
+• Extract EVERY output group, field, scoring band and violation flag from the eval prompt
+• Use the ACTUAL agent name, brand and language — never placeholders
+• Every word of content comes from the source prompts — no invention`;
+
+// For another language: the usual rules plus the renderer's fixed labels to translate
+function languageSection(language, bilingual) {
+  if (!language || !isLocalized({ language, bilingual })) return '';
+  const labels = JSON.stringify(LABELS);
+  return `\n\n${languageInstructions({ language, bilingual }, 'json')}
+- Also return "labels": this object with each value translated into ${language.name} (the text only, no English): ${labels}`;
+}
+
+function buildExtractMessage({ scriptPrompt, evalPrompt, client, product, version, date, language, bilingual, feedback }) {
+  return `Extract the call-reference document JSON for this AI calling system.
+
+${client  ? `Client Name: ${client}`         : ''}
+${product ? `Product / Use Case: ${product}` : ''}
+Version: ${version || 'v1.0'}
+Date: ${date}
+
+${scriptPrompt ? `=== CALL SCRIPT / AGENT PROMPT ===\n${scriptPrompt}` : ''}
+${evalPrompt   ? `\n=== CALL EVALUATION PROMPT ===\n${evalPrompt}` : ''}${languageSection(language, bilingual)}${feedback ? `\n\n${feedback}` : ''}`;
+}
+
+function parseJsonReply(text) {
+  const cleaned = String(text || '').trim().replace(/^```[\w]*\n?/, '').replace(/\n?```$/, '').trim();
+  return JSON.parse(cleaned);
+}
+
+/**
+ * Run the extraction stage. Retries once with the validation errors when the
+ * model's JSON does not match CALL_DOC_SCHEMA; throws if it still doesn't.
+ */
+async function extractCallDoc(llm, input, { onToken, signal } = {}) {
+  const messages = [
+    { role: 'system', content: DOC_EXTRACT_PROMPT },
+    { role: 'user',   content: buildExtractMessage(input) },
+  ];
+
+  let errors = [];
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const response = await completeWithContinuation(llm, { messages, maxTokens: 8000, temperature: 0.1, json: true, onToken, signal });
+    const reply = response.content;
+
+    let doc;
+    try {
+      doc = parseJsonReply(reply);
+      errors = validateCallDoc(doc);
+    } catch (err) {
+      errors = [`invalid JSON: ${err.message}`];
+    }
+    if (!errors.length) {
+      doc.meta = {
+        ...doc.meta,
+        client: input.client || doc.meta.client || '',
+        product: input.product || doc.meta.product || '',
+        version: input.version || doc.meta.version || 'v1.0',
+        date: input.date,
+        language: input.language?.code || 'en',
+        bilingual: Boolean(input.bilingual),
+      };
+      if (!input.language || !isLocalized(input)) doc.labels = {};
+      if (!input.evalPrompt) doc.eval = null;
+      return doc;
+    }
+
+    messages.push(
+      { role: 'assistant', content: reply },
+      { role: 'user', content: `That JSON does not match the required shape:\n${errors.map(e => `- ${e}`).join('\n')}\nReturn the corrected JSON object only.` },
+    );
+  }
+
+  throw new ModelOutputError('Model returned an invalid call-reference document', errors);
+}
+
+module.exports = { CALL_DOC_SCHEMA, DOC_EXTRACT_PROMPT, validateCallDoc, extractCallDoc };
@@ -0,0 +1,399 @@
+// ─── Call-reference document: deterministic HTML renderer ────────────────────
+//
+// Stage two of the call-reference pipeline. Renders a validated call-doc
+// (see lib/callDoc.js) with the navy/teal/gold component library described in
+// DOC_SYSTEM_PROMPT, recoloured by an optional theme (lib/themes.js). Same
+// JSON + theme in → same HTML out.
+
+const { escapeHtml: e } = require('./html');
+const { getLanguage } = require('./languages');
+
+const PALETTE = {
+  navy: '#0D2B4E',
+  teal: '#007A7A',
+  gold: '#C9882A',
+  red: '#C0392B',
+  green: '#1A7A4A',
+  mint: '#E6F4F1',
+  'gold-l': '#FEF5E7',
+  'navy-l': '#EBF0F7',
+  mist: '#F4F7FA',
+  slate: '#374151',
+  grey: '#6B7280',
+  rule: '#D0D7E0',
+  white: '#FFFFFF',
+};
+
+const GROUP_COLOURS = ['var(--navy)', 'var(--teal)', 'var(--gold)', '#2D5F8A', '#8B3A2A', 'var(--green)', '#4A2080', '#B45309', '#0D5C4E'];
+const HANDLER_VARIANTS = ['navy', 'teal', 'gold', 'red'];
+const SIDE_CARD_ORDER = ['navy', 'gold', 'teal', 'teal'];
+const BAND_COLOURS = [
+  { min: 5, colour: 'var(--navy)' },
+  { min: 4, colour: 'var(--teal)' },
+  { min: 3, colour: 'var(--gold)' },
+  { min: 2, colour: '#E07B39' },
+  { min: 1, colour: 'var(--red)' },
+  { min: -Infinity, colour: '#7B1818' },
+];
+
+// Fixed text the renderer prints. A doc extracted in another language brings
+// its translations in doc.labels (see lib/callDoc); missing ones stay English.
+const LABELS = {
+  name: 'Name', gender: 'Gender', language: 'Language', persona: 'Persona', goal: 'Goal', tone: 'Tone',
+  agentIdentity: 'Agent Identity', decisionLogic: 'Decision Logic', pitchStructure: 'Pitch Structure',
+  variables: 'Variables', scriptExcerpt: 'Script Excerpt', callFlow: 'Call Flow', handlers: 'Handlers', rules: 'Rules',
+  steps: 'Steps', savesBranches: 'Saves / Branches', branches: 'branches', trigger: 'Trigger', action: 'Action',
+  group: 'Group', callAgentReference: 'Call Agent Reference', callReference: 'Call Reference',
+  evaluationAi: 'Evaluation AI', belowThreshold: 'Below threshold', atAboveThreshold: 'At / above threshold',
+  skipEvaluation: 'skip evaluation', fullEvaluation: 'full evaluation', outputGroups: 'Output Groups', fields: 'Fields',
+  score: 'Score', evaluationFlow: 'Evaluation Flow', qualityScore: 'Quality Score', leadIntent: 'Lead Intent',
+  extractionRules: 'Core Extraction / Data Rules', issueCategories: 'Issue / Objection Categories',
+  downstreamUse: 'Downstream Use', never: 'never', always: 'always', rule: 'rule', violation: 'violation',
+  required: 'required', critical: 'critical',
+};
+
+// key → label for this doc; bilingual docs show "translation / English"
+function labelsFor(doc) {
+  const translated = doc.labels || {};
+  return key => {
+    const local = translated[key];
+    if (!local || local === LABELS[key]) return LABELS[key];
+    return doc.meta?.bilingual ? `${local} / ${LABELS[key]}` : local;
+  };
+}
+
+const DEFAULT_FONTS = {
+  body: 'Inter',
+  heading: 'Inter',
+  import: 'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800;900&display=swap',
+};
+
+const CSS = `
+* { box-sizing: border-box; margin: 0; padding: 0; }
+body { font-family: var(--font-body); background: var(--background, #f0f4f8); padding: 20px; color: var(--slate); }
+h1, h2, h3 { font-family: var(--font-heading); }
+.page { max-width: 794px; margin: 0 auto 20px; background: white; padding: 28px 30px 24px; }
+.page + .page { page-break-before: always; }
+.hdr { display: flex; align-items: center; justify-content: space-between; padding-bottom: 12px; border-bottom: 3px solid var(--navy); margin-bottom: 14px; gap: 12px; }
+.hdr .logo { height: 32px; max-width: 140px; object-fit: contain; margin-right: 10px; }
+.hdr-title { display: flex; align-items: center; }
+.hdr h1 { font-size: 18px; font-weight: 800; color: var(--navy); }
+.hdr h1 span { color: var(--teal); }
+.hdr .sub { font-size: 9px; color: var(--grey); text-transform: uppercase; letter-spacing: 0.5px; margin-top: 2px; }
+.badges { display: flex; flex-wrap: wrap; gap: 4px; justify-content: flex-end; }
+.badge { color: white; padding: 3px 8px; border-radius: 20px; font-size: 8.5px; font-weight: 700; white-space: nowrap; }
+.badge.navy { background: var(--navy); } .badge.teal { background: var(--teal); } .badge.gold { background: var(--gold); }
+.grid-main { display: grid; grid-template-columns: 220px 1fr; gap: 14px; margin-bottom: 14px; }
+.card { background: var(--mist); border-radius: 6px; padding: 9px 10px; border-left: 3px solid var(--teal); margin-bottom: 10px; }
+.card.navy { border-left-color: var(--navy); background: var(--navy-l); }
+.card.gold { border-left-color: var(--gold); } .card.red { border-left-color: var(--red); }
+.card-title { font-size: 8px; font-weight: 800; color: var(--grey); letter-spacing: 0.8px; text-transform: uppercase; margin-bottom: 5px; }
+.dot-row { display: flex; align-items: flex-start; gap: 5px; margin-top: 3px; }
+.dot { width: 5px; height: 5px; border-radius: 50%; background: var(--teal); flex-shrink: 0; margin-top: 3px; display: inline-block; }
+.dot-row p { font-size: 8px; color: var(--slate); line-height: 1.5; }
+.var-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 2px 6px; }
+.var-grid span { font-size: 7.5px; color: var(--teal); font-weight: 600; word-break: break-all; }
+.mini { width: 100%; border-collapse: collapse; margin-top: 4px; }
+.mini td { font-size: 8px; padding: 3px 4px; border: 1px solid var(--rule); background: white; }
+.mini thead td { background: var(--navy); color: white; font-weight: 700; }
+.mini tbody tr:nth-child(even) td { background: var(--mist); }
+.section-title { font-size: 8px; font-weight: 800; color: var(--grey); letter-spacing: 0.8px; text-transform: uppercase; margin: 4px 0 6px; }
+.step { display: flex; align-items: stretch; }
+.step .num { width: 26px; flex-shrink: 0; background: var(--navy); color: white; font-size: 9px; font-weight: 800; display: flex; align-items: center; justify-content: center; border-radius: 4px 0 0 4px; }
+.step.alt .num { background: var(--teal); }
+.step .body { flex: 1; background: var(--mist); padding: 5px 7px; border-top: 1px solid var(--rule); border-bottom: 1px solid var(--rule); }
+.step .name { font-size: 9px; font-weight: 700; color: var(--navy); }
+.step .obj { font-size: 7.5px; color: var(--slate); line-height: 1.4; margin-top: 1px; }
+.step .br { font-size: 7px; color: var(--grey); line-height: 1.4; margin-top: 2px; }
+.step .data { width: 100px; flex-shrink: 0; background: var(--navy-l); padding: 5px 6px; border-top: 1px solid var(--rule); border-bottom: 1px solid var(--rule); }
+.step .data-lbl { font-size: 6.5px; font-weight: 700; text-transform: uppercase; letter-spacing: 0.5px; color: var(--grey); }
+.step .data-val { font-size: 7.5px; color: var(--teal); font-weight: 600; margin-top: 1px; word-break: break-all; }
+.step .arrow { width: 28px; flex-shrink: 0; background: var(--gold-l); display: flex; align-items: center; justify-content: center; font-size: 9px; color: var(--gold); font-weight: 700; border-top: 1px solid var(--rule); border-bottom: 1px solid var(--rule); border-radius: 0 4px 4px 0; }
+.step.special .body { background: var(--gold-l); } .step.special .num { background: var(--gold); }
+.step.terminal .body { background: #FFF0F0; } .step.terminal .num { background: var(--red); }
+.connector { margin-left: 13px; width: 1px; height: 6px; background: var(--teal); }
+.handlers { display: grid; grid-template-columns: repeat(4, 1fr); gap: 6px; margin-bottom: 14px; }
+.handler { border-radius: 5px; padding: 7px 8px; background: var(--navy); }
+.handler.teal { background: var(--teal); } .handler.gold { background: var(--gold); } .handler.red { background: var(--red); }
+.handler .h-name { font-size: 8px; font-weight: 800; color: white; letter-spacing: 0.3px; text-transform: uppercase; }
+.handler .h-trig { font-size: 7px; color: rgba(255,255,255,0.75); margin-top: 2px; line-height: 1.4; }
+.handler .h-act { font-size: 7px; color: rgba(255,255,255,0.9); margin-top: 3px; line-height: 1.4; border-top: 1px solid rgba(255,255,255,0.2); padding-top: 3px; }
+.chips { display: grid; grid-template-columns: repeat(5, 1fr); gap: 6px; margin-bottom: 14px; }
+.chips.six { grid-template-columns: repeat(3, 1fr); }
+.chip { border-radius: 5px; padding: 6px 7px; border: 1.5px solid var(--rule); }
+.chip .c-lbl { font-size: 7px; font-weight: 800; letter-spacing: 0.6px; text-transform: uppercase; margin-bottom: 2px; }
+.chip .c-txt { font-size: 7.5px; color: var(--slate); line-height: 1.45; }
+.c-never, .c-violation { color: var(--red); } .c-always, .c-required { color: var(--green); }
+.c-rule { color: var(--navy); } .c-critical { color: var(--gold); }
+.groups { display: grid; grid-template-columns: repeat(auto-fill, minmax(170px, 1fr)); gap: 8px; margin-bottom: 14px; }
+.group { border-radius: 5px; overflow: hidden; border: 1px solid var(--rule); }
+.group .g-hdr { padding: 5px 6px; color: white; }
+.group .g-num { font-size: 6.5px; opacity: 0.8; margin-bottom: 1px; }
+.group .g-name { font-size: 7.5px; font-weight: 800; }
+.group .g-body { padding: 5px 6px; background: var(--mist); }
+.group .g-note { font-size: 6.5px; color: var(--grey); font-style: italic; margin-top: 3px; }
+.grid-eval { display: grid; grid-template-columns: 1fr 260px; gap: 14px; margin-bottom: 12px; }
+.flow { display: flex; flex-wrap: wrap; align-items: center; row-gap: 6px; }
+.flow-node { background: var(--navy); color: white; border-radius: 5px; padding: 6px 9px; font-size: 8px; font-weight: 700; text-align: center; }
+.flow-node div { font-size: 6.5px; font-weight: 400; opacity: 0.85; margin-top: 1px; }
+.flow-arrow { color: var(--grey); font-size: 14px; padding: 0 5px; }
+.band { display: flex; align-items: center; gap: 6px; margin-top: 3px; }
+.band .b-badge { color: white; font-size: 7.5px; font-weight: 800; border-radius: 4px; padding: 2px 6px; min-width: 44px; text-align: center; }
+.band .b-desc { font-size: 7.5px; color: var(--slate); line-height: 1.4; }
+.intents { display: flex; flex-wrap: wrap; gap: 4px; margin-top: 6px; }
+.intents span { font-size: 7.5px; font-weight: 700; border: 1px solid var(--teal); color: var(--teal); border-radius: 12px; padding: 2px 7px; }
+.banner { background: var(--navy); border-radius: 5px; padding: 8px 12px; display: flex; align-items: center; gap: 10px; margin-bottom: 12px; flex-wrap: wrap; }
+.banner .bn-title { font-size: 9px; font-weight: 800; color: var(--gold); flex-shrink: 0; }
+.banner .bn-chip { font-size: 7.5px; color: white; border: 1px solid rgba(255,255,255,0.4); border-radius: 12px; padding: 2px 7px; }
+.banner .bn-act { font-size: 7.5px; color: rgba(255,255,255,0.85); margin-left: auto; }
+.row3 { display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; margin-bottom: 14px; }
+.row3 .card { margin-bottom: 0; }
+.row3 ol { padding-left: 12px; } .row3 li { font-size: 8px; line-height: 1.5; color: var(--slate); }
+.footer { display: flex; justify-content: space-between; border-top: 1px solid var(--rule); padding-top: 6px; font-size: 7.5px; color: var(--grey); }
+@media print {
+  * { -webkit-print-color-adjust: exact !important; print-color-adjust: exact !important; color-adjust: exact !important; }
+  body { margin: 0; padding: 0; background: white; }
+  .page { margin: 0; }
+  .no-print { display: none !important; }
+}`;
+
+// ─── Components ───────────────────────────────────────────────────────────────
+
+function header(title, accent, subtitle, badges, theme) {
+  const logo = theme.logo ? `<img class="logo" src="${e(theme.logo)}" alt="${e(theme.name)} logo">` : '';
+  return `<div class="hdr">
+  <div class="hdr-title">${logo}<div>
+    <h1>${e(title)}${accent ? ` — <span>${e(accent)}</span>` : ''}</h1>
+    ${subtitle ? `<p class="sub">${e(subtitle)}</p>` : ''}
+  </div></div>
+  <div class="badges">${badges.filter(b => b.text).map(b => `<span class="badge ${b.variant}">${e(b.text)}</span>`).join('')}</div>
+</div>`;
+}
+
+function dotRow(label, value) {
+  if (!value) return '';
+  return `<div class="dot-row"><span class="dot"></span><p>${label ? `<strong>${e(label)}:</strong> ` : ''}${e(value)}</p></div>`;
+}
+
+function card(title, variant, inner) {
+  if (!inner) return '';
+  return `<div class="card ${variant}"><div class="card-title">${e(title)}</div>${inner}</div>`;
+}
+
+function miniTable(columns, rows) {
+  if (!rows.length) return '';
+  return `<table class="mini">
+  ${columns.length ? `<thead><tr>${columns.map(c => `<td>${e(c)}</td>`).join('')}</tr></thead>` : ''}
+  <tbody>${rows.map(r => `<tr>${r.map(c => `<td>${e(c)}</td>`).join('')}</tr>`).join('')}</tbody>
+</table>`;
+}
+
+function stepRow(step, i, L) {
+  const kind = step.kind === 'normal' ? (i % 2 ? ' alt' : '') : ` ${step.kind}`;
+  const branches = step.branches.map(b => `<div class="br">↳ ${e(b.condition)}${b.outcome ? ` → ${e(b.outcome)}` : ''}</div>`).join('');
+  const data = step.saves.length
+    ? step.saves.map(v => `<div class="data-val">${e(v)}</div>`).join('')
+    : `<div class="data-val">${step.branches.length ? `${step.branches.length} ${L('branches')}` : '—'}</div>`;
+  return `<div class="step${kind}" data-step="${e(step.number)}">
+  <div class="num">${e(step.number)}</div>
+  <div class="body"><div class="name">${e(step.name)}</div>${step.objective ? `<div class="obj">${e(step.objective)}</div>` : ''}${branches}</div>
+  <div class="data"><div class="data-lbl">${e(L('savesBranches'))}</div>${data}</div>
+  <div class="arrow">${step.kind === 'terminal' ? '■' : '→'}</div>
+</div>`;
+}
+
+function handlerCard(handler, i, L) {
+  return `<div class="handler ${HANDLER_VARIANTS[i % HANDLER_VARIANTS.length]}">
+  <div class="h-name">${e(handler.name)}</div>
+  ${handler.trigger ? `<div class="h-trig">${e(L('trigger'))}: ${e(handler.trigger)}</div>` : ''}
+  ${handler.action ? `<div class="h-act">${e(L('action'))}: ${e(handler.action)}</div>` : ''}
+</div>`;
+}
+
+function chip(kind, text, label = kind) {
+  return `<div class="chip"><div class="c-lbl c-${kind}">${e(label)}</div><div class="c-txt">${e(text)}</div></div>`;
+}
+
+function groupCard(group, i, L) {
+  const colour = GROUP_COLOURS[i % GROUP_COLOURS.length];
+  return `<div class="group">
+  <div class="g-hdr" style="background:${colour}"><div class="g-num">${e(L('group').toUpperCase())} ${i + 1}</div><div class="g-name">${e(group.name)}</div></div>
+  <div class="g-body">
+    ${group.fields.map(f => dotRow(f.name, [f.type, f.description].filter(Boolean).join(' — ') || ' ')).join('')}
+    ${group.note ? `<div class="g-note">${e(group.note)}</div>` : ''}
+  </div>
+</div>`;
+}
+
+function bandColour(band) {
+  const score = typeof band.min === 'number' ? band.min : parseFloat(band.range);
+  if (Number.isNaN(score)) return BAND_COLOURS[0].colour;
+  return BAND_COLOURS.find(b => score >= b.min).colour;
+}
+
+function footer(left, right) {
+  return `<div class="footer"><span>${e(left)}</span><span>${e(right)}</span></div>`;
+}
+
+// ─── Pages ────────────────────────────────────────────────────────────────────
+
+function renderCallPage(doc, theme) {
+  const { agent, meta } = doc;
+  const L = labelsFor(doc);
+  const system = agent.system || meta.product || meta.client;
+  const subtitle = agent.subtitle || [agent.brand || meta.client, L('callAgentReference'), meta.version].filter(Boolean).join(' · ');
+
+  const identity = ['name', 'gender', 'language', 'persona', 'goal', 'tone'].map(key => dotRow(L(key), agent[key])).join('');
+  const sideCards = [
+    card(L('agentIdentity'), SIDE_CARD_ORDER[0], identity),
+    card(L('decisionLogic'), SIDE_CARD_ORDER[1], miniTable(doc.decisionTable.columns, doc.decisionTable.rows)),
+    card(L('pitchStructure'), SIDE_CARD_ORDER[2], doc.pitch.map(p => dotRow(p.label, p.text || ' ')).join('')),
+    card(L('variables'), SIDE_CARD_ORDER[3], doc.variables.length
+      ? `<div class="var-grid">${doc.variables.map(v => `<span>${e(v)}</span>`).join('')}</div>` : ''),
+  ];
+  const excerpts = doc.steps.filter(s => s.excerpt);
+  if (doc.steps.length < 6 && excerpts.length) {
+    sideCards.push(card(L('scriptExcerpt'), 'gold', excerpts.map(s => dotRow(s.name, s.excerpt)).join('')));
+  }
+
+  const flow = doc.steps.map((step, i) => stepRow(step, i, L)).join('\n<div class="connector"></div>\n');
+  const rules = doc.rules.length ? `<div class="chips">${doc.rules.map(r => chip(r.kind, r.text, L(r.kind))).join('')}</div>` : '';
+  const handlers = doc.handlers.length
+    ? `<div class="section-title">${e(L('handlers'))}</div><div class="handlers">${doc.handlers.map((h, i) => handlerCard(h, i, L)).join('')}</div>` : '';
+
+  return `<div class="page" data-page="call">
+${header(system ? `${system} — ${agent.name}` : agent.name, agent.role, subtitle, [
+  { text: `${doc.steps.length} ${L('steps')}`, variant: 'navy' },
+  { text: agent.language, variant: 'teal' },
+  { text: agent.persona, variant: 'gold' },
+  { text: agent.goal, variant: 'navy' },
+], theme)}
+<div class="grid-main">
+  <div>${sideCards.join('')}</div>
+  <div><div class="section-title">${e(L('callFlow'))}</div>${flow}</div>
+</div>
+${handlers}
+${rules ? `<div class="section-title">${e(L('rules'))}</div>${rules}` : ''}
+${footer([system, agent.name, theme.footerText].filter(Boolean).join(' · '), doc.hardStop)}
+</div>`;
+}
+
+function renderEvalPage(doc, theme) {
+  const ev = doc.eval;
+  const L = labelsFor(doc);
+  const fieldCount = ev.outputGroups.reduce((n, g) => n + g.fields.length, 0);
+  const title = ev.name || `${doc.agent.system || doc.meta.product || doc.agent.name} — ${L('evaluationAi')}`;
+
+  const flow = ev.flow.length
+    ? `<div class="flow">${ev.flow.map(n => `<div class="flow-node">${e(n.label)}${n.sublabel ? `<div>${e(n.sublabel)}</div>` : ''}</div>`).join('<span class="flow-arrow">›</span>')}</div>`
+    : '';
+  const threshold = ev.durationThreshold
+    ? dotRow(L('belowThreshold'), `${ev.durationThreshold} → ${L('skipEvaluation')}`) + dotRow(L('atAboveThreshold'), L('fullEvaluation'))
+    : '';
+  const bands = ev.scoringBands.map(b => `<div class="band">
+    <span class="b-badge" style="background:${bandColour(b)}">${e(b.range)}</span>
+    <span class="b-desc">${b.label ? `<strong>${e(b.label)}</strong> ` : ''}${e(b.description)}</span>
+  </div>`).join('');
+  const intents = ev.leadIntents.length ? `<div class="intents">${ev.leadIntents.map(i => `<span>${e(i)}</span>`).join('')}</div>` : '';
+
+  const banners = ev.specialDetections.map(d => `<div class="banner">
+  <div class="bn-title">⚑ ${e(d.title)}</div>
+  ${d.categories.map(c => `<span class="bn-chip">${e(c)}</span>`).join('')}
+  ${d.action ? `<span class="bn-act">${e(d.action)}</span>` : ''}
+</div>`).join('');
+
+  const list = items => items.length ? `<ol>${items.map(i => `<li>${e(i)}</li>`).join('')}</ol>` : '';
+  const bottom = [
+    card(L('extractionRules'), 'navy', list(ev.extractionRules)),
+    ev.issueCategories.length
+      ? `<div class="card" style="border-left-color:#8B3A2A"><div class="card-title">${e(L('issueCategories'))}</div>${list(ev.issueCategories)}</div>`
+      : '',
+    card(L('downstreamUse'), 'teal', ev.downstream.map(d => dotRow(d.label, d.text || ' ')).join('')),
+  ].filter(Boolean);
+
+  return `<div class="page" data-page="eval">
+${header(title, L('evaluationAi'), ev.subtitle, [
+  { text: `${ev.outputGroups.length} ${L('outputGroups')}`, variant: 'navy' },
+  { text: `${fieldCount} ${L('fields')}`, variant: 'teal' },
+  { text: ev.scoringBands.length ? `${L('score')} ${ev.scoringBands[ev.scoringBands.length - 1].range} – ${ev.scoringBands[0].range}` : '', variant: 'gold' },
+  { text: ev.specialDetections.map(d => d.title).join(' · '), variant: 'navy' },
+], theme)}
+<div class="grid-eval">
+  <div>${flow ? `<div class="section-title">${e(L('evaluationFlow'))}</div>${flow}` : ''}${threshold}</div>
+  <div>${card(L('qualityScore'), 'navy', bands)}${intents ? card(L('leadIntent'), 'teal', intents) : ''}</div>
+</div>
+${banners}
+${ev.outputGroups.length ? `<div class="section-title">${e(L('outputGroups'))}</div><div class="groups">${ev.outputGroups.map((g, i) => groupCard(g, i, L)).join('')}</div>` : ''}
+${bottom.length ? `<div class="row3">${bottom.join('')}</div>` : ''}
+${ev.violations.length ? `<div class="chips six">${ev.violations.map(v => chip(v.kind, v.text, L(v.kind))).join('')}</div>` : ''}
+${footer([doc.agent.system || doc.meta.product, theme.footerText].filter(Boolean).join(' · '), ev.outputFormat)}
+</div>`;
+}
+
+// Theme fields the renderers read, with the stock look filled in
+function renderTheme(theme = {}) {
+  return {
+    name: theme.name || '',
+    logo: theme.logo || null,
+    footerText: theme.footerText ?? 'Confidential',
+    fonts: { ...DEFAULT_FONTS, ...theme.fonts },
+    palette: { ...PALETTE, ...theme.palette },
+  };
+}
+
+/**
+ * Wrap rendered pages in a complete, self-contained HTML document using the
+ * design system CSS (plus `extraCss`). `theme` comes from renderTheme();
+ * `language` (lib/languages) sets the lang attribute and adds its script's
+ * Noto font to the stacks — PDF rendering bundles those fonts.
+ */
+function renderDocument(title, pages, theme, extraCss = '', language = null) {
+  const stack = family => [`'${family}'`, language?.font && `'${language.font}'`, 'sans-serif'].filter(Boolean).join(', ');
+  const vars = Object.entries(theme.palette).map(([k, v]) => `  --${k}: ${v};`)
+    .concat([`  --font-body: ${stack(theme.fonts.body)};`, `  --font-heading: ${stack(theme.fonts.heading)};`])
+    .join('\n');
+  return `<!DOCTYPE html>
+<html lang="${e(language?.code || 'en')}">
+<head>
+<meta charset="utf-8">
+<title>${e(title)}</title>
+<style>
+${theme.fonts.import ? `@import url('${theme.fonts.import}');\n` : ''}:root {
+${vars}
+}
+${CSS}${extraCss}
+</style>
+</head>
+<body>
+${pages.join('\n')}
+</body>
+</html>`;
+}
+
+/**
+ * Render a validated call-doc to a complete, self-contained HTML document.
+ * `theme` (palette, fonts, logo, footerText) defaults to the stock look.
+ */
+function renderCallDoc(doc, theme = {}) {
+  const t = renderTheme(theme);
+  const pages = [];
+  if (doc.steps.length) pages.push(renderCallPage(doc, t));
+  if (doc.eval) pages.push(renderEvalPage(doc, t));
+
+  const title = [doc.meta.client, doc.agent.name, labelsFor(doc)('callReference')].filter(Boolean).join(' — ');
+  return renderDocument(title, pages, t, '', doc.meta.language ? getLanguage(doc.meta.language) : null);
+}
+
+module.exports = {
+  renderCallDoc,
+  renderDocument,
+  renderTheme,
+  header,
+  card,
+  dotRow,
+  miniTable,
+  chip,
+  footer,
+  PALETTE,
+  LABELS,
+};
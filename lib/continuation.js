@@ -0,0 +1,71 @@
+// ─── Truncated generations ────────────────────────────────────────────────────
+//
+// A long prompt can run a generation into max_tokens (finishReason 'length'),
+// leaving half a document. completeWithContinuation() feeds the partial reply
+// back and asks the model to carry on, stitching the pieces until the model
+// stops on its own or we run out of continuations.
+
+const MAX_CONTINUATIONS = Number(process.env.LLM_MAX_CONTINUATIONS) || 3;
+
+const CONTINUE_PROMPT = `Your previous reply was cut off by the output limit.
+Continue EXACTLY where it stopped — the next character after the last one you wrote.
+Do not repeat anything already written, do not restart the document, and do not add code fences or commentary.`;
+
+// Models often re-emit a few characters (or a whole line) of what they had
+// already written; drop the longest suffix/prefix overlap before joining
+const MAX_OVERLAP = 400;
+
+function stitch(previous, next) {
+  const chunk = next.replace(/^```[\w]*\n?/, '');
+  const max = Math.min(MAX_OVERLAP, previous.length, chunk.length);
+  for (let len = max; len >= 8; len--) {
+    if (previous.endsWith(chunk.slice(0, len))) return previous + chunk.slice(len);
+  }
+  return previous + chunk;
+}
+
+// Token counts add up across the calls; anything else in a usage object
+// (prompt_tokens_details, ...) is kept as the first call reported it
+function addUsage(total, next) {
+  for (const [key, value] of Object.entries(next || {})) {
+    if (typeof value === 'number') total[key] = (typeof total[key] === 'number' ? total[key] : 0) + value;
+  }
+}
+
+/**
+ * llm.complete() that keeps going past max_tokens. Resolves to the usual
+ * completion plus `continuations` (how many extra calls were made) and
+ * `truncated` (true if the last piece still stopped on 'length').
+ */
+async function completeWithContinuation(llm, options, { maxContinuations = MAX_CONTINUATIONS } = {}) {
+  let response = await llm.complete(options);
+  let content = response.content;
+  const usage = { ...response.usage };
+  let continuations = 0;
+
+  while (response.finishReason === 'length' && continuations < maxContinuations) {
+    continuations++;
+    response = await llm.complete({
+      ...options,
+      // JSON mode would make the model open a fresh object instead of continuing
+      json: false,
+      messages: [
+        ...options.messages,
+        { role: 'assistant', content },
+        { role: 'user', content: CONTINUE_PROMPT },
+      ],
+    });
+    content = stitch(content, response.content);
+    addUsage(usage, response.usage);
+  }
+
+  return {
+    ...response,
+    content,
+    usage,
+    continuations,
+    truncated: response.finishReason === 'length',
+  };
+}
+
+module.exports = { completeWithContinuation, stitch, MAX_CONTINUATIONS };
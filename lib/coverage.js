@@ -0,0 +1,222 @@
+// ─── Coverage verifier ────────────────────────────────────────────────────────
+//
+// The doc prompts tell the model to render EVERY step, variable and field;
+// this checks it did. Verifiable items are pulled out of the source prompts
+// ({{variables}} and {variables}, numbered steps, handler names, JSON output
+// fields, channel names; for workflows also stage names, exit metrics and
+// confirmation questions), looked up in the text of the generated HTML, and
+// the doc is scanned the other way for items of the same kinds that the
+// source never mentions.
+
+const { Parser } = require('htmlparser2');
+
+const KINDS = ['variables', 'steps', 'stages', 'exitMetrics', 'questions', 'handlers', 'fields', 'channels'];
+
+// Matched on their words rather than verbatim: the doc may rephrase them
+const FUZZY_KINDS = ['steps', 'stages', 'exitMetrics', 'questions'];
+
+const CHANNELS = [
+  'WhatsApp', 'SMS', 'Email', 'RCS', 'IVR', 'Telegram', 'Push notification',
+  'Voice call', 'Phone call', 'Web chat', 'Live chat', 'Instagram', 'Facebook Messenger',
+];
+
+// Words too common in step titles / handler names to count as evidence
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'from', 'into', 'your', 'their', 'this', 'that', 'step', 'then', 'when']);
+
+const unique = list => [...new Set(list.map(s => s.trim()).filter(Boolean))];
+
+// lower-case, snake/kebab → words, punctuation → spaces, padded for whole-word lookups
+const normalize = text => ` ${String(text).toLowerCase().replace(/[_\-]+/g, ' ').replace(/[^\p{L}\p{N}]+/gu, ' ').replace(/\s+/g, ' ').trim()} `;
+
+const significantWords = text => normalize(text).trim().split(' ').filter(w => w.length > 2 && !STOPWORDS.has(w));
+
+// ─── Source items ─────────────────────────────────────────────────────────────
+
+// Markdown emphasis is dropped, but not the underscores of a {{variable}}
+const stepTitle = title => title.replace(/\{\{[^}]*\}\}|[*_`#]/g, m => (m.length > 1 ? m : '')).split(/\s[—–-]\s|[:(]/)[0].trim();
+
+// Source lines without markdown emphasis and list / heading / quote markers
+const plainLines = text => text.split('\n')
+  .map(line => line.replace(/\*\*|`/g, '').replace(/^[\s#*>-]+/, '').trim())
+  .filter(Boolean);
+
+// The text after "<label>:" on lines starting with one of `labels`
+function labelledValues(text, labels) {
+  const re = new RegExp(`^(?:${labels})\\s*[:—–-]\\s*(.+)$`, 'i');
+  return unique(plainLines(text).map(line => re.exec(line)?.[1] || '').map(v => v.replace(/^["“'](.*)["”']$/, '$1')));
+}
+
+function extractSteps(text) {
+  const labelled = [...text.matchAll(/^[\s#*>-]*step\s*(\d+)\s*(?:[:.)\]—–-]\s*)+(.+)$/gim)];
+  const matches = labelled.length ? labelled : [...text.matchAll(/^\s{0,3}(\d+)[.)]\s+(.{3,})$/gm)];
+  const steps = new Map();
+  for (const [, number, title] of matches) {
+    if (!steps.has(number)) steps.set(number, stepTitle(title));
+  }
+  return [...steps].map(([number, title]) => `${number}. ${title}`);
+}
+
+// "Stage 2: Loan offer", "## STAGE 3 — Documents", "- Phase 1. Intro"
+function extractStages(text) {
+  const stages = new Map();
+  for (const line of plainLines(text)) {
+    const m = /^(?:stage|phase)\s*(\d+)\s*(?:[:.)\]—–-]\s*)+(.+)$/i.exec(line);
+    if (m && !stages.has(m[1])) stages.set(m[1], stepTitle(m[2]));
+  }
+  return [...stages].filter(([, title]) => title).map(([number, title]) => `${number}. ${title}`);
+}
+
+const extractExitMetrics = text => labelledValues(text, '(?:stage\\s+)?exit\\s*(?:metric|criteria|criterion|condition)s?');
+
+const extractQuestions = text => labelledValues(text, 'confirm(?:ation)?(?:\\s*question)?');
+
+function extractHandlers(text) {
+  return unique([
+    ...[...text.matchAll(/\b([A-Za-z][\w/'-]*(?: [A-Za-z][\w/'-]*){0,3}) handler\b/gi)]
+      .map(m => m[1].replace(/^(?:(?:the|a|an|use|call|trigger|to)\s+)+/i, ''))
+      .filter(name => !STOPWORDS.has(name.toLowerCase())),
+    ...[...text.matchAll(/\b((?:handle|on)_[a-z0-9_]+)\b/g)].map(m => m[1]),
+  ]);
+}
+
+// Keys of any JSON-looking block: "field_name": ...
+function extractFields(text) {
+  return unique([...text.matchAll(/"([A-Za-z_][\w]*)"\s*:/g)].map(m => m[1]));
+}
+
+// Channels the prompt declares ("Channels: SSU, Referral", "Channel: Non-Agency",
+// "Referral channel") plus the well-known messaging channels it mentions
+function extractChannels(text) {
+  const norm = normalize(text);
+  const declared = labelledValues(text, 'channels?').flatMap(list => list.split(/\.(?:\s|$)/)[0].split(/\s*(?:,|\/|\||;|\band\b)\s*/));
+  const named = [...text.matchAll(/\b([A-Z][\w-]*(?: [A-Z][\w-]*){0,2}) channel\b/g)].map(m => m[1]);
+  return unique([...CHANNELS.filter(c => norm.includes(normalize(c))), ...declared, ...named]
+    .map(c => c.replace(/[.*]+$/, '').trim())
+    .filter(c => c.length <= 40 && !STOPWORDS.has(c.toLowerCase())));
+}
+
+/** Verifiable items named in the source prompts, grouped by kind. */
+function extractSourceItems(...sources) {
+  const text = sources.filter(Boolean).join('\n\n');
+  return {
+    // {{double}} or {single} braces
+    variables: unique([...text.matchAll(/\{\{?\s*([A-Za-z_][\w.]*)\s*\}\}?/g)].map(m => m[1])),
+    steps: extractSteps(text),
+    stages: extractStages(text),
+    exitMetrics: extractExitMetrics(text),
+    questions: extractQuestions(text),
+    handlers: extractHandlers(text),
+    fields: extractFields(text),
+    channels: extractChannels(text),
+  };
+}
+
+// ─── Generated doc ────────────────────────────────────────────────────────────
+
+/** Visible text of an HTML document (style / script contents skipped). */
+function htmlText(html) {
+  const parts = [];
+  let skip = 0;
+  const parser = new Parser({
+    onopentag(name) { if (name === 'style' || name === 'script') skip++; },
+    onclosetag(name) { if (name === 'style' || name === 'script') skip--; },
+    ontext(text) { if (!skip) parts.push(text); },
+  }, { decodeEntities: true });
+  parser.write(String(html || ''));
+  parser.end();
+  return parts.join(' ');
+}
+
+function isFound(kind, item, docNorm) {
+  if (FUZZY_KINDS.includes(kind)) {
+    const words = significantWords(item.replace(/^\d+\.\s*/, ''));
+    if (!words.length) return true;
+    const hits = words.filter(w => docNorm.includes(` ${w} `)).length;
+    return hits / words.length >= 0.6;
+  }
+  if (kind === 'handlers') {
+    const words = significantWords(item);
+    return words.length > 0 && words.every(w => docNorm.includes(` ${w} `));
+  }
+  return docNorm.includes(normalize(item));
+}
+
+// Items of the same kinds that show up in the doc but never in the source
+function findInvented(docText, source, sourceNorm) {
+  const invented = [];
+  const add = (kind, item) => invented.push({ kind, item });
+
+  const docVariables = unique([...docText.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].map(m => m[1]));
+  for (const v of docVariables) {
+    if (!source.variables.includes(v)) add('variables', v);
+  }
+  for (const id of unique(docText.match(/\b[a-z][a-z0-9]*(?:_[a-z0-9]+)+\b/g) || [])) {
+    if (!docVariables.includes(id) && !sourceNorm.includes(normalize(id))) add('fields', id);
+  }
+  const maxStep = Math.max(0, ...source.steps.map(s => parseInt(s, 10)));
+  if (maxStep) {
+    for (const n of unique((docText.match(/\bstep\s*(\d+)\b/gi) || []).map(s => s.replace(/\D/g, '')))) {
+      if (Number(n) > maxStep) add('steps', `Step ${n}`);
+    }
+  }
+  const maxStage = Math.max(0, ...source.stages.map(s => parseInt(s, 10)));
+  if (maxStage) {
+    for (const n of unique((docText.match(/\bstage\s*(\d+)\b/gi) || []).map(s => s.replace(/\D/g, '')))) {
+      if (Number(n) > maxStage) add('stages', `Stage ${n}`);
+    }
+  }
+  for (const channel of extractChannels(docText)) {
+    if (!source.channels.includes(channel)) add('channels', channel);
+  }
+  return invented;
+}
+
+/**
+ * Check a generated HTML doc against its source prompts. Returns
+ * { score, total, byKind, found, missing, invented } where score is the
+ * fraction of source items found (1 when the source has none).
+ */
+function verifyCoverage(sources, html) {
+  const sourceList = (Array.isArray(sources) ? sources : [sources]).filter(Boolean);
+  const source = extractSourceItems(...sourceList);
+  const docText = htmlText(html);
+  const docNorm = normalize(docText);
+
+  const found = [];
+  const missing = [];
+  const byKind = {};
+  for (const kind of KINDS) {
+    byKind[kind] = { total: source[kind].length, found: 0 };
+    for (const item of source[kind]) {
+      if (isFound(kind, item, docNorm)) {
+        found.push({ kind, item });
+        byKind[kind].found++;
+      } else {
+        missing.push({ kind, item });
+      }
+    }
+  }
+
+  const total = found.length + missing.length;
+  return {
+    score: total ? Math.round((found.length / total) * 1000) / 1000 : 1,
+    total,
+    byKind,
+    found,
+    missing,
+    invented: findInvented(docText, source, normalize(sourceList.join('\n'))),
+  };
+}
+
+/** Instruction appended to the prompt when regenerating a low-coverage doc. */
+function coverageFeedback(report) {
+  const lines = report.missing.map(({ kind, item }) => `- ${kind.replace(/s$/, '')}: ${item}`);
+  const invented = report.invented.map(({ kind, item }) => `- ${kind.replace(/s$/, '')}: ${item}`);
+  return [
+    `A previous attempt covered only ${Math.round(report.score * 100)}% of the source. It MUST include these items from the prompts:`,
+    ...lines,
+    ...(invented.length ? ['', 'It also contained items that are not in the source — do not invent them:', ...invented] : []),
+  ].join('\n');
+}
+
+module.exports = { verifyCoverage, extractSourceItems, htmlText, coverageFeedback };
@@ -0,0 +1,227 @@
+// ─── Version diff + change-log page ───────────────────────────────────────────
+//
+// Compares two stored versions of a script: steps, variables, rules and
+// handlers, each reported as added / removed / changed. Structured call docs
+// are compared on their extracted JSON; when either side has none (freeform or
+// workflow docs) both fall back to what can be read deterministically out of
+// the source prompts (lib/coverage.js extraction, plus never / always lines).
+
+const { renderDocument, renderTheme, header, card, footer, miniTable } = require('../callDocRenderer');
+const { escapeHtml: e, formatDocDate } = require('../html');
+
+const SECTIONS = ['steps', 'variables', 'rules', 'handlers'];
+
+const norm = text => String(text ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Word-set overlap (Jaccard), for pairing an edited item with its old self
+function similarity(a, b) {
+  const wa = new Set(norm(a).split(' ').filter(w => w.length > 2));
+  const wb = new Set(norm(b).split(' ').filter(w => w.length > 2));
+  if (!wa.size || !wb.size) return 0;
+  const shared = [...wa].filter(w => wb.has(w)).length;
+  return shared / (wa.size + wb.size - shared);
+}
+
+// ─── Comparable items ─────────────────────────────────────────────────────────
+
+const RULE_LINE = /^\s*(?:[-*•>]\s*|\d+[.)]\s*)?\**(never|always|do not|don't|must not|must)\b\**[\s:,-]*(.+)$/gim;
+
+/** Never / always style lines of a free-text prompt as { kind, text }. */
+function extractRules(text) {
+  const rules = [];
+  const seen = new Set();
+  for (const [line, word] of String(text || '').matchAll(RULE_LINE)) {
+    const ruleText = line.trim().replace(/^(?:[-*•>]\s*|\d+[.)]\s*)/, '').replace(/\*\*/g, '');
+    if (seen.has(norm(ruleText))) continue;
+    seen.add(norm(ruleText));
+    rules.push({ kind: /^(always|must)$/i.test(word) ? 'always' : 'never', text: ruleText });
+  }
+  return rules;
+}
+
+function fromDoc(doc) {
+  return {
+    steps: doc.steps.map(s => ({
+      number: String(s.number ?? ''),
+      name: s.name,
+      objective: s.objective || '',
+      kind: s.kind || 'normal',
+      saves: s.saves || [],
+      branches: (s.branches || []).map(b => (b.outcome ? `${b.condition} → ${b.outcome}` : b.condition)),
+    })),
+    variables: doc.variables || [],
+    rules: (doc.rules || []).map(r => ({ kind: r.kind || 'rule', text: r.text })),
+    handlers: (doc.handlers || []).map(h => ({ name: h.name, trigger: h.trigger || '', action: h.action || '' })),
+  };
+}
+
+function fromSources(record) {
+  const text = Object.values(record.sources).filter(Boolean).join('\n\n');
+  return {
+    steps: record.extracted.steps.map(s => {
+      const [, number, name] = /^(\d+)\.\s*(.*)$/.exec(s);
+      return { number, name };
+    }),
+    variables: record.extracted.variables,
+    rules: extractRules(text),
+    handlers: record.extracted.handlers.map(name => ({ name })),
+  };
+}
+
+// ─── Diffing ──────────────────────────────────────────────────────────────────
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Match `before` against `after`: first on `key`, then leftover pairs that
+ * `pairs(a, b)` accepts (a renamed step, a reworded rule). Matched items with
+ * differing `fields` are `changed`; the rest are `added` / `removed`.
+ */
+function diffList(before, after, { key, fields = [], pairs = () => false }) {
+  const removed = [...before];
+  const added = [];
+  const matched = [];
+
+  for (const item of after) {
+    const at = removed.findIndex(old => key(old) === key(item));
+    if (at > -1) matched.push([removed.splice(at, 1)[0], item]);
+    else added.push(item);
+  }
+  for (const item of [...added]) {
+    const at = removed.findIndex(old => pairs(old, item));
+    if (at > -1) {
+      matched.push([removed.splice(at, 1)[0], item]);
+      added.splice(added.indexOf(item), 1);
+    }
+  }
+
+  const changed = [];
+  for (const [from, to] of matched) {
+    const differ = fields.filter(f => !same(from[f], to[f]));
+    if (differ.length) changed.push({ from, to, fields: differ });
+  }
+  return { added, removed, changed, unchanged: matched.length - changed.length };
+}
+
+const DIFFERS = {
+  steps: {
+    key: s => norm(s.name),
+    fields: ['number', 'name', 'objective', 'kind', 'saves', 'branches'],
+    pairs: (a, b) => (a.number && a.number === b.number) || similarity(a.name, b.name) >= 0.5,
+  },
+  variables: { key: v => v },
+  rules: {
+    key: r => `${r.kind}:${norm(r.text)}`,
+    fields: ['kind', 'text'],
+    pairs: (a, b) => similarity(a.text, b.text) >= 0.5,
+  },
+  handlers: {
+    key: h => norm(h.name),
+    fields: ['name', 'trigger', 'action'],
+    pairs: (a, b) => similarity(a.name, b.name) >= 0.5,
+  },
+};
+
+const versionInfo = r => ({ id: r.id, version: r.version, revision: r.revision, updatedAt: r.updatedAt });
+
+/**
+ * Diff two stored doc records (lib/docs). Returns { client, product, from,
+ * to, basis: 'doc' | 'source', sections: { steps, variables, rules, handlers },
+ * summary } where each section is { added, removed, changed, unchanged }.
+ */
+function diffVersions(fromRecord, toRecord) {
+  const basis = fromRecord.doc && toRecord.doc ? 'doc' : 'source';
+  const read = r => (basis === 'doc' ? fromDoc(r.doc) : fromSources(r));
+  const before = read(fromRecord);
+  const after = read(toRecord);
+
+  const sections = {};
+  const summary = { added: 0, removed: 0, changed: 0 };
+  for (const name of SECTIONS) {
+    sections[name] = diffList(before[name], after[name], DIFFERS[name]);
+    for (const k of Object.keys(summary)) summary[k] += sections[name][k].length;
+  }
+  return {
+    client: toRecord.client,
+    product: toRecord.product,
+    from: versionInfo(fromRecord),
+    to: versionInfo(toRecord),
+    basis,
+    sections,
+    summary,
+  };
+}
+
+// ─── Change-log page ──────────────────────────────────────────────────────────
+
+const CHANGE_LOG_CSS = `
+.chg { display: flex; gap: 8px; align-items: flex-start; background: var(--mist); border-left: 3px solid var(--rule); border-radius: 0 4px 4px 0; padding: 5px 8px; margin-bottom: 4px; }
+.chg .mark { width: 10px; flex-shrink: 0; font-size: 10px; font-weight: 800; line-height: 1.1; }
+.chg .what { font-size: 8.5px; font-weight: 700; color: var(--navy); }
+.chg .delta { font-size: 7.5px; color: var(--slate); line-height: 1.45; margin-top: 2px; }
+.chg .delta del { color: var(--red); } .chg .delta ins { color: var(--green); text-decoration: none; }
+.chg.added { border-left-color: var(--green); } .chg.added .mark { color: var(--green); }
+.chg.removed { border-left-color: var(--red); } .chg.removed .mark { color: var(--red); }
+.chg.removed .what { color: var(--grey); text-decoration: line-through; }
+.chg.changed { border-left-color: var(--gold); background: var(--gold-l); } .chg.changed .mark { color: var(--gold); }
+.no-changes { font-size: 8px; color: var(--grey); font-style: italic; margin-bottom: 10px; }
+.chg-section { margin-bottom: 12px; }`;
+
+const SECTION_TITLES = { steps: 'Steps', variables: 'Variables', rules: 'Rules', handlers: 'Handlers' };
+
+function itemLabel(section, item) {
+  switch (section) {
+    case 'steps': return item.number ? `Step ${item.number} · ${item.name}` : item.name;
+    case 'rules': return norm(item.text).startsWith(item.kind) ? item.text : `${item.kind.toUpperCase()}: ${item.text}`;
+    case 'handlers': return item.name;
+    default: return item;
+  }
+}
+
+const showValue = value => (Array.isArray(value) ? value.join(', ') : value) || '—';
+
+function changeRow(kind, section, { item, change }) {
+  const mark = { added: '+', removed: '−', changed: '~' }[kind];
+  const label = itemLabel(section, kind === 'changed' ? change.to : item);
+  const delta = kind === 'changed'
+    ? change.fields.map(f => `<div class="delta"><strong>${e(f)}:</strong> <del>${e(showValue(change.from[f]))}</del> → <ins>${e(showValue(change.to[f]))}</ins></div>`).join('')
+    : '';
+  return `<div class="chg ${kind}"><span class="mark">${mark}</span><div><div class="what">${e(label)}</div>${delta}</div></div>`;
+}
+
+function renderSection(section, diff) {
+  const rows = [
+    ...diff.added.map(item => changeRow('added', section, { item })),
+    ...diff.removed.map(item => changeRow('removed', section, { item })),
+    ...diff.changed.map(change => changeRow('changed', section, { change })),
+  ];
+  return `<div class="chg-section">
+<div class="section-title">${e(SECTION_TITLES[section])}</div>
+${rows.length ? rows.join('\n') : '<p class="no-changes">No changes</p>'}
+</div>`;
+}
+
+/** Render a diffVersions() result as a change-log page in the doc design system. */
+function renderChangeLog(diff, theme = {}) {
+  const t = renderTheme(theme);
+  const { from, to, sections, summary } = diff;
+  const counts = miniTable(['Section', 'Added', 'Removed', 'Changed', 'Unchanged'], SECTIONS.map(s => [
+    SECTION_TITLES[s], sections[s].added.length, sections[s].removed.length, sections[s].changed.length, sections[s].unchanged,
+  ].map(String)));
+  const compared = diff.basis === 'doc' ? 'Compared on the extracted call-doc content' : 'Compared on the source prompts';
+
+  const page = `<div class="page" data-page="change-log">
+${header(`${diff.client} — ${diff.product}`, 'Change Log', `${from.version} → ${to.version} · ${formatDocDate()}`, [
+  { text: `+${summary.added} Added`, variant: 'teal' },
+  { text: `−${summary.removed} Removed`, variant: 'navy' },
+  { text: `~${summary.changed} Changed`, variant: 'gold' },
+], t)}
+${card('Summary', 'navy', `${counts}<div class="dot-row"><span class="dot"></span><p>${e(compared)}</p></div>`)}
+${SECTIONS.map(s => renderSection(s, sections[s])).join('\n')}
+${footer([diff.client, diff.product, t.footerText].filter(Boolean).join(' · '), `${from.version} (rev ${from.revision}) → ${to.version} (rev ${to.revision})`)}
+</div>`;
+
+  return renderDocument(`${diff.client} — ${diff.product} — Change Log`, [page], t, CHANGE_LOG_CSS);
+}
+
+module.exports = { diffVersions, renderChangeLog, extractRules };
@@ -0,0 +1,216 @@
+// ─── Stored documents ─────────────────────────────────────────────────────────
+//
+// Every generated doc is kept on disk, keyed by the tenant that stored it,
+// client / product / version and kind ('doc' for call docs, 'workflow'). Each
+// tenant has its own folder, so client names never clash across tenants, and
+// the workflow doc and the call doc of one version don't overwrite each other:
+//
+//   DOCS_DIR/<tenant>/<client>/<product>/<version>/<kind>/record.json   sources, extracted
+//                                                                       content, coverage, ...
+//                                                         doc.html      the generated HTML
+//                                                         doc.pdf       rendered on first request
+//
+// Path segments are slugs of the names ("Acme Corp" → acme-corp); the record
+// keeps the names as given. Saving an existing version replaces it (and drops
+// its stale PDF) and bumps `revision`.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { extractSourceItems } = require('../coverage');
+
+class DocStoreError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DocStoreError';
+    this.status = status;
+  }
+}
+
+const DEFAULT_PRODUCT = 'default';
+const DEFAULT_VERSION = 'v1.0';
+const SEGMENT = /^[a-z0-9][a-z0-9._-]{0,79}$/;
+const DOC_KINDS = ['doc', 'workflow'];
+
+function slug(value) {
+  return String(value ?? '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9.]+/g, '-').replace(/^[-.]+|-+$/g, '').slice(0, 80);
+}
+
+/** Store id ("tenant/client/product/version/kind", names as slugs) for a tenant's doc. */
+function docId(tenant, client, product, version, kind) {
+  if (typeof tenant !== 'string' || !SEGMENT.test(tenant)) throw new DocStoreError('A tenant id is required to store a doc');
+  if (!DOC_KINDS.includes(kind)) throw new DocStoreError(`kind must be one of: ${DOC_KINDS.join(', ')}`);
+  const parts = [client, product || DEFAULT_PRODUCT, version || DEFAULT_VERSION].map(slug);
+  if (parts.some(p => !SEGMENT.test(p))) throw new DocStoreError('client, product and version must contain letters or digits');
+  return [tenant, ...parts, kind].join('/');
+}
+
+/** The tenant a store id belongs to. */
+const docTenant = id => String(id).split('/')[0];
+
+const summary = ({ sources, extracted, doc, coverage, warnings, ...record }) => ({
+  ...record,
+  coverageScore: coverage ? coverage.score : null,
+});
+
+function createDocStore(dir = path.join(process.cwd(), 'data', 'docs')) {
+  const ready = fs.mkdir(dir, { recursive: true });
+
+  // Ids arrive from URLs, so every segment is checked before touching disk
+  function folder(id) {
+    const parts = String(id).split('/');
+    if (parts.length !== 5 || parts.slice(0, 4).some(p => !SEGMENT.test(p)) || !DOC_KINDS.includes(parts[4])) return null;
+    return path.join(dir, ...parts);
+  }
+
+  async function readJson(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function subdirs(parent) {
+    try {
+      return (await fs.readdir(parent, { withFileTypes: true })).filter(d => d.isDirectory()).map(d => d.name).sort();
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async function writeAtomic(file, data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, data);
+    await fs.rename(tmp, file);
+  }
+
+  async function get(id) {
+    await ready;
+    const at = folder(id);
+    return at ? readJson(path.join(at, 'record.json')) : null;
+  }
+
+  return {
+    /**
+     * Save a generated doc. `tenant` is the id of the tenant storing it;
+     * `kind` 'doc' | 'workflow'; `sources` the prompts it was generated from;
+     * `result` the task result ({ content, doc?, coverage, completeness,
+     * warnings }); `edit` the { section, instruction } when this revision is
+     * a section edit. Resolves to the record.
+     */
+    async save({ kind, tenant, client, product, version, mode, theme, language, bilingual, sources, edit }, result) {
+      if (!client) throw new DocStoreError('A client name is required to store a doc');
+      const id = docId(tenant, client, product, version, kind);
+      await ready;
+      const at = folder(id);
+      const previous = await readJson(path.join(at, 'record.json'));
+      const now = new Date().toISOString();
+
+      const record = {
+        id,
+        kind,
+        tenant,
+        client,
+        product: product || DEFAULT_PRODUCT,
+        version: version || DEFAULT_VERSION,
+        mode: kind === 'doc' ? (mode === 'freeform' ? 'freeform' : 'structured') : null,
+        theme: theme || 'default',
+        language: language || 'en',
+        bilingual: Boolean(bilingual),
+        revision: previous ? previous.revision + 1 : 1,
+        createdAt: previous ? previous.createdAt : now,
+        updatedAt: now,
+        sources,
+        // Deterministic extraction of the prompts, so freeform / workflow docs
+        // can be diffed too; `doc` is the model's call-doc JSON when there is one
+        extracted: extractSourceItems(...Object.values(sources)),
+        doc: result.doc || null,
+        coverage: result.coverage || null,
+        completeness: result.completeness || null,
+        warnings: result.warnings || [],
+        lastEdit: edit ? { ...edit, at: now } : null,
+        hasPdf: false,
+      };
+
+      await fs.mkdir(at, { recursive: true });
+      await fs.rm(path.join(at, 'doc.pdf'), { force: true });
+      await writeAtomic(path.join(at, 'doc.html'), result.content);
+      await writeAtomic(path.join(at, 'record.json'), JSON.stringify(record, null, 2));
+      return record;
+    },
+
+    get,
+
+    async getHtml(id) {
+      await ready;
+      const at = folder(id);
+      if (!at) return null;
+      try {
+        return await fs.readFile(path.join(at, 'doc.html'), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async getPdf(id) {
+      await ready;
+      const at = folder(id);
+      if (!at) return null;
+      try {
+        return await fs.readFile(path.join(at, 'doc.pdf'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async savePdf(id, pdf) {
+      const record = await get(id);
+      if (!record) throw new DocStoreError('Document not found', 404);
+      await writeAtomic(path.join(folder(id), 'doc.pdf'), pdf);
+      await writeAtomic(path.join(folder(id), 'record.json'), JSON.stringify({ ...record, hasPdf: true }, null, 2));
+    },
+
+    /**
+     * Record summaries (no sources / content) of one tenant's docs, or every
+     * tenant's when `tenant` is null, optionally for one client / product / kind.
+     */
+    async list({ tenant, client, product, kind } = {}) {
+      await ready;
+      const only = name => (SEGMENT.test(slug(name)) ? [slug(name)] : []);
+      const records = [];
+      for (const t of tenant == null ? await subdirs(dir) : [tenant].filter(id => SEGMENT.test(id))) {
+        for (const c of client ? only(client) : await subdirs(path.join(dir, t))) {
+          for (const p of product ? only(product) : await subdirs(path.join(dir, t, c))) {
+            for (const v of await subdirs(path.join(dir, t, c, p))) {
+              for (const k of kind ? [kind] : DOC_KINDS) {
+                const record = await get(`${t}/${c}/${p}/${v}/${k}`).catch(() => null);
+                if (record) records.push(summary(record));
+              }
+            }
+          }
+        }
+      }
+      // Grouped by tenant / client / product / kind, versions oldest first
+      const group = r => `${r.id.split('/').slice(0, 3).join('/')}/${r.kind}`;
+      return records.sort((a, b) => group(a).localeCompare(group(b)) || a.createdAt.localeCompare(b.createdAt));
+    },
+
+    async delete(id) {
+      if (!(await get(id))) throw new DocStoreError('Document not found', 404);
+      await fs.rm(folder(id), { recursive: true, force: true });
+      // Drop the version / product / client / tenant folders once their last doc is gone
+      let parent = folder(id);
+      for (let i = 0; i < 4; i++) {
+        parent = path.dirname(parent);
+        if (!(await subdirs(parent)).length) await fs.rmdir(parent).catch(() => {});
+      }
+    },
+  };
+}
+
+module.exports = { createDocStore, docId, docTenant, slug, DocStoreError, DOC_KINDS };
@@ -0,0 +1,108 @@
+// ─── Error envelope ───────────────────────────────────────────────────────────
+//
+// Every error response has the same shape:
+//   { success: false, error: "<message>", code: "<MACHINE_CODE>", details?, requestId? }
+// `code` is the error's own code where it has one (RenderError, PoolError,
+// ApiError, ...), otherwise it follows from the status. The repo's error
+// classes carry the status to send; anything else is a 500 INTERNAL_ERROR.
+// requestId matches the X-Request-Id header and the request's log lines.
+
+const { TaskInputError } = require('./tasks');
+const { LLMConfigError, ModelOutputError } = require('./llm');
+const { PdfRasterError } = require('./pdfRaster');
+const { RenderError } = require('./pdf');
+const { PoolError } = require('./browserPool');
+const { ThemeError } = require('./themes');
+const { DocStoreError } = require('./docs');
+const { AccessError } = require('./tenants');
+const { JobError } = require('./jobs');
+const { SketchError } = require('./sketch');
+const { StateMachineError } = require('./stateMachine');
+const { logger, currentContext } = require('./logger');
+const { metrics } = require('./metrics');
+
+/** An error raised by the HTTP layer itself, e.g. a failed request validation. */
+class ApiError extends Error {
+  constructor(message, status = 400, code, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'UNAVAILABLE',
+  504: 'TIMEOUT',
+};
+
+// Classes whose status is meant for the client
+const KNOWN_ERRORS = [
+  ApiError, TaskInputError, LLMConfigError, ModelOutputError, PdfRasterError, RenderError,
+  PoolError, ThemeError, DocStoreError, AccessError, JobError, SketchError, StateMachineError,
+];
+
+// express.json() and multer failures, which arrive at the error middleware
+function frameworkError(error) {
+  if (error.type === 'entity.parse.failed') return new ApiError(`Invalid JSON body: ${error.message}`, 400, 'INVALID_JSON');
+  if (error.type === 'entity.too.large') return new ApiError('Request body is too large', 413, 'PAYLOAD_TOO_LARGE');
+  if (error.name === 'MulterError') {
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE' || error.code === 'LIMIT_FILE_COUNT';
+    return new ApiError(`Upload rejected: ${error.message}${error.field ? ` (${error.field})` : ''}`, tooLarge ? 413 : 400, tooLarge ? 'UPLOAD_TOO_LARGE' : 'UPLOAD_INVALID');
+  }
+  return error;
+}
+
+const isKnown = error => KNOWN_ERRORS.some(type => error instanceof type);
+
+function errorStatus(error) {
+  return isKnown(error) && Number.isInteger(error.status) ? error.status : 500;
+}
+
+function errorCode(error, status = errorStatus(error)) {
+  if (isKnown(error) && error.code) return error.code;
+  return STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+/** The envelope for `error`, without sending it: { status, body }. */
+function errorResponse(error) {
+  const err = frameworkError(error);
+  const status = errorStatus(err);
+  const body = { success: false, error: err.message, code: errorCode(err, status) };
+  if (err.details != null) body.details = err.details;
+  const { requestId } = currentContext();
+  if (requestId) body.requestId = requestId;
+  return { status, body };
+}
+
+/**
+ * Send `error` as the error envelope, with any headers it needs (quota
+ * Retry-After, a busy renderer), and count it in lib/metrics. `label` names
+ * the route in the log line; server errors are logged either way. The
+ * request's own id stands in when the log context has been lost.
+ */
+function sendError(res, error, label) {
+  const err = frameworkError(error);
+  const { status, body } = errorResponse(err);
+  if (!body.requestId && res.req?.id) body.requestId = res.req.id;
+  metrics.errors.inc({ error: isKnown(err) ? err.name : 'Error', code: body.code, status });
+  if (label || status >= 500) {
+    logger[status >= 500 ? 'error' : 'warn'](`${label || 'Request'} failed`, { requestId: body.requestId, status, code: body.code, err });
+  }
+  if (err instanceof AccessError) res.set(err.headers);
+  if (err instanceof PoolError && status === 429) res.set('Retry-After', '5');
+  res.status(status).json(body);
+}
+
+module.exports = { ApiError, sendError, errorResponse, STATUS_CODES };
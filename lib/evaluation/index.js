@@ -0,0 +1,350 @@
+// ─── Batch transcript evaluation ──────────────────────────────────────────────
+//
+// Runs a client's call evaluation prompt over a batch of call transcripts.
+// What the prompt promises — output groups and fields, scoring bands, lead
+// intents, special detections — is taken from the call-doc extraction
+// (lib/callDoc.js, `eval`), and every per-call result is checked against it.
+// lib/evaluation/report.js rolls the results up into the QA report.
+
+const path = require('path');
+const { extractCallDoc } = require('../callDoc');
+const { formatDocDate } = require('../html');
+const { stripFences } = require('../analyze');
+const { TaskInputError } = require('../tasks');
+const { buildReport } = require('./report');
+
+const MAX_TRANSCRIPTS = Number(process.env.EVAL_MAX_TRANSCRIPTS) || 200;
+const CONCURRENCY = Number(process.env.EVAL_CONCURRENCY) || 3;
+
+const norm = text => String(text ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+// ─── Transcripts ──────────────────────────────────────────────────────────────
+
+// A JSONL line: { id | call_id | callId, transcript | text | messages | turns }
+function fromObject(item, fallbackId) {
+  if (typeof item === 'string') return { id: fallbackId, text: item };
+  const id = String(item.id ?? item.call_id ?? item.callId ?? fallbackId);
+  const turns = item.messages || item.turns;
+  const text = Array.isArray(turns)
+    ? turns.map(t => `${t.role || t.speaker || 'unknown'}: ${t.content ?? t.text ?? ''}`).join('\n')
+    : item.transcript ?? item.text;
+  if (typeof text !== 'string') throw new TaskInputError(`Transcript "${id}" has no transcript / text / messages`);
+  return { id, text };
+}
+
+function parseJsonl(source, label) {
+  return source.split(/\r?\n/).map((line, i) => [line.trim(), i]).filter(([line]) => line).map(([line, i]) => {
+    try {
+      return fromObject(JSON.parse(line), `${label}:${i + 1}`);
+    } catch (err) {
+      if (err instanceof TaskInputError) throw err;
+      throw new TaskInputError(`${label} line ${i + 1} is not valid JSON`);
+    }
+  });
+}
+
+const isJsonl = file => /\.(jsonl|ndjson)$/i.test(file.originalname || '')
+  || /ndjson|jsonl/i.test(file.mimetype || '');
+
+/**
+ * Transcripts from uploaded files (a .jsonl file holds one call per line, any
+ * other file is one plain-text call named after the file), the body's
+ * `transcripts` (strings or JSONL-style objects) and/or `jsonl` (a string).
+ * Returns [{ id, text }].
+ */
+function parseTranscripts({ files = [], transcripts, jsonl } = {}) {
+  const calls = [];
+  for (const [i, file] of files.entries()) {
+    const source = file.buffer.toString('utf8');
+    const name = file.originalname || `file-${i + 1}`;
+    if (isJsonl(file)) calls.push(...parseJsonl(source, name));
+    else calls.push({ id: path.basename(name, path.extname(name)), text: source });
+  }
+  if (Array.isArray(transcripts)) calls.push(...transcripts.map((t, i) => fromObject(t, `call-${i + 1}`)));
+  if (typeof jsonl === 'string') calls.push(...parseJsonl(jsonl, 'jsonl'));
+
+  const usable = calls.filter(c => c.text.trim());
+  if (!usable.length) throw new TaskInputError('No transcripts provided');
+  if (usable.length > MAX_TRANSCRIPTS) {
+    throw new TaskInputError(`Too many transcripts (${usable.length}); the limit is ${MAX_TRANSCRIPTS}`, 413);
+  }
+  const seen = new Map();
+  return usable.map(c => {
+    const n = (seen.get(c.id) || 0) + 1;
+    seen.set(c.id, n);
+    return n > 1 ? { ...c, id: `${c.id}#${n}` } : c;
+  });
+}
+
+// ─── Evaluation spec ──────────────────────────────────────────────────────────
+
+function fieldType(type) {
+  const t = String(type || '').toLowerCase();
+  if (/bool|yes\s*\/\s*no|true\s*\/\s*false/.test(t)) return 'boolean';
+  if (/array|list|\[\]/.test(t)) return 'array';
+  if (/\b(num(ber)?|int(eger)?|float|decimal|score)\b|\d\s*[-–]\s*\d/.test(t)) return 'number';
+  return 'any';
+}
+
+// "80-100", "4.5 – 5", "≥ 80", "< 50", "90+", "3"
+function bandBounds(band) {
+  if (typeof band.min === 'number' || typeof band.max === 'number') {
+    return { min: band.min ?? -Infinity, max: band.max ?? Infinity };
+  }
+  const numbers = (String(band.range).match(/(?<![\d.])-?\d+(?:\.\d+)?/g) || []).map(Number);
+  if (numbers.length >= 2) return { min: Math.min(numbers[0], numbers[1]), max: Math.max(numbers[0], numbers[1]) };
+  if (!numbers.length) return null;
+  if (/[<≤]|below|under/i.test(band.range)) return { min: -Infinity, max: numbers[0] };
+  if (/[>≥+]|above|over/i.test(band.range)) return { min: numbers[0], max: Infinity };
+  return { min: numbers[0], max: numbers[0] };
+}
+
+// A detection's own title names the thing too: "GLP-1 mention" → "GLP-1"
+const detectionSubject = title => title.replace(/\b(mentions?|mentioned|detections?|detected|flags?|alerts?|references?)\b/gi, '').trim();
+
+// Text forms of a detection term that count as a mention ("GLP-1" also
+// matches "glp 1" and "GLP1")
+function termPattern(term) {
+  const parts = String(term).trim().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (!parts.length) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}])${parts.join('[\\s_-]*')}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+/** Normalise a call-doc `eval` section into what results are checked against. */
+function evalSpec(ev) {
+  const fields = (ev?.outputGroups || []).flatMap(g => g.fields.map(f => ({
+    group: g.name, name: f.name, key: norm(f.name), type: fieldType(f.type),
+  })));
+  return {
+    name: ev?.name || '',
+    outputGroups: ev?.outputGroups || [],
+    fields,
+    bands: (ev?.scoringBands || []).map(b => ({ range: b.range, label: b.label || b.range, ...bandBounds(b) }))
+      .filter(b => b.min !== undefined),
+    intents: ev?.leadIntents || [],
+    detections: (ev?.specialDetections || []).map(d => {
+      const terms = [detectionSubject(d.title), ...d.categories].filter(Boolean);
+      return {
+        title: d.title,
+        action: d.action || '',
+        keys: terms.map(norm).filter(k => k.length >= 3),
+        patterns: terms.map(termPattern).filter(Boolean),
+      };
+    }),
+    violations: ev?.violations || [],
+  };
+}
+
+/**
+ * The spec for a batch: from `doc.eval` when a structured call doc is given,
+ * otherwise extracted from `evalPrompt` with the doc-extraction model call.
+ */
+async function loadEvalSpec(llm, { evalPrompt, doc }, { signal } = {}) {
+  const ev = doc?.eval || (await extractCallDoc(llm, { evalPrompt, date: formatDocDate() }, { signal })).eval;
+  const spec = evalSpec(ev);
+  const warnings = [];
+  if (!spec.fields.length) warnings.push('No output fields were found in the evaluation prompt; results are not checked for missing fields');
+  if (!spec.bands.length) warnings.push('No scoring bands were found in the evaluation prompt; scores are not banded');
+  return { spec, warnings };
+}
+
+// ─── Checking one result ──────────────────────────────────────────────────────
+
+// Every key in a (nested) result, normalised → [{ path, value }]
+function leaves(value, prefix = '', out = new Map()) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [k, v] of Object.entries(value)) {
+      const p = prefix ? `${prefix}.${k}` : k;
+      if (!out.has(norm(k))) out.set(norm(k), []);
+      out.get(norm(k)).push({ path: p, value: v });
+      leaves(v, p, out);
+    }
+  }
+  return out;
+}
+
+const first = (found, keys) => keys.map(k => found.get(k)?.[0]).find(Boolean);
+const findKey = (found, test) => [...found.keys()].find(test);
+
+const isNone = v => v == null || v === false || (Array.isArray(v) && !v.length)
+  || (typeof v === 'string' && /^(|no|none|n\/a|na|false|0|not detected|not mentioned)$/i.test(v.trim()));
+
+const itemText = item => (item && typeof item === 'object'
+  ? item.text || item.name || item.type || item.violation || item.description || JSON.stringify(item)
+  : String(item));
+
+const humanize = key => key.replace(/[_.]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').trim();
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*(\/\s*\d+)?\s*$/.test(value)) return parseFloat(value);
+  return null;
+}
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'number': return toNumber(value) !== null;
+    case 'boolean': return typeof value === 'boolean' || /^(true|false|yes|no)$/i.test(String(value));
+    case 'array': return Array.isArray(value);
+    default: return true;
+  }
+}
+
+/**
+ * Check one model result against the spec and pull out what the report
+ * aggregates: { score, band, intent, violations, escalations, issues }.
+ */
+function checkResult(spec, result, transcript) {
+  const found = leaves(result);
+  const issues = [];
+
+  for (const field of spec.fields) {
+    const hit = found.get(field.key)?.[0];
+    if (!hit) issues.push(`Missing field "${field.group} › ${field.name}"`);
+    else if (hit.value != null && !typeMatches(field.type, hit.value)) {
+      issues.push(`Field "${field.group} › ${field.name}" should be ${field.type}, got ${JSON.stringify(hit.value).slice(0, 40)}`);
+    }
+  }
+
+  // Score: a numeric spec field named like a score, else any *score key
+  const scoreKeys = [
+    ...spec.fields.filter(f => f.type === 'number' && /score/.test(f.key)).map(f => f.key),
+    ...[...found.keys()].filter(k => /score$/.test(k)),
+  ];
+  const scoreHit = first(found, scoreKeys);
+  const score = scoreHit ? toNumber(scoreHit.value) : null;
+  let band = null;
+  if (score !== null && spec.bands.length) {
+    band = spec.bands.find(b => score >= b.min && score <= b.max) || null;
+    if (!band) issues.push(`Score ${score} is outside every scoring band`);
+  } else if (score === null && spec.bands.length) {
+    issues.push('No numeric score in the result');
+  }
+
+  const intentKey = spec.fields.find(f => /intent/.test(f.key))?.key || findKey(found, k => /intent/.test(k));
+  const intentValue = intentKey && found.get(intentKey)?.[0]?.value;
+  const intent = typeof intentValue === 'string' && intentValue.trim() ? intentValue.trim() : null;
+  if (intent && spec.intents.length && !spec.intents.some(i => norm(i) === norm(intent))) {
+    issues.push(`Lead intent "${intent}" is not one of: ${spec.intents.join(', ')}`);
+  }
+
+  const violations = [];
+  for (const [key, hits] of found) {
+    if (!/violation|breach|noncompliance/.test(key)) continue;
+    for (const { path: p, value } of hits) {
+      if (Array.isArray(value)) violations.push(...value.filter(v => !isNone(v)).map(itemText));
+      else if (value === true) violations.push(humanize(p.split('.').pop()));
+      else if (typeof value === 'string' && !isNone(value)) violations.push(value);
+    }
+  }
+
+  const escalations = [];
+  for (const detection of spec.detections) {
+    const flagged = [...found].some(([key, hits]) => detection.keys.some(k => key.includes(k)) && hits.some(h => !isNone(h.value)));
+    const mentioned = detection.patterns.filter(p => p.test(transcript)).map(p => transcript.match(p)[0]);
+    if (flagged || mentioned.length) {
+      escalations.push({
+        title: detection.title,
+        action: detection.action,
+        source: flagged && mentioned.length ? 'both' : flagged ? 'model' : 'transcript',
+        mentions: [...new Set(mentioned)],
+      });
+    }
+  }
+  const escalationKey = findKey(found, k => /escalat/.test(k));
+  if (escalationKey && !escalations.length && found.get(escalationKey).some(h => !isNone(h.value))) {
+    escalations.push({ title: 'Escalation', action: '', source: 'model', mentions: [] });
+  }
+
+  return { score, band: band && band.label, intent, violations: [...new Set(violations)], escalations, issues };
+}
+
+// ─── Running a batch ──────────────────────────────────────────────────────────
+
+function buildSystemPrompt(evalPrompt, spec) {
+  const fields = spec.fields.length
+    ? `\n\nThe JSON must contain every one of these fields (grouped as the prompt describes):\n${spec.fields.map(f => `- ${f.group} › ${f.name}${f.type !== 'any' ? ` (${f.type})` : ''}`).join('\n')}`
+    : '';
+  return `You are scoring ONE call transcript with the call evaluation prompt below. Follow the prompt exactly and return ONLY the JSON object it asks for — no prose, no code fences.${fields}
+
+=== CALL EVALUATION PROMPT ===
+${evalPrompt}`;
+}
+
+/**
+ * Evaluate one transcript. Retries once when the reply is not JSON or misses
+ * spec fields. Resolves to { id, status: 'valid' | 'invalid' | 'failed',
+ * result, ...checkResult() } — a failed call never fails the batch.
+ */
+async function evaluateTranscript(llm, { evalPrompt, spec, transcript }, { signal } = {}) {
+  const messages = [
+    { role: 'system', content: buildSystemPrompt(evalPrompt, spec) },
+    { role: 'user', content: `Call ID: ${transcript.id}\n\n=== TRANSCRIPT ===\n${transcript.text}` },
+  ];
+
+  let outcome = null;
+  try {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const response = await llm.complete({ messages, maxTokens: 2000, temperature: 0, json: true, signal });
+      let result;
+      try {
+        result = JSON.parse(stripFences(response.content));
+        if (!result || typeof result !== 'object' || Array.isArray(result)) throw new Error('not an object');
+      } catch (err) {
+        outcome = { id: transcript.id, status: 'failed', result: null, error: `Reply is not a JSON object (${err.message})`, issues: [] };
+        messages.push({ role: 'assistant', content: response.content }, { role: 'user', content: 'That was not a JSON object. Return the evaluation JSON object only.' });
+        continue;
+      }
+
+      const checked = checkResult(spec, result, transcript.text);
+      outcome = { id: transcript.id, status: checked.issues.length ? 'invalid' : 'valid', result, ...checked };
+      const missing = checked.issues.filter(i => i.startsWith('Missing field'));
+      if (!missing.length) break;
+      messages.push(
+        { role: 'assistant', content: response.content },
+        { role: 'user', content: `That JSON is incomplete:\n${missing.map(i => `- ${i}`).join('\n')}\nReturn the complete evaluation JSON object only.` },
+      );
+    }
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    outcome = { id: transcript.id, status: 'failed', result: null, error: err.message, issues: [] };
+  }
+  return outcome;
+}
+
+/**
+ * Evaluate a batch and build the QA report. `input`: { evalPrompt, doc?,
+ * transcripts: [{ id, text }], client, product }.
+ */
+async function runEvaluation(llm, input, { onStage = () => {}, signal } = {}) {
+  const { evalPrompt, transcripts } = input;
+  if (!evalPrompt) throw new TaskInputError('No evaluation prompt provided');
+
+  onStage('reading evaluation prompt');
+  const { spec, warnings } = await loadEvalSpec(llm, input, { signal });
+
+  const results = new Array(transcripts.length);
+  let next = 0;
+  let done = 0;
+  onStage(`evaluating 0/${transcripts.length}`);
+  async function worker() {
+    while (next < transcripts.length) {
+      const i = next++;
+      results[i] = await evaluateTranscript(llm, { evalPrompt, spec, transcript: transcripts[i] }, { signal });
+      onStage(`evaluating ${++done}/${transcripts.length}`);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, transcripts.length) }, worker));
+
+  return buildReport({ client: input.client, product: input.product, spec, results, warnings });
+}
+
+module.exports = {
+  parseTranscripts,
+  evalSpec,
+  loadEvalSpec,
+  checkResult,
+  evaluateTranscript,
+  runEvaluation,
+  MAX_TRANSCRIPTS,
+};
@@ -0,0 +1,291 @@
+// ─── QA report ────────────────────────────────────────────────────────────────
+//
+// Aggregates per-call evaluation results (lib/evaluation) into one report —
+// score distribution over the prompt's scoring bands, lead-intent counts, the
+// most frequent violations, flagged escalations and schema problems — and
+// renders it as CSV or as a page in the doc design system.
+
+const { renderDocument, renderTheme, header, card, footer, miniTable } = require('../callDocRenderer');
+const { escapeHtml: e, formatDocDate } = require('../html');
+
+const norm = text => String(text ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+const share = (count, total) => (total ? Math.round((count / total) * 1000) / 10 : 0);
+const round = n => Math.round(n * 100) / 100;
+
+// Count items by normalised text, keeping the first spelling and the calls
+function tally(results, pick) {
+  const counts = new Map();
+  for (const r of results) {
+    for (const item of new Set(pick(r))) {
+      const key = norm(item);
+      if (!counts.has(key)) counts.set(key, { text: item, count: 0, calls: [] });
+      const entry = counts.get(key);
+      entry.count++;
+      entry.calls.push(r.id);
+    }
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+}
+
+function scoreStats(results, bands) {
+  const scores = results.map(r => r.score).filter(s => s !== null && s !== undefined).sort((a, b) => a - b);
+  const mid = Math.floor(scores.length / 2);
+  const evaluated = results.filter(r => r.status !== 'failed').length;
+  return {
+    average: scores.length ? round(scores.reduce((a, b) => a + b, 0) / scores.length) : null,
+    median: scores.length ? (scores.length % 2 ? scores[mid] : round((scores[mid - 1] + scores[mid]) / 2)) : null,
+    min: scores.length ? scores[0] : null,
+    max: scores.length ? scores[scores.length - 1] : null,
+    bands: bands.map(b => {
+      const count = results.filter(r => r.band === b.label).length;
+      return { label: b.label, range: b.range, count, share: share(count, evaluated) };
+    }),
+    outOfBand: bands.length ? results.filter(r => r.score != null && !r.band).length : 0,
+    unscored: results.filter(r => r.status !== 'failed' && r.score == null).length,
+  };
+}
+
+function intentCounts(results, intents) {
+  const evaluated = results.filter(r => r.status !== 'failed').length;
+  const counted = tally(results, r => (r.intent ? [r.intent] : []));
+  const listed = intents.map(intent => {
+    const hit = counted.find(c => norm(c.text) === norm(intent));
+    return { intent, count: hit ? hit.count : 0, expected: true };
+  });
+  const others = counted.filter(c => !intents.some(i => norm(i) === norm(c.text)))
+    .map(c => ({ intent: c.text, count: c.count, expected: false }));
+  return [...listed, ...others].map(i => ({ ...i, share: share(i.count, evaluated) }));
+}
+
+/**
+ * Build the QA report from evaluateTranscript() results. `spec` is the
+ * evaluation spec the results were checked against (evalSpec()).
+ */
+function buildReport({ client, product, spec, results, warnings = [] }) {
+  const count = status => results.filter(r => r.status === status).length;
+  return {
+    client: client || '',
+    product: product || '',
+    evaluation: spec.name,
+    generatedAt: new Date().toISOString(),
+    totals: { transcripts: results.length, valid: count('valid'), invalid: count('invalid'), failed: count('failed') },
+    score: scoreStats(results, spec.bands),
+    leadIntents: intentCounts(results, spec.intents),
+    violations: tally(results, r => r.violations || []).map(({ text, count: n, calls }) => ({ violation: text, count: n, calls })),
+    escalations: results.flatMap(r => (r.escalations || []).map(esc => ({ id: r.id, ...esc }))),
+    schemaIssues: tally(results, r => (r.issues || []).map(i => i.replace(/,? got .*$/, '')))
+      .map(({ text, count: n, calls }) => ({ issue: text, count: n, calls })),
+    spec: {
+      outputGroups: spec.outputGroups.map(g => ({ name: g.name, fields: g.fields.map(f => f.name) })),
+      scoringBands: spec.bands.map(b => ({ label: b.label, range: b.range })),
+      leadIntents: spec.intents,
+      specialDetections: spec.detections.map(d => d.title),
+    },
+    results: results.map(r => ({
+      id: r.id,
+      status: r.status,
+      score: r.score ?? null,
+      band: r.band ?? null,
+      intent: r.intent ?? null,
+      violations: r.violations || [],
+      escalations: (r.escalations || []).map(esc => esc.title),
+      issues: r.issues || [],
+      error: r.error || null,
+      result: r.result,
+    })),
+    warnings,
+  };
+}
+
+/**
+ * A report sent back by a client (POST /api/evaluate/report) with what it may
+ * leave out filled in: totals, score and counts from its results, and empty
+ * lists for the rest of the spec. A buildReport() result comes out the same.
+ * `spec.bands` (as in evalSpec()) is taken for `spec.scoringBands`.
+ */
+function completeReport(report) {
+  const spec = report.spec || {};
+  const bands = spec.scoringBands || spec.bands || [];
+  const intents = spec.leadIntents || spec.intents || [];
+  const results = (report.results || []).map(r => ({
+    ...r,
+    status: r.status || 'valid',
+    score: r.score ?? null,
+    band: r.band ?? null,
+    intent: r.intent ?? null,
+    violations: r.violations || [],
+    escalations: r.escalations || [],
+    issues: r.issues || [],
+    error: r.error || null,
+  }));
+  const count = status => results.filter(r => r.status === status).length;
+  const generatedAt = Number.isNaN(Date.parse(report.generatedAt)) ? new Date().toISOString() : report.generatedAt;
+  return {
+    ...report,
+    client: report.client || '',
+    product: report.product || '',
+    generatedAt,
+    totals: { transcripts: results.length, valid: count('valid'), invalid: count('invalid'), failed: count('failed'), ...report.totals },
+    score: { ...scoreStats(results, bands), ...report.score },
+    leadIntents: report.leadIntents || intentCounts(results, intents),
+    violations: report.violations || tally(results, r => r.violations).map(({ text, count: n, calls }) => ({ violation: text, count: n, calls })),
+    escalations: (report.escalations || []).map(esc => ({ mentions: [], ...esc })),
+    schemaIssues: report.schemaIssues || tally(results, r => r.issues).map(({ text, count: n, calls }) => ({ issue: text, count: n, calls })),
+    spec: {
+      outputGroups: (spec.outputGroups || []).map(g => ({ name: g.name, fields: (g.fields || []).map(f => (typeof f === 'string' ? f : f.name)) })),
+      scoringBands: bands.map(b => ({ label: b.label, range: b.range ?? b.label })),
+      leadIntents: intents,
+      specialDetections: spec.specialDetections || [],
+    },
+    results,
+    warnings: report.warnings || [],
+  };
+}
+
+// ─── CSV ──────────────────────────────────────────────────────────────────────
+
+// Quote when needed, and defuse spreadsheet formulas (=, +, -, @ at the start)
+function csvCell(value) {
+  let text = value == null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const fieldValue = (result, name) => {
+  const want = norm(name).replace(/ /g, '');
+  const walk = obj => {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return undefined;
+    for (const [k, v] of Object.entries(obj)) {
+      if (norm(k).replace(/ /g, '') === want) return v;
+      const inner = walk(v);
+      if (inner !== undefined) return inner;
+    }
+    return undefined;
+  };
+  return walk(result);
+};
+
+/** One row per call: the report columns, then every spec field's value. */
+function reportCsv(report) {
+  const fields = report.spec.outputGroups.flatMap(g => g.fields.map(f => ({ label: `${g.name}: ${f}`, name: f })));
+  const head = ['call_id', 'status', 'score', 'band', 'lead_intent', 'violations', 'escalations', 'issues', 'error', ...fields.map(f => f.label)];
+  const rows = report.results.map(r => [
+    r.id, r.status, r.score, r.band, r.intent, r.violations.join('; '), r.escalations.join('; '), r.issues.join('; '), r.error,
+    ...fields.map(f => {
+      const v = fieldValue(r.result, f.name);
+      return Array.isArray(v) ? v.map(i => (typeof i === 'object' ? JSON.stringify(i) : i)).join('; ') : v;
+    }),
+  ]);
+  return [head, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// ─── HTML ─────────────────────────────────────────────────────────────────────
+
+const REPORT_CSS = `
+.grid-qa { display: grid; grid-template-columns: 1fr 1fr; gap: 14px; margin-bottom: 4px; }
+.bar-row { display: grid; grid-template-columns: 90px 1fr 44px; align-items: center; gap: 6px; margin-top: 4px; }
+.bar-row .b-lbl { font-size: 7.5px; font-weight: 700; color: var(--navy); overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.bar-row .b-track { height: 9px; background: white; border: 1px solid var(--rule); border-radius: 3px; overflow: hidden; }
+.bar-row .b-fill { display: block; height: 100%; background: var(--teal); }
+.bar-row .b-num { font-size: 7.5px; color: var(--slate); text-align: right; }
+.bar-row.unexpected .b-lbl { color: var(--red); } .bar-row.unexpected .b-fill { background: var(--red); }
+.stat-row { display: grid; grid-template-columns: repeat(4, 1fr); gap: 6px; margin-bottom: 12px; }
+.stat { background: var(--navy-l); border-radius: 5px; padding: 7px 8px; }
+.stat .s-num { font-size: 16px; font-weight: 800; color: var(--navy); }
+.stat .s-lbl { font-size: 7px; font-weight: 700; text-transform: uppercase; letter-spacing: 0.5px; color: var(--grey); }
+.stat.warn .s-num { color: var(--red); }
+.calls td:first-child { font-weight: 700; color: var(--navy); }
+.muted { font-size: 8px; color: var(--grey); font-style: italic; }`;
+
+const BAR_COLOURS = ['var(--navy)', 'var(--teal)', 'var(--gold)', '#E07B39', 'var(--red)', '#7B1818'];
+
+// Counts and shares can come from a client's report, so they're forced to numbers
+const num = value => Number(value) || 0;
+
+function bar(label, count, pct, { colour, unexpected = false } = {}) {
+  const width = Math.min(100, Math.max(0, num(pct)));
+  return `<div class="bar-row${unexpected ? ' unexpected' : ''}">
+  <span class="b-lbl" title="${e(label)}">${e(label)}</span>
+  <span class="b-track"><span class="b-fill" style="width:${width}%${colour && !unexpected ? `;background:${colour}` : ''}"></span></span>
+  <span class="b-num">${num(count)} · ${num(pct)}%</span>
+</div>`;
+}
+
+function stat(label, value, warn = false) {
+  return `<div class="stat${warn ? ' warn' : ''}"><div class="s-num">${e(value ?? '—')}</div><div class="s-lbl">${e(label)}</div></div>`;
+}
+
+const none = text => `<p class="muted">${e(text)}</p>`;
+
+function summaryPage(report, t) {
+  const { totals, score } = report;
+  const title = [report.client, report.product].filter(Boolean).join(' — ') || 'Call Evaluation';
+
+  const bands = score.bands.length
+    ? score.bands.map((b, i) => bar(`${b.label}${b.label !== b.range ? ` (${b.range})` : ''}`, b.count, b.share, { colour: BAR_COLOURS[i % BAR_COLOURS.length] })).join('')
+      + (score.outOfBand ? bar('Outside every band', score.outOfBand, share(score.outOfBand, totals.transcripts), { unexpected: true }) : '')
+    : none('The evaluation prompt defines no scoring bands');
+  const intents = report.leadIntents.length
+    ? report.leadIntents.map(i => bar(i.intent, i.count, i.share, { unexpected: !i.expected })).join('')
+    : none('No lead intents reported');
+  const violations = report.violations.length
+    ? miniTable(['Violation', 'Calls', 'Share'], report.violations.slice(0, 12).map(v => [v.violation, String(v.count), `${share(v.count, totals.transcripts)}%`]))
+    : none('No violations flagged');
+  const escalations = report.escalations.length
+    ? miniTable(['Call', 'Detection', 'Found by', 'Action'], report.escalations.map(x => [
+      x.id, x.mentions.length ? `${x.title} (${x.mentions.join(', ')})` : x.title, x.source, x.action || '—',
+    ]))
+    : none('No escalations flagged');
+  const issues = report.schemaIssues.length
+    ? miniTable(['Problem', 'Calls'], report.schemaIssues.slice(0, 10).map(i => [i.issue, String(i.count)]))
+    : '';
+
+  return `<div class="page" data-page="qa-summary">
+${header(title, 'QA Report', `${report.evaluation || 'Call evaluation'} · ${formatDocDate(new Date(report.generatedAt))}`, [
+  { text: `${totals.transcripts} Calls`, variant: 'navy' },
+  { text: score.average != null ? `Avg score ${score.average}` : '', variant: 'teal' },
+  { text: report.escalations.length ? `${report.escalations.length} Escalations` : '', variant: 'gold' },
+], t)}
+<div class="stat-row">
+  ${stat('Calls evaluated', totals.transcripts - totals.failed)}
+  ${stat('Average score', score.average)}
+  ${stat('Median score', score.median)}
+  ${stat('Failed / off-schema', `${totals.failed} / ${totals.invalid}`, totals.failed + totals.invalid > 0)}
+</div>
+<div class="grid-qa">
+  <div>${card('Score Distribution', 'navy', bands)}</div>
+  <div>${card('Lead Intent', 'teal', intents)}</div>
+</div>
+${card('Most Frequent Violations', 'red', violations)}
+${card('Flagged Escalations', 'gold', escalations)}
+${issues ? card('Schema Problems', 'navy', issues) : ''}
+${report.warnings.length ? card('Notes', 'gold', report.warnings.map(w => `<div class="dot-row"><span class="dot"></span><p>${e(w)}</p></div>`).join('')) : ''}
+${footer([title, t.footerText].filter(Boolean).join(' · '), `Scores ${score.min ?? '—'} – ${score.max ?? '—'}`)}
+</div>`;
+}
+
+function callsPage(report, t) {
+  const rows = report.results.map(r => [
+    r.id,
+    r.status,
+    r.score == null ? '—' : String(r.score),
+    r.band || '—',
+    r.intent || '—',
+    r.violations.join('; ') || '—',
+    r.escalations.join('; ') || (r.error ? `Error: ${r.error}` : '—'),
+  ]);
+  return `<div class="page" data-page="qa-calls">
+${header('Per-call Results', '', `${report.results.length} calls`, [], t)}
+<div class="calls">${miniTable(['Call', 'Status', 'Score', 'Band', 'Intent', 'Violations', 'Escalations'], rows)}</div>
+${footer([report.client, report.product, t.footerText].filter(Boolean).join(' · '), 'QA Report')}
+</div>`;
+}
+
+/** Render a buildReport() result as an HTML page in the doc design system. */
+function renderReport(report, theme = {}) {
+  const t = renderTheme(theme);
+  const title = [report.client, report.product, 'QA Report'].filter(Boolean).join(' — ');
+  return renderDocument(title, [summaryPage(report, t), callsPage(report, t)], t, REPORT_CSS);
+}
+
+module.exports = { buildReport, completeReport, reportCsv, renderReport };
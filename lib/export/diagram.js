@@ -0,0 +1,102 @@
+// ─── Mermaid → SVG / PNG ──────────────────────────────────────────────────────
+//
+// Diagrams are drawn by the mermaid bundle inside a pool page. Unlike client
+// HTML this page runs JavaScript, but only ours: the page is a fixed shell,
+// the diagram source goes in as a string argument to mermaid.render() with
+// securityLevel 'strict', and every network request is refused. Flowcharts
+// go through lib/mermaid first, so the usual model slips are repaired and
+// reported as warnings rather than failing the render.
+
+const fs = require('fs');
+const path = require('path');
+const { sandboxConfig, sandboxPage, interFontCss, scriptFontCss, injectHeadStyle } = require('../renderSandbox');
+const { withRenderTimeout, RenderError } = require('../pdf');
+const { parseFlowchart } = require('../mermaid');
+const { renderTheme } = require('../callDocRenderer');
+
+const MAX_DIAGRAM_CHARS = Number(process.env.EXPORT_MAX_DIAGRAM_CHARS) || 50000;
+
+let mermaidSource = null;
+const mermaidScript = () => {
+  mermaidSource = mermaidSource || fs.readFileSync(path.join(path.dirname(require.resolve('mermaid/package.json')), 'dist', 'mermaid.min.js'), 'utf8');
+  return mermaidSource;
+};
+
+// Diagram colours from the theme palette
+function themeVariables(theme) {
+  const { palette, fonts } = renderTheme(theme);
+  return {
+    primaryColor: palette['navy-l'],
+    primaryBorderColor: palette.navy,
+    primaryTextColor: palette.navy,
+    secondaryColor: palette.mint,
+    tertiaryColor: palette['gold-l'],
+    lineColor: palette.grey,
+    fontFamily: `'${fonts.body}', sans-serif`,
+  };
+}
+
+/**
+ * Repair flowcharts with parseFlowchart; other diagram types pass through.
+ * Returns { code, warnings }. Unfixable flowchart errors are a 422.
+ */
+function prepareDiagram(source) {
+  const code = String(source || '').trim();
+  if (!code) throw new RenderError('No Mermaid code provided', 400, 'BAD_SOURCE');
+  if (code.length > MAX_DIAGRAM_CHARS) {
+    throw new RenderError(`Mermaid code is ${code.length} characters; the limit is ${MAX_DIAGRAM_CHARS}`, 413, 'DIAGRAM_TOO_LARGE');
+  }
+  if (!/^(?:```\w*\s*)?(flowchart|graph)\b/i.test(code)) return { code, warnings: [] };
+
+  const flowchart = parseFlowchart(code);
+  const errors = flowchart.diagnostics.filter(d => d.severity === 'error');
+  if (errors.length) {
+    const err = new RenderError(`Flowchart has errors: ${errors.map(d => d.message).join('; ')}`, 422, 'DIAGRAM_INVALID');
+    err.details = flowchart.diagnostics;
+    throw err;
+  }
+  return { code: flowchart.code, warnings: flowchart.diagnostics.map(d => d.message) };
+}
+
+// Runs in the page
+async function drawDiagram(code, themeVars) {
+  /* global mermaid */
+  mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme: 'base', themeVariables: themeVars });
+  try {
+    const { svg } = await mermaid.render('diagram', code);
+    document.body.innerHTML = svg;
+    return { svg };
+  } catch (err) {
+    return { error: String(err?.message || err).split('\n')[0] };
+  }
+}
+
+/**
+ * Render Mermaid code to SVG (markup) or PNG (at `scale`× pixel density).
+ * Resolves to { data: string | Buffer, warnings }.
+ */
+async function renderDiagram(pool, source, { format = 'svg', theme = {}, scale = 2 } = {}, config = sandboxConfig()) {
+  const { code, warnings } = prepareDiagram(source);
+
+  return pool.withPage(async page => {
+    await sandboxPage(page, { ...config, javascript: true, allowedHosts: [] });
+
+    const render = async () => {
+      await page.setViewport({ width: 1200, height: 800, deviceScaleFactor: scale });
+      await page.setContent(injectHeadStyle('<!DOCTYPE html><html><head><style>body { margin: 0; background: white; }</style></head><body></body></html>', interFontCss() + scriptFontCss(code)));
+      await page.addScriptTag({ content: mermaidScript() });
+      await page.evaluate(async () => { await document.fonts.ready; }).catch(() => {});
+
+      const { svg, error } = await page.evaluate(drawDiagram, code, themeVariables(theme));
+      if (error) throw new RenderError(`Mermaid couldn't render the diagram: ${error}`, 422, 'DIAGRAM_INVALID');
+      if (format === 'svg') return svg;
+
+      const element = await page.$('svg');
+      return Buffer.from(await element.screenshot({ type: 'png' }));
+    };
+
+    return { data: await withRenderTimeout(render(), config.timeoutMs), warnings };
+  });
+}
+
+module.exports = { renderDiagram, prepareDiagram };
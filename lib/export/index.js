@@ -0,0 +1,203 @@
+// ─── Exports: DOCX, page images, notes and diagrams ──────────────────────────
+//
+// Everything /api/export produces beyond a plain A4 PDF. Documents are loaded
+// in the same sandbox as PDF rendering (lib/pdf), at A4 or Letter, portrait
+// or landscape. html-to-docx ignores <style> blocks and most block-level
+// styling, so before conversion every text run is wrapped in a span carrying
+// its computed colour, background, size and weight; that is what keeps the
+// headings, tables and colours of our docs in Word. Markdown notes and
+// Mermaid diagrams are handled in ./markdown and ./diagram.
+
+const HTMLtoDOCX = require('html-to-docx');
+const { renderInSandbox, pageDimensions, RenderError } = require('../pdf');
+
+// Sources a request can give, and the formats each can be exported to
+const EXPORT_FORMATS = {
+  html: ['pdf', 'docx', 'png', 'jpeg'],
+  markdown: ['pdf', 'docx', 'png', 'jpeg', 'html'],
+  mermaid: ['svg', 'png'],
+};
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  svg: 'image/svg+xml',
+  html: 'text/html; charset=utf-8',
+};
+
+const MAX_IMAGE_PAGES = Number(process.env.EXPORT_MAX_IMAGE_PAGES) || 30;
+
+const flag = value => value === true || value === 'true';
+
+function numberIn(value, name, min, max, fallback) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) throw new RenderError(`${name} must be a number from ${min} to ${max}`, 400, 'BAD_OPTION');
+  return n;
+}
+
+/**
+ * Read and check an export request body. `id` (a stored doc) counts as an
+ * html source. Returns { source, format, page: { pageSize, landscape },
+ * pageNumber (null = all pages), scale, quality }.
+ */
+function exportRequest(body) {
+  const given = ['html', 'id', 'markdown', 'mermaid'].filter(k => body[k] != null && body[k] !== '');
+  if (given.length !== 1) throw new RenderError('Provide exactly one of: html, id, markdown, mermaid', 400, 'BAD_SOURCE');
+  const source = given[0] === 'id' ? 'html' : given[0];
+
+  const format = String(body.format || (source === 'mermaid' ? 'svg' : 'pdf')).toLowerCase().replace(/^jpg$/, 'jpeg');
+  if (!EXPORT_FORMATS[source].includes(format)) {
+    throw new RenderError(`Can't export ${source} as "${format}". Expected one of: ${EXPORT_FORMATS[source].join(', ')}`, 400, 'BAD_FORMAT');
+  }
+
+  const page = { pageSize: body.pageSize || 'A4', landscape: flag(body.landscape) };
+  pageDimensions(page);
+
+  return {
+    source,
+    format,
+    page,
+    pageNumber: body.page === 'all' ? null : numberIn(body.page, 'page', 1, MAX_IMAGE_PAGES, 1),
+    scale: numberIn(body.scale, 'scale', 1, 4, 2),
+    quality: numberIn(body.quality, 'quality', 1, 100, 90),
+  };
+}
+
+function exportFilename(filename, format, fallback = 'Export') {
+  return (filename || fallback).replace(/[^a-zA-Z0-9_\-]/g, '_') + `.${format}`;
+}
+
+// ─── Page images ──────────────────────────────────────────────────────────────
+
+// Clip rectangles, one per page: each .page element of our docs (or the whole
+// body for anything else), cut into slices with the page size's aspect ratio.
+// Runs in the page.
+function pageClips(aspect) {
+  const pages = document.querySelectorAll('.page');
+  const boxes = (pages.length ? [...pages] : [document.body]).map(el => el.getBoundingClientRect());
+  const clips = [];
+  for (const box of boxes) {
+    const x = box.left + window.scrollX;
+    const top = box.top + window.scrollY;
+    const sliceHeight = Math.round(box.width * aspect);
+    for (let y = 0; y < box.height - 1; y += sliceHeight) {
+      clips.push({ x, y: top + y, width: box.width, height: Math.min(sliceHeight, box.height - y) });
+    }
+  }
+  return clips;
+}
+
+/**
+ * Screenshot an HTML document page by page as PNG or JPEG, laid out at the
+ * page size's width in print media. pageNumber picks one page (1-based);
+ * null takes them all. Resolves to { images: [{ page, data }], pageCount, blocked }.
+ */
+async function renderImages(pool, html, { page = {}, type = 'png', pageNumber = null, scale = 2, quality = 90 } = {}, config) {
+  const { width, height } = pageDimensions(page);
+  const { result, blocked } = await renderInSandbox(pool, html, async p => {
+    await p.emulateMediaType('print');
+    await p.setViewport({ width, height, deviceScaleFactor: scale });
+    const clips = await p.evaluate(pageClips, height / width);
+
+    if (clips.length > MAX_IMAGE_PAGES) {
+      throw new RenderError(`Document has ${clips.length} pages; the image export limit is ${MAX_IMAGE_PAGES}`, 413, 'TOO_MANY_PAGES');
+    }
+    if (pageNumber != null && pageNumber > clips.length) {
+      throw new RenderError(`Page ${pageNumber} doesn't exist; the document has ${clips.length}`, 400, 'BAD_PAGE');
+    }
+
+    const wanted = pageNumber != null ? [pageNumber] : clips.map((_, i) => i + 1);
+    const images = [];
+    for (const n of wanted) {
+      const data = await p.screenshot({
+        type,
+        quality: type === 'jpeg' ? quality : undefined,
+        clip: clips[n - 1],
+        captureBeyondViewport: true,
+      });
+      images.push({ page: n, data: Buffer.from(data) });
+    }
+    return { images, pageCount: clips.length };
+  }, config);
+  return { ...result, blocked };
+}
+
+// ─── DOCX ─────────────────────────────────────────────────────────────────────
+
+// Inline each visible text run's computed style and each table cell's
+// background, then return the body without stylesheets. Runs in the page.
+function inlineRunStyles() {
+  const transparent = colour => colour === 'transparent' || /rgba\(.*,\s*0\)$/.test(colour);
+  const backgroundOf = el => {
+    for (let n = el; n && n !== document.body; n = n.parentElement) {
+      const bg = getComputedStyle(n).backgroundColor;
+      if (!transparent(bg)) return bg === 'rgb(255, 255, 255)' ? null : bg;
+    }
+    return null;
+  };
+
+  for (const el of [...document.body.querySelectorAll('*')]) {
+    if (el.isConnected && getComputedStyle(el).display === 'none') el.remove();
+  }
+  for (const cell of document.querySelectorAll('td, th')) {
+    const bg = getComputedStyle(cell).backgroundColor;
+    if (!transparent(bg)) cell.style.backgroundColor = bg;
+  }
+
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  const texts = [];
+  while (walker.nextNode()) if (walker.currentNode.nodeValue.trim()) texts.push(walker.currentNode);
+
+  for (const text of texts) {
+    const parent = text.parentElement;
+    const style = getComputedStyle(parent);
+    const inCell = parent.closest('td, th');
+    const bg = inCell ? null : backgroundOf(parent);
+    const span = document.createElement('span');
+    span.setAttribute('style', [
+      `color: ${style.color}`,
+      `font-size: ${style.fontSize}`,
+      Number(style.fontWeight) >= 600 && 'font-weight: bold',
+      style.fontStyle === 'italic' && 'font-style: italic',
+      bg && `background-color: ${bg}`,
+    ].filter(Boolean).join('; '));
+    span.textContent = style.textTransform === 'uppercase' ? text.nodeValue.toUpperCase() : text.nodeValue;
+    text.replaceWith(span);
+  }
+
+  document.querySelectorAll('style, script, link').forEach(el => el.remove());
+  return document.body.innerHTML;
+}
+
+const TWIPS_PER_PX = 15; // 1440 per inch at 96dpi
+
+/** Convert an HTML document to DOCX. Resolves to { docx, blocked }. */
+async function renderDocx(pool, html, { page = {}, title } = {}, config) {
+  // html-to-docx swaps width and height itself for landscape
+  const { width, height } = pageDimensions({ pageSize: page.pageSize });
+  const { result: body, blocked } = await renderInSandbox(pool, html, p => p.evaluate(inlineRunStyles), config);
+  const margin = 720; // half an inch
+
+  const docx = await HTMLtoDOCX(body, null, {
+    title,
+    orientation: page.landscape ? 'landscape' : 'portrait',
+    pageSize: { width: width * TWIPS_PER_PX, height: height * TWIPS_PER_PX },
+    margins: { top: margin, right: margin, bottom: margin, left: margin, header: margin, footer: margin, gutter: 0 },
+    font: 'Arial',
+    table: { row: { cantSplit: true } },
+  });
+  return { docx: Buffer.from(docx), blocked };
+}
+
+module.exports = {
+  exportRequest,
+  exportFilename,
+  renderImages,
+  renderDocx,
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  MAX_IMAGE_PAGES,
+};
@@ -0,0 +1,76 @@
+// ─── Markdown notes → styled HTML ─────────────────────────────────────────────
+//
+// Notes from /api/analyze are GitHub-flavoured markdown. They're rendered
+// into one .page of the design system (header, body, footer) so they print
+// and export like our other docs. Raw HTML in the markdown is shown as
+// text, and links or images with scripts or other odd schemes lose their URL.
+
+const { Marked } = require('marked');
+const { renderDocument, renderTheme, header, footer } = require('../callDocRenderer');
+const { escapeHtml: e, formatDocDate } = require('../html');
+
+const SAFE_LINK = /^(https?:|mailto:|#)/i;
+const SAFE_IMAGE = /^(https:|data:image\/)/i;
+
+const marked = new Marked({
+  gfm: true,
+  renderer: {
+    html: ({ text }) => e(text),
+    // false falls back to marked's own renderer
+    link({ href, tokens }) {
+      return SAFE_LINK.test(href) ? false : this.parser.parseInline(tokens);
+    },
+    image({ href, text }) {
+      return SAFE_IMAGE.test(href) ? false : e(text);
+    },
+  },
+});
+
+const NOTES_CSS = `
+.notes .md { font-size: 10px; line-height: 1.6; color: var(--slate); margin-bottom: 14px; }
+.md h1, .md h2, .md h3, .md h4 { color: var(--navy); line-height: 1.3; margin: 14px 0 6px; }
+.md h1 { font-size: 16px; } .md h2 { font-size: 13px; border-bottom: 1px solid var(--rule); padding-bottom: 3px; }
+.md h3 { font-size: 11px; color: var(--teal); } .md h4 { font-size: 10px; }
+.md > :first-child { margin-top: 0; }
+.md p, .md ul, .md ol, .md pre, .md blockquote, .md table { margin-bottom: 8px; }
+.md ul, .md ol { padding-left: 18px; }
+.md li + li { margin-top: 2px; }
+.md strong { color: var(--navy); }
+.md a { color: var(--teal); }
+.md code { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 9px; background: var(--mist); border-radius: 3px; padding: 1px 3px; }
+.md pre { background: var(--mist); border-radius: 5px; padding: 8px 10px; white-space: pre-wrap; }
+.md pre code { background: none; padding: 0; }
+.md blockquote { border-left: 3px solid var(--teal); background: var(--mint); padding: 6px 10px; border-radius: 0 5px 5px 0; }
+.md table { width: 100%; border-collapse: collapse; }
+.md th, .md td { font-size: 9px; padding: 4px 6px; border: 1px solid var(--rule); text-align: left; }
+.md th { background: var(--navy); color: white; font-weight: 700; }
+.md tbody tr:nth-child(even) td { background: var(--mist); }
+.md hr { border: none; border-top: 1px solid var(--rule); margin: 12px 0; }
+.md img { max-width: 100%; }
+`;
+
+/** Markdown → HTML fragment, with raw HTML escaped. */
+function markdownToHtml(markdown) {
+  return marked.parse(String(markdown || ''));
+}
+
+/**
+ * Render markdown notes as a complete, self-contained HTML document.
+ * `title` defaults to the first heading; `theme` as for renderCallDoc.
+ */
+function renderNotes(markdown, { title, subtitle, theme = {} } = {}) {
+  const t = renderTheme(theme);
+  const heading = /^#{1,3}\s+(.+)$/m.exec(String(markdown || ''));
+  const docTitle = title || (heading ? heading[1].replace(/[*_`]/g, '').trim() : 'Notes');
+
+  const page = `<div class="page notes">
+${header(docTitle, '', subtitle || formatDocDate(), [], t)}
+<div class="md">
+${markdownToHtml(markdown)}
+</div>
+${footer(t.footerText, docTitle)}
+</div>`;
+  return renderDocument(docTitle, [page], t, NOTES_CSS);
+}
+
+module.exports = { markdownToHtml, renderNotes };
@@ -0,0 +1,129 @@
+// ─── Readiness checks ─────────────────────────────────────────────────────────
+//
+// What /health reports: whether the model and the renderer the routes depend
+// on are usable.
+//   shallow (default)  every route's LLM provider is configured, and Chromium
+//                      is running or its executable is there to launch
+//   deep               also a one-token completion per provider / model and a
+//                      real page in the browser pool, each within
+//                      HEALTH_TIMEOUT_MS (default 10s)
+// Deep results are reused for HEALTH_DEEP_CACHE_MS (default 30s), so a tight
+// probe interval doesn't spend tokens or pool pages on every call.
+
+const fs = require('fs');
+const { getLLM, getProvider } = require('./llm');
+const { chromiumPath } = require('./browserPool');
+
+const LLM_ROUTES = ['analyze', 'workflow', 'doc', 'evaluate'];
+const PING = [{ role: 'user', content: 'Reply with OK.' }];
+
+/** Settle with `work`, or reject after `ms` (aborting `controller` if given). */
+async function within(ms, work, controller) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller?.abort();
+      reject(new Error(`No answer within ${ms}ms`));
+    }, ms);
+  });
+  try {
+    return await Promise.race([work, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const failed = err => ({ status: 'error', error: err.message });
+
+// ─── LLM ──────────────────────────────────────────────────────────────────────
+
+async function checkLLM({ deep, timeoutMs, env }) {
+  const routes = {};
+  const models = new Map(); // "provider/model" → { provider, model }, pinged once each when deep
+  for (const route of LLM_ROUTES) {
+    try {
+      const llm = getLLM(route, {}, env);
+      routes[route] = { status: 'ok', provider: llm.provider, model: llm.model };
+      models.set(`${llm.provider}/${llm.model}`, { provider: llm.provider, model: llm.model });
+    } catch (err) {
+      routes[route] = failed(err);
+    }
+  }
+
+  if (deep) {
+    const pings = new Map();
+    // Straight to the provider, so pings stay out of the LLM metrics
+    await Promise.all([...models].map(async ([key, { provider, model }]) => {
+      const controller = new AbortController();
+      const started = Date.now();
+      try {
+        const ping = getProvider(provider, env).complete({ model, messages: PING, maxTokens: 1, temperature: 0, signal: controller.signal });
+        await within(timeoutMs, ping, controller);
+        pings.set(key, { status: 'ok', latencyMs: Date.now() - started });
+      } catch (err) {
+        pings.set(key, failed(err));
+      }
+    }));
+    for (const r of Object.values(routes).filter(r => r.status === 'ok')) {
+      Object.assign(r, pings.get(`${r.provider}/${r.model}`));
+    }
+  }
+
+  const ok = Object.values(routes).every(r => r.status === 'ok');
+  return { status: ok ? 'ok' : 'error', routes };
+}
+
+// ─── Browser ──────────────────────────────────────────────────────────────────
+
+async function checkBrowser(pool, { deep, timeoutMs }) {
+  const stats = pool.stats();
+  const result = { browser: stats.browser, activePages: stats.activePages, queued: stats.queued };
+  try {
+    if (stats.browser !== 'running') {
+      const executable = await within(timeoutMs, chromiumPath());
+      await fs.promises.access(executable, fs.constants.X_OK);
+      result.executable = executable;
+    }
+    if (deep) {
+      const started = Date.now();
+      await within(timeoutMs, pool.withPage(page => page.setContent('<!DOCTYPE html><p>ok</p>')));
+      result.renderMs = Date.now() - started;
+    }
+    return { status: 'ok', ...result };
+  } catch (err) {
+    return { ...failed(err), ...result };
+  }
+}
+
+// ─── Health check ─────────────────────────────────────────────────────────────
+
+/**
+ * createHealthCheck({ pool }) → check({ deep }) resolving to
+ * { status: 'ok' | 'unavailable', mode, checks: { llm, browser } }.
+ */
+function createHealthCheck({
+  pool,
+  timeoutMs = Number(process.env.HEALTH_TIMEOUT_MS) || 10000,
+  deepCacheMs = Number(process.env.HEALTH_DEEP_CACHE_MS) || 30000,
+  env = process.env,
+}) {
+  let lastDeep = null; // { at, promise }
+
+  async function run(deep) {
+    const [llm, browser] = await Promise.all([
+      checkLLM({ deep, timeoutMs, env }),
+      checkBrowser(pool, { deep, timeoutMs }),
+    ]);
+    const ok = llm.status === 'ok' && browser.status === 'ok';
+    return { status: ok ? 'ok' : 'unavailable', mode: deep ? 'deep' : 'shallow', checkedAt: new Date().toISOString(), checks: { llm, browser } };
+  }
+
+  return function check({ deep = false } = {}) {
+    if (!deep) return run(false);
+    // Concurrent and recent deep probes share one run
+    if (!lastDeep || Date.now() - lastDeep.at > deepCacheMs) lastDeep = { at: Date.now(), promise: run(true) };
+    return lastDeep.promise;
+  };
+}
+
+module.exports = { createHealthCheck, LLM_ROUTES };
@@ -0,0 +1,69 @@
+// ─── Small HTML helpers shared by the server-side renderers ───────────────────
+
+const { Parser } = require('htmlparser2');
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  if (value == null) return '';
+  return String(value).replace(/[&<>"']/g, ch => ESCAPES[ch]);
+}
+
+// Strip the code fences / leading chatter models like to wrap HTML in
+function cleanHtmlOutput(text) {
+  let content = String(text || '').trim();
+  content = content.replace(/^```[\w]*\n?/, '').replace(/\n?```$/, '').trim();
+  if (!content.startsWith('<!DOCTYPE') && !content.startsWith('<html')) {
+    const start = content.indexOf('<!DOCTYPE');
+    if (start > -1) content = content.slice(start);
+  }
+  return content;
+}
+
+// `locale` comes from the doc's language (lib/languages); en-IN by default
+function formatDocDate(date = new Date(), locale = 'en-IN') {
+  return date.toLocaleDateString(locale, { day: '2-digit', month: 'long', year: 'numeric' });
+}
+
+/**
+ * Parse generated HTML and close whatever a cut-off generation left open.
+ * Returns { html, repaired, unclosed, warnings }: `unclosed` lists the
+ * elements still open at end of input (innermost first) and `html` has their
+ * closing tags appended, after dropping any half-written trailing tag.
+ */
+function repairHtmlStructure(source) {
+  let html = String(source || '');
+  const warnings = [];
+
+  const commentStart = html.lastIndexOf('<!--');
+  const tagStart = html.lastIndexOf('<');
+  const cut = commentStart > html.lastIndexOf('-->') ? commentStart
+    : tagStart > html.lastIndexOf('>') ? tagStart
+      : -1;
+  if (cut > -1) {
+    warnings.push(`Dropped a half-written tag at the end: ${html.slice(cut, cut + 40)}`);
+    html = html.slice(0, cut).trimEnd();
+  }
+
+  // Elements the parser has to close at EOF were never closed in the source
+  const unclosed = [];
+  let atEnd = false;
+  const parser = new Parser({
+    onclosetag(name, isImplied) {
+      if (atEnd && isImplied) unclosed.push(name);
+    },
+  });
+  parser.write(html);
+  atEnd = true;
+  parser.end();
+
+  if (unclosed.length) {
+    html += unclosed.map(name => `</${name}>`).join('');
+    warnings.push(`Closed ${unclosed.length} unclosed element(s): ${unclosed.join(', ')}`);
+  }
+  if (!/^\s*<!DOCTYPE html/i.test(html)) warnings.push('Missing <!DOCTYPE html>');
+
+  return { html, repaired: html !== String(source || ''), unclosed, warnings };
+}
+
+module.exports = { escapeHtml, cleanHtmlOutput, formatDocDate, repairHtmlStructure };
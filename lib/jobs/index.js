@@ -0,0 +1,159 @@
+// ─── Async job manager ────────────────────────────────────────────────────────
+//
+// Long generations run as jobs instead of blocking one HTTP request. A job is
+// created with a kind ('analyze', 'workflow', 'doc', 'pdf', ...) whose runner
+// receives the prepared input plus { onToken, onStage, signal }. Status changes
+// are persisted to the store; live token progress is kept in memory and
+// broadcast to subscribers (the SSE route). Finished jobs are dropped once
+// they are older than `retentionMs`.
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { logger, withContext } = require('../logger');
+
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+class JobError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'JobError';
+    this.status = status;
+  }
+}
+
+function createJobManager({ store, runners, retentionMs = 60 * 60 * 1000, sweepIntervalMs = 60 * 1000 }) {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  const running = new Map(); // id → { controller, progress }
+
+  const withProgress = job => {
+    const live = running.get(job.id);
+    return live ? { ...job, progress: { ...live.progress } } : job;
+  };
+
+  async function update(job, changes) {
+    Object.assign(job, changes);
+    await store.save(job);
+    events.emit(job.id, 'status', withProgress(job));
+  }
+
+  async function run(job, input) {
+    const { controller, progress } = running.get(job.id);
+
+    try {
+      if (controller.signal.aborted) throw new Error('cancelled');
+      await update(job, { status: 'running', startedAt: new Date().toISOString() });
+      const result = await runners[job.kind](input, {
+        signal: controller.signal,
+        onToken(delta) {
+          progress.tokens++;
+          progress.chars += delta.length;
+          events.emit(job.id, 'token', { delta, tokens: progress.tokens, chars: progress.chars });
+        },
+        onStage(stage) {
+          progress.stage = stage;
+          events.emit(job.id, 'status', withProgress(job));
+        },
+      });
+      if (controller.signal.aborted) throw new Error('cancelled');
+      await update(job, { status: 'succeeded', result, progress, finishedAt: new Date().toISOString() });
+      logger.info('Job succeeded', { durationMs: Date.parse(job.finishedAt) - Date.parse(job.startedAt) });
+    } catch (err) {
+      const cancelled = controller.signal.aborted;
+      if (cancelled) logger.info('Job cancelled');
+      else logger.error('Job failed', { err });
+      await update(job, {
+        status: cancelled ? 'cancelled' : 'failed',
+        error: cancelled ? null : { message: err.message, status: err.status || 500 },
+        progress,
+        finishedAt: new Date().toISOString(),
+      });
+    } finally {
+      running.delete(job.id);
+      events.emit(job.id, 'done', job);
+    }
+  }
+
+  // run() only throws when its own status updates can't be saved; record the
+  // job as failed so it doesn't stay queued / running
+  async function crashed(job, err) {
+    logger.error('Job failed', { err });
+    try {
+      await update(job, { status: 'failed', error: { message: err.message, status: 500 }, finishedAt: new Date().toISOString() });
+    } catch (saveErr) {
+      logger.error('Could not record job failure', { err: saveErr });
+    }
+  }
+
+  /** Queue a job and start it. `meta.tenant` is the id of the tenant that owns it. Resolves to the job record. */
+  async function create(kind, input, meta) {
+    if (!runners[kind]) throw new JobError(`Unknown job kind "${kind}". Expected one of: ${Object.keys(runners).join(', ')}`, 400);
+    if (!meta?.tenant) throw new JobError('A tenant id is required to create a job', 500);
+    const job = {
+      id: crypto.randomUUID(),
+      kind,
+      status: 'queued',
+      meta,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: { stage: null, tokens: 0, chars: 0 },
+      result: null,
+      error: null,
+    };
+    await store.save(job);
+    running.set(job.id, { controller: new AbortController(), progress: { ...job.progress } });
+    // Its log lines carry the job id, and the request id of the request that created it
+    setImmediate(() => withContext({ jobId: job.id, jobKind: kind }, () => run(job, input).catch(err => crashed(job, err))));
+    return job;
+  }
+
+  async function get(id) {
+    const job = await store.get(id);
+    return job && withProgress(job);
+  }
+
+  async function cancel(id) {
+    const job = await store.get(id);
+    if (!job) throw new JobError('Job not found', 404);
+    if (FINISHED.includes(job.status)) throw new JobError(`Job already ${job.status}`, 409);
+    const live = running.get(id);
+    if (live) live.controller.abort();
+    return job;
+  }
+
+  async function remove(id) {
+    const job = await store.get(id);
+    if (!job) throw new JobError('Job not found', 404);
+    if (!FINISHED.includes(job.status)) throw new JobError('Cancel the job before deleting it', 409);
+    await store.delete(id);
+  }
+
+  /** Listen to a job's events: listener(type, data) with type status | token | done. */
+  function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  }
+
+  async function sweep(now = Date.now()) {
+    for (const job of await store.list()) {
+      if (FINISHED.includes(job.status) && now - Date.parse(job.finishedAt) > retentionMs) await store.delete(job.id);
+    }
+  }
+
+  // Jobs a previous process left queued / running can never finish
+  async function recover() {
+    for (const job of await store.list()) {
+      if (!FINISHED.includes(job.status) && !running.has(job.id)) {
+        await update(job, { status: 'failed', error: { message: 'Interrupted by server restart', status: 500 }, finishedAt: new Date().toISOString() });
+      }
+    }
+  }
+
+  const timer = setInterval(() => sweep().catch(err => logger.error('Job sweep failed', { err })), sweepIntervalMs);
+  timer.unref();
+
+  return { create, get, cancel, remove, subscribe, sweep, recover, isFinished: job => FINISHED.includes(job.status) };
+}
+
+module.exports = { createJobManager, JobError };
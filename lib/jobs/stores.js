@@ -0,0 +1,63 @@
+// ─── Job stores ───────────────────────────────────────────────────────────────
+//
+// A store persists job records (plain JSON objects keyed by id). Both stores
+// share one async interface so the job manager doesn't care which it has:
+//   get(id) → job | null,  save(job),  delete(id),  list() → job[]
+
+const fs = require('fs/promises');
+const path = require('path');
+
+function createMemoryStore() {
+  const jobs = new Map();
+  const clone = job => JSON.parse(JSON.stringify(job));
+
+  return {
+    async get(id) { return jobs.has(id) ? clone(jobs.get(id)) : null; },
+    async save(job) { jobs.set(job.id, clone(job)); },
+    async delete(id) { jobs.delete(id); },
+    async list() { return [...jobs.values()].map(clone); },
+  };
+}
+
+// One JSON file per job; writes go through a temp file + rename so a crash
+// mid-write never leaves a truncated record
+function createFileStore(dir) {
+  const ready = fs.mkdir(dir, { recursive: true });
+  const file = id => path.join(dir, `${path.basename(id)}.json`);
+
+  return {
+    async get(id) {
+      await ready;
+      try {
+        return JSON.parse(await fs.readFile(file(id), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async save(job) {
+      await ready;
+      const tmp = `${file(job.id)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(job));
+      await fs.rename(tmp, file(job.id));
+    },
+    async delete(id) {
+      await ready;
+      await fs.rm(file(id), { force: true });
+    },
+    async list() {
+      await ready;
+      const names = (await fs.readdir(dir)).filter(n => n.endsWith('.json'));
+      const jobs = await Promise.all(names.map(n => this.get(n.slice(0, -5)).catch(() => null)));
+      return jobs.filter(Boolean);
+    },
+  };
+}
+
+function createJobStore(kind = 'memory', dir = path.join(process.cwd(), 'data', 'jobs')) {
+  if (kind === 'file') return createFileStore(dir);
+  if (kind === 'memory') return createMemoryStore();
+  throw new Error(`Unknown job store "${kind}" (expected memory or file)`);
+}
+
+module.exports = { createJobStore, createMemoryStore, createFileStore };
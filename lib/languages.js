@@ -0,0 +1,69 @@
+// ─── Document languages ───────────────────────────────────────────────────────
+//
+// `language` on the doc and workflow routes. The model writes headings,
+// labels and descriptions in that language — or in it and English side by
+// side with `bilingual` — while script excerpts (what the agent actually
+// says), variable names and brand names stay exactly as in the source
+// prompt. Dates use the language's locale, and the Indic scripts' Noto fonts
+// are bundled (lib/renderSandbox) so PDFs render them without the network.
+
+const { SCRIPT_FONTS } = require('./renderSandbox');
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+  en: { name: 'English', native: 'English', locale: 'en-IN', script: 'latin' },
+  hi: { name: 'Hindi', native: 'हिन्दी', locale: 'hi-IN', script: 'devanagari' },
+  mr: { name: 'Marathi', native: 'मराठी', locale: 'mr-IN', script: 'devanagari' },
+  bn: { name: 'Bengali', native: 'বাংলা', locale: 'bn-IN', script: 'bengali' },
+  pa: { name: 'Punjabi', native: 'ਪੰਜਾਬੀ', locale: 'pa-IN', script: 'gurmukhi' },
+  gu: { name: 'Gujarati', native: 'ગુજરાતી', locale: 'gu-IN', script: 'gujarati' },
+  ta: { name: 'Tamil', native: 'தமிழ்', locale: 'ta-IN', script: 'tamil' },
+  te: { name: 'Telugu', native: 'తెలుగు', locale: 'te-IN', script: 'telugu' },
+  kn: { name: 'Kannada', native: 'ಕನ್ನಡ', locale: 'kn-IN', script: 'kannada' },
+  ml: { name: 'Malayalam', native: 'മലയാളം', locale: 'ml-IN', script: 'malayalam' },
+};
+
+/**
+ * Language for a `language` value — a code ('hi'), English name ('Hindi') or
+ * native name ('हिन्दी'); missing → English. undefined if unknown.
+ */
+function getLanguage(value) {
+  const wanted = value == null || value === '' ? DEFAULT_LANGUAGE : String(value).trim().toLowerCase();
+  const code = Object.keys(LANGUAGES).find(c => c === wanted
+    || LANGUAGES[c].name.toLowerCase() === wanted || LANGUAGES[c].native.toLowerCase() === wanted);
+  if (!code) return undefined;
+  const lang = LANGUAGES[code];
+  return { code, ...lang, font: SCRIPT_FONTS[lang.script]?.family || null };
+}
+
+/** Public list of languages, for error messages and docs. */
+function listLanguages() {
+  return Object.entries(LANGUAGES).map(([code, l]) => ({ code, name: l.name, native: l.native }));
+}
+
+// A { language, bilingual } pair is only worth instructions when it isn't plain English
+const isLocalized = ({ language, bilingual }) => language.code !== DEFAULT_LANGUAGE || bilingual;
+
+/**
+ * The LANGUAGE block for a generation prompt ('' for plain English).
+ * `output` is 'html' for the free-form documents or 'json' for extraction.
+ */
+function languageInstructions({ language, bilingual }, output = 'html') {
+  if (!isLocalized({ language, bilingual })) return '';
+  const target = `${language.name} (${language.native}${language.script !== 'latin' ? `, ${language.script} script` : ''})`;
+  const lines = [
+    bilingual
+      ? `Write every heading, label, badge and description bilingually: the ${target} text followed by the English, side by side, separated by " / " (for example "<${language.name} for Goal> / Goal").`
+      : `Write every heading, label, badge and description in ${target}.`,
+    'Keep these EXACTLY as they appear in the source prompts, untranslated: script excerpts and sample dialogue (what the agent says), variable names and {{placeholders}}, product and brand names, and numbers.',
+  ];
+  if (output === 'html') {
+    lines.push(`Set <html lang="${language.code}">${language.font ? ` and put '${language.font}' straight after the main font in every font-family stack` : ''}.`);
+  } else {
+    lines.push('JSON keys and enum values ("kind", "type" etc.) stay in English.');
+  }
+  return `=== LANGUAGE ===\n${lines.map(l => `- ${l}`).join('\n')}`;
+}
+
+module.exports = { getLanguage, listLanguages, languageInstructions, isLocalized, LANGUAGES, DEFAULT_LANGUAGE };
@@ -0,0 +1,71 @@
+// ─── Anthropic provider ───────────────────────────────────────────────────────
+//
+// Routes build OpenAI-style chat messages; this translates them to the
+// Messages API (system prompt split out, data-URL images → base64 blocks) and
+// maps the reply back to the shape lib/llm returns for every provider.
+
+const Anthropic = require('@anthropic-ai/sdk');
+
+const STOP_REASONS = { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length', tool_use: 'tool_calls' };
+
+function toAnthropicContent(content) {
+  if (typeof content === 'string') return content;
+  return content.map(part => {
+    if (part.type === 'text') return { type: 'text', text: part.text };
+    if (part.type === 'image_url') {
+      const m = /^data:([^;]+);base64,(.*)$/s.exec(part.image_url.url);
+      if (m) return { type: 'image', source: { type: 'base64', media_type: m[1], data: m[2] } };
+      return { type: 'image', source: { type: 'url', url: part.image_url.url } };
+    }
+    throw new Error(`Unsupported message part for Anthropic: ${part.type}`);
+  });
+}
+
+function createAnthropicProvider(config) {
+  const client = new Anthropic({ apiKey: config.apiKey, baseURL: config.baseURL || undefined });
+
+  return {
+    name: config.name,
+    defaultModel: config.defaultModel,
+
+    async complete({ model, messages, maxTokens, temperature, json, onToken, signal }) {
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      const turns = messages
+        .filter(m => m.role !== 'system')
+        .map(m => ({ role: m.role, content: toAnthropicContent(m.content) }));
+
+      // No response_format on the Messages API: pre-fill the reply with '{'
+      if (json) turns.push({ role: 'assistant', content: '{' });
+
+      const params = {
+        model,
+        system: system || undefined,
+        messages: turns,
+        max_tokens: maxTokens,
+        temperature,
+      };
+      let response;
+      if (onToken) {
+        const stream = client.messages.stream(params, { signal });
+        stream.on('text', onToken);
+        response = await stream.finalMessage();
+      } else {
+        response = await client.messages.create(params, { signal });
+      }
+      const text = response.content.filter(b => b.type === 'text').map(b => b.text).join('');
+      return {
+        content: json ? `{${text}` : text,
+        finishReason: STOP_REASONS[response.stop_reason] || response.stop_reason,
+        usage: {
+          prompt_tokens: response.usage.input_tokens,
+          completion_tokens: response.usage.output_tokens,
+          total_tokens: response.usage.input_tokens + response.usage.output_tokens,
+        },
+        model: response.model || model,
+        provider: config.name,
+      };
+    },
+  };
+}
+
+module.exports = { createAnthropicProvider };
@@ -0,0 +1,189 @@
+// ─── Canned replies for the mock provider ─────────────────────────────────────
+//
+// First fixture whose `match` regex hits the request text (all message text
+// joined) wins. Keep these small but structurally realistic so the routes'
+// post-processing (Mermaid repair, schema validation, HTML cleanup) runs for
+// real against them.
+
+const MOCK_CALL_DOC = {
+  agent: {
+    name: 'Asha',
+    role: 'Outbound Sales Agent',
+    system: 'Mock Health',
+    brand: 'Mock Health',
+    gender: 'Female',
+    language: 'English',
+    persona: 'Friendly advisor',
+    goal: 'Book a consultation',
+    tone: 'Warm, concise',
+  },
+  steps: [
+    { number: 1, name: 'Greeting', objective: 'Confirm the lead is {{customer_name}}', saves: ['customer_name'] },
+    { number: 2, name: 'Qualify', objective: 'Ask about current goals', kind: 'special', branches: [{ condition: 'Interested', outcome: 'Step 3' }, { condition: 'Not interested', outcome: 'Step 4' }] },
+    { number: 3, name: 'Book slot', objective: 'Offer two slots', saves: ['slot_time'] },
+    { number: 4, name: 'Close', objective: 'Thank and end the call', kind: 'terminal' },
+  ],
+  variables: ['customer_name', 'slot_time'],
+  handlers: [{ name: 'Busy', trigger: 'Caller is busy', action: 'Offer a callback time' }],
+  rules: [{ kind: 'never', text: 'Quote prices not in the script' }, { kind: 'always', text: 'Confirm the slot back' }],
+  hardStop: 'End the call after two refusals',
+  eval: {
+    name: 'Mock Health — Call QA',
+    outputGroups: [
+      { name: 'Call outcome', fields: [{ name: 'lead_intent', type: 'enum' }, { name: 'quality_score', type: 'number (0-100)' }] },
+      { name: 'Compliance', fields: [{ name: 'violations', type: 'array' }, { name: 'glp1_mentioned', type: 'boolean' }] },
+    ],
+    scoringBands: [
+      { range: '80-100', label: 'Excellent' },
+      { range: '50-79', label: 'Needs coaching' },
+      { range: '0-49', label: 'Fail' },
+    ],
+    leadIntents: ['Hot', 'Warm', 'Cold', 'Not interested'],
+    specialDetections: [{ title: 'GLP-1 mention', categories: ['Ozempic', 'Wegovy', 'semaglutide'], action: 'Escalate to a clinician' }],
+    violations: [{ kind: 'critical', text: 'Quoted a price not in the script' }, { kind: 'violation', text: 'Did not confirm the slot back' }],
+  },
+};
+
+const MOCK_TRANSCRIPT_EVAL = {
+  'Call outcome': { lead_intent: 'Warm', quality_score: 72 },
+  'Compliance': { violations: ['Did not confirm the slot back'], glp1_mentioned: false },
+};
+
+const MOCK_STATE_MACHINE = {
+  name: 'AI Calling Workflow',
+  channels: [{ id: 'SSU', name: 'SSU' }, { id: 'Referral', name: 'Referral' }],
+  initial: 'Stage 1',
+  states: [
+    {
+      id: 'Stage 1', type: 'stage', number: 1, name: 'Introduction',
+      userActions: ['Confirm identity'], agentInfo: ['Who is calling and why'],
+      messages: { SSU: 'Hi, I am calling about your sign-up.', Referral: 'Hi, a friend referred you to us.' },
+      exitMetric: 'Lead confirms identity',
+      confirmation: { question: 'Is this a good time to talk?', answers: ['yes', 'no'] },
+      transitions: [
+        { to: 'Stage 2', trigger: 'confirmation', answer: 'yes', condition: 'Good time' },
+        { to: 'Callback', trigger: 'confirmation', answer: 'no', condition: 'Busy' },
+      ],
+    },
+    {
+      id: 'Stage 2', type: 'stage', number: 2, name: 'Document check',
+      messages: { SSU: 'Do you have your licence ready?', Referral: 'Do you have your licence ready?' },
+      exitMetric: 'Licence number captured',
+      transitions: [{ to: 'Done', trigger: 'exit_metric_met' }, { to: 'Callback', trigger: 'exit_metric_not_met' }],
+    },
+    { id: 'Done', type: 'terminal', name: 'Onboarded', outcome: 'Lead moves to activation' },
+    { id: 'Callback', type: 'terminal', name: 'Callback scheduled', outcome: 'Retry in 24 hours' },
+  ],
+};
+
+const FIXTURES = [
+  {
+    name: 'mermaid-repair',
+    match: /failed to parse/i,
+    content: 'flowchart TD\n    A([Start]) --> B[Step One]\n    B --> C([End])',
+  },
+  {
+    name: 'section-edit-json',
+    match: /editing ONE section of a call-reference document/,
+    content: JSON.stringify({ section: { number: 3, name: 'Book slot', objective: 'Offer two slots and confirm the chosen one back', saves: ['slot_time'] } }),
+  },
+  {
+    name: 'section-edit-html',
+    match: /editing ONE section of an existing, styled HTML document/,
+    content: '<div class="stage-cell"><div class="speech-bubble">Hi! A friend referred you to us, shall we get you started?</div></div>',
+  },
+  {
+    name: 'transcript-eval',
+    match: /scoring ONE call transcript/,
+    content: JSON.stringify(MOCK_TRANSCRIPT_EVAL),
+  },
+  {
+    name: 'workflow-state-machine',
+    match: /executable state machine/,
+    content: JSON.stringify(MOCK_STATE_MACHINE),
+  },
+  {
+    name: 'analyze-notes-verbatim',
+    match: /could not read for certain[\s\S]*Do NOT correct anything/,
+    content: JSON.stringify({
+      markdown: '# Mock Notes\n\n## Meeting with Jhon\n- Recieve the invoice by Friday\n- Budget: 4,500',
+      spans: [
+        { original: 'Jhon', correction: null, confidence: 'medium', reason: 'unclear letters', bbox: [0.41, 0.18, 0.09, 0.04] },
+        { original: '4,500', correction: null, confidence: 'low', reason: 'unclear digit', bbox: [0.22, 0.36, 0.08, 0.04] },
+      ],
+    }),
+  },
+  {
+    name: 'analyze-notes-structured',
+    match: /could not read for certain/,
+    content: JSON.stringify({
+      markdown: '# Mock Notes\n\n## Meeting with John\n- Receive the invoice by Friday\n- Budget: 4,500',
+      spans: [
+        { original: 'Jhon', correction: 'John', confidence: 'medium', reason: 'spelling', bbox: [0.41, 0.18, 0.09, 0.04] },
+        { original: 'Recieve', correction: 'Receive', confidence: 'high', reason: 'spelling', bbox: [0.06, 0.27, 0.12, 0.04] },
+        { original: '4,500', correction: null, confidence: 'low', reason: 'unclear digit', bbox: [0.22, 0.36, 0.08, 0.04] },
+      ],
+    }),
+  },
+  {
+    name: 'analyze-flowchart',
+    match: /hand-drawn flowcharts/i,
+    content: 'flowchart TD\n    A([Start]) --> B[Step One]\n    B --> C{Decision?}\n    C -->|Yes| D[Do This]\n    C -->|No| E[Do That]\n    D --> F([End])\n    E --> F',
+  },
+  {
+    name: 'analyze-notes',
+    match: /handwritten notes/i,
+    content: '# Mock Notes\n\n## Section One\n- First point\n- Second point\n\n1. Numbered item',
+  },
+  {
+    name: 'analyze-table',
+    match: /whiteboard tables/i,
+    content: JSON.stringify({ tables: [{ title: 'Pricing', columns: ['Plan', 'Price, monthly'], rows: [['Basic', '$10'], ['Pro', '$25']] }] }),
+  },
+  {
+    name: 'analyze-sequence',
+    match: /hand-drawn sequence diagrams/i,
+    content: 'sequenceDiagram\n    actor U as User\n    participant S as Server\n    U->>S: Login\n    S-->>U: Token',
+  },
+  {
+    name: 'analyze-mindmap',
+    match: /hand-drawn mind maps/i,
+    content: 'mindmap\n  root((Launch))\n    Marketing\n      Social\n    Product\n      Beta',
+  },
+  {
+    name: 'analyze-orgchart',
+    match: /hand-drawn org charts/i,
+    content: 'flowchart TD\n    A[Asha<br/>CEO] --> B[Ravi<br/>CTO]\n    A --> C[Meera<br/>COO]',
+  },
+  {
+    name: 'analyze-math',
+    match: /handwritten mathematics/i,
+    content: '% Quadratic formula\n\\[ x = \\frac{-b \\pm \\sqrt{b^2 - 4ac}}{2a} \\]',
+  },
+  {
+    name: 'doc-extract-hindi',
+    match: /Extract their content into a single JSON object[\s\S]*=== LANGUAGE ===[\s\S]*Hindi/,
+    content: JSON.stringify({
+      ...MOCK_CALL_DOC,
+      agent: { ...MOCK_CALL_DOC.agent, role: 'आउटबाउंड सेल्स एजेंट', goal: 'कॉल बुक करना' },
+      labels: { agentIdentity: 'एजेंट की पहचान', callFlow: 'कॉल फ़्लो', steps: 'चरण', rules: 'नियम', goal: 'लक्ष्य', callReference: 'कॉल संदर्भ' },
+    }),
+  },
+  {
+    name: 'doc-extract',
+    match: /Extract their content into a single JSON object/,
+    content: JSON.stringify(MOCK_CALL_DOC),
+  },
+  {
+    name: 'workflow-doc',
+    match: /WORKFLOW STAGE DIAGRAM/,
+    content: '<!DOCTYPE html><html><head><style>body{font-family:Inter,sans-serif}</style></head><body><div class="workflow-wrap"><h1>AI Calling Workflow</h1><div class="stage-row"><div class="stage-cell"><div class="stage-box"><div class="num">Stage 1</div><div class="name">Introduction</div></div></div></div></div></body></html>',
+  },
+  {
+    name: 'call-doc-freeform',
+    match: /PREMIUM, print-ready/,
+    content: '<!DOCTYPE html><html><head><style>:root{--navy:#0D2B4E}</style></head><body><div class="page"><h1>Mock Agent — Reference</h1></div></body></html>',
+  },
+];
+
+module.exports = { FIXTURES, MOCK_CALL_DOC };
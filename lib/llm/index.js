@@ -0,0 +1,169 @@
+// ─── LLM provider layer ───────────────────────────────────────────────────────
+//
+// Every route talks to the model through getLLM(route, overrides). Provider and
+// model are resolved, in order, from the request (body.provider / body.model),
+// route-specific env (LLM_PROVIDER_DOC, LLM_MODEL_DOC, ...), global env
+// (LLM_PROVIDER, LLM_MODEL) and finally the provider's default model.
+// A request may only pick a configured provider, and a model that is the
+// provider's default, one set in env or listed in LLM_ALLOWED_MODELS
+// (comma-separated); anything else is a 400.
+//
+// Providers:
+//   openai      OPENAI_API_KEY [, OPENAI_BASE_URL]
+//   compatible  LLM_COMPATIBLE_BASE_URL [, LLM_COMPATIBLE_API_KEY, LLM_COMPATIBLE_MODEL,
+//               LLM_COMPATIBLE_STREAM_USAGE=false for servers without stream_options]  (vLLM, Ollama, ...)
+//   azure       AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_DEPLOYMENT [, AZURE_OPENAI_API_VERSION]
+//   anthropic   ANTHROPIC_API_KEY [, ANTHROPIC_BASE_URL]
+//   mock        offline fixtures [, LLM_MOCK_FIXTURES]
+//
+// complete({ messages, maxTokens, temperature, json, onToken, signal }) resolves
+// to { content, finishReason, usage, model, provider } with finishReason /
+// usage in OpenAI terms regardless of provider. Passing onToken switches the
+// call to streaming and reports each text delta; signal aborts the request.
+// Every call's latency and tokens go to lib/metrics.
+
+const { createOpenAIProvider } = require('./openai');
+const { createAnthropicProvider } = require('./anthropic');
+const { createMockProvider } = require('./mock');
+const { metrics } = require('../metrics');
+
+class LLMConfigError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'LLMConfigError';
+    this.status = status;
+  }
+}
+
+/** The model's reply can't be used (still invalid after the retries); `details` lists why. */
+class ModelOutputError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'ModelOutputError';
+    this.status = 502;
+    this.code = 'MODEL_OUTPUT_INVALID';
+    this.details = details;
+  }
+}
+
+function providerConfigs(env = process.env) {
+  return {
+    openai: {
+      kind: 'openai',
+      apiKey: env.OPENAI_API_KEY,
+      baseURL: env.OPENAI_BASE_URL,
+      defaultModel: 'gpt-4o',
+      streamUsage: true,
+      missing: !env.OPENAI_API_KEY && 'OpenAI API key not configured',
+    },
+    compatible: {
+      kind: 'openai',
+      apiKey: env.LLM_COMPATIBLE_API_KEY || 'not-needed',
+      baseURL: env.LLM_COMPATIBLE_BASE_URL,
+      defaultModel: env.LLM_COMPATIBLE_MODEL,
+      // Usage on streamed replies; without it the usage is estimated
+      streamUsage: env.LLM_COMPATIBLE_STREAM_USAGE !== 'false',
+      missing: (!env.LLM_COMPATIBLE_BASE_URL && 'LLM_COMPATIBLE_BASE_URL not configured')
+        || (!env.LLM_COMPATIBLE_MODEL && 'LLM_COMPATIBLE_MODEL not configured'),
+    },
+    azure: {
+      kind: 'azure',
+      apiKey: env.AZURE_OPENAI_API_KEY,
+      baseURL: env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+      defaultModel: env.AZURE_OPENAI_DEPLOYMENT,
+      streamUsage: true,
+      missing: (!env.AZURE_OPENAI_ENDPOINT || !env.AZURE_OPENAI_API_KEY) && 'Azure OpenAI endpoint / key not configured',
+    },
+    anthropic: {
+      kind: 'anthropic',
+      apiKey: env.ANTHROPIC_API_KEY,
+      baseURL: env.ANTHROPIC_BASE_URL,
+      defaultModel: 'claude-3-5-sonnet-latest',
+      missing: !env.ANTHROPIC_API_KEY && 'Anthropic API key not configured',
+    },
+    mock: {
+      kind: 'mock',
+      fixturesFile: env.LLM_MOCK_FIXTURES,
+      defaultModel: 'mock-1',
+      missing: false,
+    },
+  };
+}
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  azure: createOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  mock: createMockProvider,
+};
+
+const instances = new Map();
+
+function getProvider(name, env = process.env) {
+  const config = providerConfigs(env)[name];
+  if (!config) throw new LLMConfigError(`Unknown LLM provider "${name}"`, 400);
+  if (config.missing) throw new LLMConfigError(config.missing);
+
+  if (!instances.has(name)) instances.set(name, FACTORIES[config.kind]({ ...config, name }));
+  return instances.get(name);
+}
+
+const listed = value => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Resolve the provider + model for a route ('analyze', 'workflow', 'doc', ...).
+ * Throws LLMConfigError when the chosen provider isn't configured, or with a
+ * 400 when the request asks for a provider / model that isn't allowed.
+ */
+function getLLM(route, overrides = {}, env = process.env) {
+  const key = route.toUpperCase();
+  const envProvider = env[`LLM_PROVIDER_${key}`] || env.LLM_PROVIDER || 'openai';
+  const providerName = overrides.provider || envProvider;
+  if (overrides.provider) {
+    const available = configuredProviders(env);
+    if (!available.includes(overrides.provider)) {
+      throw new LLMConfigError(`LLM provider "${overrides.provider}" is not available. Expected one of: ${available.join(', ')}`, 400);
+    }
+  }
+  const provider = getProvider(providerName, env);
+
+  // Env model names belong to the env provider; ignore them if the request
+  // switched providers
+  const envModel = providerName === envProvider ? (env[`LLM_MODEL_${key}`] || env.LLM_MODEL) : null;
+  if (overrides.model) {
+    const allowed = [provider.defaultModel, envModel, ...listed(env.LLM_ALLOWED_MODELS)].filter(Boolean);
+    if (!allowed.includes(overrides.model)) {
+      throw new LLMConfigError(`Model "${overrides.model}" is not allowed. Expected one of: ${[...new Set(allowed)].join(', ')}`, 400);
+    }
+  }
+  const model = overrides.model || envModel || provider.defaultModel;
+
+  return {
+    provider: providerName,
+    model,
+    complete: options => timedComplete(provider, { ...options, model }, { provider: providerName, model, route }),
+  };
+}
+
+async function timedComplete(provider, options, labels) {
+  const end = metrics.llmRequestDuration.startTimer(labels);
+  try {
+    const response = await provider.complete(options);
+    end({ outcome: response.finishReason === 'length' ? 'truncated' : 'ok' });
+    const usage = response.usage || {};
+    metrics.llmTokens.inc({ ...labels, kind: 'prompt' }, usage.prompt_tokens || 0);
+    metrics.llmTokens.inc({ ...labels, kind: 'completion' }, usage.completion_tokens || 0);
+    return response;
+  } catch (err) {
+    end({ outcome: err.name === 'AbortError' || options.signal?.aborted ? 'aborted' : 'error' });
+    throw err;
+  }
+}
+
+/** Names of providers whose configuration is complete. */
+function configuredProviders(env = process.env) {
+  return Object.entries(providerConfigs(env)).filter(([, c]) => !c.missing).map(([name]) => name);
+}
+
+module.exports = { getLLM, getProvider, configuredProviders, LLMConfigError, ModelOutputError };
@@ -0,0 +1,67 @@
+// ─── Mock provider ────────────────────────────────────────────────────────────
+//
+// Deterministic, offline provider for tests and local development
+// (LLM_PROVIDER=mock). Replies come from lib/llm/fixtures.js, optionally
+// preceded by a JSON fixture file named in LLM_MOCK_FIXTURES:
+//   [{ "name": "...", "match": "regex source", "content": "...", "finishReason": "stop" }]
+
+const fs = require('fs');
+const { FIXTURES } = require('./fixtures');
+
+function loadFixtureFile(file) {
+  const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return entries.map(f => ({ ...f, match: new RegExp(f.match, 'i') }));
+}
+
+function messageText(messages) {
+  return messages.map(m => typeof m.content === 'string'
+    ? m.content
+    : m.content.filter(p => p.type === 'text').map(p => p.text).join('\n')).join('\n');
+}
+
+const estimateTokens = text => Math.ceil(text.length / 4);
+const STREAM_CHUNK = 16;
+
+function abortError() {
+  const err = new Error('Request was aborted.');
+  err.name = 'AbortError';
+  return err;
+}
+
+function createMockProvider(config) {
+  const fixtures = [...(config.fixturesFile ? loadFixtureFile(config.fixturesFile) : []), ...FIXTURES];
+
+  return {
+    name: config.name,
+    defaultModel: config.defaultModel,
+    calls: [],
+
+    async complete({ model, messages, onToken, signal }) {
+      const text = messageText(messages);
+      const fixture = fixtures.find(f => f.match.test(text));
+      const content = fixture ? fixture.content : `MOCK RESPONSE (${estimateTokens(text)} prompt tokens)`;
+      this.calls.push({ model, fixture: fixture ? fixture.name : null });
+
+      if (onToken) {
+        for (let i = 0; i < content.length; i += STREAM_CHUNK) {
+          if (signal && signal.aborted) throw abortError();
+          onToken(content.slice(i, i + STREAM_CHUNK));
+          await new Promise(r => setImmediate(r));
+        }
+      }
+      if (signal && signal.aborted) throw abortError();
+
+      const prompt_tokens = estimateTokens(text);
+      const completion_tokens = estimateTokens(content);
+      return {
+        content,
+        finishReason: (fixture && fixture.finishReason) || 'stop',
+        usage: { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens },
+        model,
+        provider: config.name,
+      };
+    },
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,86 @@
+// ─── OpenAI / Azure OpenAI / OpenAI-compatible provider ──────────────────────
+
+const OpenAI = require('openai');
+const { AzureOpenAI } = require('openai');
+
+function createClient(config) {
+  if (config.kind === 'azure') {
+    return new AzureOpenAI({
+      apiKey: config.apiKey,
+      endpoint: config.baseURL,
+      apiVersion: config.apiVersion,
+    });
+  }
+  return new OpenAI({ apiKey: config.apiKey, baseURL: config.baseURL || undefined });
+}
+
+// Servers that report no usage still have to be metered: estimate it at ~4
+// characters a token (text only; image parts aren't counted)
+const CHARS_PER_TOKEN = 4;
+const textOf = content => (typeof content === 'string' ? content : (content || []).map(part => part.text || '').join(''));
+
+function estimateUsage(messages, output) {
+  const promptTokens = Math.ceil(messages.reduce((sum, m) => sum + textOf(m.content).length, 0) / CHARS_PER_TOKEN);
+  const completionTokens = Math.ceil(output.length / CHARS_PER_TOKEN);
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens, estimated: true };
+}
+
+function createOpenAIProvider(config) {
+  const client = createClient(config);
+
+  async function stream(params, { onToken, signal }) {
+    const chunks = await client.chat.completions.create({
+      ...params,
+      stream: true,
+      // Not every OpenAI-compatible server understands stream_options
+      ...(config.streamUsage ? { stream_options: { include_usage: true } } : {}),
+    }, { signal });
+
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    let model = params.model;
+    for await (const chunk of chunks) {
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.model) model = chunk.model;
+      const choice = chunk.choices[0];
+      if (!choice) continue;
+      const delta = choice.delta && choice.delta.content;
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+    }
+    return { content, finishReason, usage: usage || estimateUsage(params.messages, content), model, provider: config.name };
+  }
+
+  return {
+    name: config.name,
+    defaultModel: config.defaultModel,
+
+    async complete({ model, messages, maxTokens, temperature, json, onToken, signal }) {
+      const params = {
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+      };
+      if (onToken) return stream(params, { onToken, signal });
+
+      const response = await client.chat.completions.create(params, { signal });
+      const choice = response.choices[0];
+      const content = choice.message.content || '';
+      return {
+        content,
+        finishReason: choice.finish_reason,
+        usage: response.usage || estimateUsage(messages, content),
+        model: response.model || model,
+        provider: config.name,
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,74 @@
+// ─── Structured logging ───────────────────────────────────────────────────────
+//
+// One JSON object per line on stdout:
+//   {"time":"...","level":"error","msg":"Analyze failed","requestId":"...","err":{...}}
+// LOG_LEVEL: debug | info (default) | warn | error | silent.
+//
+// withContext(fields, fn) runs fn with `fields` attached to every line logged
+// inside it, however deep in lib/ the call is — the server uses it to stamp
+// each request's lines with its request id and, once known, the tenant.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const storage = new AsyncLocalStorage();
+
+/** Run fn with `fields` added to every log line written inside it. */
+function withContext(fields, fn) {
+  return storage.run({ ...storage.getStore(), ...fields }, fn);
+}
+
+/** Add fields to the current context (a no-op outside withContext). */
+function addContext(fields) {
+  const store = storage.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+const currentContext = () => storage.getStore() || {};
+
+// Errors don't JSON.stringify; keep what's useful, and the stack only for
+// the ones that aren't the client's fault
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  const out = { name: err.name, message: err.message };
+  if (err.code != null) out.code = err.code;
+  if (err.status != null) out.status = err.status;
+  if (!(err.status < 500)) out.stack = err.stack;
+  return out;
+}
+
+/**
+ * createLogger({ level, fields, write }) → { debug, info, warn, error, child }.
+ * Each method takes (msg, fields); an `err` field is serialised.
+ */
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  fields = {},
+  write = line => process.stdout.write(`${line}\n`),
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function log(lineLevel, msg, extra = {}) {
+    if (LEVELS[lineLevel] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: lineLevel, msg, ...fields, ...currentContext(), ...extra };
+    if (entry.err) entry.err = serializeError(entry.err);
+    try {
+      write(JSON.stringify(entry));
+    } catch {
+      write(JSON.stringify({ time: entry.time, level: lineLevel, msg }));
+    }
+  }
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    child: more => createLogger({ level, fields: { ...fields, ...more }, write }),
+  };
+}
+
+const logger = createLogger();
+
+module.exports = { logger, createLogger, withContext, addContext, currentContext, serializeError };
@@ -0,0 +1,622 @@
+// ─── Mermaid flowchart parser / validator / repairer ─────────────────────────
+//
+// Covers the subset of flowchart syntax FLOWCHART_PROMPT asks for (plus the
+// common shapes the model reaches for anyway). parseFlowchart() never throws:
+// it returns normalised Mermaid code plus a diagnostics array describing every
+// deterministic fix it applied and every problem it could not fix.
+// checkSequenceDiagram() and checkMindmap() do the same, more shallowly, for
+// the sequenceDiagram and mindmap analysis types.
+
+const DIRECTIONS = ['TB', 'TD', 'BT', 'RL', 'LR'];
+
+// Longest openers first so '([' wins over '['
+const SHAPES = [
+  { name: 'stadium',       open: '([', close: '])' },
+  { name: 'subroutine',    open: '[[', close: ']]' },
+  { name: 'cylinder',      open: '[(', close: ')]' },
+  { name: 'circle',        open: '((', close: '))' },
+  { name: 'parallelogram', open: '[/', close: '/]' },
+  { name: 'parallelogram-alt', open: '[\\', close: '\\]' },
+  { name: 'hexagon',       open: '{{', close: '}}' },
+  { name: 'rect',          open: '[',  close: ']'  },
+  { name: 'round',         open: '(',  close: ')'  },
+  { name: 'diamond',       open: '{',  close: '}'  },
+  { name: 'asymmetric',    open: '>',  close: ']'  },
+];
+const SHAPE_BY_NAME = Object.fromEntries(SHAPES.map(s => [s.name, s]));
+
+const RESERVED_IDS = new Set(['end', 'graph', 'flowchart', 'subgraph', 'style', 'class', 'classdef', 'click', 'linkstyle', 'default', 'call', 'href']);
+
+const ID_RE = /^[\w\u00C0-\uFFFF]+(?:[.\-][\w\u00C0-\uFFFF]+)*/;
+// Further words of an id the model wrote with spaces: "1st step[Hello]"
+const ID_WORD_RE = /^\s+([\w\u00C0-\uFFFF]+(?:[.\-][\w\u00C0-\uFFFF]+)*)/;
+const EDGE_TEXT_RE = /^(<)?(--|==|-\.)(?![->.=ox])\s*([^|]+?)\s*(-{2,}>|-{3,}|={2,}>|={3,}|\.-+>|\.-)/;
+const EDGE_RE = /^(<)?(-{2,}>|-{3,}|={2,}>|={3,}|-\.+->|-\.+-|--[ox](?![\w])|==[ox](?![\w]))/;
+const EDGE_START_RE = /^(?:<?(?:--|==|-\.))/;
+const LABEL_NEEDS_QUOTES_RE = /[()[\]{}"|;<>]/;
+const PASSTHROUGH_RE = /^(classDef|class|style|linkStyle|click)\b/;
+
+function diag(list, severity, code, line, message) {
+  list.push({ severity, code, line, message });
+}
+
+function escapeLabel(text) {
+  return text.replace(/"/g, '#quot;');
+}
+
+// ─── Statement splitting ──────────────────────────────────────────────────────
+
+// Split a line on ';' outside quotes and brackets
+function splitStatements(line) {
+  const out = [];
+  let depth = 0, quoted = false, start = 0;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') quoted = !quoted;
+    else if (quoted) continue;
+    else if ('([{'.includes(ch)) depth++;
+    else if (')]}'.includes(ch)) depth = Math.max(0, depth - 1);
+    else if (ch === ';' && depth === 0) {
+      out.push(line.slice(start, i));
+      start = i + 1;
+    }
+  }
+  out.push(line.slice(start));
+  return out.map(s => s.trim()).filter(Boolean);
+}
+
+// ─── Chain parsing (A[x] --> B{y} -->|Yes| C & D) ─────────────────────────────
+
+class ChainParser {
+  constructor(text, lineNo, diagnostics) {
+    this.s = text;
+    this.pos = 0;
+    this.line = lineNo;
+    this.diagnostics = diagnostics;
+  }
+
+  rest() { return this.s.slice(this.pos); }
+  skipWs() { while (this.pos < this.s.length && /\s/.test(this.s[this.pos])) this.pos++; }
+  atEnd() { this.skipWs(); return this.pos >= this.s.length; }
+
+  parse() {
+    const groups = [];
+    const edges = [];
+    const first = this.parseGroup();
+    if (!first) return null;
+    groups.push(first);
+
+    while (!this.atEnd()) {
+      const edge = this.parseEdge();
+      if (!edge) return null;
+      if (this.atEnd()) {
+        diag(this.diagnostics, 'fixed', 'DANGLING_EDGE', this.line, 'Removed an edge with no target node');
+        break;
+      }
+      const next = this.parseGroup();
+      if (!next) return null;
+      edges.push(edge);
+      groups.push(next);
+    }
+    return { groups, edges };
+  }
+
+  parseGroup() {
+    const nodes = [];
+    for (;;) {
+      this.skipWs();
+      const node = this.parseNode();
+      if (!node) return null;
+      nodes.push(node);
+      this.skipWs();
+      if (this.s[this.pos] !== '&') break;
+      this.pos++;
+    }
+    return nodes;
+  }
+
+  parseNode() {
+    const idMatch = ID_RE.exec(this.rest());
+    let rawId = null;
+    if (idMatch) {
+      rawId = idMatch[0];
+      this.pos += rawId.length;
+      for (let word; (word = ID_WORD_RE.exec(this.rest()));) {
+        rawId += ` ${word[1]}`;
+        this.pos += word[0].length;
+      }
+    }
+
+    // Allow whitespace between the id and its shape
+    const save = this.pos;
+    this.skipWs();
+    const shape = SHAPES.find(sh => this.s.startsWith(sh.open, this.pos));
+    if (!shape || (shape.name === 'asymmetric' && !rawId)) {
+      this.pos = save;
+      return rawId ? { rawId } : null;
+    }
+    if (!rawId) {
+      diag(this.diagnostics, 'fixed', 'MISSING_NODE_ID', this.line, 'Generated an id for a node that had only a shape');
+    }
+    this.pos += shape.open.length;
+    const { label, shapeName, quoted } = this.parseLabel(shape);
+    return { rawId, label, shape: shapeName, quoted };
+  }
+
+  parseLabel(shape) {
+    let shapeName = shape.name;
+    this.skipWs();
+
+    // Quoted label: A["anything (goes)"]
+    if (this.s[this.pos] === '"') {
+      const endQuote = this.s.indexOf('"', this.pos + 1);
+      if (endQuote > -1) {
+        const label = this.s.slice(this.pos + 1, endQuote);
+        this.pos = endQuote + 1;
+        this.skipWs();
+        if (this.s.startsWith(shape.close, this.pos)) {
+          this.pos += shape.close.length;
+        } else {
+          this.consumeStrayClosers();
+          diag(this.diagnostics, 'fixed', 'UNCLOSED_SHAPE', this.line, `Closed ${shape.name} node "${label}"`);
+        }
+        return { label, shapeName, quoted: true };
+      }
+    }
+
+    let depth = 0;
+    let j = this.pos;
+    let label = null;
+    // An edge operator (or |) inside the brackets only ends the label when the
+    // shape is never closed: A[Is this a -- b?] --> B keeps its "--"
+    let edgeAt = -1;
+    for (; j < this.s.length; j++) {
+      const ch = this.s[j];
+      if (depth === 0 && this.s.startsWith(shape.close, j)) {
+        label = this.s.slice(this.pos, j);
+        this.pos = j + shape.close.length;
+        break;
+      }
+      if (depth === 0 && edgeAt === -1 && (EDGE_START_RE.test(this.s.slice(j)) || ch === '|')) edgeAt = j;
+      if ('([{'.includes(ch)) depth++;
+      else if (')]}'.includes(ch)) {
+        if (depth > 0) { depth--; continue; }
+        // A stray closer after an edge belongs to the next node
+        if (edgeAt > -1) break;
+        // Closing bracket that does not match the opener: A([Start)]
+        label = this.s.slice(this.pos, j);
+        this.pos = j;
+        this.consumeStrayClosers();
+        if (shape.name === 'parallelogram') {
+          diag(this.diagnostics, 'fixed', 'PARALLELOGRAM_SYNTAX', this.line, `Rewrote input/output node "${label.trim()}" as [/Label/]`);
+        } else {
+          diag(this.diagnostics, 'fixed', 'MISMATCHED_SHAPE', this.line, `Fixed mismatched brackets on ${shape.name} node "${label.trim()}"`);
+        }
+        break;
+      }
+    }
+    if (label === null && edgeAt > -1) {
+      label = this.s.slice(this.pos, edgeAt);
+      this.pos = edgeAt;
+      diag(this.diagnostics, 'fixed', 'UNCLOSED_SHAPE', this.line, `Closed unbalanced ${shape.name} node "${label.trim()}"`);
+    } else if (label === null) {
+      label = this.s.slice(this.pos);
+      this.pos = this.s.length;
+      diag(this.diagnostics, 'fixed', 'UNCLOSED_SHAPE', this.line, `Closed unbalanced ${shape.name} node "${label.trim()}"`);
+    }
+
+    label = label.trim();
+    if (shape.name === 'parallelogram') {
+      const stripped = label.replace(/^\/+/, '').replace(/\/+$/, '').trim();
+      if (stripped !== label) {
+        diag(this.diagnostics, 'fixed', 'PARALLELOGRAM_SYNTAX', this.line, `Normalised input/output node "${stripped}"`);
+      }
+      label = stripped;
+    } else if (shape.name === 'rect' && /^\/.*\/$/.test(label) && label.length > 1) {
+      // [ /Label/ ] — spacing broke the parallelogram opener
+      label = label.slice(1, -1).trim();
+      shapeName = 'parallelogram';
+      diag(this.diagnostics, 'fixed', 'PARALLELOGRAM_SYNTAX', this.line, `Rewrote input/output node "${label}" as [/Label/]`);
+    }
+    return { label, shapeName, quoted: false };
+  }
+
+  consumeStrayClosers() {
+    while (this.pos < this.s.length && ')]}/\\'.includes(this.s[this.pos])) this.pos++;
+  }
+
+  parseEdge() {
+    this.skipWs();
+    const rest = this.rest();
+    let m = EDGE_TEXT_RE.exec(rest);
+    if (m) {
+      this.pos += m[0].length;
+      const dotted = m[2] === '-.';
+      const thick = m[2] === '==';
+      const arrow = m[4].endsWith('>');
+      const op = dotted ? (arrow ? '-.->' : '-.-') : thick ? (arrow ? '==>' : '===') : (arrow ? '-->' : '---');
+      return { op: (m[1] || '') + op, label: m[3].trim() };
+    }
+    m = EDGE_RE.exec(rest);
+    if (!m) return null;
+    this.pos += m[0].length;
+    let label = null;
+    this.skipWs();
+    if (this.s[this.pos] === '|') {
+      const close = this.s.indexOf('|', this.pos + 1);
+      if (close > -1) {
+        label = this.s.slice(this.pos + 1, close).trim().replace(/^"(.*)"$/, '$1');
+        this.pos = close + 1;
+      } else {
+        label = this.s.slice(this.pos + 1).trim();
+        this.pos = this.s.length;
+        diag(this.diagnostics, 'error', 'UNCLOSED_EDGE_LABEL', this.line, `Edge label "${label}" is missing its closing |`);
+        return null;
+      }
+    }
+    return { op: m[0], label };
+  }
+}
+
+// ─── Node id normalisation ────────────────────────────────────────────────────
+
+class IdRegistry {
+  constructor(diagnostics) {
+    this.map = new Map();
+    this.used = new Set();
+    this.generated = 0;
+    this.diagnostics = diagnostics;
+  }
+
+  resolve(rawId, lineNo) {
+    if (rawId == null) {
+      let id;
+      do { id = `N${++this.generated}`; } while (this.used.has(id));
+      this.used.add(id);
+      return id;
+    }
+    if (this.map.has(rawId)) return this.map.get(rawId);
+
+    let id = rawId.replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'N';
+    if (/^[0-9]/.test(id)) id = `N${id}`;
+    if (RESERVED_IDS.has(id.toLowerCase()) && id === id.toLowerCase()) {
+      id = id.toUpperCase();
+      diag(this.diagnostics, 'fixed', 'RESERVED_NODE_ID', lineNo, `Renamed reserved node id "${rawId}" to "${id}"`);
+    } else if (id !== rawId) {
+      diag(this.diagnostics, 'fixed', 'INVALID_NODE_ID', lineNo, `Renamed node id "${rawId}" to "${id}"`);
+    }
+    const base = id;
+    for (let n = 2; this.used.has(id); n++) id = `${base}_${n}`;
+    this.used.add(id);
+    this.map.set(rawId, id);
+    return id;
+  }
+}
+
+// ─── Serialisation ────────────────────────────────────────────────────────────
+
+function formatLabel(label, quoted, lineNo, diagnostics) {
+  if (quoted || LABEL_NEEDS_QUOTES_RE.test(label)) {
+    if (!quoted) diag(diagnostics, 'fixed', 'QUOTED_LABEL', lineNo, `Quoted label containing special characters: ${label}`);
+    return `"${escapeLabel(label)}"`;
+  }
+  return label;
+}
+
+function formatNode(node) {
+  if (!node.shape) return node.id;
+  const shape = SHAPE_BY_NAME[node.shape];
+  return `${node.id}${shape.open}${node.text}${shape.close}`;
+}
+
+function formatEdgeLabel(label) {
+  if (/["|[\]{}()]/.test(label)) return `|"${escapeLabel(label)}"|`;
+  return `|${label}|`;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Parse, validate and deterministically repair a Mermaid flowchart.
+ * Returns { code, valid, direction, nodes, edges, diagnostics }.
+ * With dropUnparseable, lines that cannot be parsed are removed (and reported)
+ * instead of being left as errors.
+ */
+function parseFlowchart(source, { dropUnparseable = false } = {}) {
+  const diagnostics = [];
+  const lines = String(source || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((text, i) => ({ text: text.trim(), no: i + 1 }))
+    .filter(l => l.text && !/^```/.test(l.text));
+
+  // Header: drop any prose the model put before it
+  let direction = 'TD';
+  let keyword = 'flowchart';
+  const headerIdx = lines.findIndex(l => /^(flowchart|graph)\b/i.test(l.text));
+  if (headerIdx === -1) {
+    diag(diagnostics, 'fixed', 'MISSING_HEADER', 1, 'Added missing "flowchart TD" header');
+  } else {
+    if (headerIdx > 0) {
+      diag(diagnostics, 'fixed', 'PREAMBLE_REMOVED', lines[0].no, `Removed ${headerIdx} line(s) of text before the flowchart header`);
+    }
+    const header = lines[headerIdx];
+    const m = /^(flowchart|graph)\s*([A-Za-z]{2})?\s*;?\s*(.*)$/i.exec(header.text);
+    keyword = m[1].toLowerCase();
+    const dir = (m[2] || '').toUpperCase();
+    if (DIRECTIONS.includes(dir)) {
+      direction = dir;
+    } else {
+      diag(diagnostics, 'fixed', 'INVALID_DIRECTION', header.no, `Replaced direction "${m[2] || ''}" with TD`);
+    }
+    lines.splice(0, headerIdx + 1);
+    // "flowchart TD A --> B" on a single line
+    if (m[3]) lines.unshift({ text: m[3], no: header.no });
+  }
+
+  const ids = new IdRegistry(diagnostics);
+  const nodes = new Map();
+  const edges = [];
+  const out = [`${keyword} ${direction}`];
+  let subgraphDepth = 0;
+  const indent = () => '    '.repeat(subgraphDepth + 1);
+
+  const registerNode = (ref, lineNo) => {
+    const id = ids.resolve(ref.rawId, lineNo);
+    const node = { id, shape: ref.shape || null };
+    if (ref.shape) {
+      let label = ref.label;
+      if (!label) {
+        label = ref.rawId || id;
+        diag(diagnostics, 'fixed', 'EMPTY_LABEL', lineNo, `Used the node id as label for empty node "${id}"`);
+      }
+      node.label = label;
+      node.text = formatLabel(label, ref.quoted, lineNo, diagnostics);
+      nodes.set(id, { id, label, shape: ref.shape });
+    } else if (!nodes.has(id)) {
+      // A bare id written with spaces ("other node") keeps its words as the label
+      if (/\s/.test(ref.rawId || '')) return registerNode({ ...ref, shape: 'rect', label: ref.rawId }, lineNo);
+      nodes.set(id, { id, label: id, shape: null });
+    }
+    return node;
+  };
+
+  for (const line of lines) {
+    for (const stmt of splitStatements(line.text)) {
+      if (/^%%/.test(stmt) || PASSTHROUGH_RE.test(stmt) || /^direction\s+(TB|TD|BT|RL|LR)$/.test(stmt)) {
+        out.push(indent() + stmt);
+        continue;
+      }
+      if (/^subgraph\b/.test(stmt)) {
+        out.push(indent() + stmt);
+        subgraphDepth++;
+        continue;
+      }
+      if (stmt === 'end') {
+        if (subgraphDepth === 0) {
+          diag(diagnostics, 'fixed', 'UNBALANCED_SUBGRAPH', line.no, 'Removed "end" with no matching subgraph');
+        } else {
+          subgraphDepth--;
+          out.push(indent() + stmt);
+        }
+        continue;
+      }
+
+      const before = diagnostics.length;
+      const chain = new ChainParser(stmt, line.no, diagnostics).parse();
+      if (!chain) {
+        diagnostics.splice(before);
+        if (dropUnparseable) {
+          diag(diagnostics, 'fixed', 'UNPARSEABLE_LINE', line.no, `Removed line that could not be parsed: ${stmt}`);
+        } else {
+          diag(diagnostics, 'error', 'UNPARSEABLE_LINE', line.no, `Could not parse: ${stmt}`);
+          out.push(indent() + stmt);
+        }
+        continue;
+      }
+
+      const groups = chain.groups.map(group => group.map(ref => registerNode(ref, line.no)));
+      let text = groups[0].map(formatNode).join(' & ');
+      chain.edges.forEach((edge, i) => {
+        const label = edge.label ? formatEdgeLabel(edge.label) : '';
+        text += ` ${edge.op}${label} ${groups[i + 1].map(formatNode).join(' & ')}`;
+        for (const from of groups[i]) {
+          for (const to of groups[i + 1]) {
+            edges.push({ from: from.id, to: to.id, label: edge.label || null, op: edge.op });
+          }
+        }
+      });
+      out.push(indent() + text);
+    }
+  }
+
+  while (subgraphDepth > 0) {
+    subgraphDepth--;
+    out.push(indent() + 'end');
+    diag(diagnostics, 'fixed', 'UNBALANCED_SUBGRAPH', null, 'Closed a subgraph that was missing its "end"');
+  }
+
+  if (nodes.size === 0) {
+    diag(diagnostics, 'error', 'EMPTY_FLOWCHART', null, 'The flowchart contains no nodes');
+  }
+
+  return {
+    code: out.join('\n'),
+    valid: !diagnostics.some(d => d.severity === 'error'),
+    direction,
+    nodes: [...nodes.values()],
+    edges,
+    diagnostics,
+  };
+}
+
+/** Prompt asking the model to fix a flowchart given the parser's errors. */
+function buildRepairPrompt(code, diagnostics) {
+  const errors = diagnostics
+    .filter(d => d.severity === 'error')
+    .map(d => `- ${d.line ? `line ${d.line}: ` : ''}${d.message}`)
+    .join('\n');
+  return `The following Mermaid.js flowchart failed to parse. Fix it so it is valid Mermaid while keeping every node, edge and label from the original drawing.
+
+Parse errors:
+${errors}
+
+Rules:
+- Start with: flowchart TD
+- Node ids: letters, digits and underscores only
+- Shapes: [Label] process, {Label} decision, ([Label]) start/end, [/Label/] input/output
+- Wrap any label containing quotes, brackets or parentheses in double quotes
+- Output ONLY the corrected Mermaid code. No code fences, no explanation.
+
+Flowchart:
+${code}`;
+}
+
+// ─── Other diagram types ──────────────────────────────────────────────────────
+
+function sourceLines(source) {
+  return String(source || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((text, i) => ({ raw: text.replace(/\s+$/, ''), text: text.trim(), no: i + 1 }))
+    .filter(l => l.text && !/^```/.test(l.text));
+}
+
+// Drop prose before the `keyword` header line (or note that it was missing)
+function stripToHeader(lines, keyword, diagnostics) {
+  const headerIdx = lines.findIndex(l => new RegExp(`^${keyword}\\b`, 'i').test(l.text));
+  if (headerIdx === -1) {
+    diag(diagnostics, 'fixed', 'MISSING_HEADER', 1, `Added missing "${keyword}" header`);
+    return lines;
+  }
+  if (headerIdx > 0) {
+    diag(diagnostics, 'fixed', 'PREAMBLE_REMOVED', lines[0].no, `Removed ${headerIdx} line(s) of text before the ${keyword} header`);
+  }
+  return lines.slice(headerIdx + 1);
+}
+
+const SEQ_PARTICIPANT_RE = /^(participant|actor)\s+([^\s:]+)(?:\s+as\s+(.+))?$/i;
+const SEQ_MESSAGE_RE = /^([^\s:<>-][^:<>]*?)\s*(-->>|->>|-->|->|--x|-x|--\)|-\))\s*([+-]?)\s*([^:]+?)\s*(?::\s*(.*))?$/;
+const SEQ_NOTE_RE = /^note\s+(left of|right of|over)\s+[^:]+:.*$/i;
+const SEQ_BLOCK_RE = /^(loop|alt|opt|par|critical|break|rect|box)\b/i;
+const SEQ_MIDDLE_RE = /^(else|and|option)\b/i;
+const SEQ_PASSTHROUGH_RE = /^(autonumber|title\b|activate\s|deactivate\s|create\s|destroy\s|%%)/i;
+
+/**
+ * Validate / repair a Mermaid sequenceDiagram.
+ * Returns { code, valid, participants, messages, diagnostics }.
+ */
+function checkSequenceDiagram(source, { dropUnparseable = false } = {}) {
+  const diagnostics = [];
+  const lines = stripToHeader(sourceLines(source), 'sequenceDiagram', diagnostics);
+
+  const out = ['sequenceDiagram'];
+  const participants = [];
+  const addParticipant = id => { if (!participants.includes(id)) participants.push(id); };
+  let messages = 0;
+  let depth = 0;
+  const indent = () => '    '.repeat(depth + 1);
+
+  for (const line of lines) {
+    const { text, no } = line;
+    let m;
+    if (/^end$/i.test(text)) {
+      if (depth === 0) {
+        diag(diagnostics, 'fixed', 'UNBALANCED_BLOCK', no, 'Removed "end" with no matching block');
+        continue;
+      }
+      depth--;
+      out.push(indent() + 'end');
+    } else if (SEQ_BLOCK_RE.test(text)) {
+      out.push(indent() + text);
+      depth++;
+    } else if (SEQ_MIDDLE_RE.test(text)) {
+      if (depth === 0) diag(diagnostics, 'error', 'UNBALANCED_BLOCK', no, `"${text}" outside an alt / par / critical block`);
+      out.push('    '.repeat(Math.max(depth, 1)) + text);
+    } else if ((m = SEQ_PARTICIPANT_RE.exec(text))) {
+      addParticipant(m[2]);
+      out.push(indent() + text);
+    } else if (SEQ_NOTE_RE.test(text) || SEQ_PASSTHROUGH_RE.test(text)) {
+      out.push(indent() + text);
+    } else if ((m = SEQ_MESSAGE_RE.exec(text))) {
+      const [, from, arrow, activation, to, label] = m;
+      if (/\s/.test(from.trim()) || /\s/.test(to)) {
+        diag(diagnostics, 'error', 'INVALID_PARTICIPANT', no, `Participant ids cannot contain spaces: ${text}`);
+      }
+      if (label === undefined) diag(diagnostics, 'fixed', 'MISSING_MESSAGE_TEXT', no, `Added the ":" a message needs: ${text}`);
+      addParticipant(from.trim());
+      addParticipant(to);
+      messages++;
+      out.push(`${indent()}${from.trim()}${arrow}${activation}${to}: ${label || ''}`.trimEnd());
+    } else if (dropUnparseable) {
+      diag(diagnostics, 'fixed', 'UNPARSEABLE_LINE', no, `Removed line that could not be parsed: ${text}`);
+    } else {
+      diag(diagnostics, 'error', 'UNPARSEABLE_LINE', no, `Could not parse: ${text}`);
+      out.push(indent() + text);
+    }
+  }
+
+  while (depth > 0) {
+    depth--;
+    out.push(indent() + 'end');
+    diag(diagnostics, 'fixed', 'UNBALANCED_BLOCK', null, 'Closed a block that was missing its "end"');
+  }
+  if (!messages && !participants.length) {
+    diag(diagnostics, 'error', 'EMPTY_DIAGRAM', null, 'The sequence diagram contains no participants or messages');
+  }
+
+  return { code: out.join('\n'), valid: !diagnostics.some(d => d.severity === 'error'), participants, messages, diagnostics };
+}
+
+/**
+ * Validate / repair a Mermaid mindmap: tabs → spaces, indentation normalised
+ * to two spaces per level, extra top-level nodes nested under the first root.
+ * Returns { code, valid, root, nodes, diagnostics }.
+ */
+function checkMindmap(source) {
+  const diagnostics = [];
+  let lines = stripToHeader(sourceLines(source), 'mindmap', diagnostics);
+
+  if (lines.some(l => /\t/.test(l.raw))) {
+    diag(diagnostics, 'fixed', 'TABS_REPLACED', null, 'Replaced tab indentation with spaces');
+    lines = lines.map(l => ({ ...l, raw: l.raw.replace(/\t/g, '    ') }));
+  }
+  lines = lines.filter(l => !l.text.startsWith('%%'));
+  if (!lines.length) {
+    diag(diagnostics, 'error', 'EMPTY_DIAGRAM', null, 'The mindmap contains no nodes');
+    return { code: 'mindmap', valid: false, root: null, nodes: 0, diagnostics };
+  }
+
+  // Depth from indentation: a stack of the indent widths of open ancestors.
+  // Anything indented no deeper than the root is another root, which Mermaid
+  // rejects, so it becomes a first-level branch instead.
+  const indentOf = line => line.raw.length - line.raw.trimStart().length;
+  const rootWidth = indentOf(lines[0]);
+  const widths = [];
+  const out = ['mindmap'];
+  lines.forEach((line, i) => {
+    const width = indentOf(line);
+    let level;
+    if (i > 0 && width <= rootWidth) {
+      diag(diagnostics, 'fixed', 'MULTIPLE_ROOTS', line.no, `Nested top-level node "${line.text}" under the root`);
+      widths.length = 0;
+      widths.push(-1, width);
+      level = 1;
+    } else {
+      while (widths.length && widths[widths.length - 1] >= width) widths.pop();
+      level = widths.length;
+      widths.push(width);
+    }
+    out.push('  '.repeat(level + 1) + line.text);
+  });
+
+  return {
+    code: out.join('\n'),
+    valid: !diagnostics.some(d => d.severity === 'error'),
+    root: lines[0].text,
+    nodes: lines.length,
+    diagnostics,
+  };
+}
+
+module.exports = { parseFlowchart, buildRepairPrompt, checkSequenceDiagram, checkMindmap };
@@ -0,0 +1,132 @@
+// ─── Prometheus metrics ───────────────────────────────────────────────────────
+//
+// A small registry in the Prometheus text format (0.0.4), served at /metrics:
+// counters, gauges and histograms with labels. Counters and gauges can
+// instead be read at scrape time with a collect() callback, for state kept
+// elsewhere (the browser pool's stats, say).
+//
+// The instruments the app records live at the bottom: HTTP latency per
+// route, LLM call latency and tokens per model, PDF render durations, and
+// failures by error class.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+// Label values are escaped per the exposition format
+const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const labelText = labels => {
+  const pairs = Object.entries(labels).filter(([, v]) => v !== undefined);
+  return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}` : '';
+};
+
+function createRegistry({ prefix = '' } = {}) {
+  const metrics = new Map();
+
+  function define(type, name, help, labelNames, extra = {}) {
+    const fullName = prefix + name;
+    if (metrics.has(fullName)) throw new Error(`Metric ${fullName} is already registered`);
+    // series key → { labels, ... }
+    const series = new Map();
+    const metric = { type, name: fullName, help, labelNames, series, ...extra };
+    metrics.set(fullName, metric);
+
+    metric.seriesFor = (labels = {}) => {
+      const picked = Object.fromEntries(labelNames.map(l => [l, labels[l] ?? '']));
+      const key = JSON.stringify(picked);
+      if (!series.has(key)) series.set(key, metric.init(picked));
+      return series.get(key);
+    };
+    return metric;
+  }
+
+  /** counter(name, help, labelNames, collect?) → { inc(labels, by = 1) }; collect() → [{ labels, value }] */
+  function counter(name, help, labelNames = [], collect = null) {
+    const metric = define('counter', name, help, labelNames, { init: labels => ({ labels, value: 0 }), collect });
+    return {
+      inc(labels, by = 1) { metric.seriesFor(labels).value += by; },
+    };
+  }
+
+  /** gauge(name, help, labelNames, collect?) → { set(labels, value) }; collect() → [{ labels, value }] */
+  function gauge(name, help, labelNames = [], collect = null) {
+    const metric = define('gauge', name, help, labelNames, { init: labels => ({ labels, value: 0 }), collect });
+    return {
+      set(labels, value) { metric.seriesFor(labels).value = value; },
+    };
+  }
+
+  /** histogram(name, help, labelNames, buckets) → { observe(labels, value), startTimer(labels) } */
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const sorted = [...buckets].sort((a, b) => a - b);
+    const metric = define('histogram', name, help, labelNames, {
+      buckets: sorted,
+      init: labels => ({ labels, counts: sorted.map(() => 0), sum: 0, count: 0 }),
+    });
+    const observe = (labels, value) => {
+      const s = metric.seriesFor(labels);
+      sorted.forEach((bound, i) => { if (value <= bound) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    };
+    return {
+      observe,
+      // → end(moreLabels) observes the seconds since startTimer
+      startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (more = {}) => observe({ ...labels, ...more }, Number(process.hrtime.bigint() - start) / 1e9);
+      },
+    };
+  }
+
+  function seriesLines(metric) {
+    if (metric.type !== 'histogram') {
+      const values = metric.collect ? metric.collect() : [...metric.series.values()];
+      return values.map(s => `${metric.name}${labelText(s.labels || {})} ${s.value}`);
+    }
+    return [...metric.series.values()].flatMap(s => [
+      ...metric.buckets.map((bound, i) => `${metric.name}_bucket${labelText({ ...s.labels, le: bound })} ${s.counts[i]}`),
+      `${metric.name}_bucket${labelText({ ...s.labels, le: '+Inf' })} ${s.count}`,
+      `${metric.name}_sum${labelText(s.labels)} ${s.sum}`,
+      `${metric.name}_count${labelText(s.labels)} ${s.count}`,
+    ]);
+  }
+
+  /** Every metric in the text exposition format. */
+  function expose() {
+    const blocks = [];
+    for (const metric of metrics.values()) {
+      let lines;
+      try {
+        lines = seriesLines(metric);
+      } catch {
+        lines = []; // a failing collect() shouldn't take the whole scrape down
+      }
+      blocks.push(`# HELP ${metric.name} ${metric.help}\n# TYPE ${metric.name} ${metric.type}${lines.length ? `\n${lines.join('\n')}` : ''}`);
+    }
+    return `${blocks.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, expose };
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// ─── Application metrics ──────────────────────────────────────────────────────
+
+const registry = createRegistry({ prefix: 'inkparse_' });
+
+const metrics = {
+  httpRequestDuration: registry.histogram('http_request_duration_seconds',
+    'HTTP request latency by route pattern, method and status', ['method', 'route', 'status']),
+  llmRequestDuration: registry.histogram('llm_request_duration_seconds',
+    'LLM call latency by provider, model, route and outcome', ['provider', 'model', 'route', 'outcome']),
+  llmTokens: registry.counter('llm_tokens_total',
+    'LLM tokens by provider, model and kind (prompt | completion)', ['provider', 'model', 'kind']),
+  pdfRenderDuration: registry.histogram('pdf_render_duration_seconds',
+    'HTML → PDF render time by outcome', ['outcome'], [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60]),
+  pdfRenderFailures: registry.counter('pdf_render_failures_total',
+    'Failed PDF renders by error class and code', ['error', 'code']),
+  errors: registry.counter('errors_total',
+    'Error responses by error class, code and status', ['error', 'code', 'status']),
+};
+
+module.exports = { createRegistry, registry, metrics, CONTENT_TYPE, DEFAULT_BUCKETS };
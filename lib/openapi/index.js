@@ -0,0 +1,142 @@
+// ─── Request / response validation from the OpenAPI document ─────────────────
+//
+// validate(operationId) is route middleware: it checks the path, query and
+// body of the request against that operation in ./spec and answers a
+// mismatch with the error envelope — VALIDATION_FAILED (400), or
+// INPUT_TOO_LARGE (413) when a size limit is what failed. Place it after
+// any multer middleware so multipart fields are there to check. Multipart
+// fields and query strings arrive as text, so they're coerced to the
+// schema's types; JSON bodies are checked as sent.
+//
+// JSON responses are checked too. OPENAPI_VALIDATE_RESPONSES: warn (default)
+// logs mismatches, strict turns them into a 500 RESPONSE_INVALID, off skips.
+
+const Ajv = require('ajv');
+const { OPENAPI_SPEC } = require('./spec');
+const { ApiError, sendError } = require('../errors');
+const { logger } = require('../logger');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const SIZE_KEYWORDS = ['maxLength', 'maxItems', 'maxProperties'];
+const SPEC_ID = 'openapi.json';
+
+// JSON pointer fragment into the spec
+const pointer = (...segments) => `${SPEC_ID}#/${segments.map(s => encodeURIComponent(String(s).replace(/~/g, '~0').replace(/\//g, '~1'))).join('/')}`;
+
+function createAjv(spec, coerceTypes) {
+  // strict: false because the spec document itself is not a schema
+  const ajv = new Ajv({ allErrors: true, strict: false, allowUnionTypes: true, coerceTypes });
+  ajv.addFormat('binary', true);
+  ajv.addSchema(spec, SPEC_ID);
+  return ajv;
+}
+
+// operationId → { path, method, operation, parameters }
+function operationsOf(spec) {
+  const operations = new Map();
+  for (const [path, item] of Object.entries(spec.paths)) {
+    for (const method of METHODS.filter(m => item[m])) {
+      const operation = item[method];
+      const parameters = [...(item.parameters || []), ...(operation.parameters || [])];
+      operations.set(operation.operationId, { path, method, operation, parameters });
+    }
+  }
+  return operations;
+}
+
+// Parameters in one location as an object schema
+function parameterSchema(parameters, location) {
+  const wanted = parameters.filter(p => p.in === location);
+  if (!wanted.length) return null;
+  return {
+    type: 'object',
+    properties: Object.fromEntries(wanted.map(p => [p.name, p.schema || {}])),
+    required: wanted.filter(p => p.required).map(p => p.name),
+  };
+}
+
+// One ajv error as "body/format must be equal to one of the allowed values (pdf, docx)"
+const describe = (location, e) => `${location}${e.instancePath} ${e.message}`
+  + (e.keyword === 'enum' ? ` (${e.params.allowedValues.filter(v => typeof v !== 'boolean').join(', ')})` : '')
+  + (e.keyword === 'additionalProperties' ? ` (${e.params.additionalProperty})` : '');
+
+// if / then and allOf wrappers only say that a branch failed; the branch's own errors say why
+const meaningful = errors => errors.filter(e => e.keyword !== 'if' && e.keyword !== 'allOf');
+
+/**
+ * Compile validators for every operation in `spec` (default: ./spec).
+ * Returns validate(operationId) → express middleware.
+ */
+function createValidator(spec = OPENAPI_SPEC, { responses = process.env.OPENAPI_VALIDATE_RESPONSES || 'warn' } = {}) {
+  const plain = createAjv(spec, false);
+  const coercing = createAjv(spec, 'array');
+  const operations = operationsOf(spec);
+
+  function compileRequest({ path, method, operation, parameters }) {
+    const checks = [];
+    for (const location of ['path', 'query']) {
+      const schema = parameterSchema(parameters, location);
+      if (schema) checks.push({ location, read: req => (location === 'path' ? req.params : req.query), validate: coercing.compile(schema) });
+    }
+    for (const type of Object.keys(operation.requestBody?.content || {})) {
+      const multipart = type === 'multipart/form-data';
+      const validate = (multipart ? coercing : plain).getSchema(pointer('paths', path, method, 'requestBody', 'content', type, 'schema'));
+      checks.push({ location: 'body', type, read: req => req.body || {}, validate });
+    }
+    // → { problems: [messages], tooLarge }
+    return req => {
+      const bodyType = req.is('multipart/form-data') ? 'multipart/form-data' : 'application/json';
+      const errors = [];
+      for (const check of checks) {
+        if (check.type && check.type !== bodyType) continue;
+        if (!check.validate(check.read(req))) errors.push(...meaningful(check.validate.errors).map(e => ({ ...e, location: check.location })));
+      }
+      return {
+        problems: errors.map(e => describe(e.location, e)),
+        tooLarge: errors.some(e => SIZE_KEYWORDS.includes(e.keyword)),
+      };
+    };
+  }
+
+  function compileResponses({ path, method, operation }) {
+    const byStatus = {};
+    for (const [status, response] of Object.entries(operation.responses || {})) {
+      if (response.content?.['application/json']) {
+        byStatus[status] = plain.getSchema(pointer('paths', path, method, 'responses', status, 'content', 'application/json', 'schema'));
+      }
+    }
+    return byStatus;
+  }
+
+  function checkResponses(res, operationId, byStatus) {
+    const json = res.json.bind(res);
+    res.json = body => {
+      const validate = byStatus[res.statusCode] || byStatus.default;
+      if (!validate || validate(body)) return json(body);
+
+      const problems = meaningful(validate.errors).map(e => describe('response', e));
+      logger.warn('Response does not match the OpenAPI spec', { operationId, status: res.statusCode, problems });
+      if (responses !== 'strict') return json(body);
+      res.json = json;
+      return sendError(res, new ApiError('Response did not match the API contract', 500, 'RESPONSE_INVALID', problems));
+    };
+  }
+
+  return function validate(operationId) {
+    const entry = operations.get(operationId);
+    if (!entry) throw new Error(`No operation "${operationId}" in the OpenAPI spec`);
+    const checkRequest = compileRequest(entry);
+    const byStatus = responses === 'off' ? {} : compileResponses(entry);
+
+    return (req, res, next) => {
+      if (Object.keys(byStatus).length) checkResponses(res, operationId, byStatus);
+      const { problems, tooLarge } = checkRequest(req);
+      if (!problems.length) return next();
+      sendError(res, tooLarge
+        ? new ApiError('Request is over a size limit', 413, 'INPUT_TOO_LARGE', problems)
+        : new ApiError('Request does not match the API contract', 400, 'VALIDATION_FAILED', problems));
+    };
+  };
+}
+
+module.exports = { createValidator, OPENAPI_SPEC };
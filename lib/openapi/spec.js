@@ -0,0 +1,833 @@
+// ─── OpenAPI 3.1 document ─────────────────────────────────────────────────────
+//
+// The contract for every route in inkparse-server.js, served at
+// /api/openapi.json. It is also what requests and responses are validated
+// against (./index), so a field added to a route belongs here too. Schemas
+// the libraries already own (call-doc, theme, state machine) are reused
+// rather than restated.
+
+const { version } = require('../../package.json');
+const { CALL_DOC_SCHEMA } = require('../callDoc');
+const { STATE_MACHINE_SCHEMA } = require('../stateMachine');
+const { THEME_SCHEMA } = require('../themes');
+const { ANALYSIS_TYPES, analysisModes } = require('../analysisTypes');
+const { PAGE_SIZES } = require('../pdf');
+const { sandboxConfig } = require('../renderSandbox');
+const { EXPORT_FORMATS, MAX_IMAGE_PAGES } = require('../export');
+const { MAX_TRANSCRIPTS } = require('../evaluation');
+const { LANGUAGES } = require('../languages');
+const { SKETCH_STAGES_SCHEMA, MAX_CHANNELS } = require('../sketch');
+
+// Input limits; size violations are answered with a 413
+const MAX_PROMPT_CHARS = Number(process.env.API_MAX_PROMPT_CHARS) || 100000;
+const MAX_INSTRUCTION_CHARS = Number(process.env.API_MAX_INSTRUCTION_CHARS) || 4000;
+const MAX_HTML_CHARS = sandboxConfig().maxHtmlBytes;
+const MAX_NAME_CHARS = 200;
+
+// ─── Building blocks ──────────────────────────────────────────────────────────
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const text = (maxLength, description) => ({ type: 'string', maxLength, ...(description && { description }) });
+const name = description => text(MAX_NAME_CHARS, description);
+const prompt = description => text(MAX_PROMPT_CHARS, description);
+// JSON booleans, or the strings multipart forms send
+const flag = description => ({ type: ['boolean', 'string'], enum: [true, false, 'true', 'false'], description });
+const binary = { type: 'string', format: 'binary' };
+const strings = { type: 'array', items: { type: 'string' } };
+
+const analysisTypes = Object.keys(ANALYSIS_TYPES);
+const analysisModeNames = [...new Set(analysisTypes.flatMap(analysisModes))];
+const exportFormats = [...new Set(Object.values(EXPORT_FORMATS).flat()), 'jpg'];
+
+const llmOverrides = {
+  provider: name('LLM provider for this request, one of the configured ones (openai | compatible | azure | anthropic | mock); default from LLM_PROVIDER'),
+  model: name('Model for this request: the default, an env-configured one or one listed in LLM_ALLOWED_MODELS; default from LLM_MODEL / the provider'),
+};
+
+const docFields = {
+  client: name('Client name; docs with a client are stored (Route 6)'),
+  product: name(),
+  version: name('Defaults to v1.0'),
+  theme: name('Theme id (see /api/themes)'),
+  minCoverage: { type: 'number', minimum: 0, maximum: 1, description: 'Regenerate when source coverage is below this' },
+  language: { type: 'string', maxLength: 40, description: `Code or name: ${Object.keys(LANGUAGES).join(', ')}` },
+  bilingual: flag('The language and English side by side'),
+  store: { type: 'boolean', description: 'false skips storing the doc' },
+  ...llmOverrides,
+};
+
+const jsonContent = schema => ({ 'application/json': { schema } });
+const jsonBody = (schema, required = true) => ({ required, content: jsonContent(schema) });
+const ok = (schema, description = 'OK') => ({ description, content: jsonContent(schema) });
+const file = (type, description) => ({ description, content: { [type]: { schema: binary } } });
+
+// Success envelope: { success: true, ...properties }
+const success = (properties = {}, required = []) => ({
+  type: 'object',
+  required: ['success', ...required],
+  properties: { success: { const: true }, ...properties },
+});
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request (VALIDATION_FAILED and others)',
+  401: 'Missing or invalid API key',
+  403: 'Not allowed for this key',
+  404: 'Not found',
+  409: 'Conflict with the current state',
+  413: 'Input over a size limit',
+  422: 'Input could not be processed',
+  429: 'Rate limit, quota or renderer capacity reached',
+  502: 'The model returned unusable output',
+  503: 'Renderer unavailable',
+  504: 'Render timed out',
+};
+const errors = (...statuses) => Object.fromEntries([...statuses, 500].map(status => [
+  status,
+  { description: ERROR_DESCRIPTIONS[status] || 'Unexpected error', content: jsonContent(ref('Error')) },
+]));
+
+const pathParam = (paramName, schema = { type: 'string' }) => ({ name: paramName, in: 'path', required: true, schema });
+const queryParam = (paramName, schema, description) => ({ name: paramName, in: 'query', schema, ...(description && { description }) });
+const docKind = { enum: ['doc', 'workflow'] };
+const docPath = [pathParam('tenant'), pathParam('client'), pathParam('product'), pathParam('version'), pathParam('kind', docKind)];
+const docsTenant = queryParam('tenant', name(), 'Admin keys: whose docs (default: every tenant\'s when listing, your own otherwise)');
+const themesTenant = queryParam('tenant', name(), 'Admin keys: whose themes (default: your own)');
+
+const PUBLIC = [];
+
+// ─── Components ───────────────────────────────────────────────────────────────
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['success', 'error', 'code'],
+    properties: {
+      success: { const: false },
+      error: { type: 'string', description: 'Human-readable message' },
+      code: { type: 'string', pattern: '^[A-Z][A-Z0-9_]*$', description: 'Machine-readable code, e.g. VALIDATION_FAILED, QUOTA_EXCEEDED' },
+      details: { description: 'Validation errors or diagnostics, when there are any' },
+      requestId: { type: 'string', description: 'Same as the X-Request-Id header; quote it when reporting a problem' },
+    },
+  },
+  CallDoc: CALL_DOC_SCHEMA,
+  StateMachine: STATE_MACHINE_SCHEMA,
+  // On PUT the id comes from the path
+  Theme: { ...THEME_SCHEMA, required: ['name'] },
+
+  AnalyzeOptions: {
+    type: 'object',
+    properties: {
+      type: { enum: analysisTypes, description: 'Defaults to notes' },
+      mode: { enum: analysisModeNames, description: 'Variant of the type (see /api/analyze/types)' },
+      pageMarkers: flag('Mark page boundaries in multi-page output'),
+      ...llmOverrides,
+    },
+  },
+  WorkflowDocRequest: {
+    type: 'object',
+    required: ['prompt'],
+    properties: { prompt: prompt('The workflow / call flow prompt'), ...docFields },
+  },
+  SketchStages: SKETCH_STAGES_SCHEMA,
+  SketchWorkflowRequest: {
+    type: 'object',
+    description: 'Input is, in order of preference: corrected stages, corrected mermaid, or the sketch image(s)',
+    properties: {
+      mermaid: prompt('Corrected Mermaid flowchart from an earlier response, instead of an image'),
+      channels: {
+        type: ['array', 'string'],
+        maxItems: MAX_CHANNELS,
+        items: name(),
+        description: 'Channel names for the speech bubbles; an array or comma-separated',
+      },
+      pdf: flag('Also render the PDF (counts against the PDF quota)'),
+      filename: name('PDF file name'),
+      ...docFields,
+    },
+  },
+  CallDocRequest: {
+    type: 'object',
+    description: 'At least one of scriptPrompt and evalPrompt',
+    properties: {
+      scriptPrompt: prompt('The call script / agent prompt'),
+      evalPrompt: prompt('The call evaluation prompt'),
+      mode: { enum: ['structured', 'freeform'], description: 'structured (default) extracts JSON and renders it; freeform writes HTML in one pass' },
+      ...docFields,
+    },
+  },
+  PdfRequest: {
+    type: 'object',
+    required: ['html'],
+    properties: { html: text(MAX_HTML_CHARS), filename: name() },
+  },
+  EvaluateRequest: {
+    type: 'object',
+    properties: {
+      evalPrompt: prompt(),
+      id: name('A stored doc whose eval prompt (and extracted spec) to use'),
+      doc: ref('CallDoc'),
+      transcripts: {
+        type: 'array',
+        maxItems: MAX_TRANSCRIPTS,
+        items: { type: ['string', 'object'], description: 'Transcript text, or { id, transcript | text | messages }' },
+      },
+      jsonl: { type: 'string', description: 'One transcript object per line' },
+      client: name(),
+      product: name(),
+      format: { enum: ['json', 'csv', 'html', 'pdf'] },
+      theme: name(),
+      ...llmOverrides,
+    },
+  },
+
+  DocResult: success({
+    content: { type: 'string', description: 'The HTML document' },
+    completeness: { enum: ['complete', 'repaired', 'incomplete'] },
+    warnings: strings,
+    coverage: { type: 'object' },
+    doc: ref('CallDoc'),
+    stored: {
+      type: 'object',
+      required: ['id', 'revision', 'url'],
+      properties: { id: { type: 'string' }, revision: { type: 'integer' }, url: { type: 'string' } },
+    },
+  }, ['content']),
+  SketchWorkflowResult: {
+    allOf: [ref('DocResult')],
+    required: ['mermaid', 'stages', 'prompt'],
+    properties: {
+      mermaid: { type: ['string', 'null'], description: 'The flowchart read from the sketch (null when stages were sent)' },
+      stages: ref('SketchStages'),
+      diagnostics: { type: 'array', items: { type: 'object' }, description: 'Repairs made to the flowchart' },
+      channels: strings,
+      prompt: { type: 'string', description: 'The workflow prompt written from the stages' },
+      pdf: {
+        type: 'object',
+        required: ['data', 'filename'],
+        properties: { data: { type: 'string', description: 'Base64' }, filename: { type: 'string' }, blocked: { type: 'array' } },
+      },
+    },
+  },
+  Job: {
+    type: 'object',
+    required: ['id', 'kind', 'status'],
+    properties: {
+      id: { type: 'string' },
+      kind: { enum: ['analyze', 'workflow', 'doc', 'pdf', 'evaluate'] },
+      status: { enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'] },
+      meta: { type: 'object' },
+      createdAt: { type: 'string' },
+      startedAt: { type: ['string', 'null'] },
+      finishedAt: { type: ['string', 'null'] },
+      progress: { type: 'object' },
+      error: { type: ['object', 'null'] },
+      resultUrl: { type: ['string', 'null'] },
+    },
+  },
+  DocRecord: {
+    type: 'object',
+    required: ['id', 'kind', 'client', 'product', 'version', 'revision'],
+    properties: {
+      id: { type: 'string' },
+      kind: docKind,
+      tenant: { type: 'string', description: 'The tenant that stored the doc' },
+      client: { type: 'string' },
+      product: { type: 'string' },
+      version: { type: 'string' },
+      mode: { type: ['string', 'null'] },
+      theme: { type: 'string' },
+      language: { type: 'string' },
+      bilingual: { type: 'boolean' },
+      revision: { type: 'integer' },
+      createdAt: { type: 'string' },
+      updatedAt: { type: 'string' },
+      hasPdf: { type: 'boolean' },
+    },
+  },
+  Health: {
+    type: 'object',
+    required: ['status', 'mode', 'checks'],
+    properties: {
+      status: { enum: ['ok', 'unavailable'] },
+      mode: { enum: ['shallow', 'deep'] },
+      checkedAt: { type: 'string' },
+      checks: {
+        type: 'object',
+        properties: {
+          llm: { type: 'object', required: ['status'], properties: { status: { enum: ['ok', 'error'] }, routes: { type: 'object' } } },
+          browser: { type: 'object', required: ['status'], properties: { status: { enum: ['ok', 'error'] }, error: { type: 'string' } } },
+        },
+      },
+    },
+  },
+  ReportResult: {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { type: ['string', 'number'] },
+      status: { enum: ['valid', 'invalid', 'failed'] },
+      score: { type: ['number', 'null'] },
+      band: { type: ['string', 'null'] },
+      intent: { type: ['string', 'null'] },
+      violations: strings,
+      escalations: strings,
+      issues: strings,
+      error: { type: ['string', 'null'] },
+      result: { description: "The call's evaluation output as returned by the model" },
+    },
+  },
+  ScoringBand: {
+    type: 'object',
+    required: ['label', 'range'],
+    properties: { label: { type: 'string' }, range: { type: 'string' } },
+  },
+  Report: {
+    type: 'object',
+    description: 'A report from POST /api/evaluate; one sent back may leave out everything but results and spec',
+    required: ['results', 'spec'],
+    properties: {
+      client: { type: 'string' },
+      product: { type: 'string' },
+      evaluation: { type: ['string', 'null'] },
+      generatedAt: { type: 'string' },
+      totals: {
+        type: 'object',
+        properties: Object.fromEntries(['transcripts', 'valid', 'invalid', 'failed'].map(k => [k, { type: 'integer', minimum: 0 }])),
+      },
+      score: {
+        type: 'object',
+        properties: {
+          ...Object.fromEntries(['average', 'median', 'min', 'max'].map(k => [k, { type: ['number', 'null'] }])),
+          bands: {
+            type: 'array',
+            items: {
+              allOf: [ref('ScoringBand')],
+              required: ['count', 'share'],
+              properties: { count: { type: 'integer', minimum: 0 }, share: { type: 'number', minimum: 0, maximum: 100 } },
+            },
+          },
+          outOfBand: { type: 'integer', minimum: 0 },
+          unscored: { type: 'integer', minimum: 0 },
+        },
+      },
+      leadIntents: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['intent', 'count'],
+          properties: { intent: { type: 'string' }, count: { type: 'integer', minimum: 0 }, share: { type: 'number', minimum: 0, maximum: 100 }, expected: { type: 'boolean' } },
+        },
+      },
+      violations: {
+        type: 'array',
+        items: { type: 'object', required: ['violation', 'count'], properties: { violation: { type: 'string' }, count: { type: 'integer', minimum: 0 }, calls: { type: 'array' } } },
+      },
+      escalations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'title'],
+          properties: { id: { type: ['string', 'number'] }, title: { type: 'string' }, mentions: strings, source: { type: 'string' }, action: { type: ['string', 'null'] } },
+        },
+      },
+      schemaIssues: {
+        type: 'array',
+        items: { type: 'object', required: ['issue', 'count'], properties: { issue: { type: 'string' }, count: { type: 'integer', minimum: 0 }, calls: { type: 'array' } } },
+      },
+      spec: {
+        type: 'object',
+        properties: {
+          outputGroups: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name'],
+              properties: {
+                name: { type: 'string' },
+                fields: { type: 'array', items: { anyOf: [{ type: 'string' }, { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }] } },
+              },
+            },
+          },
+          scoringBands: { type: 'array', items: ref('ScoringBand') },
+          bands: { type: 'array', items: ref('ScoringBand'), description: 'evalSpec() spelling of scoringBands' },
+          leadIntents: strings,
+          specialDetections: strings,
+        },
+      },
+      results: { type: 'array', items: ref('ReportResult') },
+      warnings: strings,
+    },
+  },
+};
+
+// Jobs take the matching route's fields alongside `kind`
+const jobKinds = {
+  analyze: {
+    allOf: [ref('AnalyzeOptions')],
+    properties: {
+      images: { type: 'array', items: { type: 'object', properties: { data: { type: 'string' }, mimeType: { type: 'string' } } } },
+    },
+  },
+  workflow: ref('WorkflowDocRequest'),
+  doc: ref('CallDocRequest'),
+  pdf: ref('PdfRequest'),
+  evaluate: ref('EvaluateRequest'),
+};
+schemas.JobRequest = {
+  type: 'object',
+  required: ['kind'],
+  properties: { kind: { enum: Object.keys(jobKinds) } },
+  allOf: Object.entries(jobKinds).map(([kind, schema]) => ({ if: { properties: { kind: { const: kind } } }, then: schema })),
+};
+
+// ─── Paths ────────────────────────────────────────────────────────────────────
+
+const paths = {
+  '/health': {
+    get: {
+      operationId: 'health', tags: ['meta'], summary: 'Readiness: LLM configuration and browser availability', security: PUBLIC,
+      parameters: [queryParam('mode', { enum: ['shallow', 'deep'] }, 'deep also makes a one-token completion and renders a page')],
+      responses: {
+        200: ok(ref('Health'), 'Ready'),
+        503: ok(ref('Health'), 'Not ready; checks say why'),
+      },
+    },
+  },
+  '/metrics': {
+    get: {
+      operationId: 'metrics', tags: ['meta'], summary: 'Prometheus metrics (bearer METRICS_TOKEN when set)', security: PUBLIC,
+      responses: { 200: { description: 'Text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } }, ...errors(401) },
+    },
+  },
+  '/api/openapi.json': {
+    get: { operationId: 'openapi', tags: ['meta'], summary: 'This document', security: PUBLIC, responses: { 200: ok({ type: 'object' }) } },
+  },
+  '/schemas/workflow-state-machine.json': {
+    get: {
+      operationId: 'stateMachineSchema', tags: ['workflow'], summary: 'JSON Schema for workflow state machines', security: PUBLIC,
+      responses: { 200: { description: 'OK', content: { 'application/schema+json': { schema: { type: 'object' } } } } },
+    },
+  },
+
+  '/api/analyze/types': {
+    get: {
+      operationId: 'listAnalysisTypes', tags: ['analyze'], summary: 'Analysis types and their modes',
+      responses: { 200: ok(success({ types: { type: 'array', items: { type: 'object' } } }, ['types'])), ...errors(401) },
+    },
+  },
+  '/api/analyze': {
+    post: {
+      operationId: 'analyze', tags: ['analyze'], summary: 'Images or PDFs → notes, flowchart, table, ...',
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              allOf: [ref('AnalyzeOptions')],
+              properties: { image: { type: 'array', items: binary }, images: { type: 'array', items: binary } },
+            },
+          },
+        },
+      },
+      responses: {
+        200: ok(success({ type: { type: 'string' }, mode: { type: 'string' }, format: { type: 'string' }, content: {} }, ['type'])),
+        ...errors(400, 401, 413, 429),
+      },
+    },
+  },
+
+  '/api/generate-workflow': {
+    post: {
+      operationId: 'generateWorkflowDoc', tags: ['docs'], summary: 'Workflow prompt → stage + column HTML doc',
+      requestBody: jsonBody(ref('WorkflowDocRequest')),
+      responses: { 200: ok(ref('DocResult')), ...errors(400, 401, 404, 413, 429) },
+    },
+  },
+  '/api/generate-doc': {
+    post: {
+      operationId: 'generateCallDoc', tags: ['docs'], summary: 'Script / evaluation prompts → call-reference HTML doc',
+      requestBody: jsonBody(ref('CallDocRequest')),
+      responses: { 200: ok(ref('DocResult')), ...errors(400, 401, 404, 413, 429) },
+    },
+  },
+  '/api/doc/extract': {
+    post: {
+      operationId: 'extractCallDoc', tags: ['docs'], summary: 'Prompts → call-doc JSON, without rendering',
+      requestBody: jsonBody(ref('CallDocRequest')),
+      responses: { 200: ok(success({ doc: ref('CallDoc') }, ['doc'])), ...errors(400, 401, 413, 429) },
+    },
+  },
+  '/api/doc/render': {
+    post: {
+      operationId: 'renderCallDoc', tags: ['docs'], summary: 'Call-doc JSON → HTML (no model)',
+      requestBody: jsonBody({ type: 'object', required: ['doc'], properties: { doc: ref('CallDoc'), theme: name() } }),
+      responses: { 200: ok(success({ content: { type: 'string' }, doc: ref('CallDoc') }, ['content'])), ...errors(400, 401, 404) },
+    },
+  },
+  '/api/doc/edit-section': {
+    post: {
+      operationId: 'editDocSection', tags: ['docs'], summary: 'Rewrite one section of a doc',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['section', 'instruction'],
+        properties: {
+          section: name('For example "step 4", "handlers", "stage 2 / Referral channel"'),
+          instruction: text(MAX_INSTRUCTION_CHARS),
+          id: name('A stored doc'),
+          html: text(MAX_HTML_CHARS),
+          doc: ref('CallDoc'),
+          theme: name(),
+          store: { type: 'boolean' },
+          ...llmOverrides,
+        },
+      }),
+      responses: { 200: ok(success({ content: { type: 'string' } }, ['content'])), ...errors(400, 401, 404, 413, 429) },
+    },
+  },
+  '/api/workflow/from-sketch': {
+    post: {
+      operationId: 'workflowFromSketch', tags: ['workflow'], summary: 'Call-flow sketch → Mermaid → stages → workflow doc (and PDF)',
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              allOf: [ref('SketchWorkflowRequest')],
+              properties: {
+                image: { type: 'array', items: binary },
+                images: { type: 'array', items: binary },
+                stages: prompt('Corrected stages from an earlier response, as JSON'),
+              },
+            },
+          },
+          ...jsonContent({ allOf: [ref('SketchWorkflowRequest')], properties: { stages: ref('SketchStages') } }),
+        },
+      },
+      responses: { 200: ok(ref('SketchWorkflowResult')), ...errors(400, 401, 404, 413, 422, 429, 503, 504) },
+    },
+  },
+  '/api/workflow/state-machine': {
+    post: {
+      operationId: 'workflowStateMachine', tags: ['workflow'], summary: 'Workflow prompt → executable state machine',
+      parameters: [queryParam('format', { enum: ['json', 'yaml', 'mermaid'] })],
+      requestBody: jsonBody({
+        type: 'object',
+        description: 'prompt, or id of a stored workflow doc',
+        properties: {
+          prompt: prompt(), id: name(), client: name(), product: name(),
+          format: { enum: ['json', 'yaml', 'mermaid'] },
+          ...llmOverrides,
+        },
+      }),
+      responses: {
+        200: {
+          description: 'The machine with its YAML and Mermaid forms, or just one of those',
+          content: {
+            ...jsonContent(success({ machine: ref('StateMachine'), yaml: { type: 'string' }, mermaid: { type: 'string' }, warnings: strings }, ['machine'])),
+            'application/yaml': { schema: { type: 'string' } },
+            'text/plain': { schema: { type: 'string' } },
+          },
+        },
+        ...errors(400, 401, 404, 413, 429, 502),
+      },
+    },
+  },
+
+  '/api/html-to-pdf': {
+    post: {
+      operationId: 'htmlToPdf', tags: ['render'], summary: 'HTML → A4 PDF',
+      requestBody: jsonBody(ref('PdfRequest')),
+      responses: { 200: file('application/pdf', 'The PDF'), ...errors(400, 401, 413, 429, 503, 504) },
+    },
+  },
+  '/api/html-to-pdf/stats': {
+    get: {
+      operationId: 'pdfPoolStats', tags: ['render'], summary: 'Renderer pool state',
+      responses: { 200: ok(success({ pool: { type: 'object' } }, ['pool'])), ...errors(401) },
+    },
+  },
+  '/api/export': {
+    post: {
+      operationId: 'export', tags: ['render'], summary: 'DOCX, page images, notes and diagrams',
+      requestBody: jsonBody({
+        type: 'object',
+        description: 'Exactly one of html, id, markdown, mermaid',
+        properties: {
+          html: text(MAX_HTML_CHARS),
+          id: name('A stored doc'),
+          markdown: text(MAX_HTML_CHARS),
+          mermaid: { type: 'string' },
+          format: { enum: exportFormats },
+          pageSize: { enum: Object.keys(PAGE_SIZES) },
+          landscape: flag(),
+          page: { oneOf: [{ type: 'integer', minimum: 1, maximum: MAX_IMAGE_PAGES }, { const: 'all' }] },
+          scale: { type: 'number', minimum: 1, maximum: 4 },
+          quality: { type: 'integer', minimum: 1, maximum: 100 },
+          title: name(),
+          filename: name(),
+          theme: name(),
+        },
+      }),
+      responses: {
+        200: {
+          description: 'The exported file, or every page image as JSON for page=all',
+          content: {
+            ...jsonContent(success({
+              format: { type: 'string' },
+              pageCount: { type: 'integer' },
+              pages: { type: 'array', items: { type: 'object', properties: { page: { type: 'integer' }, contentType: { type: 'string' }, data: { type: 'string' } } } },
+            }, ['pages'])),
+            ...Object.fromEntries(['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'image/png', 'image/jpeg', 'image/svg+xml', 'text/html']
+              .map(type => [type, { schema: binary }])),
+          },
+        },
+        ...errors(400, 401, 404, 413, 422, 429, 503, 504),
+      },
+    },
+  },
+
+  '/api/jobs': {
+    post: {
+      operationId: 'createJob', tags: ['jobs'], summary: 'Queue any generation route',
+      requestBody: {
+        required: true,
+        content: {
+          ...jsonContent(ref('JobRequest')),
+          'multipart/form-data': {
+            schema: {
+              allOf: [ref('JobRequest')],
+              properties: {
+                image: { type: 'array', items: binary },
+                images: { type: 'array', items: binary },
+                transcripts: { type: 'array', items: binary },
+              },
+            },
+          },
+        },
+      },
+      responses: { 202: ok(success({ job: ref('Job') }, ['job']), 'Queued'), ...errors(400, 401, 404, 413, 429) },
+    },
+  },
+  '/api/jobs/{id}': {
+    parameters: [pathParam('id')],
+    get: {
+      operationId: 'getJob', tags: ['jobs'], summary: 'Job status',
+      responses: { 200: ok(success({ job: ref('Job') }, ['job'])), ...errors(401, 404) },
+    },
+    delete: {
+      operationId: 'deleteJob', tags: ['jobs'], summary: 'Delete a finished job',
+      responses: { 200: ok(success()), ...errors(401, 404, 409) },
+    },
+  },
+  '/api/jobs/{id}/result': {
+    parameters: [pathParam('id')],
+    get: {
+      operationId: 'getJobResult', tags: ['jobs'], summary: "A succeeded job's output",
+      parameters: [queryParam('format', { enum: ['json', 'csv', 'html', 'pdf'] }, 'evaluate jobs only')],
+      responses: {
+        200: {
+          description: "The route's usual response",
+          content: { ...jsonContent({ type: 'object' }), 'application/pdf': { schema: binary }, 'text/csv': { schema: binary }, 'text/html': { schema: binary } },
+        },
+        409: { description: 'Not finished', content: jsonContent(ref('Error')) },
+        ...errors(401, 404),
+      },
+    },
+  },
+  '/api/jobs/{id}/events': {
+    parameters: [pathParam('id')],
+    get: {
+      operationId: 'jobEvents', tags: ['jobs'], summary: 'Server-sent events: status, token, done',
+      responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }, ...errors(401, 404) },
+    },
+  },
+  '/api/jobs/{id}/cancel': {
+    parameters: [pathParam('id')],
+    post: {
+      operationId: 'cancelJob', tags: ['jobs'], summary: 'Cancel a queued or running job',
+      responses: { 202: ok(success({ job: ref('Job') }, ['job']), 'Cancelling'), ...errors(401, 404, 409) },
+    },
+  },
+
+  '/api/themes': {
+    parameters: [themesTenant],
+    get: {
+      operationId: 'listThemes', tags: ['themes'], summary: 'Themes',
+      responses: { 200: ok(success({ themes: { type: 'array', items: { type: 'object' } } }, ['themes'])), ...errors(401) },
+    },
+    post: {
+      operationId: 'createTheme', tags: ['themes'], summary: 'Create a theme',
+      requestBody: jsonBody({ allOf: [ref('Theme')], required: ['id'] }),
+      responses: { 201: ok(success({ theme: { type: 'object' } }, ['theme']), 'Created'), ...errors(400, 401, 409, 413) },
+    },
+  },
+  '/api/themes/{id}': {
+    parameters: [pathParam('id'), themesTenant],
+    get: {
+      operationId: 'getTheme', tags: ['themes'], summary: 'One theme',
+      responses: { 200: ok(success({ theme: { type: 'object' } }, ['theme'])), ...errors(401, 404) },
+    },
+    put: {
+      operationId: 'updateTheme', tags: ['themes'], summary: 'Create or replace a theme',
+      requestBody: jsonBody(ref('Theme')),
+      responses: { 200: ok(success({ theme: { type: 'object' } }, ['theme'])), ...errors(400, 401, 413) },
+    },
+    delete: {
+      operationId: 'deleteTheme', tags: ['themes'], summary: 'Delete a theme',
+      responses: { 200: ok(success()), ...errors(400, 401, 404) },
+    },
+  },
+  '/api/themes/{id}/logo': {
+    parameters: [pathParam('id'), themesTenant],
+    put: {
+      operationId: 'uploadThemeLogo', tags: ['themes'], summary: 'Upload a logo (multipart alternative to a data URL)',
+      requestBody: { required: true, content: { 'multipart/form-data': { schema: { type: 'object', properties: { logo: binary } } } } },
+      responses: { 200: ok(success({ theme: { type: 'object' } }, ['theme'])), ...errors(400, 401, 404, 413) },
+    },
+  },
+
+  '/api/docs': {
+    get: {
+      operationId: 'listDocs', tags: ['stored docs'], summary: 'Stored docs, newest revision of each',
+      parameters: [queryParam('client', name()), queryParam('product', name()), queryParam('kind', docKind), docsTenant],
+      responses: { 200: ok(success({ docs: { type: 'array', items: ref('DocRecord') } }, ['docs'])), ...errors(401) },
+    },
+  },
+  '/api/docs/diff': {
+    get: {
+      operationId: 'diffDocs', tags: ['stored docs'], summary: 'Change log between two versions',
+      parameters: [
+        { ...queryParam('client', name()), required: true },
+        queryParam('product', name()),
+        queryParam('kind', docKind, 'Needed when both kinds of doc are stored for the product'),
+        queryParam('from', name(), 'Defaults to the second most recent version'),
+        queryParam('to', name(), 'Defaults to the most recent version'),
+        queryParam('format', { enum: ['json', 'html'] }),
+        queryParam('theme', name()),
+        docsTenant,
+      ],
+      responses: {
+        200: { description: 'The diff, or a change log document', content: { ...jsonContent(success({ diff: { type: 'object' } }, ['diff'])), 'text/html': { schema: { type: 'string' } } } },
+        ...errors(400, 401, 404),
+      },
+    },
+  },
+  '/api/docs/{tenant}/{client}/{product}/{version}/{kind}': {
+    parameters: docPath,
+    get: {
+      operationId: 'getDoc', tags: ['stored docs'], summary: 'A stored doc with its HTML',
+      responses: { 200: ok(success({ doc: ref('DocRecord'), content: { type: ['string', 'null'] } }, ['doc'])), ...errors(400, 401, 404) },
+    },
+    delete: {
+      operationId: 'deleteDoc', tags: ['stored docs'], summary: 'Delete a stored doc',
+      responses: { 200: ok(success()), ...errors(400, 401, 404) },
+    },
+  },
+  '/api/docs/{tenant}/{client}/{product}/{version}/{kind}/html': {
+    parameters: docPath,
+    get: {
+      operationId: 'getDocHtml', tags: ['stored docs'], summary: 'The HTML document',
+      responses: { 200: { description: 'HTML', content: { 'text/html': { schema: { type: 'string' } } } }, ...errors(400, 401, 404) },
+    },
+  },
+  '/api/docs/{tenant}/{client}/{product}/{version}/{kind}/pdf': {
+    parameters: docPath,
+    get: {
+      operationId: 'getDocPdf', tags: ['stored docs'], summary: 'The doc as a PDF, rendered once',
+      responses: { 200: file('application/pdf', 'The PDF'), ...errors(400, 401, 404, 429, 503, 504) },
+    },
+  },
+
+  '/api/cache': {
+    get: {
+      operationId: 'cacheStats', tags: ['admin'], summary: 'Response cache statistics',
+      responses: { 200: ok(success({ cache: { type: 'object' } }, ['cache'])), ...errors(401, 403) },
+    },
+    delete: {
+      operationId: 'purgeCache', tags: ['admin'], summary: 'Purge the whole response cache',
+      responses: { 200: ok(success({ purged: {} })), ...errors(401, 403) },
+    },
+  },
+  '/api/cache/{route}': {
+    parameters: [pathParam('route', { enum: ['analyze', 'workflow', 'doc', 'pdf'] })],
+    delete: {
+      operationId: 'purgeCacheRoute', tags: ['admin'], summary: "Purge one route's cache entries",
+      responses: { 200: ok(success({ purged: {} })), ...errors(400, 401, 403) },
+    },
+  },
+
+  '/api/usage': {
+    get: {
+      operationId: 'usage', tags: ['usage'], summary: "Tokens, PDF renders and quotas for a month",
+      parameters: [
+        queryParam('month', { type: 'string', pattern: '^\\d{4}-\\d{2}$' }, 'YYYY-MM, default the current month (UTC)'),
+        queryParam('tenant', name(), 'Admin key only, or your own id'),
+      ],
+      responses: {
+        200: ok({ oneOf: [success({ usage: { type: 'object' } }, ['usage']), success({ tenants: { type: 'array' }, estimatedCostUsd: { type: ['number', 'null'] } }, ['tenants'])] }),
+        ...errors(400, 401, 403),
+      },
+    },
+  },
+
+  '/api/evaluate': {
+    post: {
+      operationId: 'evaluate', tags: ['evaluation'], summary: 'Score a batch of call transcripts',
+      parameters: [queryParam('format', { enum: ['json', 'csv', 'html', 'pdf'] }), queryParam('theme', name())],
+      requestBody: {
+        required: true,
+        content: {
+          ...jsonContent(ref('EvaluateRequest')),
+          'multipart/form-data': { schema: { allOf: [ref('EvaluateRequest')], properties: { transcripts: { type: 'array', items: binary } } } },
+        },
+      },
+      responses: {
+        200: {
+          description: 'The QA report',
+          content: { ...jsonContent(success({ report: ref('Report') }, ['report'])), 'text/csv': { schema: binary }, 'text/html': { schema: binary }, 'application/pdf': { schema: binary } },
+        },
+        ...errors(400, 401, 404, 413, 429),
+      },
+    },
+  },
+  '/api/evaluate/report': {
+    post: {
+      operationId: 'evaluationReport', tags: ['evaluation'], summary: 'Re-render a report you already have',
+      parameters: [queryParam('format', { enum: ['json', 'csv', 'html', 'pdf'] }), queryParam('theme', name())],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['report'],
+        properties: { report: ref('Report'), format: { enum: ['json', 'csv', 'html', 'pdf'] }, theme: name() },
+      }),
+      responses: {
+        200: {
+          description: 'The QA report',
+          content: { ...jsonContent(success({ report: ref('Report') }, ['report'])), 'text/csv': { schema: binary }, 'text/html': { schema: binary }, 'application/pdf': { schema: binary } },
+        },
+        ...errors(400, 401, 429),
+      },
+    },
+  },
+};
+
+const OPENAPI_SPEC = {
+  openapi: '3.1.0',
+  info: {
+    title: 'InkParse API',
+    version,
+    description: 'Image analysis and AI calling-system documentation. Errors are always '
+      + '{ success: false, error, code, details? }; see the Error schema.',
+  },
+  security: [{ bearerAuth: [] }, { apiKey: [] }],
+  tags: ['meta', 'analyze', 'docs', 'workflow', 'render', 'jobs', 'themes', 'stored docs', 'admin', 'usage', 'evaluation'].map(t => ({ name: t })),
+  paths,
+  components: {
+    schemas,
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'A tenant API key, or ADMIN_TOKEN' },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    },
+  },
+};
+
+module.exports = { OPENAPI_SPEC, MAX_PROMPT_CHARS, MAX_INSTRUCTION_CHARS };
@@ -0,0 +1,117 @@
+// ─── HTML → PDF rendering ─────────────────────────────────────────────────────
+
+const { sandboxConfig, sandboxPage, interFontCss, scriptFontCss, injectHeadStyle } = require('./renderSandbox');
+const { metrics } = require('./metrics');
+
+const PRINT_COLOUR_CSS = `
+  * {
+    -webkit-print-color-adjust: exact !important;
+    print-color-adjust: exact !important;
+    color-adjust: exact !important;
+  }
+`;
+
+class RenderError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'RenderError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function checkHtmlSize(html, config = sandboxConfig()) {
+  const bytes = Buffer.byteLength(html, 'utf8');
+  if (bytes > config.maxHtmlBytes) {
+    throw new RenderError(`HTML is ${bytes} bytes; the limit is ${config.maxHtmlBytes}`, 413, 'HTML_TOO_LARGE');
+  }
+}
+
+/** Settle with `work` (a promise), or reject with a 504 after `timeoutMs`. */
+async function withRenderTimeout(work, timeoutMs) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new RenderError(`Render exceeded ${timeoutMs}ms`, 504, 'RENDER_TIMEOUT')), timeoutMs);
+  });
+  try {
+    return await Promise.race([work, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Load untrusted HTML into a sandboxed pool page and run fn(page) on it,
+ * all within the configured render time limit.
+ * Resolves to { result, blocked } where blocked lists refused request URLs.
+ */
+function renderInSandbox(pool, html, fn, config = sandboxConfig()) {
+  checkHtmlSize(html, config);
+
+  return pool.withPage(async page => {
+    const blocked = await sandboxPage(page, config);
+
+    const render = async () => {
+      // Bundled Inter (and Noto for any Indic text) goes last in <head> so it
+      // overrides the Google Fonts copy
+      await page.setContent(injectHeadStyle(html, interFontCss() + scriptFontCss(html)), { waitUntil: 'networkidle0', timeout: config.timeoutMs });
+
+      // Inject print-colour CSS so background colours are preserved
+      await page.addStyleTag({ content: PRINT_COLOUR_CSS });
+
+      // Wait for @import / @font-face fonts to finish loading
+      await page.evaluate(async () => { await document.fonts.ready; }).catch(() => {});
+
+      return fn(page);
+    };
+
+    return { result: await withRenderTimeout(render(), config.timeoutMs), blocked };
+  });
+}
+
+// CSS pixels at 96dpi, portrait
+const PAGE_SIZES = {
+  A4: { width: 794, height: 1123 },
+  Letter: { width: 816, height: 1056 },
+};
+
+/** Page size in CSS pixels for { pageSize, landscape }. Unknown sizes are a 400. */
+function pageDimensions({ pageSize = 'A4', landscape = false } = {}) {
+  const size = PAGE_SIZES[pageSize];
+  if (!size) throw new RenderError(`Unknown page size "${pageSize}". Expected one of: ${Object.keys(PAGE_SIZES).join(', ')}`, 400, 'BAD_PAGE_SIZE');
+  return landscape ? { width: size.height, height: size.width } : { ...size };
+}
+
+/**
+ * Render an HTML document to a PDF, A4 portrait unless `page` says otherwise
+ * ({ pageSize: 'A4' | 'Letter', landscape }). Resolves to { pdf, blocked }.
+ * Durations and failures (by error class) are recorded in lib/metrics.
+ */
+async function renderPdf(pool, html, page = {}, config) {
+  const { pageSize = 'A4', landscape = false } = page;
+  pageDimensions(page);
+  const end = metrics.pdfRenderDuration.startTimer();
+  try {
+    const { result, blocked } = await renderInSandbox(pool, html, p => p.pdf({
+      format: pageSize,
+      landscape: Boolean(landscape),
+      printBackground: true,       // ← renders all background colours/images
+      margin: { top: '10mm', bottom: '10mm', left: '8mm', right: '8mm' },
+      preferCSSPageSize: false,
+    }), config);
+    end({ outcome: 'ok' });
+    return { pdf: result, blocked };
+  } catch (err) {
+    end({ outcome: 'error' });
+    metrics.pdfRenderFailures.inc({ error: err.name || 'Error', code: err.code || '' });
+    throw err;
+  }
+}
+
+function pdfFilename(filename, fallback = 'AI_Call_Documentation') {
+  return (filename || fallback).replace(/[^a-zA-Z0-9_\-]/g, '_') + '.pdf';
+}
+
+module.exports = {
+  renderPdf, renderInSandbox, withRenderTimeout, checkHtmlSize, pageDimensions, pdfFilename, PAGE_SIZES, RenderError,
+};
@@ -0,0 +1,65 @@
+// ─── PDF → page images ────────────────────────────────────────────────────────
+//
+// Rasterises uploaded PDFs with pdf.js + @napi-rs/canvas so each page can be
+// sent to the vision model like a photographed page. pdf.js is ESM-only, hence
+// the lazy dynamic import.
+
+const { createCanvas } = require('@napi-rs/canvas');
+
+let pdfjsPromise = null;
+const loadPdfjs = () => (pdfjsPromise ||= import('pdfjs-dist/legacy/build/pdf.mjs'));
+
+class PdfRasterError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PdfRasterError';
+    this.status = status;
+  }
+}
+
+/**
+ * Render every page of a PDF to PNG.
+ * `scale` 2 ≈ 144 dpi, enough for handwriting without blowing up the upload.
+ */
+async function rasterizePdf(buffer, { maxPages = 20, scale = 2, maxPixels = 4096 * 4096 } = {}) {
+  const pdfjs = await loadPdfjs();
+  let doc;
+  try {
+    doc = await pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      useSystemFonts: false,
+      verbosity: 0,
+    }).promise;
+  } catch (err) {
+    throw new PdfRasterError(`Could not read PDF: ${err.message}`);
+  }
+
+  try {
+    if (doc.numPages > maxPages) {
+      throw new PdfRasterError(`PDF has ${doc.numPages} pages; the limit is ${maxPages}`, 413);
+    }
+
+    const pages = [];
+    for (let n = 1; n <= doc.numPages; n++) {
+      const page = await doc.getPage(n);
+      let viewport = page.getViewport({ scale });
+      if (viewport.width * viewport.height > maxPixels) {
+        viewport = page.getViewport({ scale: scale * Math.sqrt(maxPixels / (viewport.width * viewport.height)) });
+      }
+      const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: context, canvas, viewport }).promise;
+      pages.push({ buffer: canvas.toBuffer('image/png'), mimeType: 'image/png', page: n });
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await doc.destroy();
+  }
+}
+
+module.exports = { rasterizePdf, PdfRasterError };
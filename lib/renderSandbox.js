@@ -0,0 +1,181 @@
+// ─── Sandbox for rendering untrusted HTML in Chromium ─────────────────────────
+//
+// Client HTML is rendered with JavaScript off and every network request
+// intercepted: only https requests to allowlisted hosts (Google Fonts by
+// default) get through, so the page can't reach internal URLs or file://.
+// Bundled fonts are inlined as data: URLs so output doesn't depend on the
+// network at all.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ALLOWED_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+const INLINE_SCHEMES = ['data:', 'blob:', 'about:'];
+
+function sandboxConfig(env = process.env) {
+  return {
+    allowedHosts: env.RENDER_ALLOWED_HOSTS != null
+      ? env.RENDER_ALLOWED_HOSTS.split(',').map(h => h.trim().toLowerCase()).filter(Boolean)
+      : DEFAULT_ALLOWED_HOSTS,
+    javascript: env.RENDER_ENABLE_JS === 'true',
+    maxHtmlBytes: Number(env.RENDER_MAX_HTML_BYTES) || 2 * 1024 * 1024,
+    timeoutMs: Number(env.RENDER_TIMEOUT_MS) || 30000,
+  };
+}
+
+function isAllowedUrl(url, allowedHosts) {
+  if (INLINE_SCHEMES.some(s => url.startsWith(s))) return true;
+  let parsed;
+  try { parsed = new URL(url); } catch { return false; }
+  if (parsed.protocol !== 'https:') return false;
+  const host = parsed.hostname.toLowerCase();
+  return allowedHosts.some(h => host === h || host.endsWith(`.${h}`));
+}
+
+/**
+ * Lock down a fresh page before content is set. Returns the array that
+ * blocked request URLs are pushed into.
+ */
+async function sandboxPage(page, config) {
+  const blocked = [];
+  await page.setJavaScriptEnabled(config.javascript);
+  await page.setRequestInterception(true);
+  page.on('request', request => {
+    if (request.isInterceptResolutionHandled()) return;
+    const url = request.url();
+    // Only the initial about:blank document may load; no navigations away
+    const navigation = request.isNavigationRequest() && request.frame() === page.mainFrame() && !url.startsWith('about:');
+    if (!navigation && isAllowedUrl(url, config.allowedHosts)) {
+      request.continue();
+    } else {
+      blocked.push(url);
+      request.abort('blockedbyclient');
+    }
+  });
+  return blocked;
+}
+
+// Header-safe summary of blocked URLs (count + first few, URL-encoded)
+function blockedHeader(blocked, maxLength = 1024) {
+  let value = '';
+  for (const url of blocked) {
+    const next = (value ? `${value}, ` : '') + encodeURI(url.slice(0, 200));
+    if (next.length > maxLength) break;
+    value = next;
+  }
+  return value;
+}
+
+// ─── Bundled fonts ────────────────────────────────────────────────────────────
+
+const fontCssCache = new Map();
+
+/**
+ * @font-face CSS for a @fontsource package, with the font files inlined as
+ * data: URLs. `family` renames the face (e.g. 'Inter Variable' → 'Inter') so
+ * it matches the family name used in our documents.
+ */
+function bundledFontCss(pkg, { family, cssFile = 'index.css', subsets = ['latin', 'latin-ext'] } = {}) {
+  const key = `${pkg}:${family}:${cssFile}:${subsets.join(',')}`;
+  if (fontCssCache.has(key)) return fontCssCache.get(key);
+
+  const dir = path.dirname(require.resolve(`${pkg}/package.json`));
+  const source = fs.readFileSync(path.join(dir, cssFile), 'utf8');
+  // Blocks are headed /* inter-latin-ext-wght-normal */, /* noto-sans-devanagari-devanagari-400-normal */
+  const blocks = source.split(/(?=\/\* )/).filter(block => {
+    const name = /\/\* (\S+) \*\//.exec(block);
+    return name && subsets.some(s => new RegExp(`-${s}-(wght|\\d+)-normal$`).test(name[1]));
+  });
+
+  const css = blocks.map(block => block
+    .replace(/font-family: '[^']+'/, family ? `font-family: '${family}'` : '$&')
+    .replace(/url\(\.\/files\/([^)]+)\)/g, (m, file) => {
+      const data = fs.readFileSync(path.join(dir, 'files', file)).toString('base64');
+      return `url(data:font/woff2;base64,${data})`;
+    })).join('\n');
+
+  fontCssCache.set(key, css);
+  return css;
+}
+
+function interFontCss() {
+  return bundledFontCss('@fontsource-variable/inter', { family: 'Inter', cssFile: 'wght.css' });
+}
+
+// ─── Indic scripts ────────────────────────────────────────────────────────────
+//
+// Chromium in the container has no Indic fonts, so Devanagari, Tamil etc.
+// come out as tofu. For each script a document actually uses, its bundled
+// Noto face is declared under the Noto family name and also under every
+// family the document asks for (Inter included). The faces carry the
+// script's unicode-range, so Latin text keeps its own font and a stack like
+// 'Inter', sans-serif picks up real glyphs without the HTML changing.
+
+const SCRIPT_FONTS = {
+  devanagari: { family: 'Noto Sans Devanagari', range: /[\u0900-\u097F\uA8E0-\uA8FF]/ },
+  bengali: { family: 'Noto Sans Bengali', range: /[\u0980-\u09FF]/ },
+  gurmukhi: { family: 'Noto Sans Gurmukhi', range: /[\u0A00-\u0A7F]/ },
+  gujarati: { family: 'Noto Sans Gujarati', range: /[\u0A80-\u0AFF]/ },
+  tamil: { family: 'Noto Sans Tamil', range: /[\u0B80-\u0BFF]/ },
+  telugu: { family: 'Noto Sans Telugu', range: /[\u0C00-\u0C7F]/ },
+  kannada: { family: 'Noto Sans Kannada', range: /[\u0C80-\u0CFF]/ },
+  malayalam: { family: 'Noto Sans Malayalam', range: /[\u0D00-\u0D7F]/ },
+};
+
+const GENERIC_FAMILIES = new Set([
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'emoji', 'math',
+  'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'inherit', 'initial', 'unset', 'revert',
+]);
+const MAX_FAMILY_ALIASES = 4;
+
+/** Scripts in SCRIPT_FONTS that appear in `text`. */
+function detectScripts(text) {
+  return Object.keys(SCRIPT_FONTS).filter(script => SCRIPT_FONTS[script].range.test(text));
+}
+
+// Font families named in font-family declarations and --font-* variables
+function documentFamilies(html) {
+  const families = new Set(['Inter']);
+  for (const [, stack] of html.matchAll(/(?:font-family|--font-[\w-]+)\s*:\s*([^;}<]+)/gi)) {
+    for (const raw of stack.split(',')) {
+      const name = raw.trim().replace(/^(['"]|&quot;)|(['"]|&quot;)$/g, '').trim();
+      if (/^[\w -]+$/.test(name) && !GENERIC_FAMILIES.has(name.toLowerCase())) families.add(name);
+    }
+  }
+  return [...families].slice(0, MAX_FAMILY_ALIASES);
+}
+
+/** @font-face CSS for the Indic scripts used in `html` ('' when there are none). */
+function scriptFontCss(html) {
+  const scripts = detectScripts(html);
+  if (!scripts.length) return '';
+  const families = documentFamilies(html);
+  return scripts.flatMap(script => {
+    const { family } = SCRIPT_FONTS[script];
+    const pkg = `@fontsource-variable/${family.toLowerCase().replace(/ /g, '-')}`;
+    return [family, ...families.filter(f => f !== family)]
+      .map(alias => bundledFontCss(pkg, { family: alias, cssFile: 'wght.css', subsets: [script] }));
+  }).join('\n');
+}
+
+// Put a <style> block at the end of <head> so it wins over earlier @font-face
+// rules (e.g. the Google Fonts @import) for the same family
+function injectHeadStyle(html, css, name = 'fonts') {
+  const tag = `<style data-inkparse="${name}">\n${css}\n</style>`;
+  const idx = html.search(/<\/head>/i);
+  if (idx > -1) return html.slice(0, idx) + tag + html.slice(idx);
+  return tag + html;
+}
+
+module.exports = {
+  sandboxConfig,
+  sandboxPage,
+  isAllowedUrl,
+  blockedHeader,
+  bundledFontCss,
+  interFontCss,
+  scriptFontCss,
+  detectScripts,
+  injectHeadStyle,
+  SCRIPT_FONTS,
+};
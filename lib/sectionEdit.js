@@ -0,0 +1,344 @@
+// ─── Section-level edits ──────────────────────────────────────────────────────
+//
+// Rewrites one section of a generated doc and leaves everything else alone.
+// The target ("step 4", "handlers grid", "stage 2 / Referral channel") is
+// resolved without the model; only that section is sent with the instruction
+// and the reply is spliced back in at the same offsets. Structured call docs
+// are edited on their call-doc JSON instead and re-rendered, so their HTML
+// stays a pure function of the JSON.
+
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { validateCallDoc } = require('./callDoc');
+const { renderCallDoc } = require('./callDocRenderer');
+const { completeWithContinuation } = require('./continuation');
+const { htmlText } = require('./coverage');
+const { repairHtmlStructure } = require('./html');
+const { stripFences } = require('./analyze');
+const { TaskInputError } = require('./tasks');
+const { ModelOutputError } = require('./llm');
+
+const EDIT_HTML_PROMPT = `You are editing ONE section of an existing, styled HTML document. You will be given the section's HTML and an instruction.
+Return ONLY the replacement HTML for that section:
+• Keep the same outer element(s), class names, inline styles and markup conventions
+• Change only what the instruction asks for; copy everything else verbatim
+• No <html>, <head> or <style> — just the section. No code fences. No explanation.`;
+
+const EDIT_JSON_PROMPT = `You are editing ONE section of a call-reference document, given as JSON, following an instruction.
+Return ONLY a JSON object of the form {"section": <updated value>}:
+• Keep the same shape and keys as the value you were given
+• Change only what the instruction asks for; copy everything else verbatim`;
+
+// ─── Targets ──────────────────────────────────────────────────────────────────
+
+const NUMBERED = /^(step|stage|page|group|handler|rule|band)\s*#?\s*(\d+)$/i;
+
+// Words that describe the shape of a section rather than name it
+const SHAPE_WORDS = new Set(['section', 'grid', 'card', 'box', 'block', 'row', 'column', 'col', 'channel', 'table', 'list', 'area', 'panel', 'the', 'of', 'and', 'for']);
+
+const singular = word => word.replace(/ies$/, 'y').replace(/(?<!s)s$/, '');
+
+function targetWords(text) {
+  const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).map(singular);
+  const naming = words.filter(w => !SHAPE_WORDS.has(w));
+  return naming.length ? naming : words;
+}
+
+/** "stage 2 / Referral channel" → [{ kind: 'stage', number: '2' }, { words: ['referral'] }] */
+function parseTarget(target) {
+  const parts = String(target || '').split(/\s*[/>›]\s*/).map(p => p.trim()).filter(Boolean);
+  if (!parts.length) throw new TaskInputError('No section given (for example "step 4" or "handlers")');
+  return parts.map(text => {
+    const m = NUMBERED.exec(text);
+    return m ? { text, kind: m[1].toLowerCase(), number: m[2] } : { text, words: targetWords(text) };
+  });
+}
+
+// ─── Locating a section in HTML ───────────────────────────────────────────────
+
+const INLINE = new Set(['span', 'strong', 'b', 'i', 'em', 'a', 'small', 'code', 'br', 'img', 'sup', 'sub']);
+
+const tags = nodes => DomUtils.findAll(n => n.type === 'tag', nodes);
+const childTags = el => (el.children || []).filter(n => n.type === 'tag');
+const textOf = node => DomUtils.textContent(node).replace(/\s+/g, ' ').trim();
+const classWords = el => `${el.attribs.class || ''} ${el.attribs.id || ''}`.toLowerCase().split(/[\s_-]+/).filter(Boolean).map(singular);
+const within = (node, scope) => { for (let n = node; n; n = n.parent) if (n === scope) return true; return false; };
+const range = (first, last = first) => ({ start: first.startIndex, end: last.endIndex + 1 });
+
+function findNumbered(scope, { kind, number }) {
+  const all = tags(scope.children);
+  const byData = all.find(el => el.attribs[`data-${kind}`] === number);
+  if (byData) return range(byData);
+
+  // An element named for the kind ("stage-row") that mentions this number and
+  // no other; the outermost one wins, and document order visits it first
+  const mention = new RegExp(`\\b${kind}\\s*#?\\s*(\\d+)\\b`, 'gi');
+  const named = all.filter(el => classWords(el).includes(kind));
+  const labelled = named.find(el => {
+    const text = textOf(el);
+    const numbers = [...text.matchAll(mention)].map(m => m[1]);
+    return numbers.length ? numbers.every(n => n === number) : new RegExp(`^${number}\\b`).test(text);
+  });
+  if (labelled) return range(labelled);
+
+  // Otherwise the Nth such element that isn't nested in another
+  const top = named.filter(el => !named.some(other => other !== el && within(el, other)));
+  return top[Number(number) - 1] ? range(top[Number(number) - 1]) : null;
+}
+
+const hasWords = (text, words) => {
+  const found = targetWords(text);
+  return words.every(w => found.includes(w));
+};
+
+function findNamed(scope, words, root) {
+  const all = tags(scope.children);
+
+  // 1. An element whose class / id names it ("handlers grid" → .handlers)
+  const byClass = all.find(el => words.every(w => classWords(el).includes(w)));
+  if (byClass) return range(byClass);
+
+  // 2. A column: the header cell naming it fixes the index within this row
+  if (scope !== root) {
+    const headerCell = tags(root.children).find(el => el.startIndex < scope.startIndex && !within(scope, el)
+      && childTags(el).length === 0 && textOf(el).length <= 40 && hasWords(textOf(el), words)
+      && childTags(el.parent).length > 1);
+    const cells = childTags(scope);
+    const index = headerCell ? childTags(headerCell.parent).indexOf(headerCell) : -1;
+    if (index > -1 && cells[index]) return range(cells[index]);
+  }
+
+  // 3. Text: the innermost element mentioning it, widened to its block; a
+  // title takes the block after it along with it
+  const hits = all.filter(el => hasWords(textOf(el), words));
+  let hit = hits.filter(el => !hits.some(other => other !== el && within(other, el)))[0];
+  if (!hit) return null;
+  while (INLINE.has(hit.name) && hit.parent && hit.parent !== scope && hit.parent.type === 'tag') hit = hit.parent;
+
+  const isTitle = /^h[1-6]$/.test(hit.name) || classWords(hit).some(w => w === 'title' || w === 'hdr' || w === 'header');
+  const next = DomUtils.nextElementSibling(hit);
+  return isTitle && next ? range(hit, next) : range(hit);
+}
+
+/**
+ * Find `target` in a generated HTML doc. Resolves to { start, end } (string
+ * offsets, end exclusive) or null when nothing matches.
+ */
+function locateHtmlSection(html, target) {
+  const document = parseDocument(html, { withStartIndices: true, withEndIndices: true });
+  const root = DomUtils.findOne(n => n.name === 'body', document.children) || document;
+
+  let scope = root;
+  let found = null;
+  for (const part of parseTarget(target)) {
+    found = part.kind ? findNumbered(scope, part) : findNamed(scope, part.words, root);
+    if (!found) return null;
+    scope = DomUtils.findOne(n => n.startIndex === found.start, [scope], true) || scope;
+  }
+  return found;
+}
+
+/** Targets worth suggesting for a doc: numbered steps / stages and headings. */
+function htmlOutline(html) {
+  const document = parseDocument(html);
+  const text = textOf(document);
+  const numbered = [...new Set([...text.matchAll(/\b(step|stage)\s*#?\s*(\d+)\b/gi)].map(m => `${m[1].toLowerCase()} ${m[2]}`))];
+  const titles = tags(document.children)
+    .filter(el => /^h[2-4]$/.test(el.name) || classWords(el).includes('title'))
+    .map(textOf).filter(t => t && t.length <= 40);
+  return [...numbered, ...new Set(titles)].slice(0, 30);
+}
+
+// ─── Locating a section in a call-doc ─────────────────────────────────────────
+
+// Most specific first: a tie on matched words goes to the earlier entry
+const DOC_SECTIONS = [
+  { path: ['eval', 'extractionRules'], words: ['extraction', 'rule'] },
+  { path: ['eval', 'outputGroups'], words: ['output', 'group', 'field'] },
+  { path: ['eval', 'scoringBands'], words: ['scoring', 'band', 'score', 'quality'] },
+  { path: ['eval', 'leadIntents'], words: ['lead', 'intent'] },
+  { path: ['eval', 'specialDetections'], words: ['special', 'detection'] },
+  { path: ['eval', 'issueCategories'], words: ['issue', 'objection', 'category'] },
+  { path: ['eval', 'downstream'], words: ['downstream'] },
+  { path: ['eval', 'violations'], words: ['violation'] },
+  { path: ['eval', 'flow'], words: ['evaluation', 'eval', 'flow'] },
+  { path: ['eval'], words: ['evaluation', 'eval'] },
+  { path: ['steps'], words: ['step', 'call', 'flow'] },
+  { path: ['agent'], words: ['agent', 'identity', 'persona'] },
+  { path: ['variables'], words: ['variable'] },
+  { path: ['decisionTable'], words: ['decision', 'logic'] },
+  { path: ['pitch'], words: ['pitch'] },
+  { path: ['handlers'], words: ['handler'] },
+  { path: ['rules'], words: ['rule', 'never', 'always'] },
+  { path: ['hardStop'], words: ['hard', 'stop'] },
+];
+
+const NUMBERED_PATHS = {
+  step: ['steps'], handler: ['handlers'], rule: ['rules'], group: ['eval', 'outputGroups'], band: ['eval', 'scoringBands'],
+};
+
+const getPath = (obj, path) => path.reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+/** Path into a call-doc for `target` (e.g. ['steps', 3]), or null. */
+function locateDocSection(doc, target) {
+  const parts = parseTarget(target);
+  if (parts.length !== 1) return null;
+  const [part] = parts;
+
+  if (part.kind) {
+    const base = NUMBERED_PATHS[part.kind];
+    const list = base && getPath(doc, base);
+    if (!Array.isArray(list)) return null;
+    const index = part.kind === 'step' ? list.findIndex(s => String(s.number) === part.number) : Number(part.number) - 1;
+    return list[index] === undefined ? null : [...base, index];
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const section of DOC_SECTIONS) {
+    const score = part.words.filter(w => section.words.includes(w)).length;
+    if (score > bestScore && getPath(doc, section.path) != null) [best, bestScore] = [section.path, score];
+  }
+  return best;
+}
+
+function docOutline(doc) {
+  return [
+    ...doc.steps.map(s => `step ${s.number}`),
+    ...DOC_SECTIONS.filter(s => getPath(doc, s.path) != null && s.path[0] !== 'steps').map(s => s.path.join('.')),
+  ];
+}
+
+// ─── Diff ─────────────────────────────────────────────────────────────────────
+
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Token diff (LCS) of two token lists → [{ op: 'equal' | 'added' | 'removed',
+ * text }] with runs merged. Falls back to remove-all / add-all when the
+ * inputs are too large to compare cheaply.
+ */
+function diffTokens(a, b, joiner = ' ') {
+  const ops = [];
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    if (a.length) ops.push({ op: 'removed', tokens: a });
+    if (b.length) ops.push({ op: 'added', tokens: b });
+  } else {
+    // lcs[i][j] = LCS length of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    const push = (op, token) => {
+      const last = ops[ops.length - 1];
+      if (last && last.op === op) last.tokens.push(token);
+      else ops.push({ op, tokens: [token] });
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) { push('equal', a[i]); i++; j++; }
+      else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) push('removed', a[i++]);
+      else push('added', b[j++]);
+    }
+  }
+  return ops.map(({ op, tokens }) => ({ op, text: tokens.join(joiner) }));
+}
+
+function sectionDiff(target, before, after, format) {
+  const changes = format === 'json'
+    ? diffTokens(JSON.stringify(before, null, 2).split('\n'), JSON.stringify(after, null, 2).split('\n'), '\n')
+    : diffTokens(htmlText(before).split(/\s+/).filter(Boolean), htmlText(after).split(/\s+/).filter(Boolean));
+  return {
+    target,
+    format,
+    before,
+    after,
+    changes,
+    added: changes.filter(c => c.op === 'added').length,
+    removed: changes.filter(c => c.op === 'removed').length,
+  };
+}
+
+// ─── Edits ────────────────────────────────────────────────────────────────────
+
+async function editHtml(llm, { html, section, instruction }, { onToken, signal }) {
+  const found = locateHtmlSection(html, section);
+  if (!found) {
+    throw new TaskInputError(`Section "${section}" not found. Try one of: ${htmlOutline(html).join(', ') || '(no sections recognised)'}`, 404);
+  }
+  const before = html.slice(found.start, found.end);
+
+  const response = await completeWithContinuation(llm, {
+    messages: [
+      { role: 'system', content: EDIT_HTML_PROMPT },
+      { role: 'user', content: `Instruction: ${instruction}\n\n=== HTML SECTION (${section}) ===\n${before}` },
+    ],
+    maxTokens: 4000,
+    temperature: 0.1,
+    onToken,
+    signal,
+  });
+  // A cut-off fragment is closed off rather than left to unbalance the page
+  const { html: after, unclosed } = repairHtmlStructure(stripFences(response.content));
+  const warnings = unclosed.length ? [`Closed ${unclosed.length} unclosed element(s) in the edited section: ${unclosed.join(', ')}`] : [];
+
+  return {
+    content: html.slice(0, found.start) + after + html.slice(found.end),
+    diff: sectionDiff(section, before, after, 'html'),
+    warnings,
+  };
+}
+
+async function editDoc(llm, { doc, section, instruction, theme }, { onToken, signal }) {
+  const path = locateDocSection(doc, section);
+  if (!path) throw new TaskInputError(`Section "${section}" not found. Try one of: ${docOutline(doc).join(', ')}`, 404);
+  const before = getPath(doc, path);
+
+  const messages = [
+    { role: 'system', content: EDIT_JSON_PROMPT },
+    { role: 'user', content: `Instruction: ${instruction}\n\n=== SECTION ${path.join('.')} (${section}) ===\n${JSON.stringify({ section: before }, null, 2)}` },
+  ];
+  let errors = [];
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const response = await completeWithContinuation(llm, { messages, maxTokens: 4000, temperature: 0.1, json: true, onToken, signal });
+    const updated = JSON.parse(JSON.stringify(doc));
+    try {
+      const { section: after } = JSON.parse(stripFences(response.content));
+      if (after === undefined) throw new Error('missing "section"');
+      path.slice(0, -1).reduce((obj, key) => obj[key], updated)[path[path.length - 1]] = after;
+      errors = validateCallDoc(updated);
+    } catch (err) {
+      errors = [`invalid JSON: ${err.message}`];
+    }
+    if (!errors.length) {
+      return {
+        content: renderCallDoc(updated, theme),
+        doc: updated,
+        diff: { path, ...sectionDiff(section, before, getPath(updated, path), 'json') },
+        warnings: [],
+      };
+    }
+    messages.push(
+      { role: 'assistant', content: response.content },
+      { role: 'user', content: `That edit makes the document invalid:\n${errors.map(e => `- ${e}`).join('\n')}\nReturn the corrected {"section": ...} object only.` },
+    );
+  }
+  throw new ModelOutputError('Model returned an invalid edit for this section', errors);
+}
+
+/**
+ * Apply `instruction` to one `section` of a generated doc. With a structured
+ * call-doc (`doc`) the JSON is edited and re-rendered with `theme`; otherwise
+ * the section is cut out of `html`, rewritten and spliced back. Resolves to
+ * { content, doc?, diff: { target, format, before, after, changes }, warnings }.
+ */
+async function editSection(llm, { html, doc, section, instruction, theme }, opts = {}) {
+  if (!instruction) throw new TaskInputError('No instruction provided');
+  if (doc) return editDoc(llm, { doc, section, instruction, theme }, opts);
+  if (!html) throw new TaskInputError('Provide the document HTML or a stored doc id');
+  return editHtml(llm, { html, section, instruction }, opts);
+}
+
+module.exports = { editSection, locateHtmlSection, locateDocSection, diffTokens, parseTarget };
@@ -0,0 +1,261 @@
+// ─── Call-flow sketch → workflow stages ───────────────────────────────────────
+//
+// A photographed whiteboard call flow goes through the flowchart analysis
+// (lib/analyze), and the Mermaid graph is turned into workflow stages here
+// without the model: boxes become stages, a decision straight after a box
+// becomes that stage's confirmation question with one answer per branch,
+// edge labels become exit metrics, and boxes with nowhere to go become
+// terminal outcomes. The stages are written out as a workflow prompt for
+// WORKFLOW_DOC_PROMPT. Both the Mermaid and the stages are returned, so a
+// corrected version of either can be sent back instead of the image.
+
+const Ajv = require('ajv');
+const { parseFlowchart } = require('./mermaid');
+
+const MAX_CHANNELS = 10;
+const MAX_STAGES = Number(process.env.SKETCH_MAX_STAGES) || 60;
+
+class SketchError extends Error {
+  constructor(message, status = 400, code, details) {
+    super(message);
+    this.name = 'SketchError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const SKETCH_STAGES_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Sketch workflow stages',
+  description: 'Stages and terminal outcomes read from a call-flow sketch; `to` and `next` are stage ids.',
+  type: 'array',
+  minItems: 1,
+  maxItems: MAX_STAGES,
+  items: {
+    type: 'object',
+    required: ['id', 'type', 'name'],
+    properties: {
+      id: { type: 'string', minLength: 1, maxLength: 64 },
+      type: { enum: ['stage', 'terminal'] },
+      number: { type: ['integer', 'null'] },
+      name: { type: 'string', minLength: 1, maxLength: 500 },
+      exitMetric: { type: 'string', maxLength: 1000 },
+      confirmation: {
+        type: ['object', 'null'],
+        required: ['question', 'answers'],
+        properties: {
+          question: { type: 'string', minLength: 1, maxLength: 1000 },
+          answers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['answer', 'to'],
+              properties: { answer: { type: 'string', maxLength: 200 }, to: { type: 'string' } },
+            },
+          },
+        },
+      },
+      next: { type: 'array', items: { type: 'string' } },
+    },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, strict: false });
+const validateSchema = ajv.compile(SKETCH_STAGES_SCHEMA);
+
+// ─── Graph → stages ───────────────────────────────────────────────────────────
+
+const START_LABEL = /^(start|begin|call starts?)$/i;
+const isStartMarker = node => ['stadium', 'circle', 'round'].includes(node.shape) && START_LABEL.test(node.label.trim());
+
+/**
+ * Stages from a parsed flowchart ({ nodes, edges } from parseFlowchart), in
+ * the order a call walks them. Stages are numbered; terminals are not.
+ */
+function flowchartToStages({ nodes, edges }) {
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const outgoing = id => edges.filter(e => e.from === id);
+  const incoming = id => edges.filter(e => e.to === id);
+
+  // A decision folds into the box before it when that box leads only to it
+  const foldedInto = new Map();
+  for (const node of nodes.filter(n => n.shape === 'diamond')) {
+    const into = incoming(node.id);
+    const from = into.length === 1 && byId.get(into[0].from);
+    if (from && from.shape !== 'diamond' && !isStartMarker(from) && outgoing(from.id).length === 1) foldedInto.set(node.id, from.id);
+  }
+
+  // Breadth-first from the entry points, so stage numbers follow the call
+  const order = [];
+  const seen = new Set();
+  for (const start of [...nodes.filter(n => !incoming(n.id).length), ...nodes]) {
+    const queue = [start.id];
+    while (queue.length) {
+      const id = queue.shift();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      order.push(id);
+      queue.push(...outgoing(id).map(e => e.to));
+    }
+  }
+
+  const startMarkers = new Set(nodes.filter(isStartMarker).map(n => n.id));
+  // Where an edge really leads: past a start marker, or to the stage a decision folded into
+  const target = id => {
+    if (!startMarkers.has(id)) return foldedInto.get(id) || id;
+    const after = outgoing(id)[0];
+    return after && !startMarkers.has(after.to) ? target(after.to) : null;
+  };
+  const targets = out => [...new Set(out.map(e => target(e.to)).filter(Boolean))];
+
+  const stages = [];
+  let number = 0;
+  for (const id of order) {
+    if (startMarkers.has(id) || foldedInto.has(id)) continue;
+    const node = byId.get(id);
+    const out = outgoing(id);
+    const decisionId = node.shape === 'diamond' ? id : [...foldedInto].find(([, from]) => from === id)?.[0];
+    const decision = decisionId && byId.get(decisionId);
+
+    if (!out.length) {
+      stages.push({ id, type: 'terminal', number: null, name: node.label, exitMetric: '', confirmation: null, next: [] });
+      continue;
+    }
+
+    const confirmation = decision
+      ? {
+        question: decision.label,
+        answers: outgoing(decision.id)
+          .map((e, i) => ({ answer: e.label || `Option ${i + 1}`, to: target(e.to) }))
+          .filter(a => a.to),
+      }
+      : null;
+    // A decision's own edges are its answers; otherwise edge labels say when the stage is done
+    const labels = node.shape === 'diamond' ? [] : out.map(e => e.label).filter(Boolean);
+
+    stages.push({
+      id,
+      type: 'stage',
+      number: ++number,
+      name: node.label,
+      exitMetric: labels.length ? labels.join(' / ') : confirmation ? `Answer to "${confirmation.question}"` : `${node.label} done`,
+      confirmation,
+      next: decision ? [] : targets(out),
+    });
+  }
+  return stages;
+}
+
+// ─── Input ────────────────────────────────────────────────────────────────────
+
+/**
+ * Stages from Mermaid flowchart code. Errors the parser can't repair are a
+ * 422 whose details carry the code and diagnostics, so it can be corrected.
+ * → { mermaid, stages, diagnostics }
+ */
+function stagesFromMermaid(code) {
+  const flowchart = parseFlowchart(code);
+  const errors = flowchart.diagnostics.filter(d => d.severity === 'error');
+  if (errors.length) {
+    throw new SketchError(`Flowchart has errors: ${errors.map(d => d.message).join('; ')}`, 422, 'DIAGRAM_INVALID', {
+      mermaid: flowchart.code, diagnostics: flowchart.diagnostics,
+    });
+  }
+  const stages = flowchartToStages(flowchart);
+  if (!stages.some(s => s.type === 'stage')) {
+    throw new SketchError('The flowchart has no stages: every box is a start or end marker', 422, 'NO_STAGES');
+  }
+  if (stages.length > MAX_STAGES) throw new SketchError(`The flowchart has ${stages.length} stages; the limit is ${MAX_STAGES}`, 413, 'TOO_MANY_STAGES');
+  return { mermaid: flowchart.code, stages, diagnostics: flowchart.diagnostics };
+}
+
+/**
+ * Resubmitted stages — an array, or its JSON from a multipart field —
+ * checked against SKETCH_STAGES_SCHEMA and for links to missing stages.
+ */
+function parseStages(input) {
+  let stages = input;
+  if (typeof input === 'string') {
+    try {
+      stages = JSON.parse(input);
+    } catch (err) {
+      throw new SketchError(`stages is not valid JSON: ${err.message}`, 400, 'INVALID_STAGES');
+    }
+  }
+  if (!validateSchema(stages)) {
+    throw new SketchError('Invalid stages', 400, 'INVALID_STAGES', validateSchema.errors.map(e => `stages${e.instancePath} ${e.message}`));
+  }
+
+  const ids = new Set();
+  const problems = [];
+  for (const stage of stages) {
+    if (ids.has(stage.id)) problems.push(`Stage id "${stage.id}" is used twice`);
+    ids.add(stage.id);
+  }
+  for (const stage of stages) {
+    const links = [...(stage.next || []), ...(stage.confirmation?.answers || []).map(a => a.to)];
+    problems.push(...links.filter(to => !ids.has(to)).map(to => `Stage "${stage.id}" leads to "${to}", which is not a stage`));
+  }
+  if (!stages.some(s => s.type === 'stage')) problems.push('At least one stage (not a terminal) is needed');
+  if (problems.length) throw new SketchError('Invalid stages', 400, 'INVALID_STAGES', problems);
+
+  // Renumber in the order given, so corrections can insert and remove stages freely
+  let number = 0;
+  return stages.map(s => ({
+    ...s,
+    number: s.type === 'stage' ? ++number : null,
+    exitMetric: s.exitMetric ?? '',
+    confirmation: s.confirmation ?? null,
+    next: s.next ?? [],
+  }));
+}
+
+/** `channels` as an array or a comma-separated string → trimmed names. */
+function parseChannels(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(',');
+  const channels = [...new Set(list.map(c => String(c).trim()).filter(Boolean))];
+  if (channels.length > MAX_CHANNELS) throw new SketchError(`Too many channels (${channels.length}); the limit is ${MAX_CHANNELS}`, 413, 'TOO_MANY_CHANNELS');
+  return channels;
+}
+
+// ─── Stages → workflow prompt ─────────────────────────────────────────────────
+
+/** The workflow prompt for the stage diagram doc, written from the stages. */
+function stagesToPrompt(stages, { channels = [], client, product } = {}) {
+  const byId = new Map(stages.map(s => [s.id, s]));
+  const title = s => (s.type === 'stage' ? `Stage ${s.number}: ${s.name}` : /^end$/i.test(s.name) ? 'End' : `End: ${s.name}`);
+  const link = id => title(byId.get(id));
+
+  const lines = [
+    `Call flow${client || product ? ` for ${[client, product].filter(Boolean).join(' — ')}` : ''}, read from a whiteboard sketch.`,
+  ];
+  if (channels.length) {
+    lines.push(`Channels: ${channels.join(', ')}. Every stage needs a speech bubble for each channel, in this order.`);
+  }
+
+  for (const stage of stages.filter(s => s.type === 'stage')) {
+    lines.push('', `STAGE ${stage.number}: ${stage.name}`);
+    if (stage.exitMetric) lines.push(`- Stage Exit Metric: ${stage.exitMetric}`);
+    if (stage.confirmation) {
+      lines.push(`- Confirmation question: "${stage.confirmation.question}"`);
+      lines.push(...stage.confirmation.answers.map(a => `  - "${a.answer}" → ${link(a.to)}`));
+    }
+    if (stage.next.length) lines.push(`- Then: ${stage.next.map(link).join('; ')}`);
+  }
+
+  const terminals = stages.filter(s => s.type === 'terminal');
+  if (terminals.length) lines.push('', 'OUTCOMES (where the call ends):', ...terminals.map(s => `- ${s.name}`));
+  return lines.join('\n');
+}
+
+module.exports = {
+  flowchartToStages,
+  stagesFromMermaid,
+  parseStages,
+  parseChannels,
+  stagesToPrompt,
+  SketchError,
+  SKETCH_STAGES_SCHEMA,
+  MAX_CHANNELS,
+};
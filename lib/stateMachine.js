@@ -0,0 +1,335 @@
+// ─── Workflow → executable state machine ──────────────────────────────────────
+//
+// The machine-readable counterpart of the workflow stage diagram: the model
+// extracts the workflow prompt into STATE_MACHINE_SCHEMA (stages, per-channel
+// messages, transitions keyed on exit metrics / confirmation answers, terminal
+// states); the result is schema- and graph-checked, and exported as JSON, YAML
+// and a Mermaid stateDiagram preview without further model involvement.
+
+const Ajv = require('ajv');
+const YAML = require('yaml');
+const { completeWithContinuation } = require('./continuation');
+const { stripFences } = require('./analyze');
+
+const str = { type: 'string', default: '' };
+const strList = { type: 'array', items: { type: 'string' }, default: [] };
+const ID = '^[a-z][a-z0-9_]{0,63}$';
+
+const TRIGGERS = ['exit_metric_met', 'exit_metric_not_met', 'confirmation', 'always'];
+
+class StateMachineError extends Error {
+  constructor(message, status = 400, code, details) {
+    super(message);
+    this.name = 'StateMachineError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const STATE_MACHINE_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'https://inkparse.app/schemas/workflow-state-machine.json',
+  title: 'Workflow state machine',
+  description: 'An AI calling workflow as a state machine: stages with per-channel messages, transitions keyed on exit metrics and confirmation answers, and terminal states.',
+  type: 'object',
+  required: ['version', 'initial', 'channels', 'states'],
+  properties: {
+    version: { const: '1.0' },
+    name: str,
+    client: str,
+    product: str,
+    channels: {
+      type: 'array',
+      description: 'Channel variants each stage has a message for (e.g. SSU, Referral, Non-Agency).',
+      items: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: { id: { type: 'string', pattern: ID }, name: { type: 'string', minLength: 1 } },
+      },
+    },
+    initial: { type: 'string', pattern: ID, description: 'id of the first state.' },
+    states: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'type', 'name'],
+        properties: {
+          id: { type: 'string', pattern: ID },
+          type: { enum: ['stage', 'terminal'] },
+          number: { type: ['integer', 'null'], default: null },
+          name: { type: 'string', minLength: 1 },
+          userActions: { ...strList, description: 'What the user is asked to do in this stage.' },
+          agentInfo: { ...strList, description: 'What the agent tells the user in this stage.' },
+          messages: {
+            type: 'object',
+            description: 'Script per channel, keyed by channel id.',
+            additionalProperties: { type: 'string' },
+            default: {},
+          },
+          exitMetric: str,
+          confirmation: {
+            type: ['object', 'null'],
+            default: null,
+            required: ['question'],
+            properties: { question: { type: 'string' }, answers: strList },
+          },
+          outcome: { ...str, description: 'Terminal states: the end result.' },
+          transitions: {
+            type: 'array',
+            default: [],
+            items: {
+              type: 'object',
+              required: ['to', 'trigger'],
+              properties: {
+                to: { type: 'string', pattern: ID },
+                trigger: { enum: TRIGGERS },
+                answer: { type: 'string', description: 'The confirmation answer this transition is keyed on.' },
+                condition: str,
+              },
+              if: { properties: { trigger: { const: 'confirmation' } } },
+              then: { required: ['answer'] },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, allowUnionTypes: true, strict: false });
+const validateSchema = ajv.compile(STATE_MACHINE_SCHEMA);
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+const slug = text => String(text ?? '').toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '').replace(/^(?=\d)/, 's_').slice(0, 64) || 'state';
+
+// Models write ids like "Stage 1: Intro"; make them schema ids and rewrite
+// every reference to match
+function normalizeIds(machine) {
+  if (!machine || !Array.isArray(machine.states)) return;
+  const rename = (list, prefix) => {
+    const map = new Map();
+    const used = new Set();
+    for (const item of list || []) {
+      if (!item || typeof item !== 'object') continue;
+      let id = slug(item.id || item.name || prefix);
+      for (let n = 2; used.has(id); n++) id = `${slug(item.id || item.name || prefix)}_${n}`;
+      used.add(id);
+      if (item.id != null) map.set(String(item.id), id);
+      item.id = id;
+    }
+    return map;
+  };
+
+  const channelIds = rename(machine.channels, 'channel');
+  const stateIds = rename(machine.states, 'state');
+  const state = ref => stateIds.get(String(ref)) || slug(ref);
+  if (machine.initial != null) machine.initial = state(machine.initial);
+  for (const s of machine.states) {
+    if (s.messages && typeof s.messages === 'object') {
+      s.messages = Object.fromEntries(Object.entries(s.messages).map(([k, v]) => [channelIds.get(k) || slug(k), v]));
+    }
+    for (const t of Array.isArray(s.transitions) ? s.transitions : []) {
+      if (t && t.to != null) t.to = state(t.to);
+    }
+  }
+}
+
+/**
+ * Validate (and fill defaults into) a state machine in place. Returns
+ * { errors, warnings }: errors break the schema or the graph (dangling
+ * targets, terminal states with exits, dead ends); warnings are states that
+ * can't be reached and confirmation answers no transition handles.
+ */
+function validateStateMachine(machine) {
+  if (!machine || typeof machine !== 'object' || Array.isArray(machine)) return { errors: ['state machine must be a JSON object'], warnings: [] };
+  if (!validateSchema(machine)) {
+    return { errors: validateSchema.errors.map(e => `${e.instancePath || '(root)'} ${e.message}`), warnings: [] };
+  }
+
+  const errors = [];
+  const warnings = [];
+  const ids = new Set(machine.states.map(s => s.id));
+  const channels = new Set(machine.channels.map(c => c.id));
+
+  if (ids.size !== machine.states.length) errors.push('state ids must be unique');
+  if (!ids.has(machine.initial)) errors.push(`initial state "${machine.initial}" does not exist`);
+  if (!machine.states.some(s => s.type === 'terminal')) errors.push('at least one terminal state is required');
+
+  for (const s of machine.states) {
+    for (const t of s.transitions) {
+      if (!ids.has(t.to)) errors.push(`state "${s.id}" has a transition to unknown state "${t.to}"`);
+    }
+    for (const channel of Object.keys(s.messages)) {
+      if (!channels.has(channel)) errors.push(`state "${s.id}" has a message for unknown channel "${channel}"`);
+    }
+    if (s.type === 'terminal' && s.transitions.length) errors.push(`terminal state "${s.id}" must not have transitions`);
+    if (s.type === 'stage' && !s.transitions.length) errors.push(`stage "${s.id}" has no transitions (mark it terminal if the call ends there)`);
+    if (s.transitions.some(t => t.trigger === 'confirmation') && !s.confirmation) {
+      errors.push(`state "${s.id}" has confirmation transitions but no confirmation question`);
+    }
+    const handled = new Set(s.transitions.filter(t => t.trigger === 'confirmation').map(t => t.answer.toLowerCase()));
+    for (const answer of s.confirmation?.answers || []) {
+      if (!handled.has(answer.toLowerCase())) warnings.push(`state "${s.id}": no transition for confirmation answer "${answer}"`);
+    }
+  }
+
+  if (errors.length) return { errors, warnings };
+
+  const reached = new Set();
+  const queue = [machine.initial];
+  const byId = new Map(machine.states.map(s => [s.id, s]));
+  while (queue.length) {
+    const id = queue.shift();
+    if (reached.has(id)) continue;
+    reached.add(id);
+    queue.push(...byId.get(id).transitions.map(t => t.to));
+  }
+  for (const id of ids) {
+    if (!reached.has(id)) warnings.push(`state "${id}" cannot be reached from "${machine.initial}"`);
+  }
+  return { errors, warnings };
+}
+
+// ─── Extraction ───────────────────────────────────────────────────────────────
+
+const STATE_MACHINE_PROMPT = `You are a senior conversational-AI engineer. You will be given the prompt for an AI calling WORKFLOW (stages, channel scripts, exit metrics, confirmation questions). Convert it into an executable state machine that a voice-bot runtime can load.
+
+Return ONLY a JSON object with this shape:
+{
+  "version": "1.0",
+  "name": workflow name,
+  "channels": [{ "id": snake_case id, "name": channel name as written }],
+  "initial": id of the first stage,
+  "states": [{
+    "id": snake_case id,
+    "type": "stage" | "terminal",
+    "number": stage number or null,
+    "name": stage name,
+    "userActions": [what the user must do],
+    "agentInfo": [what the agent must tell the user],
+    "messages": { channel id: the exact script for that channel },
+    "exitMetric": the stage exit metric,
+    "confirmation": { "question": the confirmation question, "answers": [the answers the flow distinguishes, e.g. "yes", "no"] } or null,
+    "outcome": end result (terminal states only),
+    "transitions": [{ "to": state id, "trigger": "exit_metric_met" | "exit_metric_not_met" | "confirmation" | "always", "answer": the confirmation answer (trigger "confirmation" only), "condition": the condition in words }]
+  }]
+}
+
+RULES — NEVER VIOLATE
+• One "stage" state per workflow stage, in order; every end of the call (success, drop-off, callback, not interested, ...) is a "terminal" state with no transitions
+• Every stage needs at least one transition. Key transitions on the stage's exit metric (met / not met) and on each confirmation answer; use "always" only when the prompt simply moves on
+• Where the prompt doesn't say what happens when an exit metric is not met or a confirmation is declined, don't invent a branch
+• Copy every channel message verbatim; if channels share a message, repeat it for each channel
+• Use the channel names from the prompt — never placeholders
+• Every word of content comes from the source prompt — no invention`;
+
+function buildStateMachineMessage({ prompt, client, product, feedback }) {
+  return `Convert this AI calling workflow into the state-machine JSON.
+
+${client ? `Client: ${client}` : ''}
+${product ? `Product: ${product}` : ''}
+
+=== WORKFLOW / CALL FLOW PROMPT ===
+${prompt}${feedback ? `\n\n${feedback}` : ''}`;
+}
+
+/**
+ * Extract a state machine from a workflow prompt. Retries once with the
+ * validation errors when the model's JSON does not validate; throws a 502
+ * StateMachineError (MODEL_OUTPUT_INVALID) if it still doesn't. Resolves to
+ * { machine, warnings }.
+ */
+async function extractStateMachine(llm, input, { onToken, signal } = {}) {
+  const messages = [
+    { role: 'system', content: STATE_MACHINE_PROMPT },
+    { role: 'user', content: buildStateMachineMessage(input) },
+  ];
+
+  let errors = [];
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const response = await completeWithContinuation(llm, { messages, maxTokens: 8000, temperature: 0.1, json: true, onToken, signal });
+    const reply = response.content;
+
+    let machine;
+    let warnings = [];
+    try {
+      machine = JSON.parse(stripFences(reply));
+      if (machine && typeof machine === 'object') {
+        machine.version = '1.0';
+        normalizeIds(machine);
+      }
+      ({ errors, warnings } = validateStateMachine(machine));
+    } catch (err) {
+      errors = [`invalid JSON: ${err.message}`];
+    }
+    if (!errors.length) {
+      const { name, client, product, channels, initial, states } = machine;
+      return {
+        machine: {
+          version: '1.0', name, client: input.client || client, product: input.product || product, channels, initial, states,
+        },
+        warnings,
+      };
+    }
+
+    messages.push(
+      { role: 'assistant', content: reply },
+      { role: 'user', content: `That state machine is not valid:\n${errors.map(e => `- ${e}`).join('\n')}\nReturn the corrected JSON object only.` },
+    );
+  }
+
+  throw new StateMachineError('Model returned an invalid state machine', 502, 'MODEL_OUTPUT_INVALID', errors);
+}
+
+// ─── Exports ──────────────────────────────────────────────────────────────────
+
+/** The machine as YAML, keys in schema order, with a pointer to the schema. */
+function toYaml(machine) {
+  return `# yaml-language-server: $schema=${STATE_MACHINE_SCHEMA.$id}\n${YAML.stringify(machine, { lineWidth: 0 })}`;
+}
+
+// Mermaid state labels can't carry quotes, semicolons or line breaks
+const mermaidText = text => String(text ?? '').replace(/["\r\n;]+/g, ' ').replace(/[{}]/g, '').replace(/\s+/g, ' ').trim();
+
+function transitionLabel(t) {
+  switch (t.trigger) {
+    case 'exit_metric_met': return 'exit metric met';
+    case 'exit_metric_not_met': return 'exit metric not met';
+    case 'confirmation': return `answer: ${t.answer}`;
+    default: return t.condition;
+  }
+}
+
+/** A Mermaid stateDiagram-v2 preview of the machine. */
+function toMermaid(machine) {
+  const lines = ['stateDiagram-v2', '    direction TB'];
+  for (const s of machine.states) {
+    const label = s.number != null ? `${s.number}. ${s.name}` : s.name;
+    lines.push(`    state "${mermaidText(label)}" as ${s.id}`);
+  }
+  lines.push(`    [*] --> ${machine.initial}`);
+  for (const s of machine.states) {
+    for (const t of s.transitions) {
+      const label = mermaidText(transitionLabel(t));
+      lines.push(`    ${s.id} --> ${t.to}${label ? ` : ${label}` : ''}`);
+    }
+    if (s.type === 'terminal') lines.push(`    ${s.id} --> [*]`);
+  }
+  const terminals = machine.states.filter(s => s.type === 'terminal').map(s => s.id);
+  if (terminals.length) lines.push('    classDef terminal fill:#FDECEA,stroke:#C0392B', `    class ${terminals.join(',')} terminal`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  STATE_MACHINE_SCHEMA,
+  STATE_MACHINE_PROMPT,
+  validateStateMachine,
+  extractStateMachine,
+  StateMachineError,
+  toYaml,
+  toMermaid,
+};
@@ -0,0 +1,261 @@
+// ─── Generation tasks ─────────────────────────────────────────────────────────
+//
+// The work behind each generation route, shared by the synchronous routes and
+// the async job runner. Every task takes an optional { onToken, signal } so
+// jobs can stream progress and be cancelled; the synchronous routes just
+// don't pass them. A `theme` in the doc inputs is a resolved theme object
+// (themes.resolve()), not an id.
+
+const { extractCallDoc } = require('./callDoc');
+const { renderCallDoc } = require('./callDocRenderer');
+const { cleanHtmlOutput, formatDocDate, repairHtmlStructure } = require('./html');
+const { completeWithContinuation } = require('./continuation');
+const { verifyCoverage, coverageFeedback } = require('./coverage');
+const { applyTheme } = require('./themes');
+const { analyzePages } = require('./analyze');
+const { rasterizePdf } = require('./pdfRaster');
+const { getAnalysisType, analysisModes, listAnalysisTypes } = require('./analysisTypes');
+const { DOC_SYSTEM_PROMPT, WORKFLOW_DOC_PROMPT } = require('./prompts');
+const { getLanguage, listLanguages, languageInstructions, DEFAULT_LANGUAGE } = require('./languages');
+
+class TaskInputError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TaskInputError';
+    this.status = status;
+  }
+}
+
+const MAX_ANALYZE_PAGES = Number(process.env.ANALYZE_MAX_PAGES) || 20;
+
+// ─── Analyze ──────────────────────────────────────────────────────────────────
+
+/** 400 unless there are files and every one is an image or a PDF. */
+function checkUploads(files) {
+  if (!files.length) throw new TaskInputError('No image uploaded');
+  const unsupported = files.find(f => !f.mimetype.startsWith('image/') && f.mimetype !== 'application/pdf');
+  if (unsupported) throw new TaskInputError(`Unsupported file type: ${unsupported.mimetype || 'unknown'}`);
+}
+
+/**
+ * Turn uploaded files ([{ buffer, mimetype }]) into ordered page images,
+ * rasterising any PDFs in place.
+ */
+async function loadPages(files) {
+  checkUploads(files);
+
+  const pages = [];
+  for (const file of files) {
+    if (file.mimetype === 'application/pdf') {
+      pages.push(...await rasterizePdf(file.buffer, { maxPages: MAX_ANALYZE_PAGES }));
+    } else {
+      pages.push({ buffer: file.buffer, mimeType: file.mimetype });
+    }
+  }
+  if (pages.length > MAX_ANALYZE_PAGES) {
+    throw new TaskInputError(`Too many pages (${pages.length}); the limit is ${MAX_ANALYZE_PAGES}`, 413);
+  }
+  return pages;
+}
+
+/**
+ * The analysis type for a request's `type` (missing → notes) and `mode`
+ * (missing → corrected); 400 if either is unknown.
+ */
+function resolveAnalysisType(type, mode) {
+  const analysisType = getAnalysisType(type, mode);
+  if (!analysisType) {
+    if (!getAnalysisType(type)) {
+      const known = listAnalysisTypes().map(t => t.name).join(', ');
+      throw new TaskInputError(`Unknown analysis type "${type}". Expected one of: ${known}`);
+    }
+    const { name } = getAnalysisType(type);
+    throw new TaskInputError(`Analysis type "${name}" has no mode "${mode}". Expected one of: ${analysisModes(name).join(', ')}`);
+  }
+  return analysisType;
+}
+
+async function runAnalyze(llm, { type, mode, pages, pageMarkers }, { onToken, signal } = {}) {
+  const analysisType = resolveAnalysisType(type, mode);
+  const result = await analyzePages(llm, pages, { analysisType, pageMarkers, onToken, signal });
+  return { type: analysisType.name, mode: analysisType.mode, format: analysisType.format, ...result };
+}
+
+// ─── Generated HTML ───────────────────────────────────────────────────────────
+
+/**
+ * Clean a (possibly continued) HTML generation and close anything left open.
+ * completeness: 'complete' | 'repaired' (closing tags were added) |
+ * 'incomplete' (still cut off after the last continuation, or no document).
+ */
+function finalizeHtml(response) {
+  const { html, repaired, warnings } = repairHtmlStructure(cleanHtmlOutput(response.content));
+
+  if (response.continuations) {
+    warnings.unshift(`Output hit the token limit and was continued ${response.continuations} time(s)`);
+  }
+  if (response.truncated) warnings.push('Output was still cut off after the last continuation');
+  const noDocument = !/<html[\s>]/i.test(html);
+  if (noDocument) warnings.push('Output does not contain an <html> document');
+
+  const completeness = response.truncated || noDocument ? 'incomplete' : repaired ? 'repaired' : 'complete';
+  return { content: html, completeness, warnings };
+}
+
+function themed(result, theme) {
+  return { ...result, content: applyTheme(result.content, theme) };
+}
+
+// ─── Language ─────────────────────────────────────────────────────────────────
+
+/**
+ * `language` and `bilingual` from a request body → { language, bilingual },
+ * with language resolved through lib/languages. Bilingual needs a language
+ * other than English.
+ */
+function resolveLanguage(body = {}) {
+  const language = getLanguage(body.language);
+  if (!language) {
+    const known = listLanguages().map(l => `${l.code} (${l.name})`).join(', ');
+    throw new TaskInputError(`Unknown language "${body.language}". Expected one of: ${known}`);
+  }
+  const bilingual = body.bilingual === true || body.bilingual === 'true';
+  if (bilingual && language.code === DEFAULT_LANGUAGE) {
+    throw new TaskInputError('bilingual needs a language other than English');
+  }
+  return { language, bilingual };
+}
+
+// ─── Coverage ─────────────────────────────────────────────────────────────────
+
+const MAX_REGENERATIONS = Number(process.env.DOC_MAX_REGENERATIONS) || 1;
+
+/**
+ * Run `attempt(feedback)` and attach a coverage report for `sources`. When
+ * `minCoverage` (0–1; request body or DOC_MIN_COVERAGE) is set and not met,
+ * regenerate with the missing items spelled out, keeping the best attempt.
+ */
+async function withCoverage(sources, minCoverage, attempt) {
+  const threshold = Number(minCoverage ?? process.env.DOC_MIN_COVERAGE) || 0;
+  let best = null;
+  let feedback = null;
+  let attempts = 0;
+
+  while (attempts <= MAX_REGENERATIONS) {
+    const result = await attempt(feedback);
+    attempts++;
+    result.coverage = verifyCoverage(sources, result.content);
+    if (!best || result.coverage.score > best.coverage.score) best = result;
+    if (!threshold || result.coverage.score >= threshold) break;
+    feedback = coverageFeedback(result.coverage);
+  }
+
+  best.coverage.attempts = attempts;
+  // A score of 1 over nothing checked says nothing; say so rather than pass silently
+  if (!best.coverage.total && sources.some(s => s && s.trim())) {
+    best.warnings = [...(best.warnings || []), 'No stages, steps, channels or variables were found in the prompt, so coverage was not checked'];
+  }
+  if (threshold && best.coverage.score < threshold) {
+    best.warnings = [...(best.warnings || []), `Coverage ${best.coverage.score} is below the ${threshold} threshold`];
+  }
+  return best;
+}
+
+// ─── Workflow doc ─────────────────────────────────────────────────────────────
+
+async function generateWorkflowDoc(llm, body, opts = {}) {
+  if (!body.prompt) throw new TaskInputError('No prompt provided');
+  const input = { ...body, ...resolveLanguage(body) };
+  return withCoverage([body.prompt], body.minCoverage, feedback => workflowAttempt(llm, input, feedback, opts));
+}
+
+async function workflowAttempt(llm, { prompt, client, product, version, theme, language, bilingual }, feedback, { onToken, signal }) {
+  const instructions = languageInstructions({ language, bilingual });
+  const userText = `Generate a workflow stage diagram HTML document.
+
+Client: ${client || 'Company'}
+Product: ${product || 'AI Calling Workflow'}
+Version: ${version || 'v1.0'}
+Date: ${formatDocDate(undefined, language.locale)}
+
+=== WORKFLOW / CALL FLOW PROMPT ===
+${prompt}
+${instructions ? `\n${instructions}\n` : ''}
+Output ONLY a complete <!DOCTYPE html> file. No code fences. No explanation.${feedback ? `\n\n${feedback}` : ''}`;
+
+  const response = await completeWithContinuation(llm, {
+    messages: [
+      { role: 'system', content: WORKFLOW_DOC_PROMPT },
+      { role: 'user',   content: userText },
+    ],
+    maxTokens: 8000,
+    temperature: 0.15,
+    onToken,
+    signal,
+  });
+
+  return themed(finalizeHtml(response), theme);
+}
+
+// ─── Call-reference doc ───────────────────────────────────────────────────────
+
+async function generateCallDoc(llm, body, opts = {}) {
+  if (!body.scriptPrompt && !body.evalPrompt) throw new TaskInputError('Provide at least one prompt (script or evaluation)');
+  const input = { ...body, ...resolveLanguage(body) };
+  return withCoverage([body.scriptPrompt, body.evalPrompt], body.minCoverage, feedback => callDocAttempt(llm, input, feedback, opts));
+}
+
+async function callDocAttempt(llm, { scriptPrompt, evalPrompt, client, product, version, mode, theme, language, bilingual }, feedback, { onToken, signal }) {
+  const date = formatDocDate(undefined, language.locale);
+  const instructions = languageInstructions({ language, bilingual });
+  // Default: extract JSON, then render it deterministically.
+  // mode: 'freeform' keeps the old single-pass HTML generation.
+  if (mode !== 'freeform') {
+    const doc = await extractCallDoc(llm, { scriptPrompt, evalPrompt, client, product, version, date, language, bilingual, feedback }, { onToken, signal });
+    return { content: renderCallDoc(doc, theme), doc, completeness: 'complete', warnings: [] };
+  }
+
+  const userText = `Generate a complete, self-contained HTML documentation file for this AI calling system.
+
+${client  ? `Client Name: ${client}`         : ''}
+${product ? `Product / Use Case: ${product}` : ''}
+Version: ${version || 'v1.0'}
+Date: ${date}
+
+${scriptPrompt ? `=== CALL SCRIPT / AGENT PROMPT ===\n${scriptPrompt}` : ''}
+${evalPrompt   ? `\n=== CALL EVALUATION PROMPT ===\n${evalPrompt}` : ''}
+${instructions ? `\n${instructions}\n` : ''}
+CRITICAL REQUIREMENTS:
+- Output ONLY a complete <!DOCTYPE html> file — no explanation, no code fences
+- Use ALL the coloured component patterns from the design system
+- Every section must have colour: coloured card headers, coloured borders, coloured badges
+- Extract and render EVERY step, variable, handler, rule, field from the prompts above
+- FILL THE PAGE: if the prompt is short, expand content with script excerpts, branching logic, coaching tips, implementation notes — never leave white space
+- Dense, information-rich — minimum 1 full A4 page per prompt provided${feedback ? `\n\n${feedback}` : ''}`;
+
+  const response = await completeWithContinuation(llm, {
+    messages: [
+      { role: 'system', content: DOC_SYSTEM_PROMPT },
+      { role: 'user',   content: userText }
+    ],
+    maxTokens: 16000,
+    temperature: 0.15,
+    onToken,
+    signal,
+  });
+
+  return themed(finalizeHtml(response), theme);
+}
+
+module.exports = {
+  checkUploads,
+  loadPages,
+  resolveAnalysisType,
+  runAnalyze,
+  resolveLanguage,
+  generateWorkflowDoc,
+  generateCallDoc,
+  finalizeHtml,
+  TaskInputError,
+  MAX_ANALYZE_PAGES,
+};
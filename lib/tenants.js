@@ -0,0 +1,129 @@
+// ─── Tenants, API keys and rate limits ────────────────────────────────────────
+//
+// Tenants are configured in TENANTS_FILE (a JSON file) or the TENANTS env var:
+//
+//   { "tenants": [{ "id": "acme", "name": "Acme", "keys": ["ik_live_...", "sha256:<hex>"],
+//                   "requestsPerMinute": 60, "requestsPerHour": 1000,
+//                   "monthlyTokenQuota": 2000000, "monthlyPdfQuota": 500 }] }
+//
+// Keys can be listed in the clear or as "sha256:" + the key's SHA-256; only
+// the hashes are kept in memory. Limits and quotas are optional (absent =
+// unlimited). With no tenants configured the API stays open, as before.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const Ajv = require('ajv');
+
+class AccessError extends Error {
+  constructor(message, status = 401, headers = {}, code) {
+    super(message);
+    this.name = 'AccessError';
+    this.status = status;
+    this.headers = headers;
+    this.code = code;
+  }
+}
+
+const limit = { type: ['integer', 'null'], minimum: 0, default: null };
+
+const TENANTS_SCHEMA = {
+  type: 'object',
+  required: ['tenants'],
+  properties: {
+    tenants: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'keys'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,63}$' },
+          name: { type: 'string' },
+          keys: { type: 'array', minItems: 1, items: { type: 'string', minLength: 16 } },
+          requestsPerMinute: limit,
+          requestsPerHour: limit,
+          monthlyTokenQuota: limit,
+          monthlyPdfQuota: limit,
+        },
+      },
+    },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, allowUnionTypes: true });
+const validateSchema = ajv.compile(TENANTS_SCHEMA);
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+/** Read and validate the tenant config; [] when none is given. Throws on bad config. */
+function loadTenants({ file, json } = {}) {
+  const source = file ? fs.readFileSync(file, 'utf8') : json;
+  if (!source) return [];
+  const config = JSON.parse(source);
+  if (!validateSchema(config)) {
+    throw new Error(`Invalid tenant config: ${validateSchema.errors.map(e => `${e.instancePath || '(root)'} ${e.message}`).join('; ')}`);
+  }
+  const ids = config.tenants.map(t => t.id);
+  const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+  if (duplicate) throw new Error(`Invalid tenant config: duplicate tenant id "${duplicate}"`);
+  return config.tenants;
+}
+
+function createTenantRegistry(tenants) {
+  const byKeyHash = new Map();
+  for (const { keys, ...tenant } of tenants) {
+    for (const key of keys) {
+      const hash = key.startsWith('sha256:') ? key.slice(7).toLowerCase() : hashKey(key);
+      if (byKeyHash.has(hash)) throw new Error(`Invalid tenant config: an API key is listed twice (tenant "${tenant.id}")`);
+      byKeyHash.set(hash, { name: tenant.id, ...tenant });
+    }
+  }
+
+  return {
+    enabled: tenants.length > 0,
+    /** Tenant owning `key`, or null. */
+    authenticate: key => (key ? byKeyHash.get(hashKey(key)) || null : null),
+    get: id => [...byKeyHash.values()].find(t => t.id === id) || null,
+  };
+}
+
+// ─── Rate limiting ────────────────────────────────────────────────────────────
+
+const WINDOWS = [
+  { field: 'requestsPerMinute', ms: 60 * 1000 },
+  { field: 'requestsPerHour', ms: 60 * 60 * 1000 },
+];
+
+// Fixed windows per tenant, in memory: a request counts against every window
+// the tenant has a limit for, and is refused if any of them is full
+function createRateLimiter() {
+  const windows = new Map(); // `${tenant}:${ms}` → { start, count }
+
+  return {
+    /** Count a request. Resolves to { allowed, limit, remaining, resetMs } for the tightest window. */
+    take(tenant, now = Date.now()) {
+      const states = WINDOWS.filter(w => tenant[w.field] != null).map(w => {
+        const id = `${tenant.id}:${w.ms}`;
+        let state = windows.get(id);
+        if (!state || now - state.start >= w.ms) {
+          state = { start: now, count: 0 };
+          windows.set(id, state);
+        }
+        return { state, limit: tenant[w.field], resetMs: state.start + w.ms - now };
+      });
+      if (!states.length) return { allowed: true, limit: null, remaining: null, resetMs: 0 };
+
+      const allowed = states.every(s => s.state.count < s.limit);
+      if (allowed) states.forEach(s => s.state.count++);
+      const tightest = states.reduce((a, b) => (b.limit - b.state.count < a.limit - a.state.count ? b : a));
+      return {
+        allowed,
+        limit: tightest.limit,
+        remaining: Math.max(0, tightest.limit - tightest.state.count),
+        resetMs: allowed ? tightest.resetMs : Math.max(...states.filter(s => s.state.count >= s.limit).map(s => s.resetMs)),
+      };
+    },
+  };
+}
+
+module.exports = { loadTenants, createTenantRegistry, createRateLimiter, hashKey, AccessError };
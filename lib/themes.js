@@ -0,0 +1,257 @@
+// ─── Client branding themes ───────────────────────────────────────────────────
+//
+// A theme is a palette (the same tokens as the doc design system: navy, teal,
+// gold, ... plus the workflow stage-row colours), body / heading fonts, an
+// optional logo (data URL) and footer text. Themes live as JSON files in
+// THEMES_DIR/<tenant>/, so each tenant has its own theme ids; 'default' is
+// built in, shared, and reproduces the stock look.
+//
+// The theme is applied after generation, not suggested to the model: the
+// renderer takes it directly, and applyTheme() rewrites model-written HTML
+// (default colour literals → theme colours, Inter → theme font, logo into the
+// header block, footer text appended).
+
+const fs = require('fs/promises');
+const path = require('path');
+const Ajv = require('ajv');
+const { Parser } = require('htmlparser2');
+const { PALETTE } = require('./callDocRenderer');
+const { escapeHtml } = require('./html');
+const { injectHeadStyle } = require('./renderSandbox');
+
+class ThemeError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'ThemeError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const DEFAULT_THEME = {
+  id: 'default',
+  name: 'InkParse default',
+  palette: {
+    ...PALETTE,
+    background: '#F0F4F8',
+    'stage-1': '#FFF9C4',
+    'stage-2': '#E8F5E2',
+    'stage-3': '#F4F7FA',
+  },
+  fonts: {
+    body: 'Inter',
+    heading: 'Inter',
+    import: 'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800;900&display=swap',
+  },
+  logo: null,
+  footerText: 'Confidential',
+  builtIn: true,
+};
+
+const PALETTE_KEYS = Object.keys(DEFAULT_THEME.palette);
+const MAX_LOGO_BYTES = Number(process.env.THEME_MAX_LOGO_BYTES) || 512 * 1024;
+const TENANT_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+const fontName = { type: 'string', pattern: '^[A-Za-z0-9 \\-]{1,64}$' };
+
+const THEME_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,63}$' },
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    palette: {
+      type: 'object',
+      propertyNames: { enum: PALETTE_KEYS },
+      additionalProperties: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+      default: {},
+    },
+    fonts: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        body: fontName,
+        heading: fontName,
+        import: { type: ['string', 'null'], pattern: '^https://[^\'"()\\s]+$' },
+      },
+      default: {},
+    },
+    logo: {
+      type: ['string', 'null'],
+      pattern: '^data:image/(png|jpeg|webp|svg\\+xml);base64,[A-Za-z0-9+/=]+$',
+      maxLength: Math.ceil(MAX_LOGO_BYTES * 4 / 3) + 64,
+      default: null,
+    },
+    footerText: { type: 'string', maxLength: 200 },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, allowUnionTypes: true });
+const validateSchema = ajv.compile(THEME_SCHEMA);
+
+/** Validate (and fill defaults into) a theme in place. Returns error strings. */
+function validateTheme(theme) {
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) return ['theme must be a JSON object'];
+  if (validateSchema(theme)) return [];
+  return validateSchema.errors.map(e => `${e.instancePath || '(root)'} ${e.message}`);
+}
+
+/** A stored theme layered over the default so every token / font is set. */
+function completeTheme(theme) {
+  return {
+    ...DEFAULT_THEME,
+    ...theme,
+    palette: { ...DEFAULT_THEME.palette, ...theme.palette },
+    // A custom body font without its own import must not keep loading Inter
+    fonts: theme.fonts && theme.fonts.body
+      ? { heading: theme.fonts.body, import: null, ...theme.fonts }
+      : { ...DEFAULT_THEME.fonts, ...theme.fonts },
+    footerText: theme.footerText ?? DEFAULT_THEME.footerText,
+    builtIn: false,
+  };
+}
+
+// ─── Store ────────────────────────────────────────────────────────────────────
+
+function createThemeStore(dir = path.join(process.cwd(), 'data', 'themes')) {
+  const ready = fs.mkdir(dir, { recursive: true });
+  const folder = tenant => {
+    if (typeof tenant !== 'string' || !TENANT_ID.test(tenant)) throw new ThemeError('A tenant id is required for themes', 500);
+    return path.join(dir, tenant);
+  };
+  const file = (tenant, id) => path.join(folder(tenant), `${id}.json`);
+
+  async function read(tenant, id) {
+    await ready;
+    try {
+      return JSON.parse(await fs.readFile(file(tenant, id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  // Every method works within one tenant's themes; 'default' is everyone's
+  return {
+    async list(tenant) {
+      await ready;
+      let names = [];
+      try {
+        names = await fs.readdir(folder(tenant));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      const ids = names.filter(n => n.endsWith('.json')).map(n => n.slice(0, -5)).sort();
+      const themes = (await Promise.all(ids.map(id => read(tenant, id)))).filter(Boolean);
+      return [DEFAULT_THEME, ...themes];
+    },
+
+    async get(tenant, id) {
+      if (id === DEFAULT_THEME.id) return DEFAULT_THEME;
+      if (!/^[a-z0-9][a-z0-9-]{0,63}$/.test(id)) return null;
+      return read(tenant, id);
+    },
+
+    /** Create or replace one of `tenant`'s themes. Throws ThemeError (400) on invalid input. */
+    async save(tenant, theme) {
+      if (theme && theme.id === DEFAULT_THEME.id) throw new ThemeError('The default theme is built in and cannot be changed', 403);
+      const errors = validateTheme(theme);
+      if (errors.length) throw new ThemeError('Invalid theme', 400, errors);
+      await ready;
+      await fs.mkdir(folder(tenant), { recursive: true });
+      const tmp = `${file(tenant, theme.id)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(theme, null, 2));
+      await fs.rename(tmp, file(tenant, theme.id));
+      return theme;
+    },
+
+    async delete(tenant, id) {
+      if (id === DEFAULT_THEME.id) throw new ThemeError('The default theme is built in and cannot be deleted', 403);
+      if (!(await this.get(tenant, id))) throw new ThemeError('Theme not found', 404);
+      await fs.rm(file(tenant, id), { force: true });
+    },
+
+    /** Theme for a doc request: default when no id is given, 404 for ids `tenant` doesn't have. */
+    async resolve(tenant, id) {
+      if (!id) return DEFAULT_THEME;
+      const theme = await this.get(tenant, String(id));
+      if (!theme) throw new ThemeError(`Unknown theme "${id}"`, 404);
+      return theme.builtIn ? theme : completeTheme(theme);
+    },
+  };
+}
+
+// ─── Applying a theme to model-written HTML ───────────────────────────────────
+
+const fontStack = font => `'${font}', sans-serif`;
+
+// Index just past the opening tag of the doc's header block: the first
+// header element or element with a hdr / header class, else <body>
+function headerInsertIndex(html) {
+  let index = -1;
+  let bodyIndex = -1;
+  const parser = new Parser({
+    onopentag(name, attrs) {
+      if (index > -1) return;
+      if (name === 'body') bodyIndex = parser.endIndex + 1;
+      else if (name === 'header' || /(^|[\s_-])(hdr|header)([\s_-]|$)/i.test(attrs.class || '')) index = parser.endIndex + 1;
+    },
+  });
+  parser.write(html);
+  parser.end();
+  return index > -1 ? index : bodyIndex;
+}
+
+/**
+ * Rewrite generated HTML to use `theme`. The default theme is a no-op, so
+ * untouched requests produce exactly what they did before themes existed.
+ */
+function applyTheme(html, theme) {
+  if (!theme || theme.id === DEFAULT_THEME.id) return html;
+  let out = String(html);
+
+  // Literal default colours (inline styles, prompt-copied CSS) → theme colours
+  const swaps = new Map();
+  for (const key of PALETTE_KEYS) {
+    const from = DEFAULT_THEME.palette[key].toUpperCase();
+    if (theme.palette[key] && theme.palette[key].toUpperCase() !== from && !swaps.has(from)) swaps.set(from, theme.palette[key]);
+  }
+  out = out.replace(/#[0-9A-Fa-f]{6}\b/g, hex => swaps.get(hex.toUpperCase()) || hex);
+
+  // Fonts: drop the Inter import, point font-family declarations at the theme
+  out = out.replace(/@import\s+url\(\s*['"]?https:\/\/fonts\.googleapis\.com\/css2\?family=Inter[^)]*\)\s*;?/gi, '');
+  out = out.replace(/(font-family\s*:\s*)(['"]?)Inter\2/gi, (m, prop, q) => `${prop}${q}${theme.fonts.body}${q}`);
+
+  const vars = PALETTE_KEYS.map(k => `--${k}: ${theme.palette[k]};`).join(' ');
+  const css = [
+    theme.fonts.import ? `@import url('${theme.fonts.import}');` : '',
+    `:root { ${vars} }`,
+    theme.fonts.heading !== theme.fonts.body ? `h1, h2, h3, h4 { font-family: ${fontStack(theme.fonts.heading)}; }` : '',
+    '.theme-logo { height: 32px; max-width: 160px; object-fit: contain; margin-right: 12px; vertical-align: middle; }',
+    `.theme-footer { margin: 16px auto 0; max-width: 900px; font-size: 8px; color: ${theme.palette.grey}; text-align: center; }`,
+  ].filter(Boolean).join('\n');
+  // @import must come first in its stylesheet, so this is a <style> of its own
+  out = injectHeadStyle(out, css, 'theme');
+
+  if (theme.logo) {
+    const at = headerInsertIndex(out);
+    if (at > -1) out = out.slice(0, at) + `<img class="theme-logo" src="${escapeHtml(theme.logo)}" alt="${escapeHtml(theme.name)} logo">` + out.slice(at);
+  }
+  if (theme.footerText) {
+    const footerHtml = `<div class="theme-footer">${escapeHtml(theme.footerText)}</div>`;
+    out = /<\/body>/i.test(out) ? out.replace(/<\/body>/i, `${footerHtml}\n</body>`) : out + footerHtml;
+  }
+  return out;
+}
+
+module.exports = {
+  createThemeStore,
+  applyTheme,
+  validateTheme,
+  completeTheme,
+  DEFAULT_THEME,
+  MAX_LOGO_BYTES,
+  THEME_SCHEMA,
+  ThemeError,
+};
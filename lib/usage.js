@@ -0,0 +1,225 @@
+// ─── Usage metering ───────────────────────────────────────────────────────────
+//
+// Per-tenant, per-month totals of model tokens (from each completion's
+// response.usage) and PDF renders, kept in memory and written to
+// DIR/<YYYY-MM>.json a couple of seconds after they change. Cache hits never
+// reach the model, so they cost nothing here either.
+//
+// Cost estimates use USD per 1M tokens. Prices are looked up by the longest
+// matching model-name prefix ("gpt-4o-2024-08-06" → "gpt-4o"); MODEL_PRICES
+// (JSON, same shape as DEFAULT_PRICES) adds or overrides entries.
+
+const fs = require('fs');
+const path = require('path');
+const { AccessError } = require('./tenants');
+const { logger } = require('./logger');
+
+const DEFAULT_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'mock': { input: 0, output: 0 },
+};
+
+const monthOf = (date = new Date()) => date.toISOString().slice(0, 7);
+const MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function checkMonth(month) {
+  if (!MONTH.test(month)) throw new AccessError('month must be YYYY-MM', 400);
+}
+
+function priceFor(model, prices) {
+  const name = String(model || '').toLowerCase();
+  const match = Object.keys(prices).filter(p => name.startsWith(p.toLowerCase())).sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+}
+
+const round = (n, places = 4) => Math.round(n * 10 ** places) / 10 ** places;
+
+function estimateCost(model, { promptTokens, completionTokens }, prices) {
+  const price = priceFor(model, prices);
+  return price ? round((promptTokens * price.input + completionTokens * price.output) / 1e6) : null;
+}
+
+const emptyTenant = () => ({ tokens: 0, pdfRenders: 0, models: {}, routes: {} });
+
+/**
+ * createUsageMeter({ dir, prices, flushDelayMs }) → { recordCompletion,
+ * recordPdf, checkTokenQuota, checkPdfQuota, report, tenantsIn, flush, flushSync }.
+ * Tenants are passed as objects ({ id, monthlyTokenQuota, monthlyPdfQuota }).
+ */
+function createUsageMeter({ dir = path.join(process.cwd(), 'data', 'usage'), prices = {}, flushDelayMs = 2000 } = {}) {
+  const priceTable = { ...DEFAULT_PRICES, ...prices };
+  const months = new Map(); // 'YYYY-MM' → { tenantId → totals }
+  const dirty = new Set();
+  let timer = null;
+
+  const file = month => path.join(dir, `${month}.json`);
+
+  function load(month) {
+    if (!months.has(month)) {
+      let data = {};
+      try {
+        data = JSON.parse(fs.readFileSync(file(month), 'utf8')).tenants || {};
+      } catch (err) {
+        if (err.code !== 'ENOENT') logger.error('Usage file unreadable', { month, err });
+      }
+      months.set(month, data);
+    }
+    return months.get(month);
+  }
+
+  function totals(tenantId, month = monthOf()) {
+    const data = load(month);
+    data[tenantId] = data[tenantId] || emptyTenant();
+    return data[tenantId];
+  }
+
+  function write(month) {
+    const tmp = `${file(month)}.${process.pid}.tmp`;
+    return { tmp, body: JSON.stringify({ month, tenants: months.get(month) }, null, 2) };
+  }
+
+  async function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const pending = [...dirty];
+    dirty.clear();
+    await fs.promises.mkdir(dir, { recursive: true });
+    for (const month of pending) {
+      const { tmp, body } = write(month);
+      await fs.promises.writeFile(tmp, body);
+      await fs.promises.rename(tmp, file(month));
+    }
+  }
+
+  // For shutdown, when there's no time left for async work
+  function flushSync() {
+    clearTimeout(timer);
+    if (!dirty.size) return;
+    fs.mkdirSync(dir, { recursive: true });
+    for (const month of dirty) {
+      const { tmp, body } = write(month);
+      fs.writeFileSync(tmp, body);
+      fs.renameSync(tmp, file(month));
+    }
+    dirty.clear();
+  }
+
+  function changed(month) {
+    dirty.add(month);
+    if (timer) return;
+    timer = setTimeout(() => flush().catch(err => logger.error('Usage write failed', { err })), flushDelayMs);
+    timer.unref();
+  }
+
+  function route(t, name) {
+    t.routes[name] = t.routes[name] || { calls: 0, tokens: 0, pdfRenders: 0 };
+    return t.routes[name];
+  }
+
+  /** Add one completion's response.usage to the tenant's month. */
+  function recordCompletion(tenantId, routeName, response) {
+    const usage = response.usage || {};
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    const tokens = usage.total_tokens || promptTokens + completionTokens;
+    const month = monthOf();
+    const t = totals(tenantId, month);
+    const model = response.model || 'unknown';
+
+    const m = t.models[model] = t.models[model] || { provider: response.provider || null, calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    m.calls++;
+    m.promptTokens += promptTokens;
+    m.completionTokens += completionTokens;
+    m.totalTokens += tokens;
+    const r = route(t, routeName);
+    r.calls++;
+    r.tokens += tokens;
+    t.tokens += tokens;
+    changed(month);
+  }
+
+  function recordPdf(tenantId, routeName) {
+    const month = monthOf();
+    const t = totals(tenantId, month);
+    t.pdfRenders++;
+    route(t, routeName).pdfRenders++;
+    changed(month);
+  }
+
+  // Quotas are checked before the work starts, so the request that crosses
+  // the line still completes; the next one is refused
+  function quotaError(what, used, quota) {
+    const now = new Date();
+    const reset = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    return new AccessError(`Monthly ${what} quota exceeded (${used} of ${quota}); resets ${reset.toISOString().slice(0, 10)}`, 429, {
+      'Retry-After': String(Math.ceil((reset - now) / 1000)),
+    }, 'QUOTA_EXCEEDED');
+  }
+
+  function checkTokenQuota(tenant) {
+    if (tenant.monthlyTokenQuota == null) return;
+    const { tokens } = totals(tenant.id);
+    if (tokens >= tenant.monthlyTokenQuota) throw quotaError('token', tokens, tenant.monthlyTokenQuota);
+  }
+
+  function checkPdfQuota(tenant) {
+    if (tenant.monthlyPdfQuota == null) return;
+    const { pdfRenders } = totals(tenant.id);
+    if (pdfRenders >= tenant.monthlyPdfQuota) throw quotaError('PDF render', pdfRenders, tenant.monthlyPdfQuota);
+  }
+
+  const remaining = (quota, used) => (quota == null ? null : Math.max(0, quota - used));
+
+  /**
+   * A tenant's month: { tenant, month, tokens, pdfRenders, quota, byModel,
+   * byRoute, estimatedCostUsd }. estimatedCostUsd is null when any model used
+   * has no known price.
+   */
+  function report(tenant, month = monthOf()) {
+    checkMonth(month);
+    const t = load(month)[tenant.id] || emptyTenant();
+    const byModel = Object.entries(t.models).map(([model, m]) => ({ model, ...m, estimatedCostUsd: estimateCost(model, m, priceTable) }));
+    const costs = byModel.map(m => m.estimatedCostUsd);
+    return {
+      tenant: tenant.id,
+      month,
+      tokens: t.tokens,
+      pdfRenders: t.pdfRenders,
+      quota: {
+        tokens: { limit: tenant.monthlyTokenQuota ?? null, used: t.tokens, remaining: remaining(tenant.monthlyTokenQuota, t.tokens) },
+        pdfRenders: { limit: tenant.monthlyPdfQuota ?? null, used: t.pdfRenders, remaining: remaining(tenant.monthlyPdfQuota, t.pdfRenders) },
+      },
+      byModel,
+      byRoute: t.routes,
+      estimatedCostUsd: costs.includes(null) ? null : round(costs.reduce((a, b) => a + b, 0)),
+    };
+  }
+
+  /** Ids of every tenant with usage recorded in `month`. */
+  function tenantsIn(month = monthOf()) {
+    checkMonth(month);
+    return Object.keys(load(month));
+  }
+
+  return { recordCompletion, recordPdf, checkTokenQuota, checkPdfQuota, report, tenantsIn, flush, flushSync };
+}
+
+/** Wrap an LLM handle (lib/llm getLLM) so every completion is passed to `record`. */
+function withUsage(llm, record) {
+  return {
+    ...llm,
+    async complete(options) {
+      const response = await llm.complete(options);
+      record(response);
+      return response;
+    },
+  };
+}
+
+module.exports = { createUsageMeter, withUsage, estimateCost, priceFor, monthOf, DEFAULT_PRICES };
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractSourceItems, verifyCoverage, htmlText, coverageFeedback } = require('../lib/coverage');
+
+const SCRIPT = `You are Asha, calling {{customer_name}} about their loan.
+
+Step 1: Greeting — confirm you are speaking to {{customer_name}}
+Step 2: Offer the loan — quote {loan_amount}
+Step 3: Book a follow-up slot
+
+Use the Busy handler when the caller has no time. Follow up on WhatsApp.
+Return {"lead_intent": "...", "slot_time": "..."}`;
+
+const WORKFLOW = `Channels: SSU, Referral
+
+Stage 1: Introduction
+Exit metric: Lead confirms identity
+Confirmation question: Is this a good time?
+
+Stage 2: Document check
+Exit criteria: Documents uploaded`;
+
+describe('extractSourceItems', () => {
+  it('pulls the verifiable items out of a call script', () => {
+    const items = extractSourceItems(SCRIPT);
+    assert.deepEqual(items.variables, ['customer_name', 'loan_amount']);
+    assert.deepEqual(items.steps, ['1. Greeting', '2. Offer the loan', '3. Book a follow-up slot']);
+    assert.deepEqual(items.handlers, ['Busy']);
+    assert.deepEqual(items.fields, ['lead_intent', 'slot_time']);
+    assert.deepEqual(items.channels, ['WhatsApp']);
+  });
+
+  it('pulls stages, exit metrics, questions and channels out of a workflow', () => {
+    const items = extractSourceItems(WORKFLOW);
+    assert.deepEqual(items.stages, ['1. Introduction', '2. Document check']);
+    assert.deepEqual(items.exitMetrics, ['Lead confirms identity', 'Documents uploaded']);
+    assert.deepEqual(items.questions, ['Is this a good time?']);
+    assert.deepEqual(items.channels, ['SSU', 'Referral']);
+  });
+});
+
+describe('htmlText', () => {
+  it('returns the visible text only', () => {
+    const text = htmlText('<style>p { color: red }</style><p>Hello &amp; bye</p><script>x()</script>');
+    assert.equal(text.replace(/\s+/g, ' ').trim(), 'Hello & bye');
+  });
+});
+
+describe('verifyCoverage', () => {
+  it('scores a doc that covers every item as complete', () => {
+    const html = `<h1>Stage 1 — Introduction</h1><p>Exit metric: lead confirms identity. Is this a good time?</p>
+<h1>Stage 2 — Document check</h1><p>Documents uploaded.</p><p>Channels: SSU, Referral</p>`;
+    const report = verifyCoverage([WORKFLOW], html);
+    assert.equal(report.score, 1);
+    assert.deepEqual(report.missing, []);
+    assert.deepEqual(report.invented, []);
+  });
+
+  it('lists missing items and items the source never mentions', () => {
+    const html = '<h1>Stage 1 — Introduction</h1><h1>Stage 3 — Payment</h1><p>Sent over SMS to {{customer_id}}</p>';
+    const report = verifyCoverage(WORKFLOW, html);
+    assert.ok(report.score < 0.5);
+    assert.ok(report.missing.some(m => m.kind === 'stages' && m.item === '2. Document check'));
+    assert.deepEqual(report.invented, [
+      { kind: 'variables', item: 'customer_id' },
+      { kind: 'stages', item: 'Stage 3' },
+      { kind: 'channels', item: 'SMS' },
+    ]);
+  });
+
+  it('counts a source without verifiable items as covered', () => {
+    assert.equal(verifyCoverage('Be friendly.', '<p>Hi</p>').score, 1);
+  });
+});
+
+describe('coverageFeedback', () => {
+  it('names the missing and invented items', () => {
+    const feedback = coverageFeedback({
+      score: 0.5,
+      missing: [{ kind: 'stages', item: '2. Document check' }],
+      invented: [{ kind: 'channels', item: 'SMS' }],
+    });
+    assert.match(feedback, /covered only 50%/);
+    assert.match(feedback, /- stage: 2\. Document check/);
+    assert.match(feedback, /- channel: SMS/);
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createDocStore, docId, docTenant, DocStoreError } = require('../lib/docs');
+const { diffVersions, renderChangeLog, extractRules } = require('../lib/docs/diff');
+
+const V1 = `Step 1: Greeting — confirm {{customer_name}}
+Step 2: Offer the loan
+Never promise approval.
+Use the Busy handler when the caller has no time.`;
+
+const V2 = `Step 1: Greeting — confirm {{customer_name}}
+Step 2: Offer the personal loan — quote {{loan_amount}}
+Step 3: Book a slot
+Never promise approval or rates.`;
+
+const result = (content = '<p>doc</p>') => ({ content, coverage: { score: 1 }, warnings: [] });
+
+describe('docId', () => {
+  it('builds tenant-first ids from slugs', () => {
+    assert.equal(docId('acme', 'Acme Bank', null, null, 'doc'), 'acme/acme-bank/default/v1.0/doc');
+    assert.equal(docTenant('acme/acme-bank/default/v1.0/doc'), 'acme');
+  });
+
+  it('requires a tenant and a known kind', () => {
+    assert.throws(() => docId(undefined, 'Acme', null, null, 'doc'), DocStoreError);
+    assert.throws(() => docId('acme', 'Acme', null, null, 'memo'), DocStoreError);
+  });
+});
+
+describe('doc store', () => {
+  let dir;
+  let docs;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'inkparse-docs-'));
+    docs = createDocStore(dir);
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('saves revisions under the tenant', async () => {
+    const first = await docs.save({ kind: 'doc', tenant: 'acme', client: 'Acme', version: 'v1', sources: { scriptPrompt: V1 } }, result());
+    assert.equal(first.id, 'acme/acme/default/v1/doc');
+    assert.equal(first.revision, 1);
+    assert.deepEqual(first.extracted.variables, ['customer_name']);
+
+    const second = await docs.save({ kind: 'doc', tenant: 'acme', client: 'Acme', version: 'v1', sources: { scriptPrompt: V1 } }, result('<p>v1 again</p>'));
+    assert.equal(second.revision, 2);
+    assert.equal(second.createdAt, first.createdAt);
+    assert.equal(await docs.getHtml(second.id), '<p>v1 again</p>');
+  });
+
+  it('refuses to save without a tenant', async () => {
+    await assert.rejects(docs.save({ kind: 'doc', client: 'Acme', sources: {} }, result()), DocStoreError);
+  });
+
+  it('keeps the same client apart across tenants', async () => {
+    await docs.save({ kind: 'doc', tenant: 'beta', client: 'Acme', version: 'v1', sources: { scriptPrompt: V2 } }, result());
+    assert.deepEqual((await docs.list({ tenant: 'acme' })).map(d => d.id), ['acme/acme/default/v1/doc']);
+    assert.deepEqual((await docs.list({ tenant: 'beta' })).map(d => d.id), ['beta/acme/default/v1/doc']);
+    assert.deepEqual((await docs.list({ tenant: null })).map(d => d.id), ['acme/acme/default/v1/doc', 'beta/acme/default/v1/doc']);
+  });
+
+  it('lists summaries without sources or content', async () => {
+    const [summary] = await docs.list({ tenant: 'acme', client: 'Acme', kind: 'doc' });
+    assert.equal(summary.sources, undefined);
+    assert.equal(summary.coverageScore, 1);
+  });
+
+  it('returns nothing for ids that are not store ids', async () => {
+    assert.equal(await docs.get('../../etc/passwd'), null);
+    assert.equal(await docs.get('acme/acme/default/v1/memo'), null);
+    assert.equal(await docs.getHtml('acme/acme/default/v9/doc'), null);
+  });
+
+  it('deletes a doc and its empty folders', async () => {
+    await docs.delete('beta/acme/default/v1/doc');
+    assert.equal(await docs.get('beta/acme/default/v1/doc'), null);
+    assert.deepEqual(await fs.readdir(dir), ['acme']);
+    await assert.rejects(docs.delete('beta/acme/default/v1/doc'), { status: 404 });
+  });
+});
+
+describe('diffVersions', () => {
+  let dir;
+  let docs;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'inkparse-diff-'));
+    docs = createDocStore(dir);
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const save = (version, scriptPrompt, doc) => docs.save({ kind: 'doc', tenant: 'acme', client: 'Acme', version, sources: { scriptPrompt } }, { ...result(), doc });
+
+  it('compares the source prompts when there is no call-doc JSON', async () => {
+    const diff = diffVersions(await save('v1', V1), await save('v2', V2));
+    assert.equal(diff.basis, 'source');
+    assert.deepEqual(diff.from.version, 'v1');
+    assert.deepEqual(diff.to.version, 'v2');
+
+    const { steps, variables, rules, handlers } = diff.sections;
+    assert.deepEqual(steps.added.map(s => s.name), ['Book a slot']);
+    assert.deepEqual(steps.changed.map(c => [c.from.name, c.to.name]), [['Offer the loan', 'Offer the personal loan']]);
+    assert.equal(steps.unchanged, 1);
+    assert.deepEqual(variables.added, ['loan_amount']);
+    assert.deepEqual(rules.changed.map(c => c.to.text), ['Never promise approval or rates.']);
+    assert.deepEqual(handlers.removed.map(h => h.name), ['Busy']);
+    assert.deepEqual(diff.summary, { added: 2, removed: 1, changed: 2 });
+  });
+
+  it('compares the call-doc JSON when both versions have it', async () => {
+    const doc = steps => ({ agent: { name: 'Asha' }, steps, variables: ['customer_name'], rules: [], handlers: [] });
+    const from = await save('v3', V1, doc([{ number: 1, name: 'Greeting', objective: 'Say hi' }]));
+    const to = await save('v4', V1, doc([{ number: 1, name: 'Greeting', objective: 'Say hello' }]));
+    const diff = diffVersions(from, to);
+    assert.equal(diff.basis, 'doc');
+    assert.deepEqual(diff.sections.steps.changed.map(c => c.fields), [['objective']]);
+    assert.deepEqual(diff.summary, { added: 0, removed: 0, changed: 1 });
+  });
+
+  it('renders a change-log page', async () => {
+    const diff = diffVersions(await docs.get('acme/acme/default/v1/doc'), await docs.get('acme/acme/default/v2/doc'));
+    const html = renderChangeLog(diff);
+    assert.match(html, /Change Log/);
+    assert.match(html, /Book a slot/);
+    assert.match(html, /v1 → v2/);
+  });
+});
+
+describe('extractRules', () => {
+  it('reads never / always lines once each', () => {
+    assert.deepEqual(extractRules('- **Never** share rates\n1. Always confirm the name\nNever share rates'), [
+      { kind: 'never', text: 'Never share rates' },
+      { kind: 'always', text: 'Always confirm the name' },
+    ]);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFlowchart } = require('../lib/mermaid');
+
+const body = result => result.code.split('\n').slice(1).map(line => line.trim());
+const codes = result => result.diagnostics.map(d => d.code);
+
+describe('parseFlowchart', () => {
+  it('keeps a valid flowchart as it is', () => {
+    const result = parseFlowchart('flowchart LR\n  A[Start] --> B{Ok?}\n  B -->|Yes| C([Done])');
+    assert.equal(result.valid, true);
+    assert.equal(result.direction, 'LR');
+    assert.deepEqual(body(result), ['A[Start] --> B{Ok?}', 'B -->|Yes| C([Done])']);
+    assert.deepEqual(result.edges.map(e => [e.from, e.to, e.label]), [['A', 'B', null], ['B', 'C', 'Yes']]);
+    assert.deepEqual(result.diagnostics, []);
+  });
+
+  it('adds a missing header and drops prose before one', () => {
+    assert.deepEqual(codes(parseFlowchart('A --> B')), ['MISSING_HEADER']);
+    const result = parseFlowchart('Here is the diagram:\nflowchart TD\nA --> B');
+    assert.deepEqual(codes(result), ['PREAMBLE_REMOVED']);
+    assert.equal(result.code, 'flowchart TD\n    A --> B');
+  });
+
+  it('keeps edge operators inside a closed label', () => {
+    const result = parseFlowchart('flowchart TD\nA[Is this a -- b?] --> B\nC[Step == done] ==> D');
+    assert.equal(result.valid, true);
+    assert.deepEqual(body(result), ['A[Is this a -- b?] --> B', 'C[Step == done] ==> D']);
+    assert.deepEqual(result.diagnostics, []);
+  });
+
+  it('closes a shape left open before an edge', () => {
+    const result = parseFlowchart('flowchart TD\nA[Start --> B[End]');
+    assert.deepEqual(body(result), ['A[Start] --> B[End]']);
+    assert.deepEqual(codes(result), ['UNCLOSED_SHAPE']);
+  });
+
+  it('fixes mismatched brackets and quotes labels with special characters', () => {
+    const result = parseFlowchart('flowchart TD\nA([Start) --> B[Pay (card)]');
+    assert.equal(result.valid, true);
+    assert.deepEqual(body(result), ['A([Start]) --> B["Pay (card)"]']);
+    assert.deepEqual(codes(result), ['MISMATCHED_SHAPE', 'QUOTED_LABEL']);
+  });
+
+  it('renames invalid and reserved node ids', () => {
+    const result = parseFlowchart('flowchart TD\nend-node[Bye] --> end');
+    assert.deepEqual(body(result), ['end_node[Bye] --> END']);
+    assert.deepEqual(codes(result), ['INVALID_NODE_ID', 'RESERVED_NODE_ID']);
+  });
+
+  it('balances subgraphs and removes dangling edges', () => {
+    const result = parseFlowchart('flowchart TD\nsubgraph One\nA --> B -->\nend\nend');
+    assert.equal(result.valid, true);
+    assert.deepEqual(body(result), ['subgraph One', 'A --> B', 'end']);
+    assert.deepEqual(codes(result), ['DANGLING_EDGE', 'UNBALANCED_SUBGRAPH']);
+  });
+
+  it('reports lines it cannot parse, or drops them on request', () => {
+    const source = 'flowchart TD\nA --> B\nA -->|open B';
+    const kept = parseFlowchart(source);
+    assert.equal(kept.valid, false);
+    assert.deepEqual(codes(kept), ['UNPARSEABLE_LINE']);
+
+    const dropped = parseFlowchart(source, { dropUnparseable: true });
+    assert.equal(dropped.valid, true);
+    assert.deepEqual(body(dropped), ['A --> B']);
+  });
+
+  it('rejects a flowchart without nodes', () => {
+    const result = parseFlowchart('flowchart TD');
+    assert.equal(result.valid, false);
+    assert.deepEqual(codes(result), ['EMPTY_FLOWCHART']);
+  });
+});
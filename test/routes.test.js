@@ -0,0 +1,298 @@
+// The HTTP routes end to end: the server runs as a child process on the mock
+// provider (LLM_PROVIDER=mock, replies from lib/llm/fixtures.js, plus BROKEN
+// below), with two tenants and its stores in a temporary directory.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ACME = 'acme-key-aaaaaaaaaaaaaaaa';
+const BETA = 'beta-key-bbbbbbbbbbbbbbbb';
+const ADMIN = 'admin-token-cccccccccccc';
+
+// 1×1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+const WORKFLOW = `Channels: SSU, Referral
+
+Stage 1: Introduction
+Exit metric: Lead confirms identity
+
+Stage 2: Document check
+Exit metric: Documents uploaded`;
+
+// A script the mock answers with JSON that is no call doc
+const BROKEN = 'You are Asha. BROKEN-EXTRACT';
+const FIXTURES = [{ name: 'broken-extract', match: 'BROKEN-EXTRACT', content: '{"agent": null}' }];
+
+const SCRIPT = `You are Asha. Step 1: Greeting — confirm {{customer_name}}
+Step 2: Qualify
+Step 3: Book slot
+Step 4: Close`;
+
+let server;
+let base;
+let dataDir;
+let log = '';
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer().listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  }).on('error', reject);
+});
+
+/** fetch() against the server: `body` is sent as JSON, `form` as multipart. Resolves to { status, headers, body }. */
+async function api(method, url, { key = ACME, body, form } = {}) {
+  const headers = key ? { 'X-API-Key': key } : {};
+  let payload;
+  if (form) {
+    payload = new FormData();
+    for (const [name, value] of Object.entries(form)) payload.append(name, ...(Buffer.isBuffer(value) ? [new Blob([value], { type: 'image/png' }), `${name}.png`] : [value]));
+  } else if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+    payload = JSON.stringify(body);
+  }
+  const res = await fetch(base + url, { method, headers, body: payload });
+  const type = res.headers.get('content-type') || '';
+  return { status: res.status, headers: res.headers, body: type.includes('json') ? await res.json() : await res.text() };
+}
+
+async function waitForJob(id, key = ACME) {
+  for (let i = 0; i < 100; i++) {
+    const { body } = await api('GET', `/api/jobs/${id}`, { key });
+    if (['succeeded', 'failed', 'cancelled'].includes(body.job.status)) return body.job;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'inkparse-routes-'));
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  await fs.writeFile(path.join(dataDir, 'fixtures.json'), JSON.stringify(FIXTURES));
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'inkparse-server.js')], {
+    cwd: dataDir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      LLM_PROVIDER: 'mock',
+      LLM_MOCK_FIXTURES: path.join(dataDir, 'fixtures.json'),
+      LLM_ALLOWED_MODELS: 'mock-2',
+      TENANTS: JSON.stringify({ tenants: [{ id: 'acme', keys: [ACME] }, { id: 'beta', keys: [BETA] }] }),
+      ADMIN_TOKEN: ADMIN,
+      DOCS_DIR: path.join(dataDir, 'docs'),
+      THEMES_DIR: path.join(dataDir, 'themes'),
+      USAGE_DIR: path.join(dataDir, 'usage'),
+    },
+  });
+  server.stdout.on('data', chunk => { log += chunk; });
+  server.stderr.on('data', chunk => { log += chunk; });
+
+  for (let i = 0; i < 100 && !log.includes('Server running'); i++) {
+    if (server.exitCode !== null) break;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.ok(log.includes('Server running'), `server did not start:\n${log}`);
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill('SIGTERM');
+    await exited;
+  }
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe('access and envelope', () => {
+  it('requires an API key', async () => {
+    const { status, body } = await api('GET', '/api/themes', { key: null });
+    assert.equal(status, 401);
+    assert.equal(body.success, false);
+    assert.ok(body.requestId);
+  });
+
+  it('answers unknown routes with ROUTE_NOT_FOUND', async () => {
+    const { status, body } = await api('GET', '/api/nope');
+    assert.equal(status, 404);
+    assert.equal(body.code, 'ROUTE_NOT_FOUND');
+  });
+
+  it('rejects bodies that break the API contract', async () => {
+    const { status, body } = await api('POST', '/api/generate-workflow', { body: { client: 'Acme' } });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+  });
+
+  it('only accepts configured providers and allowed models', async () => {
+    const provider = await api('POST', '/api/generate-workflow', { body: { prompt: WORKFLOW, provider: 'openai' } });
+    assert.equal(provider.status, 400);
+    const model = await api('POST', '/api/generate-workflow', { body: { prompt: WORKFLOW, model: 'gpt-4o' } });
+    assert.equal(model.status, 400);
+    const allowed = await api('POST', '/api/generate-workflow', { body: { prompt: WORKFLOW, model: 'mock-2' } });
+    assert.equal(allowed.status, 200);
+  });
+
+  it('serves the OpenAPI document', async () => {
+    const { status, body } = await api('GET', '/api/openapi.json');
+    assert.equal(status, 200);
+    assert.ok(body.paths['/api/generate-doc']);
+  });
+});
+
+describe('analyze', () => {
+  it('turns a flowchart image into validated Mermaid', async () => {
+    const { status, body } = await api('POST', '/api/analyze', { form: { type: 'flowchart', image: PNG } });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.type, 'flowchart');
+    assert.match(body.content, /^flowchart/);
+  });
+
+  it('needs an image', async () => {
+    const { status } = await api('POST', '/api/analyze', { form: { type: 'flowchart' } });
+    assert.equal(status, 400);
+  });
+});
+
+describe('doc generation and the doc store', () => {
+  it('generates and stores a workflow doc', async () => {
+    const { status, body } = await api('POST', '/api/generate-workflow', { body: { prompt: WORKFLOW, client: 'Acme', version: 'v1' } });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.match(body.content, /<html/i);
+    assert.equal(body.stored.id, 'acme/acme/default/v1/workflow');
+  });
+
+  it('generates and stores a call doc', async () => {
+    const { status, body } = await api('POST', '/api/generate-doc', { body: { scriptPrompt: SCRIPT, client: 'Acme', version: 'v1' } });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.doc.agent.name, 'Asha');
+    assert.equal(body.stored.id, 'acme/acme/default/v1/doc');
+  });
+
+  it('reports unusable model output as a 502', async () => {
+    const { status, body } = await api('POST', '/api/generate-doc', { body: { scriptPrompt: BROKEN, client: 'Acme' } });
+    assert.equal(status, 502);
+    assert.equal(body.code, 'MODEL_OUTPUT_INVALID');
+    assert.ok(body.details.length);
+  });
+
+  it('keeps stored docs to their tenant', async () => {
+    const own = await api('GET', '/api/docs/acme/acme/default/v1/workflow');
+    assert.equal(own.status, 200);
+    assert.equal(own.body.doc.tenant, 'acme');
+
+    assert.equal((await api('GET', '/api/docs/acme/acme/default/v1/workflow', { key: BETA })).status, 404);
+    assert.deepEqual((await api('GET', '/api/docs', { key: BETA })).body.docs, []);
+    assert.equal((await api('GET', '/api/docs/acme/acme/default/v1/workflow', { key: ADMIN })).status, 200);
+  });
+
+  it('edits one section of a stored doc as a new revision', async () => {
+    const { status, body } = await api('POST', '/api/doc/edit-section', {
+      body: { id: 'acme/acme/default/v1/doc', section: 'step 3', instruction: 'Confirm the chosen slot' },
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.stored.revision, 2);
+    assert.equal(body.diff.after.objective, 'Offer two slots and confirm the chosen one back');
+  });
+
+  it('diffs two versions', async () => {
+    await api('POST', '/api/generate-workflow', { body: { prompt: `${WORKFLOW}\n\nStage 3: Activation`, client: 'Acme', version: 'v2' } });
+    const { status, body } = await api('GET', '/api/docs/diff?client=Acme&kind=workflow');
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.diff.from.version, 'v1');
+    assert.equal(body.diff.to.version, 'v2');
+  });
+
+  it('extracts a state machine from a stored workflow', async () => {
+    const { status, body } = await api('POST', '/api/workflow/state-machine', { body: { id: 'acme/acme/default/v1/workflow' } });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.ok(body.machine.states.length);
+    assert.match(body.mermaid, /^stateDiagram-v2/);
+
+    const other = await api('POST', '/api/workflow/state-machine', { key: BETA, body: { id: 'acme/acme/default/v1/workflow' } });
+    assert.equal(other.status, 404);
+  });
+
+  it('deletes a stored doc', async () => {
+    assert.equal((await api('DELETE', '/api/docs/acme/acme/default/v2/workflow', { key: BETA })).status, 404);
+    assert.equal((await api('DELETE', '/api/docs/acme/acme/default/v2/workflow')).status, 200);
+    assert.equal((await api('GET', '/api/docs/acme/acme/default/v2/workflow')).status, 404);
+  });
+});
+
+describe('themes', () => {
+  it('keeps theme ids per tenant', async () => {
+    assert.equal((await api('POST', '/api/themes', { body: { id: 'brand', name: 'Acme brand' } })).status, 201);
+    assert.equal((await api('POST', '/api/themes', { body: { id: 'brand', name: 'Acme brand' } })).status, 409);
+    assert.equal((await api('POST', '/api/themes', { key: BETA, body: { id: 'brand', name: 'Beta brand' } })).status, 201);
+
+    const { body } = await api('GET', '/api/themes/brand', { key: BETA });
+    assert.equal(body.theme.name, 'Beta brand');
+    const list = await api('GET', '/api/themes');
+    assert.deepEqual(list.body.themes.map(t => t.id), ['default', 'brand']);
+  });
+
+  it("doesn't render with another tenant's theme", async () => {
+    await api('POST', '/api/themes', { key: BETA, body: { id: 'beta-only', name: 'Beta only' } });
+    const { status } = await api('POST', '/api/generate-workflow', { body: { prompt: WORKFLOW, theme: 'beta-only' } });
+    assert.equal(status, 404);
+  });
+
+  it('protects the built-in theme', async () => {
+    assert.equal((await api('PUT', '/api/themes/default', { body: { name: 'Mine' } })).status, 403);
+  });
+});
+
+describe('jobs', () => {
+  it('runs a job and serves its result to its tenant only', async () => {
+    const created = await api('POST', '/api/jobs', { body: { kind: 'workflow', prompt: WORKFLOW } });
+    assert.equal(created.status, 202, JSON.stringify(created.body));
+    const { id } = created.body.job;
+
+    const job = await waitForJob(id);
+    assert.equal(job.status, 'succeeded');
+    assert.equal((await api('GET', `/api/jobs/${id}`, { key: BETA })).status, 404);
+
+    const result = await api('GET', `/api/jobs/${id}/result`);
+    assert.equal(result.status, 200);
+    assert.match(result.body.content, /<html/i);
+
+    const events = await api('GET', `/api/jobs/${id}/events`);
+    assert.match(events.body, /event: status[\s\S]*event: done/);
+
+    assert.equal((await api('DELETE', `/api/jobs/${id}`)).status, 200);
+    assert.equal((await api('GET', `/api/jobs/${id}`)).status, 404);
+  });
+
+  it('checks the input before queueing', async () => {
+    const { status } = await api('POST', '/api/jobs', { body: { kind: 'workflow', prompt: WORKFLOW, theme: 'missing' } });
+    assert.equal(status, 404);
+  });
+
+  it('refuses the result of a job that failed', async () => {
+    const { body } = await api('POST', '/api/jobs', { body: { kind: 'doc', scriptPrompt: BROKEN } });
+    const job = await waitForJob(body.job.id);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error.status, 502);
+
+    const result = await api('GET', `/api/jobs/${job.id}/result`);
+    assert.equal(result.status, 409);
+    assert.equal(result.body.code, 'JOB_NOT_FINISHED');
+    assert.equal(result.body.details.job.id, job.id);
+  });
+});
+
+describe('usage', () => {
+  it("meters the tenant's completions under the model that was used", async () => {
+    const { status, body } = await api('GET', '/api/usage');
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.ok(body.usage.tokens > 0);
+    assert.deepEqual(body.usage.byModel.map(m => m.model).sort(), ['mock-1', 'mock-2']);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateStateMachine, extractStateMachine, StateMachineError, toMermaid } = require('../lib/stateMachine');
+
+// A fresh copy per test: validation fills defaults in place
+const machine = () => ({
+  version: '1.0',
+  name: 'Onboarding',
+  channels: [{ id: 'ssu', name: 'SSU' }],
+  initial: 'intro',
+  states: [
+    {
+      id: 'intro',
+      type: 'stage',
+      number: 1,
+      name: 'Introduction',
+      messages: { ssu: 'Hi, this is Asha.' },
+      confirmation: { question: 'Is this a good time?', answers: ['yes', 'no'] },
+      transitions: [
+        { to: 'done', trigger: 'confirmation', answer: 'yes' },
+        { to: 'callback', trigger: 'confirmation', answer: 'no' },
+      ],
+    },
+    { id: 'done', type: 'terminal', name: 'Onboarded' },
+    { id: 'callback', type: 'terminal', name: 'Callback' },
+  ],
+});
+
+// An llm whose replies are `replies`, in order
+const scripted = (...replies) => ({
+  calls: 0,
+  async complete() {
+    const content = replies[Math.min(this.calls++, replies.length - 1)];
+    return { content, finishReason: 'stop', usage: {} };
+  },
+});
+
+describe('validateStateMachine', () => {
+  it('accepts a valid machine and fills in defaults', () => {
+    const m = machine();
+    assert.deepEqual(validateStateMachine(m), { errors: [], warnings: [] });
+    assert.deepEqual(m.states[1].transitions, []);
+    assert.equal(m.states[1].confirmation, null);
+  });
+
+  it('reports schema errors', () => {
+    const m = machine();
+    m.states[0].type = 'step';
+    delete m.initial;
+    const { errors } = validateStateMachine(m);
+    assert.ok(errors.includes("(root) must have required property 'initial'"));
+    assert.ok(errors.some(e => e.startsWith('/states/0/type')));
+    assert.deepEqual(validateStateMachine([]).errors, ['state machine must be a JSON object']);
+  });
+
+  it('reports graph errors', () => {
+    const m = machine();
+    m.states[0].transitions[1].to = 'nowhere';
+    m.states[0].messages.sms = 'Hi';
+    m.states[1].transitions = [{ to: 'intro', trigger: 'always' }];
+    assert.deepEqual(validateStateMachine(m).errors, [
+      'state "intro" has a transition to unknown state "nowhere"',
+      'state "intro" has a message for unknown channel "sms"',
+      'terminal state "done" must not have transitions',
+    ]);
+  });
+
+  it('requires a terminal state and a way out of every stage', () => {
+    const m = machine();
+    m.states = [{ id: 'intro', type: 'stage', name: 'Introduction' }];
+    assert.deepEqual(validateStateMachine(m).errors, [
+      'at least one terminal state is required',
+      'stage "intro" has no transitions (mark it terminal if the call ends there)',
+    ]);
+  });
+
+  it('warns about unreachable states and unhandled answers', () => {
+    const m = machine();
+    m.states[0].transitions.pop();
+    const { errors, warnings } = validateStateMachine(m);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, [
+      'state "intro": no transition for confirmation answer "no"',
+      'state "callback" cannot be reached from "intro"',
+    ]);
+  });
+});
+
+describe('extractStateMachine', () => {
+  it('normalises the ids the model wrote', async () => {
+    const reply = machine();
+    reply.channels[0].id = 'SSU';
+    reply.states[0].id = 'Stage 1: Intro';
+    reply.states[0].messages = { SSU: 'Hi' };
+    reply.initial = 'Stage 1: Intro';
+    const { machine: result, warnings } = await extractStateMachine(scripted(JSON.stringify(reply)), { prompt: 'Stage 1: Intro', client: 'Acme' });
+    assert.equal(result.initial, 'stage_1_intro');
+    assert.equal(result.states[0].id, 'stage_1_intro');
+    assert.deepEqual(result.states[0].messages, { ssu: 'Hi' });
+    assert.equal(result.client, 'Acme');
+    assert.deepEqual(warnings, []);
+  });
+
+  it('retries with the errors, then gives up with a 502', async () => {
+    const llm = scripted('not json', JSON.stringify({ version: '1.0' }));
+    await assert.rejects(extractStateMachine(llm, { prompt: 'Stage 1: Intro' }), err => {
+      assert.ok(err instanceof StateMachineError);
+      assert.equal(err.status, 502);
+      assert.equal(err.code, 'MODEL_OUTPUT_INVALID');
+      assert.ok(err.details.length);
+      return true;
+    });
+    assert.equal(llm.calls, 2);
+  });
+});
+
+describe('toMermaid', () => {
+  it('draws states, transitions and terminals', () => {
+    const m = machine();
+    validateStateMachine(m);
+    const diagram = toMermaid(m);
+    assert.match(diagram, /^stateDiagram-v2/);
+    assert.match(diagram, /state "1\. Introduction" as intro/);
+    assert.match(diagram, /intro --> done : answer: yes/);
+    assert.match(diagram, /callback --> \[\*\]/);
+  });
+});